@@ -89,14 +89,12 @@ class ShuffleStateManager {
 // =========================================================================
 
 /**
- * Get all playable track IDs (excludes temporary silence gaps)
+ * Get all playable track IDs
  * @param {Playlist} playlist - The playlist to get tracks from
  * @returns {string[]} Array of track IDs that should be included in shuffle
  */
 function getPlayableTrackIds(playlist) {
-    return Array.from(playlist.sounds.values())
-        .filter(s => !s.getFlag(MODULE_ID, "isSilenceGap"))
-        .map(s => s.id);
+    return Array.from(playlist.sounds.values()).map(s => s.id);
 }
 
 /**
@@ -480,13 +478,6 @@ export class AdvancedShuffle {
     static markTrackPlayed(playlist, soundDoc) {
         if (!ShuffleStateManager.isEnabled()) return;
 
-        // If the track is a temporary silent gap, do not update the shuffle state at all.
-        // This allows it to play without corrupting the cycle count or play history.
-        if (soundDoc.getFlag(MODULE_ID, "isSilenceGap")) {
-            debug(`[Shuffle] Ignoring state update for temporary Silent Gap.`);
-            return;
-        }
-
         const pattern = ShuffleStateManager.getActivePattern();
         const state = ShuffleStateManager.getState(playlist);
 
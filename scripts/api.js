@@ -11,7 +11,8 @@ import { Flags } from "./flag-service.js";
 import { PlaybackClock } from "./playback-clock.js";
 import { advancedFade, equalPowerCrossfade, fadeOutAndStop } from "./audio-fader.js";
 import { scheduleCrossfade, performCrossfade, cancelCrossfade } from "./cross-fade.js";
-import { scheduleLoopWithin, cancelLoopWithin, breakLoopWithin } from "./internal-loop.js";
+import { transitionToPlaylist } from "./playlist-transition.js";
+import { scheduleLoopWithin, cancelLoopWithin, breakLoopWithin, nextSegmentWithin, previousSegmentWithin } from "./internal-loop.js";
 import {
     startSoundscape,
     stopSoundscape,
@@ -20,6 +21,8 @@ import {
     isSoundscapeProceduralSyncEnabled,
 } from "./procedural-ambience.js";
 import { Silence } from "./silence.js";
+import { setStemLayer } from "./stem-layers.js";
+import { importEmbeddedLoop } from "./loop-metadata.js";
 import { createSoundOfSilenceDiagnostics } from "./diagnostics.js";
 import { toSec, formatTime, info, debug, getSequenceSnapshot, MODULE_ID } from "./utils.js";
 import { State, cleanupPlaylistState } from "./state-manager.js";
@@ -168,6 +171,21 @@ class SoundOfSilenceAPI {
         return sound.setFlag('the-sound-of-silence', 'loopWithin', loopConfig);
     }
 
+    /**
+     * Set up a sound's loop segments from the loop points embedded in its file
+     * (WAV smpl chunk, or LOOPSTART/LOOPLENGTH/LOOPEND tags in OGG)
+     * @param {PlaylistSound} sound - The sound document to update.
+     * @returns {Promise<number>} How many segments were imported; 0 if the file has no loop data.
+     * @example
+     * for (const sound of playlist.sounds) await api.importEmbeddedLoop(sound);
+     */
+    async importEmbeddedLoop(sound) {
+        if (!(sound instanceof PlaylistSound)) {
+            throw new TypeError("Expected PlaylistSound document");
+        }
+        return importEmbeddedLoop(sound);
+    }
+
     // ============================================
     // Playback Control API
     // ============================================
@@ -198,6 +216,32 @@ class SoundOfSilenceAPI {
         return performCrossfade(playlist, current);
     }
 
+    /**
+     * Crossfade one playlist into another, e.g. for a scene change. Whatever the outgoing
+     * playlist is playing fades out while the incoming playlist's first track (in its shuffle
+     * order, or all tracks of a simultaneous playlist) fades in. GM only.
+     * @param {Playlist} from - The playlist to fade out.
+     * @param {Playlist} to - The playlist to fade in.
+     * @param {object} [options]
+     * @param {number} [options.duration] - Fade length in ms. Defaults to the outgoing playlist's crossfade duration.
+     * @param {string} [options.curve] - "equal-power", "linear", "s-curve", "cut" or a "custom:<id>" curve.
+     * Defaults to the outgoing playlist's crossfade curve.
+     * @param {boolean|string} [options.waitForBoundary=false] - Wait for the next bar (or "beat"/"phrase")
+     * of the playing track, or the end of its current loop pass, before fading.
+     * @returns {Promise<boolean>} Resolves once the fade has finished.
+     * @example
+     * await api.transitionToPlaylist(game.playlists.getName("Travel"), game.playlists.getName("Combat"), {
+     *     duration: 4000,
+     *     waitForBoundary: true,
+     * });
+     */
+    async transitionToPlaylist(from, to, options = {}) {
+        if (!(from instanceof Playlist) || !(to instanceof Playlist)) {
+            throw new TypeError("Expected Playlist documents");
+        }
+        return transitionToPlaylist(from, to, options);
+    }
+
     /**
      * Start an internal loop for a sound
      * @param {PlaylistSound} sound - The sound to loop
@@ -231,15 +275,87 @@ class SoundOfSilenceAPI {
     /**
      * Break out of current loop iteration and continue track
      * @param {PlaylistSound} sound - The sound to break loop for
+     * @param {Object} [options]
+     * @param {string} [options.quantize] - "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting
      * @returns {void}
      * @example
-     * api.breakLoop(sound);
+     * api.breakLoop(sound, { quantize: "bar" });
+     */
+    breakLoop(sound, options = {}) {
+        if (!(sound instanceof PlaylistSound)) {
+            throw new TypeError("Expected PlaylistSound document");
+        }
+        breakLoopWithin(sound, options);
+    }
+
+    /**
+     * Skip an internal loop to its next segment (GM only, replicated)
+     * @param {PlaylistSound} sound - The looping sound
+     * @param {Object} [options]
+     * @param {string} [options.quantize] - "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting
+     * @returns {Promise<void>}
+     * @example
+     * await api.nextSegment(sound, { quantize: "phrase" });
+     */
+    async nextSegment(sound, options = {}) {
+        if (!(sound instanceof PlaylistSound)) {
+            throw new TypeError("Expected PlaylistSound document");
+        }
+        await nextSegmentWithin(sound, options);
+    }
+
+    /**
+     * Skip an internal loop back to its previous segment (GM only, replicated)
+     * @param {PlaylistSound} sound - The looping sound
+     * @param {Object} [options]
+     * @param {string} [options.quantize] - "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting
+     * @returns {Promise<void>}
+     * @example
+     * await api.previousSegment(sound);
+     */
+    async previousSegment(sound, options = {}) {
+        if (!(sound instanceof PlaylistSound)) {
+            throw new TypeError("Expected PlaylistSound document");
+        }
+        await previousSegmentWithin(sound, options);
+    }
+
+    // ============================================
+    // Stem Layers API
+    // ============================================
+
+    /**
+     * Get the live state of a sound's stem layers
+     * @param {PlaylistSound} sound - The sound document
+     * @returns {Array<{id: string, name: string, enabled: boolean, gain: number}>}
+     * @example
+     * api.getStemLayers(sound).filter(layer => layer.enabled);
+     */
+    getStemLayers(sound) {
+        if (!(sound instanceof PlaylistSound)) {
+            throw new TypeError("Expected PlaylistSound document");
+        }
+        return Flags.getStemLayerStates(sound);
+    }
+
+    /**
+     * Turn a stem layer on or off, or change its gain, with a fade on every client (GM only)
+     * @param {PlaylistSound} sound - The sound document
+     * @param {string} stemId - The layer's id (see getStemLayers)
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - New on/off state; unchanged when omitted
+     * @param {number} [options.gain] - New gain from 0 to 1; unchanged when omitted
+     * @param {number} [options.fadeMs=1000] - Fade duration for the change
+     * @returns {Promise<boolean>} True if the change was applied
+     * @example
+     * const choir = api.getStemLayers(sound).find(layer => layer.name === "Choir");
+     * await api.setStemLayer(sound, choir.id, { enabled: true, fadeMs: 4000 });
      */
-    breakLoop(sound) {
+    async setStemLayer(sound, stemId, options = {}) {
         if (!(sound instanceof PlaylistSound)) {
             throw new TypeError("Expected PlaylistSound document");
         }
-        breakLoopWithin(sound);
+        return setStemLayer(sound, stemId, options);
     }
 
     // ============================================
@@ -884,7 +1000,6 @@ class SoundOfSilenceAPI {
                     volume: Number.isFinite(Number(sound.volume)) ? Number(sound.volume) : null,
                     hasMedia: Boolean(sound.sound),
                     mediaPlaying: Boolean(sound.sound?.playing),
-                    isSilenceGap: Boolean(Flags.getSoundFlag(sound, "isSilenceGap")),
                     isProcedural: Boolean(Flags.getSoundFlag(sound, "isProcedural")),
                     hasLoopWithin: Boolean(Flags.getLoopConfig(sound)?.enabled),
                 })),
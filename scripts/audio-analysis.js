@@ -0,0 +1,409 @@
+// audio-analysis.js
+/**
+ * @file audio-analysis.js
+ * @description Sample-level analysis helpers for the loop editor: zero-crossing search,
+ * transient (onset) detection and loop point suggestions on decoded AudioBuffers, plus
+ * leading/trailing silence detection on waveform peak tables.
+ */
+import { debug } from "./utils.js";
+
+// Onset detection framing. ~23ms frames at 44.1kHz with 50% overlap.
+const ONSET_FRAME_SIZE = 1024;
+const ONSET_HOP_SIZE = 512;
+const ONSET_THRESHOLD_WINDOW = 16;   // frames either side used for the adaptive threshold
+const ONSET_THRESHOLD_FACTOR = 1.5;  // multiplier over the local mean
+const ONSET_MIN_SPACING_SEC = 0.05;  // suppress onsets closer together than this
+const MAX_CACHED_ONSETS = 24;
+
+// Loop suggestion analysis. Frames are coarse features compared at every lag (loop length),
+// so the frame count is capped to keep the lag scan quadratic-but-bounded on long tracks.
+const SUGGEST_MIN_HOP_SEC = 0.05;
+const SUGGEST_MAX_FRAMES = 4000;
+const SUGGEST_MATCH_WINDOW_SEC = 2;    // audio compared either side of the loop points
+const SUGGEST_SILENCE_DB = -45;        // frames this far below the loudest frame count as silent
+const SUGGEST_LOWPASS_HZ = 250;        // split point for the low/high band energy features
+const SUGGEST_REFINE_SAMPLES = 2048;   // waveform window used to align the end point
+const SUGGEST_DEDUPE_SEC = 1.5;        // suggestions closer than this at both ends are duplicates
+const SUGGEST_YIELD_EVERY = 150;       // lags scanned between yields to the UI thread
+const SUGGEST_FRAME_YIELD_EVERY = 100; // feature frames built between yields to the UI thread
+
+/** @type {Map<string, number[]>} */
+const onsetCache = new Map();
+
+/**
+ * Reads one sample as the average of all channels.
+ * @param {Float32Array[]} channels
+ * @param {number} index
+ * @returns {number}
+ */
+function monoSample(channels, index) {
+    let sum = 0;
+    for (const data of channels) sum += data[index];
+    return sum / channels.length;
+}
+
+function getChannels(buffer) {
+    const channels = [];
+    for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c));
+    return channels;
+}
+
+/**
+ * Finds the zero crossing nearest to a time, searching outwards up to a window.
+ * @param {AudioBuffer} buffer The decoded audio.
+ * @param {number} timeSec The time to search around.
+ * @param {object} [options]
+ * @param {number} [options.windowSec=0.01] How far either side to search.
+ * @returns {number|null} The crossing time in seconds, or null if none was found.
+ */
+export function findNearestZeroCrossing(buffer, timeSec, { windowSec = 0.01 } = {}) {
+    if (!buffer || !Number.isFinite(timeSec)) return null;
+
+    const channels = getChannels(buffer);
+    const rate = buffer.sampleRate;
+    const lastIndex = buffer.length - 1;
+
+    const center = Math.max(1, Math.min(lastIndex, Math.round(timeSec * rate)));
+    const radius = Math.max(1, Math.round(windowSec * rate));
+
+    for (let offset = 0; offset <= radius; offset++) {
+        for (const index of offset === 0 ? [center] : [center - offset, center + offset]) {
+            if (index < 1 || index > lastIndex) continue;
+            const prev = monoSample(channels, index - 1);
+            const current = monoSample(channels, index);
+            if (prev === 0) return (index - 1) / rate;
+            if ((prev < 0) !== (current < 0) || current === 0) {
+                const best = Math.abs(prev) <= Math.abs(current) ? index - 1 : index;
+                return best / rate;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Detects note/percussive onsets using half-wave rectified energy flux with an
+ * adaptive (local mean) threshold and peak picking.
+ * @param {AudioBuffer} buffer The decoded audio.
+ * @returns {number[]} Sorted onset times in seconds.
+ */
+export function detectTransients(buffer) {
+    if (!buffer) return [];
+
+    const channels = getChannels(buffer);
+    const rate = buffer.sampleRate;
+    const frameCount = Math.max(0, Math.floor((buffer.length - ONSET_FRAME_SIZE) / ONSET_HOP_SIZE) + 1);
+    if (frameCount < 3) return [];
+
+    // Log energy per frame, then the positive frame-to-frame difference (flux).
+    const energy = new Float32Array(frameCount);
+    for (let f = 0; f < frameCount; f++) {
+        const start = f * ONSET_HOP_SIZE;
+        let sum = 0;
+        for (let i = start; i < start + ONSET_FRAME_SIZE; i++) {
+            const sample = monoSample(channels, i);
+            sum += sample * sample;
+        }
+        energy[f] = Math.log10(1e-10 + sum / ONSET_FRAME_SIZE);
+    }
+
+    const flux = new Float32Array(frameCount);
+    for (let f = 1; f < frameCount; f++) {
+        flux[f] = Math.max(0, energy[f] - energy[f - 1]);
+    }
+
+    const onsets = [];
+    const minSpacingFrames = Math.ceil((ONSET_MIN_SPACING_SEC * rate) / ONSET_HOP_SIZE);
+    let lastOnsetFrame = -Infinity;
+
+    for (let f = 1; f < frameCount - 1; f++) {
+        const value = flux[f];
+        if (value <= flux[f - 1] || value < flux[f + 1]) continue;
+
+        const from = Math.max(0, f - ONSET_THRESHOLD_WINDOW);
+        const to = Math.min(frameCount, f + ONSET_THRESHOLD_WINDOW + 1);
+        let mean = 0;
+        for (let i = from; i < to; i++) mean += flux[i];
+        mean /= (to - from);
+
+        if (value < mean * ONSET_THRESHOLD_FACTOR + 0.05) continue;
+        if (f - lastOnsetFrame < minSpacingFrames) continue;
+
+        lastOnsetFrame = f;
+        onsets.push((f * ONSET_HOP_SIZE) / rate);
+    }
+
+    return onsets;
+}
+
+/**
+ * Returns the cached onset list for a file, detecting it from the buffer on first use.
+ * @param {string} path Cache key (the audio file path).
+ * @param {AudioBuffer} buffer The decoded audio for that path.
+ * @returns {number[]}
+ */
+export function getTransients(path, buffer) {
+    const cached = onsetCache.get(path);
+    if (cached) return cached;
+
+    const startedAt = performance.now();
+    const onsets = detectTransients(buffer);
+    debug(`[Analysis] Detected ${onsets.length} transients for "${path}" in ${(performance.now() - startedAt).toFixed(0)}ms.`);
+
+    onsetCache.set(path, onsets);
+    while (onsetCache.size > MAX_CACHED_ONSETS) {
+        onsetCache.delete(onsetCache.keys().next().value);
+    }
+    return onsets;
+}
+
+/**
+ * Finds the value in a sorted list nearest to a time, within a maximum distance.
+ * @param {number[]} times Sorted times in seconds.
+ * @param {number} timeSec The time to search around.
+ * @param {number} maxDistanceSec Ignore candidates further away than this.
+ * @returns {number|null}
+ */
+export function findNearestTime(times, timeSec, maxDistanceSec) {
+    if (!times?.length || !Number.isFinite(timeSec)) return null;
+
+    let lo = 0;
+    let hi = times.length - 1;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (times[mid] < timeSec) lo = mid + 1;
+        else hi = mid;
+    }
+
+    let best = null;
+    for (const candidate of [times[lo - 1], times[lo]]) {
+        if (candidate === undefined) continue;
+        const distance = Math.abs(candidate - timeSec);
+        if (distance <= maxDistanceSec && (best === null || distance < Math.abs(best - timeSec))) {
+            best = candidate;
+        }
+    }
+    return best;
+}
+
+/**
+ * Finds where a file's audio actually starts and ends: the first and last peak buckets
+ * louder than a threshold. Works on the cached peak table, so no full buffer is held.
+ * @param {import("./waveform-cache.js").WaveformPeaks} peaks
+ * @param {number} [thresholdDb=-50] Level in dBFS below which audio counts as silence.
+ * @returns {{startSec: number, endSec: number}|null} Null if the file is silent throughout.
+ */
+export function findAudibleBounds(peaks, thresholdDb = -50) {
+    if (!peaks?.bucketCount || !(peaks.duration > 0)) return null;
+
+    const threshold = Math.pow(10, thresholdDb / 20);
+    const isAudible = (bucket) => Math.max(peaks.max[bucket], -peaks.min[bucket]) >= threshold;
+
+    let first = 0;
+    while (first < peaks.bucketCount && !isAudible(first)) first++;
+    if (first >= peaks.bucketCount) return null;
+
+    let last = peaks.bucketCount - 1;
+    while (last > first && !isAudible(last)) last--;
+
+    const bucketSec = peaks.duration / peaks.bucketCount;
+    return {
+        startSec: first * bucketSec,
+        endSec: Math.min(peaks.duration, (last + 1) * bucketSec),
+    };
+}
+
+/**
+ * @typedef {object} LoopSuggestion
+ * @property {number} startSec Suggested loop start, on the millisecond grid.
+ * @property {number} endSec Suggested loop end, on the millisecond grid.
+ * @property {number} score Match quality from 0 (poor) to 1 (identical audio).
+ */
+
+/**
+ * Builds per-frame log energies for the low band, high band and first difference of the
+ * mono mix. Together they capture loudness and rough timbre, which is enough to tell
+ * whether two moments of the same track "sound the same".
+ * This reads every sample of the track, so it yields to the UI periodically.
+ * @param {AudioBuffer} buffer
+ * @param {number} hop Samples per frame.
+ * @returns {Promise<{features: Float32Array[], loudness: Float32Array, frameCount: number}>}
+ */
+async function computeSuggestionFeatures(buffer, hop) {
+    const channels = getChannels(buffer);
+    const frameCount = Math.floor(buffer.length / hop);
+    const low = new Float32Array(frameCount);
+    const high = new Float32Array(frameCount);
+    const diff = new Float32Array(frameCount);
+    const loudness = new Float32Array(frameCount);
+    const alpha = 1 - Math.exp((-2 * Math.PI * SUGGEST_LOWPASS_HZ) / buffer.sampleRate);
+
+    let lowpassed = 0;
+    let previous = 0;
+    for (let f = 0; f < frameCount; f++) {
+        let lowSum = 0;
+        let highSum = 0;
+        let diffSum = 0;
+        for (let i = f * hop; i < (f + 1) * hop; i++) {
+            const sample = monoSample(channels, i);
+            lowpassed += alpha * (sample - lowpassed);
+            const residual = sample - lowpassed;
+            const delta = sample - previous;
+            previous = sample;
+            lowSum += lowpassed * lowpassed;
+            highSum += residual * residual;
+            diffSum += delta * delta;
+        }
+        low[f] = Math.log10(1e-10 + lowSum / hop);
+        high[f] = Math.log10(1e-10 + highSum / hop);
+        diff[f] = Math.log10(1e-10 + diffSum / hop);
+        loudness[f] = 10 * Math.log10(1e-10 + (lowSum + highSum) / hop);
+
+        if ((f + 1) % SUGGEST_FRAME_YIELD_EVERY === 0) await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    // Normalise each feature so none dominates the distance just by its range.
+    for (const feature of [low, high, diff]) {
+        let mean = 0;
+        for (let f = 0; f < frameCount; f++) mean += feature[f];
+        mean /= frameCount || 1;
+        let variance = 0;
+        for (let f = 0; f < frameCount; f++) variance += (feature[f] - mean) ** 2;
+        const deviation = Math.sqrt(variance / (frameCount || 1)) || 1;
+        for (let f = 0; f < frameCount; f++) feature[f] = (feature[f] - mean) / deviation;
+    }
+
+    return { features: [low, high, diff], loudness, frameCount };
+}
+
+/**
+ * Moves a coarse end point onto the millisecond grid position whose surrounding waveform
+ * best matches the waveform around the start, so the jump back keeps the phase intact.
+ * @param {Float32Array[]} channels
+ * @param {number} rate Sample rate.
+ * @param {number} startSec Loop start, already on the millisecond grid.
+ * @param {number} endSec Coarse loop end.
+ * @param {number} radiusSec How far either side of `endSec` to search.
+ * @returns {{endSec: number, correlation: number}}
+ */
+function refineLoopEnd(channels, rate, startSec, endSec, radiusSec) {
+    const half = SUGGEST_REFINE_SAMPLES >> 1;
+    const length = channels[0].length;
+    const startIndex = Math.round(startSec * rate);
+
+    const reference = new Float32Array(SUGGEST_REFINE_SAMPLES);
+    let referenceEnergy = 0;
+    for (let i = 0; i < SUGGEST_REFINE_SAMPLES; i++) {
+        const index = startIndex - half + i;
+        const sample = index >= 0 && index < length ? monoSample(channels, index) : 0;
+        reference[i] = sample;
+        referenceEnergy += sample * sample;
+    }
+
+    let best = { endSec: Math.round(endSec * 1000) / 1000, correlation: 0 };
+    const fromMs = Math.ceil((endSec - radiusSec) * 1000);
+    const toMs = Math.floor((endSec + radiusSec) * 1000);
+    for (let ms = fromMs; ms <= toMs; ms++) {
+        const center = Math.round((ms / 1000) * rate);
+        if (center - half < 0 || center + half >= length) continue;
+        let product = 0;
+        let energy = 0;
+        for (let i = 0; i < SUGGEST_REFINE_SAMPLES; i++) {
+            const sample = monoSample(channels, center - half + i);
+            product += sample * reference[i];
+            energy += sample * sample;
+        }
+        const correlation = product / (Math.sqrt(energy * referenceEnergy) || 1);
+        if (correlation > best.correlation) best = { endSec: ms / 1000, correlation };
+    }
+    return best;
+}
+
+/**
+ * Suggests seamless loop points by self-similarity: for every loop length it slides a
+ * window along the track's feature sequence and finds where the audio around a start
+ * point best matches the audio the same distance later. The best distinct pairs are then
+ * aligned at waveform level and ranked by match quality.
+ *
+ * This reads the whole track and scans every loop length, so it yields to the UI periodically.
+ * @param {AudioBuffer} buffer The decoded audio.
+ * @param {object} [options]
+ * @param {number} [options.maxResults=5] How many suggestions to return.
+ * @param {number} [options.minLoopSec=4] Shortest loop worth suggesting.
+ * @param {number} [options.fromSec=0] Ignore loop starts before this time.
+ * @param {number} [options.toSec] Ignore loop ends after this time; defaults to the track end.
+ * @returns {Promise<LoopSuggestion[]>} Suggestions, best first.
+ */
+export async function suggestLoopPoints(buffer, { maxResults = 5, minLoopSec = 4, fromSec = 0, toSec } = {}) {
+    if (!buffer) return [];
+
+    const startedAt = performance.now();
+    const rate = buffer.sampleRate;
+    const hopSec = Math.max(SUGGEST_MIN_HOP_SEC, buffer.duration / SUGGEST_MAX_FRAMES);
+    const hop = Math.max(1, Math.round(hopSec * rate));
+    const { features, loudness, frameCount } = await computeSuggestionFeatures(buffer, hop);
+    const frameSec = hop / rate;
+
+    const window = Math.max(4, Math.round(SUGGEST_MATCH_WINDOW_SEC / frameSec));
+    const minLag = Math.max(window, Math.ceil(minLoopSec / frameSec));
+    const firstFrame = Math.max(0, Math.floor(fromSec / frameSec));
+    const lastFrame = Math.min(frameCount, Math.floor((toSec ?? buffer.duration) / frameSec));
+    if (lastFrame - firstFrame < minLag + window * 2) return [];
+
+    // Silence matches silence perfectly, so windows that are mostly silent are skipped.
+    let loudest = -Infinity;
+    for (let f = 0; f < frameCount; f++) loudest = Math.max(loudest, loudness[f]);
+    const audibleBefore = new Uint32Array(frameCount + 1);
+    for (let f = 0; f < frameCount; f++) {
+        audibleBefore[f + 1] = audibleBefore[f] + (loudness[f] > loudest + SUGGEST_SILENCE_DB ? 1 : 0);
+    }
+    const isAudible = (from) => (audibleBefore[from + window * 2] - audibleBefore[from]) >= window;
+
+    // Best (lowest-distance) window position for each lag.
+    const candidates = [];
+    const distance = new Float32Array(frameCount);
+    for (let lag = minLag; lag <= lastFrame - firstFrame - window * 2; lag++) {
+        const lastStart = lastFrame - lag;
+        for (let f = firstFrame; f < lastStart; f++) {
+            let sum = 0;
+            for (const feature of features) sum += Math.abs(feature[f] - feature[f + lag]);
+            distance[f] = sum;
+        }
+
+        let windowSum = 0;
+        for (let f = firstFrame; f < firstFrame + window * 2; f++) windowSum += distance[f];
+        let best = null;
+        for (let from = firstFrame; from + window * 2 <= lastStart; from++) {
+            if (from > firstFrame) windowSum += distance[from + window * 2 - 1] - distance[from - 1];
+            if (best && windowSum >= best.cost) continue;
+            if (!isAudible(from) || !isAudible(from + lag)) continue;
+            best = { cost: windowSum, frame: from + window };
+        }
+        if (best) candidates.push({ cost: best.cost / (window * 2 * features.length), frame: best.frame, lag });
+
+        if (lag % SUGGEST_YIELD_EVERY === 0) await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+
+    candidates.sort((a, b) => a.cost - b.cost);
+
+    const channels = getChannels(buffer);
+    const suggestions = [];
+    for (const candidate of candidates) {
+        if (suggestions.length >= maxResults) break;
+        const startSec = Math.round(candidate.frame * frameSec * 1000) / 1000;
+        const coarseEnd = (candidate.frame + candidate.lag) * frameSec;
+        const duplicate = suggestions.some((s) =>
+            Math.abs(s.startSec - startSec) < SUGGEST_DEDUPE_SEC && Math.abs(s.endSec - coarseEnd) < SUGGEST_DEDUPE_SEC
+        );
+        if (duplicate) continue;
+
+        const { endSec, correlation } = refineLoopEnd(channels, rate, startSec, coarseEnd, frameSec);
+        // Feature similarity decides the ranking; phase alignment can only improve it.
+        const score = Math.exp(-candidate.cost) * (0.75 + 0.25 * Math.max(0, correlation));
+        suggestions.push({ startSec, endSec, score: Number(score.toFixed(3)) });
+    }
+
+    suggestions.sort((a, b) => b.score - a.score);
+    debug(`[Analysis] Scanned ${candidates.length} loop lengths and kept ${suggestions.length} suggestions in ${(performance.now() - startedAt).toFixed(0)}ms.`);
+    return suggestions;
+}
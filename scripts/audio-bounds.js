@@ -0,0 +1,127 @@
+// audio-bounds.js
+/**
+ * @file audio-bounds.js
+ * @description Finds where each playlist track's audio really starts and ends, so fades and
+ * crossfades finish before trailing dead air (and, with the opt-in skip setting, tracks skip
+ * it outright). The GM analyzes a file once, from
+ * its waveform peak table, and stores the result in the sound's `audioBounds` flag; every
+ * client reads it back through `Flags.getAudioBounds()`. A changed file or threshold is
+ * analyzed again the next time the track plays. Analyses run one at a time, since each decodes
+ * a whole file; a bulk import queues its tracks instead of decoding them all at once.
+ */
+import { MODULE_ID, debug, warn, PlaylistActionAuthority } from "./utils.js";
+import { findAudibleBounds } from "./audio-analysis.js";
+import { scheduleEndOfTrackFade } from "./audio-fader.js";
+import { scheduleCrossfade } from "./cross-fade.js";
+import { Flags } from "./flag-service.js";
+import { State } from "./state-manager.js";
+import { getWaveformPeaks } from "./waveform-cache.js";
+
+const BOUNDS_FLAG_KEYS = ["audioBounds", "trimSilence", "audioStartOverride", "audioEndOverride"];
+
+/** @type {Map<string, Promise<void>>} Queued or running analyses, by "<soundId>|<path>". */
+const pendingAnalyses = new Map();
+/** Tail of the analysis queue; each analysis starts once the one before it has finished. */
+let analysisQueue = Promise.resolve();
+
+function getSetting(key, fallback) {
+  try {
+    return game.settings.get(MODULE_ID, key);
+  } catch (_) {
+    // Settings not yet registered
+    return fallback;
+  }
+}
+
+function needsAnalysis(ps) {
+  if (!ps?.path || !Flags.getSoundFlag(ps, "trimSilence")) return false;
+  if (Flags.getSoundFlag(ps, "isProcedural")) return false;
+  const stored = Flags.getSoundFlag(ps, "audioBounds");
+  return stored?.path !== ps.path || stored?.thresholdDb !== getSetting("trackSilenceThresholdDb", -50);
+}
+
+/**
+ * Analyzes a sound's file for leading and trailing silence and stores the audible range on
+ * the sound. GM only; does nothing when the stored result is still current.
+ * @param {PlaylistSound} ps The sound document.
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] Analyze even if detection is off or the result is current.
+ * @returns {Promise<void>}
+ */
+export function analyzeAudioBounds(ps, { force = false } = {}) {
+  if (!ps || !PlaylistActionAuthority.isAuthorizedGM()) return Promise.resolve();
+  if (!force && (!getSetting("detectTrackSilence", true) || !needsAnalysis(ps))) return Promise.resolve();
+
+  const path = ps.path;
+  const key = `${ps.id}|${path}`;
+  if (pendingAnalyses.has(key)) return pendingAnalyses.get(key);
+
+  const thresholdDb = getSetting("trackSilenceThresholdDb", -50);
+  const task = analysisQueue.then(async () => {
+    // Skip sounds deleted or pointed at another file while they waited their turn.
+    if (ps.path !== path || !ps.parent?.sounds.has(ps.id)) return;
+    const peaks = await getWaveformPeaks(path);
+    if (!peaks || ps.path !== path || !ps.parent?.sounds.has(ps.id)) return;
+
+    // A silent file keeps its full range, so it is not analyzed again on every play.
+    const bounds = findAudibleBounds(peaks, thresholdDb) ?? { startSec: 0, endSec: peaks.duration };
+    await ps.setFlag(MODULE_ID, "audioBounds", {
+      path,
+      thresholdDb,
+      startSec: Number(bounds.startSec.toFixed(3)),
+      endSec: Number(bounds.endSec.toFixed(3)),
+    });
+    debug(`[Bounds] "${ps.name}" has audio from ${bounds.startSec.toFixed(2)}s to ${bounds.endSec.toFixed(2)}s of ${peaks.duration.toFixed(2)}s.`);
+  }).catch((err) => {
+    warn(`[Bounds] Could not analyze "${path}" for silence:`, err?.message ?? err);
+  }).finally(() => {
+    pendingAnalyses.delete(key);
+  });
+
+  analysisQueue = task;
+  pendingAnalyses.set(key, task);
+  return task;
+}
+
+/**
+ * Re-times a playing track's crossfade or end-of-track fade after its audible range changed,
+ * e.g. when the first analysis finishes while the track is already playing.
+ * @param {PlaylistSound} ps
+ */
+function rescheduleEndOfPlayback(ps) {
+  const playlist = ps.parent;
+  if (!playlist || !ps.playing || !ps.sound?.playing) return;
+
+  if (Flags.getPlaybackMode(playlist).crossfade) {
+    scheduleCrossfade(playlist, ps, { force: true });
+    return;
+  }
+  if (ps.repeat || Flags.isLoopActive(ps)) return;
+
+  const pendingFade = State.getEndOfTrackFade(ps);
+  if (pendingFade) {
+    pendingFade.cancel();
+    State.clearEndOfTrackFade(ps);
+  }
+  scheduleEndOfTrackFade(ps);
+}
+
+function hasBoundsChange(changes) {
+  const moduleFlags = changes?.flags?.[MODULE_ID];
+  if (!moduleFlags) return false;
+  return BOUNDS_FLAG_KEYS.some(key => Object.prototype.hasOwnProperty.call(moduleFlags, key));
+}
+
+export function registerAudioBoundsHooks() {
+  Hooks.on("createPlaylistSound", (sound, _options, userId) => {
+    if (userId !== game.user.id) return;
+    analyzeAudioBounds(sound);
+  });
+
+  Hooks.on("updatePlaylistSound", (sound, changes) => {
+    if (hasBoundsChange(changes)) rescheduleEndOfPlayback(sound);
+    if (changes.playing === true || Object.prototype.hasOwnProperty.call(changes, "path")) {
+      analyzeAudioBounds(sound);
+    }
+  });
+}
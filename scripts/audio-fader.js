@@ -1,13 +1,20 @@
 // audio-fader.js - Advanced audio fading utilities for Foundry VTT
 
-import { debug, MODULE_ID, ensureAudioContext } from "./utils.js";
+import { debug, MODULE_ID, ensureAudioContext, findPlaylistSoundForSound } from "./utils.js";
 import { State } from "./state-manager.js";
+import { Flags } from "./flag-service.js";
+import { getCustomCurve, isCustomCurveKey, sampleCustomCurve } from "./fade-curves.js";
 
 const AudioTimeout = foundry.audio.AudioTimeout;
 
 const MIN_CURVE_RESOLUTION = 64;
 const MAX_CURVE_RESOLUTION = 256;
 const SAMPLES_PER_SECOND = 64; // Target samples per second of fade duration
+const MIN_DUCK_GAIN = 0.001;     // exponential ramps cannot reach zero
+const MIN_TRAILING_TRIM_SEC = 0.25; // shorter tails are left to end naturally
+
+/** @type {WeakMap<Sound, GainNode>} */
+const duckNodes = new WeakMap();
 
 /**
  * Calculates the appropriate curve resolution based on fade duration.
@@ -163,11 +170,47 @@ function generateSteepCurve(startVol, targetVol, resolution) {
 }
 
 /**
- * Reads the fade curve type from module settings for the given direction.
+ * Generates a fade along a custom Bézier curve from the Fade Curves editor.
+ *
+ * @param {number} startVol Starting volume (0 to 1)
+ * @param {number} targetVol Target volume (0 to 1)
+ * @param {number} resolution Number of samples in the curve
+ * @param {{x1: number, y1: number, x2: number, y2: number}} shape The custom curve's control points
+ * @returns {Float32Array} Curve data for setValueCurveAtTime
+ */
+function generateCustomCurve(startVol, targetVol, resolution, shape) {
+  const curve = new Float32Array(resolution);
+
+  if (!Number.isFinite(startVol)) startVol = 0;
+  if (!Number.isFinite(targetVol)) targetVol = 1;
+
+  startVol = Math.max(0, Math.min(1, startVol));
+  targetVol = Math.max(0, Math.min(1, targetVol));
+
+  for (let i = 0; i < resolution; i++) {
+    const t = i / (resolution - 1);
+    curve[i] = startVol + (targetVol - startVol) * sampleCustomCurve(shape, t);
+    curve[i] = Math.max(0, Math.min(1, curve[i]));
+  }
+
+  curve[0] = startVol;
+  curve[resolution - 1] = targetVol;
+
+  return curve;
+}
+
+/**
+ * Reads the fade curve type for the given direction: the sound's playlist override when it
+ * has one, otherwise the world setting.
  * @param {"in"|"out"} direction Whether this is a fade-in or fade-out
- * @returns {string} The curve type key (e.g. "logarithmic", "linear", "s-curve", "steep")
+ * @param {Sound} [sound] The sound being faded
+ * @returns {string} The curve type key (e.g. "logarithmic", "linear", "s-curve", "steep", "custom:<id>")
  */
-function getFadeCurveType(direction) {
+function getFadeCurveType(direction, sound = null) {
+  const playlist = sound ? findPlaylistSoundForSound(sound)?.parent : null;
+  const override = playlist ? Flags.getPlaylistFlag(playlist, direction === "in" ? "fadeInCurve" : "fadeOutCurve") : "";
+  if (override) return override;
+
   const key = direction === "in" ? "fadeInCurveType" : "fadeOutCurveType";
   try {
     return game.settings.get(MODULE_ID, key) || "logarithmic";
@@ -179,6 +222,7 @@ function getFadeCurveType(direction) {
 
 /**
  * Dispatcher that generates a fade curve for the given curve type.
+ * Custom curves that no longer exist fall back to logarithmic.
  *
  * @param {number} startVol Starting volume (0 to 1)
  * @param {number} targetVol Target volume (0 to 1)
@@ -187,6 +231,13 @@ function getFadeCurveType(direction) {
  * @returns {Float32Array} Curve data for setValueCurveAtTime
  */
 function generateFadeCurve(startVol, targetVol, resolution, curveType) {
+  if (isCustomCurveKey(curveType)) {
+    const shape = getCustomCurve(curveType);
+    if (shape) return generateCustomCurve(startVol, targetVol, resolution, shape);
+    debug(`[AF] Custom fade curve ${curveType} not found; using logarithmic.`);
+    return generateExponentialCurve(startVol, targetVol, resolution);
+  }
+
   switch (curveType) {
     case "linear":
       return generateLinearCurve(startVol, targetVol, resolution);
@@ -234,7 +285,7 @@ export function cancelActiveFade(sound) {
 }
 
 /**
- * Fades a sound using the globally configured curve type.
+ * Fades a sound using its playlist's curve type, or the globally configured one.
  * Executed on the audio thread for precise, glitch-free fading.
  *
  * @param {Sound} sound The Foundry Sound object.
@@ -280,7 +331,7 @@ export function advancedFade(sound, { targetVol, duration }) {
 
   // Determine fade direction and resolve the appropriate curve type
   const direction = targetVol >= startVol ? "in" : "out";
-  const curveType = getFadeCurveType(direction);
+  const curveType = getFadeCurveType(direction, sound);
   const curve = generateFadeCurve(startVol, targetVol, resolution, curveType);
   const token = State.startFade(sound, {
     type: `fade-${direction}`,
@@ -324,6 +375,33 @@ export async function fadeOutAndStop(sound, ms = 500) {
   }
 }
 
+/**
+ * Weights of the outgoing and incoming sound at a point in a crossfade.
+ * "equal-power" keeps perceived loudness constant; "linear" and "s-curve" keep the summed
+ * gain constant, the latter holding both ends longer and swapping through the middle.
+ * A custom curve shapes the incoming sound and mirrors it for the outgoing one.
+ * @param {string} curve Crossfade curve key.
+ * @param {number} progress 0 to 1.
+ * @param {{x1: number, y1: number, x2: number, y2: number}|null} [customShape] The resolved custom curve.
+ * @returns {[number, number]} [outgoing, incoming]
+ */
+function crossfadeWeights(curve, progress, customShape = null) {
+  if (customShape) return [sampleCustomCurve(customShape, 1 - progress), sampleCustomCurve(customShape, progress)];
+
+  switch (curve) {
+    case "linear":
+      return [1 - progress, progress];
+    case "s-curve": {
+      const smoothed = progress * progress * (3 - 2 * progress); // Hermite smoothstep
+      return [1 - smoothed, smoothed];
+    }
+    case "equal-power":
+    default:
+      // These maintain constant perceived power: cos²(θ) + sin²(θ) = 1
+      return [Math.cos(progress * 0.5 * Math.PI), Math.sin(progress * 0.5 * Math.PI)];
+  }
+}
+
 /**
  * Performs an equal-power crossfade between two sounds.
  * Uses sine/cosine curves to maintain constant perceived power during transition.
@@ -335,10 +413,12 @@ export async function fadeOutAndStop(sound, ms = 500) {
  * @param {object} [options] Optional configuration.
  * @param {number} [options.targetVolIn] Explicit target volume for the incoming sound.
  *   If not provided, falls back to soundIn._manager?.volume ?? 1.0.
+ * @param {string} [options.curve="equal-power"] Crossfade shape ("equal-power", "linear", "s-curve" or a
+ *   "custom:<id>" curve; a missing custom curve falls back to equal-power).
  */
-export function equalPowerCrossfade(soundOut, soundIn, duration, { targetVolIn: explicitTargetVolIn } = {}) {
+export function equalPowerCrossfade(soundOut, soundIn, duration, { targetVolIn: explicitTargetVolIn, curve = "equal-power" } = {}) {
   ensureAudioContext();
-  debug(`[AF] Starting equal-power crossfade over ${duration}ms.`);
+  debug(`[AF] Starting ${curve} crossfade over ${duration}ms.`);
   if (!soundOut || !soundIn) return;
 
   // Resolve target volume: explicit parameter > _manager.volume > 1.0
@@ -382,15 +462,14 @@ export function equalPowerCrossfade(soundOut, soundIn, duration, { targetVolIn:
   // Calculate dynamic resolution based on crossfade duration
   const resolution = calculateResolution(duration);
 
-  // Equal-power crossfade curves using trigonometric functions
-  // These maintain constant perceived power: cos²(θ) + sin²(θ) = 1
   const curveOut = new Float32Array(resolution);
   const curveIn = new Float32Array(resolution);
+  const customShape = getCustomCurve(curve);
 
   for (let i = 0; i < resolution; i++) {
-    const progress = i / (resolution - 1);
-    curveOut[i] = startVolOut * Math.cos(progress * 0.5 * Math.PI);
-    curveIn[i] = targetVolIn * Math.sin(progress * 0.5 * Math.PI);
+    const [weightOut, weightIn] = crossfadeWeights(curve, i / (resolution - 1), customShape);
+    curveOut[i] = startVolOut * weightOut;
+    curveIn[i] = targetVolIn * weightIn;
   }
 
   debug(`[AF] Crossfade: ${resolution} samples over ${duration}ms, targetVolIn=${targetVolIn.toFixed(3)}`);
@@ -408,11 +487,13 @@ export function equalPowerCrossfade(soundOut, soundIn, duration, { targetVolIn:
     type: "crossfade-out",
     duration,
     targetVol: 0,
+    curveType: curve,
   });
   const inToken = State.startFade(soundIn, {
     type: "crossfade-in",
     duration,
     targetVol: targetVolIn,
+    curveType: curve,
   });
 
   gainOut.setValueCurveAtTime(curveOut, contextOut.currentTime, durationSec);
@@ -422,9 +503,78 @@ export function equalPowerCrossfade(soundOut, soundIn, duration, { targetVolIn:
   return { outToken, inToken };
 }
 
+/**
+ * Gets the Sound's ducking GainNode, adding it to the end of its effect chain on first use.
+ * The node outlives restarts of the Sound, since Foundry reconnects the chain on every play.
+ */
+function getDuckNode(sound, create) {
+  const existing = duckNodes.get(sound);
+  if (existing || !create) return existing ?? null;
+  if (!sound.context?.createGain || typeof sound.applyEffects !== "function") return null;
+
+  const node = sound.context.createGain();
+  sound.applyEffects([...(sound.effects ?? []), node]);
+  duckNodes.set(sound, node);
+  return node;
+}
+
+/**
+ * Moves a Sound's duck level. Ducking runs on a gain stage of its own, so it stacks on top of
+ * the Sound's volume, any fade in flight and the personal mix without touching them. Ramps are
+ * exponential, so they move evenly in dB.
+ *
+ * @param {Sound} sound The Foundry Sound object.
+ * @param {number} gainDb Duck level in dB; 0 lets the Sound back up to full level.
+ * @param {object} [options]
+ * @param {number} [options.rampMs=0] Ramp length in milliseconds.
+ * @param {number} [options.delayMs=0] How long to hold the current level before ramping.
+ */
+export function rampDuckGain(sound, gainDb, { rampMs = 0, delayMs = 0 } = {}) {
+  if (!sound?.context) return;
+  const node = getDuckNode(sound, gainDb !== 0);
+  if (!node) return;
+
+  const param = node.gain;
+  const now = sound.context.currentTime;
+  const current = Math.max(MIN_DUCK_GAIN, Number.isFinite(param.value) ? param.value : 1);
+  const target = Math.max(MIN_DUCK_GAIN, Math.pow(10, gainDb / 20));
+  const start = now + Math.max(0, Number(delayMs) || 0) / 1000;
+
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(current, now);
+  if (start > now) param.setValueAtTime(current, start);
+  if (rampMs > 0) param.exponentialRampToValueAtTime(target, start + rampMs / 1000);
+  else param.setValueAtTime(target, start);
+}
+
+/**
+ * Ends a track at its last audible moment when trailing silence follows it, the same way a
+ * natural end would, so the next track (or silence gap) starts without the dead air.
+ * @param {PlaylistSound} ps
+ * @param {Sound} sound
+ * @param {number} endSec The audible end in seconds.
+ */
+function scheduleTrimmedEnd(ps, sound, endSec) {
+  const delayMs = Math.max(0, (endSec - (sound.currentTime ?? 0)) * 1000);
+  const timer = new foundry.audio.AudioTimeout(delayMs, {
+    context: sound.context,
+  });
+
+  State.setEndOfTrackFade(ps, timer);
+  timer.complete.then(() => {
+    if (State.getEndOfTrackFade(ps) !== timer || !sound.playing || !ps.playing) return;
+
+    State.clearEndOfTrackFade(ps);
+    debug(`[Fade] Ending "${ps.name}" at ${endSec.toFixed(2)}s, skipping ${(sound.duration - endSec).toFixed(2)}s of trailing silence.`);
+    ps._onEnd();
+  });
+}
+
 /**
  * Schedules an end-of-track fade-out for a sound using the playlist's default fade duration.
  * This is intended for modes (like Sequential) where Crossfade and Looping are not active.
+ * The fade finishes at the track's last audible moment. With silence skipping on, a track
+ * with trailing silence also ends there instead of playing the dead air.
  * @param {PlaylistSound} ps The sound document for which to schedule a fade.
  */
 export function scheduleEndOfTrackFade(ps) {
@@ -442,14 +592,17 @@ export function scheduleEndOfTrackFade(ps) {
     return;
   }
 
-  // Use the standard playlist fade duration for this effect.
-  const fadeMs = Number(playlist.fade) || 0;
-  if (fadeMs <= 0) return;
-
   const duration = sound.duration;
   if (!Number.isFinite(duration) || duration <= 0) return;
 
-  const fadeStartTime = Math.max(0, duration - fadeMs / 1000);
+  const { endSec } = Flags.getAudioBounds(ps, duration);
+  const trimsEnd = Flags.isSilenceSkipEnabled() && duration - endSec >= MIN_TRAILING_TRIM_SEC;
+
+  // Use the standard playlist fade duration for this effect.
+  const fadeMs = Number(playlist.fade) || 0;
+  if (fadeMs <= 0 && !trimsEnd) return;
+
+  const fadeStartTime = Math.max(0, endSec - fadeMs / 1000);
   const currentTime = sound.currentTime ?? 0;
 
   // Don't schedule if we're already past the fade point.
@@ -468,10 +621,13 @@ export function scheduleEndOfTrackFade(ps) {
 
   timer.complete.then(() => {
     // Verify the timer wasn't cancelled and the sound is still playing
-    if (!State.getEndOfTrackFade(ps) || !sound.playing) return;
+    if (State.getEndOfTrackFade(ps) !== timer || !sound.playing) return;
 
     State.clearEndOfTrackFade(ps);
-    debug(`[Fade] Starting end-of-track configured fade-out for "${ps.name}"`);
-    advancedFade(sound, { targetVol: 0, duration: fadeMs });
+    if (fadeMs > 0) {
+      debug(`[Fade] Starting end-of-track configured fade-out for "${ps.name}"`);
+      advancedFade(sound, { targetVol: 0, duration: fadeMs });
+    }
+    if (trimsEnd) scheduleTrimmedEnd(ps, sound, endSec);
   });
 }
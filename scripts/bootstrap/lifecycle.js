@@ -17,6 +17,7 @@ import {
   applyPersonalPlaylistVolumesToActiveSounds,
 } from "../personal-audio-mix.js";
 import { startPlaybackRecoveryWatchdog } from "../playback-recovery.js";
+import { Silence } from "../silence.js";
 import {
   bootstrapSoundscapeEngines,
   registerSoundscapePlaylistHooks,
@@ -33,6 +34,15 @@ import { registerTransitionReplicationHooks } from "../playlist/transition-repli
 import { registerSoundPlaybackWrappers } from "../playback/sound-wrappers.js";
 import { registerShuffleHooks } from "../playlist/shuffle-hooks.js";
 import { registerNormalizationHooks } from "../volume/normalization-hooks.js";
+import { registerCueMarkerHooks } from "../cue-markers.js";
+import { registerStemLayerHooks } from "../stem-layers.js";
+import { registerDuckingHooks } from "../ducking.js";
+import { registerLoopMetadataHooks } from "../loop-metadata.js";
+import { registerAudioBoundsHooks } from "../audio-bounds.js";
+import { registerInterludeHooks } from "../interlude.js";
+import { registerSpatialAudioHooks } from "../spatial-audio.js";
+import { registerLoopTransferHooks } from "../loop-transfer.js";
+import { registerPlaylistTransitionHooks } from "../playlist-transition.js";
 
 export function registerLifecycleHooks() {
   Hooks.once("init", () => {
@@ -70,11 +80,21 @@ export function registerLifecycleHooks() {
     registerPlaylistUiHooks();
     registerCurrentlyPlaying();
     startPlaybackRecoveryWatchdog();
+    Silence.removeLegacyGapSounds();
 
     registerPlaybackDocumentHooks();
     bootstrapSoundscapeEngines();
     registerVisibilityRecovery();
     registerLoopReplicationHooks();
+    registerCueMarkerHooks();
+    registerStemLayerHooks();
+    registerDuckingHooks();
+    registerLoopMetadataHooks();
+    registerAudioBoundsHooks();
+    registerInterludeHooks();
+    registerSpatialAudioHooks();
+    registerLoopTransferHooks();
+    registerPlaylistTransitionHooks();
     registerSoundscapeSoundHooks();
 
     registerPlaylistCommandWrappers();
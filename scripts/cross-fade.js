@@ -8,6 +8,7 @@ import { State } from "./state-manager.js";
 
 const AudioTimeout = foundry.audio.AudioTimeout;
 const PM = CONST.PLAYLIST_MODES;
+const HARD_CUT_LEAD_MS = 50;
 
 function internalLoopOwnsPlayback(ps) {
   const looper = State.getActiveLooper(ps);
@@ -38,7 +39,8 @@ export async function prepareIncomingCrossfadeMedia(ps) {
   if (!sound.playing) {
     sound.volume = 0;
     try {
-      await sound.play({ _fromCrossfade: true });
+      // With silence skipping on, start at the first audible moment so leading dead air does not open a gap in the blend.
+      await sound.play({ _fromCrossfade: true, offset: Flags.getPlaybackStartOffset(ps, sound.duration) });
     } catch (err) {
       debug(`[CF] Failed to start incoming crossfade media for "${ps.name}":`, err?.message ?? err);
       return null;
@@ -54,6 +56,25 @@ export async function prepareIncomingCrossfadeMedia(ps) {
   return sound;
 }
 
+/**
+ * Finds the track an automatic crossfade hands over to: the next one in playback order,
+ * wrapping to the start when the playlist loops.
+ * @param {Playlist} playlist
+ * @param {PlaylistSound} ps The outgoing sound.
+ * @returns {PlaylistSound|null}
+ */
+function getAutoIncomingSound(playlist, ps) {
+  const order = playlist.playbackOrder;
+  const nextId = order[order.indexOf(ps.id) + 1];
+  if (nextId) return playlist.sounds.get(nextId) ?? null;
+
+  if (Flags.getPlaylistFlag(playlist, "loopPlaylist") && order.length > 0) {
+    debug('[CF] Reached end of playlist; looping back to the start.');
+    return playlist.sounds.get(order[0]) ?? null;
+  }
+  return null;
+}
+
 /**
  * Contains the core logic for performing a crossfade.
  * This can be called manually for a skip, or automatically by the scheduler.
@@ -88,30 +109,21 @@ export async function performCrossfade(playlist, soundToFade, { recovery = false
     debug(`[CF] Recovery crossfade proceeding for "${soundToFade.name}" without live outgoing media (${reason}).`);
   }
 
-  const fadeMs = Flags.getCrossfadeDuration(playlist);
-  if (fadeMs <= 0) return;
-
-  cancelCrossfade(playlist);
-
-  debug(`[CF] ${recovery ? "Recovery" : reason} crossfade triggered for "${soundToFade.name}". Fading out over ${fadeMs}ms.`);
-
   // 1. Find the next track to play.
-  const order = playlist.playbackOrder;
-  const currentIndex = order.indexOf(soundToFade.id);
-  const nextId = order[currentIndex + 1];
-  let soundToPlay = incomingSound instanceof PlaylistSound ? incomingSound : (nextId ? playlist.sounds.get(nextId) : null);
+  const soundToPlay = incomingSound instanceof PlaylistSound ? incomingSound : getAutoIncomingSound(playlist, soundToFade);
 
   if (soundToPlay?.id === soundToFade.id) {
     debug(`[CF] Skipping crossfade because incoming and outgoing sound are the same.`);
     return;
   }
 
-  if (!soundToPlay && !incomingSound) {
-    if (Flags.getPlaylistFlag(playlist, "loopPlaylist") && order.length > 0) {
-      debug('[CF] Reached end of playlist; looping back to the start.');
-      soundToPlay = playlist.sounds.get(order[0]);
-    }
-  }
+  // A matching transition rule applies even at zero length (a hard cut).
+  const { fadeMs, curve, rule } = Flags.resolveTransition(playlist, soundToFade, soundToPlay);
+  if (fadeMs <= 0 && !rule) return;
+
+  cancelCrossfade(playlist);
+
+  debug(`[CF] ${recovery ? "Recovery" : reason} crossfade triggered for "${soundToFade.name}". Fading out over ${fadeMs}ms (${curve}${rule ? ", transition rule" : ""}).`);
 
   if (!soundToPlay) {
     debug(`[CF] No next track found. Fading out "${soundToFade.name}" and stopping.`);
@@ -163,7 +175,8 @@ export async function performCrossfade(playlist, soundToFade, { recovery = false
       playlist,
       fromSound: soundToFade,
       toSound: soundToPlay,
-      duration: fadeMs
+      duration: fadeMs,
+      curve
     });
 
     State.recordCrossfade(fadeMs);
@@ -174,7 +187,7 @@ export async function performCrossfade(playlist, soundToFade, { recovery = false
     const canLocalCrossfade = !!(soundOut?.playing && soundOut?.gain && soundIn?.gain);
     let fadeTokens = null;
     if (canLocalCrossfade) {
-      fadeTokens = equalPowerCrossfade(soundOut, soundIn, fadeMs, { targetVolIn });
+      fadeTokens = equalPowerCrossfade(soundOut, soundIn, fadeMs, { targetVolIn, curve });
     } else if (soundIn) {
       debug(`[CF] Local equal-power crossfade unavailable; snapping "${soundToPlay.name}" to target volume.`);
       soundIn.volume = targetVolIn;
@@ -210,6 +223,7 @@ export async function performCrossfade(playlist, soundToFade, { recovery = false
       incomingSoundId: soundToPlay.id,
       outgoingSoundId: soundToFade.id,
       fadeMs,
+      curve,
       targetVolIn: sharedTargetVolIn,
       seq: getNextSequence(playlist.id),
       gmId: game.user.id,
@@ -285,9 +299,9 @@ export async function scheduleCrossfade(playlist, ps, { force = false } = {}) {
   }
 
   // Use the same logic as performCrossfade to get the fade duration
-  const fadeMs = Flags.getCrossfadeDuration(playlist);
+  const { fadeMs, rule } = Flags.resolveTransition(playlist, ps, getAutoIncomingSound(playlist, ps));
 
-  if (fadeMs <= 0) return;
+  if (fadeMs <= 0 && !rule) return;
   if (ps.repeat) return;
   if (internalLoopOwnsPlayback(ps)) {
     debug(`[CF] Skipping auto crossfade schedule for "${ps.name}" because internal loop owns playback.`);
@@ -314,7 +328,10 @@ export async function scheduleCrossfade(playlist, ps, { force = false } = {}) {
       return;
     }
 
-    const fireAt = Math.max(0, dur - (fadeMs / 1000)); // Now uses correct fadeMs
+    // Time the fade against the last audible moment, not the end of the file, so trailing
+    // dead air is never heard. A hard cut still fires just ahead of that point.
+    const { endSec } = Flags.getAudioBounds(ps, dur);
+    const fireAt = Math.max(0, endSec - Math.max(fadeMs, HARD_CUT_LEAD_MS) / 1000);
     const currentTime = Number(sound.currentTime);
 
     if (!Number.isFinite(currentTime)) {
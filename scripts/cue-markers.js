@@ -0,0 +1,162 @@
+// cue-markers.js
+/**
+ * @file cue-markers.js
+ * @description Fires named cue markers as playback crosses them. Every live Sound object is
+ * tracked on its own, so a loop iteration or crossfade handoff (which restarts a Sound at
+ * the loop point) crosses its markers exactly like linear playback does.
+ */
+import { MODULE_ID, debug, error, warn, PlaylistActionAuthority } from "./utils.js";
+import { Flags } from "./flag-service.js";
+import { State } from "./state-manager.js";
+
+const AudioTimeout = foundry.audio.AudioTimeout;
+
+const MARKER_TICK_MS = 50;
+const MAX_CONTINUOUS_STEP = 1.0; // Larger forward jumps are seeks; markers in between are not fired.
+const RESTART_LOOKBACK = 0.06;   // A restarted Sound may have played this long before we observe it.
+
+/** Last observed playback position per Sound object. */
+const lastPositions = new WeakMap();
+/** Validated, time-sorted markers per PlaylistSound; dropped when the sound's flags change. */
+const markerCache = new WeakMap();
+let ticking = false;
+
+/**
+ * Gets a sound's cue markers, validating them only once per flag change.
+ * @param {PlaylistSound} ps
+ * @returns {object[]}
+ */
+function getMarkers(ps) {
+  let markers = markerCache.get(ps);
+  if (!markers) {
+    markers = Flags.getCueMarkers(ps);
+    markerCache.set(ps, markers);
+  }
+  return markers;
+}
+
+/**
+ * Collects the playing sounds that have cue markers.
+ * @returns {Array<{ps: PlaylistSound, markers: object[]}>}
+ */
+function getWatchedSounds() {
+  const watched = [];
+  for (const playlist of game.playlists?.playing ?? []) {
+    for (const ps of playlist.sounds) {
+      if (!ps.playing) continue;
+      const markers = getMarkers(ps);
+      if (markers.length) watched.push({ ps, markers });
+    }
+  }
+  return watched;
+}
+
+/**
+ * Gets every Sound currently producing audio for a playlist sound. During an internal-loop
+ * crossfade both A/B players are live and each one crosses its own markers.
+ * @param {PlaylistSound} ps
+ * @returns {Set<Sound>}
+ */
+function getLiveSounds(ps) {
+  const sounds = new Set();
+  if (ps.sound?.playing) sounds.add(ps.sound);
+
+  const looper = State.getActiveLooper(ps);
+  if (looper && !looper.isDestroyed) {
+    if (looper.soundA?.playing) sounds.add(looper.soundA);
+    if (looper.soundB?.playing) sounds.add(looper.soundB);
+  }
+  return sounds;
+}
+
+function checkSound(ps, sound, markers) {
+  const time = Number(sound.currentTime);
+  if (!Number.isFinite(time)) return;
+
+  const last = lastPositions.get(sound);
+  lastPositions.set(sound, time);
+
+  // First sight, a backwards jump (loop restart / A-B reuse) or a seek starts a new pass.
+  const restarted = last === undefined || time < last || time - last > MAX_CONTINUOUS_STEP;
+  const from = restarted ? Math.max(0, time - RESTART_LOOKBACK) : last;
+  if (!restarted && time <= from) return;
+
+  for (const marker of markers) {
+    const crossed = restarted
+      ? marker.timeSec >= from && marker.timeSec <= time
+      : marker.timeSec > from && marker.timeSec <= time;
+    if (crossed) fireMarker(ps, marker);
+  }
+}
+
+function fireMarker(ps, marker) {
+  const looper = State.getActiveLooper(ps);
+  const segment = looper && !looper.isDestroyed ? looper.activeLoopSegment : null;
+  const payload = {
+    sound: ps,
+    playlist: ps.parent,
+    marker: { ...marker },
+    segmentIndex: segment ? looper.config.segments.indexOf(segment) : null,
+    iteration: segment ? looper.loopsCompleted + 1 : null,
+  };
+
+  debug(`[Markers] "${marker.name}" (${marker.time}) crossed in "${ps.name}".`);
+  Hooks.callAll("the-sound-of-silence.marker", payload);
+
+  if (!marker.macroUuid) return;
+  if (marker.macroScope !== "all" && !PlaylistActionAuthority.isAuthorizedGM()) return;
+  runMarkerMacro(marker, payload);
+}
+
+async function runMarkerMacro(marker, payload) {
+  try {
+    const macro = await fromUuid(marker.macroUuid);
+    if (!(macro instanceof Macro)) {
+      warn(`[Markers] "${marker.name}" links to "${marker.macroUuid}", which is not a Macro.`);
+      return;
+    }
+    await macro.execute({ sound: payload.sound, marker: payload.marker });
+  } catch (err) {
+    error(`[Markers] Macro for "${marker.name}" failed:`, err);
+  }
+}
+
+function tick() {
+  const watched = getWatchedSounds();
+  if (!watched.length) {
+    ticking = false;
+    return;
+  }
+
+  for (const { ps, markers } of watched) {
+    for (const sound of getLiveSounds(ps)) checkSound(ps, sound, markers);
+  }
+  AudioTimeout.wait(MARKER_TICK_MS).then(tick);
+}
+
+/**
+ * Starts the marker ticker if it is not already running. It stops by itself once no
+ * playing sound has markers.
+ */
+export function ensureCueMarkerTicker() {
+  if (ticking || !game.audio?.music) return;
+  if (!getWatchedSounds().length) return;
+  ticking = true;
+  tick();
+}
+
+export function registerCueMarkerHooks() {
+  Hooks.on("updatePlaylistSound", (soundDoc, changes) => {
+    // Any flag change may replace or delete the markers, whatever update form it used.
+    if (changes.flags) markerCache.delete(soundDoc);
+    if (changes.playing === true || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.cueMarkers`)) {
+      ensureCueMarkerTicker();
+    }
+  });
+
+  Hooks.on("updatePlaylist", (playlist, changes) => {
+    if (changes.playing === true) ensureCueMarkerTicker();
+  });
+
+  ensureCueMarkerTicker();
+}
@@ -17,6 +17,7 @@ import {
     disableAllLoopsWithin,
 } from "./internal-loop.js";
 import { Integrations } from "./integrations.js";
+import { setStemLayer } from "./stem-layers.js";
 
 // =========================================================================
 // Double-click protection (survives DOM re-renders)
@@ -26,6 +27,7 @@ const _timestampProxyWarnings = new Set();
 let _playlistScrollPreservationRegistered = false;
 let _currentlyPlayingTicker = null;
 const CURRENTLY_PLAYING_TICK_MS = 500;
+const SILENT_GAP_ID = "sos-silent-gap";
 const _playlistDirectoryScrollMemory = new WeakMap();
 const PLAYLIST_SCROLL_TARGETS = Object.freeze({
     root: ":scope",
@@ -406,6 +408,7 @@ function _buildCurrentlyPlayingLoopUi(loopConfig, looper, playbackPosition) {
         : null;
     const currentTime = Number(playbackPosition?.currentTime);
     const trackProgressPct = _clampPercent(Number(playbackPosition?.progressPct)).toFixed(2);
+    const timeRemaining = loopControlsVisible ? looper.getLoopTimeRemaining?.() : null;
 
     return {
         showLoopControls: loopControlsVisible,
@@ -413,6 +416,7 @@ function _buildCurrentlyPlayingLoopUi(loopConfig, looper, playbackPosition) {
         showSegBand: loopControlsVisible,
         loopCurrentSegIdx1: currentIndex == null ? 0 : currentIndex + 1,
         loopTotalSegments: segments.length,
+        loopTimeRemaining: timeRemaining == null ? "" : _formatCurrentlyPlayingTime(Math.ceil(timeRemaining)),
         loopTrackProgressPct: trackProgressPct,
         loopSegments: showSegmentedProgress
             ? segments.map((segment, index) => {
@@ -595,22 +599,52 @@ function _getSoundFadeZones(playlist, ps, durationSeconds) {
     const fadeInMs = Math.max(0, Number(Flags.getPlaylistFlag(playlist, "fadeIn") ?? 0) || 0);
     const fadeOutMs = Math.max(0, Number(playlist?.fade ?? 0) || 0);
 
-    const fadeInPct = hasDuration ? _clampPercent((fadeInMs / durationMs) * 100) : 0;
-    const fadeOutPct = hasDuration ? _clampPercent((fadeOutMs / durationMs) * 100) : 0;
+    // Fades sit on the track's audible range once its leading/trailing silence is trimmed.
+    const fadeInStartPct = hasDuration
+        ? _clampPercent((Flags.getPlaybackStartOffset(ps, durationSeconds) * 1000 / durationMs) * 100)
+        : 0;
+    const fadeOutEndPct = hasDuration
+        ? _clampPercent((Flags.getAudioBounds(ps, durationSeconds).endSec * 1000 / durationMs) * 100)
+        : 100;
+    const fadeInPct = hasDuration ? Math.min(_clampPercent((fadeInMs / durationMs) * 100), 100 - fadeInStartPct) : 0;
+    const fadeOutPct = hasDuration ? Math.min(_clampPercent((fadeOutMs / durationMs) * 100), fadeOutEndPct) : 0;
     const showFadeInZone = hasDuration && fadeInMs > 0 && fadeInPct > 0;
     const showFadeOutZone = hasDuration && fadeOutMs > 0 && fadeOutPct > 0 && !ps?.repeat;
 
     return {
         showFadeInZone,
         showFadeOutZone,
+        fadeInStartPct: fadeInStartPct.toFixed(2),
         fadeInPct: fadeInPct.toFixed(2),
         fadeOutPct: fadeOutPct.toFixed(2),
-        fadeOutStartPct: (100 - fadeOutPct).toFixed(2),
+        fadeOutStartPct: (fadeOutEndPct - fadeOutPct).toFixed(2),
         fadeInLabel: showFadeInZone ? `Fade In: ${_formatFadeDuration(fadeInMs)}` : "",
         fadeOutLabel: showFadeOutZone ? `Fade Out: ${_formatFadeDuration(fadeOutMs)}` : "",
     };
 }
 
+function _buildSilentGapContext(playlist, gapPosition) {
+    return {
+        id: SILENT_GAP_ID,
+        uuid: `${playlist.uuid}.PlaylistSound.${SILENT_GAP_ID}`,
+        isOwner: playlist.isOwner,
+        name: "Silent Gap",
+        playing: true,
+        repeat: false,
+        playlistId: playlist.id,
+        css: "",
+        currentTime: _formatCurrentlyPlayingTime(gapPosition.currentTime),
+        durationTime: _formatCurrentlyPlayingDuration(gapPosition.duration),
+        sos: {
+            playlistName: playlist.name,
+            isSilentGap: true,
+            showProgressCard: true,
+            isGM: game.user.isGM,
+            progressPct: gapPosition.progressPct.toFixed(2),
+        },
+    };
+}
+
 function _getSoundscapeProceduralStatus(playlist, ps) {
     const engine = State.getSoundscapeEngine(playlist);
     if (engine?.isOneShotActive?.(ps.id)) return { eta: "Playing", etaMs: null, armed: false };
@@ -905,9 +939,21 @@ async function _wrapPreparePlayingContext(wrapped, context, options) {
         }
     }
 
+    // Silent gaps have no document; each one gets its own card, read from the shared clock.
+    for (const playlist of game.playlists) {
+        if (!playlist.playing) continue;
+        const gapPosition = PlaybackClock.resolveGapPosition(playlist);
+        if (!gapPosition) continue;
+        if (!playlistOrder.has(playlist.id)) {
+            playlistOrder.set(playlist.id, playlistOrder.size);
+        }
+        soundContexts.push(_buildSilentGapContext(playlist, gapPosition));
+    }
+
     // Enrich each sound context with module state.
     const playlistPolyphony = new Map();
     for (const soundCtx of soundContexts) {
+        if (soundCtx.sos?.isSilentGap) continue;
         const playlist = game.playlists.get(soundCtx.playlistId);
         const ps = playlist?.sounds.get(soundCtx.id);
         if (!ps) {
@@ -973,6 +1019,7 @@ async function _wrapPreparePlayingContext(wrapped, context, options) {
         }
 
         const loopUi = _buildCurrentlyPlayingLoopUi(loopConfig, looper, playbackPosition);
+        const stemLayers = isProcedural ? [] : Flags.getStemLayerStates(ps);
 
         soundCtx.sos = {
             // Playlist identity
@@ -989,6 +1036,10 @@ async function _wrapPreparePlayingContext(wrapped, context, options) {
             loopActive: loopConfig.active,
             ...loopUi,
 
+            // Stem layers
+            stemLayers,
+            showStemBand: stemLayers.length > 0,
+
             // Procedural one-shot state
             isProcedural,
             isBedTrack: soundscapeActive && ps.repeat && !isProcedural,
@@ -1245,6 +1296,11 @@ function _updateProgressBars(app) {
             if (!fill && !segmentedBar) continue;
 
             const playlist = game.playlists.get(row.dataset.playlistId);
+            if (row.dataset.soundId === SILENT_GAP_ID) {
+                foundProgressRow = _updateSilentGapRow(row, playlist) || foundProgressRow;
+                continue;
+            }
+
             const sound = playlist?.sounds.get(row.dataset.soundId);
             if (!sound) continue;
 
@@ -1258,6 +1314,7 @@ function _updateProgressBars(app) {
                 const fadeZones = _getSoundFadeZones(playlist, sound, position.duration);
                 _updateProgressFadeZone(row.querySelector(".sos-progress-fade-in"), {
                     show: fadeZones.showFadeInZone,
+                    leftPct: fadeZones.fadeInStartPct,
                     widthPct: fadeZones.fadeInPct,
                     label: fadeZones.fadeInLabel,
                 });
@@ -1293,6 +1350,18 @@ function _updateProgressBars(app) {
     return foundProgressRow;
 }
 
+function _updateSilentGapRow(row, playlist) {
+    const position = PlaybackClock.resolveGapPosition(playlist);
+    if (!position) return false;
+
+    const fill = row.querySelector(".sos-progress-fill");
+    if (fill) fill.style.width = `${position.progressPct.toFixed(2)}%`;
+
+    const currentEl = row.querySelector(".sound-timer .sos-current");
+    if (currentEl) currentEl.textContent = _formatCurrentlyPlayingTime(position.currentTime);
+    return true;
+}
+
 function _updateSegmentedProgressBar(bar, loopUi) {
     if (!bar || !loopUi?.showSegmentedProgress) return;
 
@@ -1335,6 +1404,12 @@ function _updateSegBand(band, loopUi) {
     const totalEl = band.querySelector(".sos-seg-band-count .total");
     if (totalEl) totalEl.textContent = String(loopUi.loopTotalSegments || 0);
 
+    const timeEl = band.querySelector(".sos-seg-band-time");
+    if (timeEl) {
+        timeEl.hidden = !loopUi.loopTimeRemaining;
+        timeEl.textContent = loopUi.loopTimeRemaining;
+    }
+
     const disabledForUser = !game.user?.isGM;
     _setButtonDisabled(
         band.querySelector('[data-sos-action="loopPrev"]'),
@@ -1614,6 +1689,14 @@ async function _handleSosAction(event, actionEl) {
             break;
         }
 
+        case "toggleStem": {
+            if (!game.user.isGM) return;
+            const sound = findSoundById(soundId);
+            const layer = sound ? Flags.getStemLayerStates(sound).find(state => state.id === actionEl.dataset.stemId) : null;
+            if (layer) await setStemLayer(sound, layer.id, { enabled: !layer.enabled });
+            break;
+        }
+
         case "cyclePlaylistMode": {
             const playlist = game.playlists.get(playlistId);
             if (!playlist || !playlist.isOwner) return;
@@ -1621,6 +1704,14 @@ async function _handleSosAction(event, actionEl) {
             break;
         }
 
+        case "stopPlaylist": {
+            if (!game.user.isGM) return;
+            const playlist = game.playlists.get(playlistId);
+            if (!playlist) return;
+            await playlist.stopAll();
+            break;
+        }
+
         case "soundscapeStopAll": {
             if (!game.user.isGM) return;
             const playlist = game.playlists.get(playlistId);
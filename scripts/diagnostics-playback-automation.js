@@ -9,6 +9,7 @@ import {
   inspectLegacyLoopMigration,
   migrateLegacyLoopFlags,
 } from "./legacy-loop-migration.js";
+import { PlaybackClock } from "./playback-clock.js";
 import { Silence } from "./silence.js";
 import { State } from "./state-manager.js";
 import { MODULE_ID } from "./utils.js";
@@ -667,6 +668,9 @@ async function runClientSyncScenario(api, scenario, runId, { timeoutMs }) {
           event.soundId === gmEvent.soundId &&
           event.seq === gmEvent.seq &&
           approximately(event.panValue, gmEvent.panValue, 0.0001) &&
+          event.position?.sceneId === gmEvent.position?.sceneId &&
+          event.position?.x === gmEvent.position?.x &&
+          event.position?.y === gmEvent.position?.y &&
           approximately(event.varianceFactor, gmEvent.varianceFactor, 0.0001)
         );
         record(tests, `${clientName} reports active procedural count`, () =>
@@ -896,11 +900,13 @@ async function runScenario(api, scenario, runId) {
       const silencePromise = Silence.playSilence(playlist, source);
       await wait(100);
       record(tests, "silent gap state appears", () => State.hasSilenceState(playlist));
-      record(tests, "silent gap document created", () => getSilenceGaps(playlist).length === 1);
+      record(tests, "silent gap clock replicated", () => PlaybackClock.getGap(playlist)?.sourceSoundId === source.id);
+      record(tests, "silent gap creates no documents", () => playlist.sounds.size === 2);
+      record(tests, "silent gap keeps playlist playing", () => playlist.playing && !source.playing);
       await silencePromise;
       await wait(350);
       record(tests, "silent gap state clears", () => !State.hasSilenceState(playlist));
-      record(tests, "silent gap document removed", () => getSilenceGaps(playlist).length === 0);
+      record(tests, "silent gap clock cleared", () => !PlaybackClock.getGap(playlist));
     } else if (scenario === "loopWithin") {
       playlist = await createFixturePlaylist(runId, scenario, {
         mode: playlistMode("SEQUENTIAL", 1),
@@ -1298,13 +1304,6 @@ async function runScenario(api, scenario, runId) {
               isProcedural: true,
             },
           }),
-          fixtureSound("Soundscape Gap Advanced", {
-            runId,
-            scenario,
-            durationSec: 0.4,
-            frequency: 330,
-            flags: { isSilenceGap: true },
-          }),
         ],
       });
 
@@ -1313,7 +1312,6 @@ async function runScenario(api, scenario, runId) {
       const procA = sounds.find((sound) => sound.name === "Soundscape Procedural A");
       const procB = sounds.find((sound) => sound.name === "Soundscape Procedural B");
       const defaultProc = sounds.find((sound) => sound.name === "Soundscape Defaults Procedural");
-      const gap = sounds.find((sound) => sound.name === "Soundscape Gap Advanced");
 
       const mode = Flags.getPlaybackMode(playlist);
       record(tests, "soundscape mode suppresses crossfade and silence", () =>
@@ -1351,7 +1349,6 @@ async function runScenario(api, scenario, runId) {
         bedOnlyDiagnostics.activeOneShots === 0 &&
         bedOnlyDiagnostics.pendingOneShots === 0
       );
-      record(tests, "soundscape gap is not activated", () => !!gap && gap.playing === false);
 
       await setSoundPlaying(playlist, procA, true);
       const procAArmed = await waitForCondition(
@@ -1428,12 +1425,6 @@ async function runScenario(api, scenario, runId) {
           fixtureSound("Shuffle B", { runId, scenario, frequency: 330 }),
           fixtureSound("Shuffle C", { runId, scenario, frequency: 440 }),
           fixtureSound("Shuffle D", { runId, scenario, frequency: 550 }),
-          fixtureSound("Shuffle Gap", {
-            runId,
-            scenario,
-            frequency: 660,
-            flags: { isSilenceGap: true },
-          }),
         ],
       });
 
@@ -1450,11 +1441,9 @@ async function runScenario(api, scenario, runId) {
           resetShufflePlaylist(playlist);
 
           const playableIds = getPlayableFixtureIds(playlist);
-          const gap = Array.from(playlist.sounds ?? []).find((sound) => Flags.getSoundFlag(sound, "isSilenceGap"));
           const order = getPlaybackOrder(playlist);
 
           record(tests, `${pattern} order includes each playable track once`, () => hasSameMembers(order, playableIds));
-          record(tests, `${pattern} order excludes silence gaps`, () => !!gap && !order.includes(gap.id));
           record(tests, `${pattern} cached order is stable`, () => sameOrder(order, getPlaybackOrder(playlist)));
 
           const initialState = State.getShuffleState(playlist);
@@ -1476,15 +1465,11 @@ async function runScenario(api, scenario, runId) {
           const nextOrder = getPlaybackOrder(playlist);
           record(tests, `${pattern} regenerates a complete next cycle`, () => hasSameMembers(nextOrder, playableIds));
 
-          if (gap) AdvancedShuffle.markTrackPlayed(playlist, gap);
-          const afterGapState = State.getShuffleState(playlist);
-          record(tests, `${pattern} ignores silence gaps for shuffle state`, () =>
-            !afterGapState?.playedThisCycle?.has?.(gap.id)
-          );
+          const afterCycleState = State.getShuffleState(playlist);
 
           if (pattern === SHUFFLE_PATTERNS.WEIGHTED_RANDOM) {
             record(tests, "weighted-random maintains bounded weights", () => {
-              const weights = Array.from(afterGapState?.trackWeights?.entries?.() ?? []);
+              const weights = Array.from(afterCycleState?.trackWeights?.entries?.() ?? []);
               return weights.length === playableIds.length &&
                 weights.every(([id, value]) => playableIds.includes(id) && value >= 0.1 && value <= 1);
             });
@@ -1492,7 +1477,7 @@ async function runScenario(api, scenario, runId) {
 
           if (pattern === SHUFFLE_PATTERNS.ROUND_ROBIN) {
             record(tests, "round-robin keeps balanced play counts after one cycle", () => {
-              const counts = playableIds.map((id) => afterGapState?.roundRobinCounts?.get?.(id) ?? 0);
+              const counts = playableIds.map((id) => afterCycleState?.roundRobinCounts?.get?.(id) ?? 0);
               return counts.length > 0 && counts.every((count) => count === 1);
             });
           }
@@ -1855,7 +1840,7 @@ function getSnapshotCount(snapshot, field, soundId) {
 
 function getActiveSnapshotSoundIds(playlist) {
   return (playlist?.sounds ?? [])
-    .filter((sound) => sound.playing && !sound.isSilenceGap)
+    .filter((sound) => sound.playing)
     .map((sound) => sound.id);
 }
 
@@ -2275,7 +2260,7 @@ function resolveSound(playlist, args, { required }) {
 
 function getPlayingSound(playlist) {
   return Array.from(playlist?.sounds ?? []).find((sound) =>
-    sound.playing && !Flags.getSoundFlag(sound, "isSilenceGap")
+    sound.playing
   ) ?? null;
 }
 
@@ -2342,14 +2327,8 @@ function hasStereoPanner(sound) {
   );
 }
 
-function getSilenceGaps(playlist) {
-  return Array.from(playlist?.sounds ?? []).filter((sound) => Flags.getSoundFlag(sound, "isSilenceGap"));
-}
-
 function getPlayableFixtureIds(playlist) {
-  return Array.from(playlist?.sounds ?? [])
-    .filter((sound) => !Flags.getSoundFlag(sound, "isSilenceGap"))
-    .map((sound) => sound.id);
+  return Array.from(playlist?.sounds ?? []).map((sound) => sound.id);
 }
 
 function getPlaybackOrder(playlist) {
@@ -2423,7 +2402,6 @@ function summarizePlaylist(playlist) {
       pausedTime: sound.pausedTime ?? null,
       repeat: Boolean(sound.repeat),
       volume: Number(sound.volume ?? 0),
-      isSilenceGap: Boolean(Flags.getSoundFlag(sound, "isSilenceGap")),
       isProcedural: Boolean(Flags.getSoundFlag(sound, "isProcedural")),
       hasLoopWithin: Boolean(Flags.getLoopConfig(sound)?.enabled),
     })),
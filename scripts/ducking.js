@@ -0,0 +1,112 @@
+// ducking.js
+/**
+ * @file ducking.js
+ * @description Sidechain-style ducking. Playlists or sounds marked as duckers (narration,
+ * soundboard hits, procedural one-shots) lower every duckable sound while any of them is
+ * audible, and let the duckable sounds back up after a hold once the last ducker stops. Each
+ * client works from the Sounds it is actually playing, so nothing is replicated and no document
+ * volume changes; the level itself is ramped by audio-fader.js on a gain stage of its own.
+ */
+import { MODULE_ID, debug, findPlaylistSoundForSound } from "./utils.js";
+import { rampDuckGain } from "./audio-fader.js";
+import { Flags } from "./flag-service.js";
+import { getStemSounds } from "./stem-layers.js";
+
+const DUCKING_FLAG_KEYS = ["duckingRole", "duckDepthDb", "duckAttackMs", "duckHoldMs", "duckReleaseMs"];
+
+/** @type {Map<Sound, PlaylistSound>} Playing playlist Sounds and the track each belongs to. */
+const playingSounds = new Map();
+/** @type {WeakMap<Sound, number>} The duck level each Sound was last moved to, in dB. */
+const duckLevels = new WeakMap();
+/** @type {WeakMap<Sound, Function>} */
+const releaseHandlers = new WeakMap();
+let duckerAudible = false;
+
+/** Finds the track a Sound plays for, including procedural one-shots and loop buffers. */
+function resolveSoundDoc(sound) {
+  const ps = findPlaylistSoundForSound(sound);
+  if (ps) return ps;
+
+  const proceduralId = sound._sosProceduralId;
+  if (!proceduralId) return null;
+  for (const playlist of game.playlists) {
+    const found = playlist.sounds.get(proceduralId);
+    if (found) return found;
+  }
+  return null;
+}
+
+function setDuckLevel(sound, gainDb, options) {
+  duckLevels.set(sound, gainDb);
+  rampDuckGain(sound, gainDb, options);
+  for (const layer of getStemSounds(sound)) rampDuckGain(layer, gainDb, options);
+}
+
+/**
+ * Brings every playing duckable Sound to the level the current duckers call for.
+ * @param {Sound} [startedSound] A Sound that has just started; it jumps to its level instead of ramping.
+ */
+export function refreshDucking(startedSound = null) {
+  const configs = new Map();
+  let ducking = false;
+  for (const [sound, ps] of playingSounds) {
+    if (!sound.playing) continue;
+    const config = Flags.getDuckingConfig(ps);
+    configs.set(sound, config);
+    if (config.role === "ducker") ducking = true;
+  }
+
+  if (ducking !== duckerAudible) {
+    duckerAudible = ducking;
+    debug(`[Ducking] ${ducking ? "Ducker audible; lowering duckable sounds." : "No ducker audible; releasing duckable sounds."}`);
+  }
+
+  for (const [sound, config] of configs) {
+    const level = ducking && config.role === "duckable" ? config.depthDb : 0;
+    if ((duckLevels.get(sound) ?? 0) === level) continue;
+
+    if (sound === startedSound) setDuckLevel(sound, level);
+    else if (level < 0) setDuckLevel(sound, level, { rampMs: config.attackMs });
+    else setDuckLevel(sound, level, { rampMs: config.releaseMs, delayMs: config.holdMs });
+  }
+}
+
+/**
+ * Starts following a Sound that has just begun playing, so it can duck or be ducked until it
+ * ends, stops or pauses. Sounds that do not belong to a playlist track are ignored.
+ * @param {Sound} sound
+ * @param {PlaylistSound} [ps] The track it plays for, when the caller already knows it.
+ */
+export function trackDuckingSound(sound, ps = null) {
+  const doc = ps ?? resolveSoundDoc(sound);
+  if (!doc || !sound?.playing) return;
+  playingSounds.set(sound, doc);
+
+  if (!releaseHandlers.has(sound)) {
+    const release = () => {
+      if (!playingSounds.delete(sound)) return;
+      refreshDucking();
+    };
+    releaseHandlers.set(sound, release);
+    // Restarts reuse the same Sound, so the listeners stay registered across plays.
+    for (const type of ["end", "stop", "pause"]) sound.addEventListener(type, release);
+  }
+
+  refreshDucking(sound);
+}
+
+function hasDuckingChange(changes) {
+  const moduleFlags = changes?.flags?.[MODULE_ID];
+  if (!moduleFlags) return false;
+  return DUCKING_FLAG_KEYS.some(key => Object.prototype.hasOwnProperty.call(moduleFlags, key));
+}
+
+export function registerDuckingHooks() {
+  Hooks.on("updatePlaylist", (_playlist, changes) => {
+    if (hasDuckingChange(changes)) refreshDucking();
+  });
+
+  Hooks.on("updatePlaylistSound", (_ps, changes) => {
+    if (hasDuckingChange(changes)) refreshDucking();
+  });
+}
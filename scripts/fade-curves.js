@@ -0,0 +1,317 @@
+// fade-curves.js
+/**
+ * @file fade-curves.js
+ * @description Named custom fade curves. A curve is a cubic Bézier from (0,0) to (1,1) with two
+ * control points, the shape CSS `cubic-bezier()` takes, and maps fade progress to the share of
+ * the volume change made so far. Curves live in the `customFadeCurves` world setting, are edited
+ * in the Fade Curves settings menu, and are picked per playlist (fade-in, fade-out, crossfade)
+ * with the key "custom:<id>".
+ */
+import { MODULE_ID, debug } from "./utils.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export const CUSTOM_CURVE_PREFIX = "custom:";
+
+export const BUILT_IN_FADE_CURVES = {
+    "logarithmic": "Logarithmic",
+    "linear": "Linear",
+    "s-curve": "S-Curve",
+    "steep": "Steep",
+};
+
+export const BUILT_IN_CROSSFADE_CURVES = {
+    "equal-power": "Equal Power",
+    "linear": "Linear",
+    "s-curve": "S-Curve",
+};
+
+// CSS "ease": a gentle start, most of the change early, a long settle.
+const NEW_CURVE = { name: "New Curve", x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 };
+
+function clampUnit(value, fallback) {
+    const num = Number(value);
+    return Number.isFinite(num) ? Math.min(1, Math.max(0, num)) : fallback;
+}
+
+/**
+ * Sanitizes custom curve data.
+ * @param {object} input
+ * @returns {{name: string, x1: number, y1: number, x2: number, y2: number}}
+ */
+export function validateCustomCurve(input = {}) {
+    const source = input && typeof input === "object" ? input : {};
+    return {
+        name: String(source.name ?? "").trim().slice(0, 64) || NEW_CURVE.name,
+        x1: clampUnit(source.x1, NEW_CURVE.x1),
+        y1: clampUnit(source.y1, NEW_CURVE.y1),
+        x2: clampUnit(source.x2, NEW_CURVE.x2),
+        y2: clampUnit(source.y2, NEW_CURVE.y2),
+    };
+}
+
+function getStoredCurves() {
+    try {
+        const stored = game.settings.get(MODULE_ID, "customFadeCurves");
+        return stored && typeof stored === "object" ? stored : {};
+    } catch (_) {
+        // Settings not yet registered
+        return {};
+    }
+}
+
+/**
+ * Lists every saved custom curve, sorted by name.
+ * @returns {{id: string, key: string, name: string, x1: number, y1: number, x2: number, y2: number}[]}
+ */
+export function getCustomCurves() {
+    return Object.entries(getStoredCurves())
+        .map(([id, curve]) => ({ id, key: `${CUSTOM_CURVE_PREFIX}${id}`, ...validateCustomCurve(curve) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Checks whether a curve key names a custom curve (saved or not).
+ * @param {string} key
+ * @returns {boolean}
+ */
+export function isCustomCurveKey(key) {
+    return typeof key === "string" && key.length > CUSTOM_CURVE_PREFIX.length && key.startsWith(CUSTOM_CURVE_PREFIX);
+}
+
+/**
+ * Looks up a custom curve by key.
+ * @param {string} key A "custom:<id>" key.
+ * @returns {{name: string, x1: number, y1: number, x2: number, y2: number}|null} Null for built-in or deleted curves.
+ */
+export function getCustomCurve(key) {
+    if (!isCustomCurveKey(key)) return null;
+    const stored = getStoredCurves()[key.slice(CUSTOM_CURVE_PREFIX.length)];
+    return stored ? validateCustomCurve(stored) : null;
+}
+
+/**
+ * Curve choices for a playlist's fade-in or fade-out.
+ * @returns {Object<string, string>}
+ */
+export function getFadeCurveOptions() {
+    const options = { ...BUILT_IN_FADE_CURVES };
+    for (const curve of getCustomCurves()) options[curve.key] = curve.name;
+    return options;
+}
+
+/**
+ * Curve choices for a crossfade.
+ * @returns {Object<string, string>}
+ */
+export function getCrossfadeCurveOptions() {
+    const options = { ...BUILT_IN_CROSSFADE_CURVES };
+    for (const curve of getCustomCurves()) options[curve.key] = curve.name;
+    return options;
+}
+
+function bezierAxis(s, p1, p2) {
+    const u = 1 - s;
+    return 3 * u * u * s * p1 + 3 * u * s * s * p2 + s * s * s;
+}
+
+function bezierSlope(s, p1, p2) {
+    const u = 1 - s;
+    return 3 * u * u * p1 + 6 * u * s * (p2 - p1) + 3 * s * s * (1 - p2);
+}
+
+/**
+ * Reads a custom curve at a point in a fade.
+ * @param {{x1: number, y1: number, x2: number, y2: number}} curve
+ * @param {number} t Fade progress, 0 to 1.
+ * @returns {number} Share of the volume change made, 0 to 1.
+ */
+export function sampleCustomCurve(curve, t) {
+    if (!(t > 0)) return 0;
+    if (t >= 1) return 1;
+
+    // Newton steps on x(s) = t; bisection takes over where the slope flattens out.
+    let s = t;
+    let solved = false;
+    for (let i = 0; i < 8; i++) {
+        const dx = bezierAxis(s, curve.x1, curve.x2) - t;
+        if (Math.abs(dx) < 1e-6) {
+            solved = true;
+            break;
+        }
+        const slope = bezierSlope(s, curve.x1, curve.x2);
+        if (Math.abs(slope) < 1e-6) break;
+        s -= dx / slope;
+        if (s < 0 || s > 1) break;
+    }
+
+    if (!solved) {
+        let lo = 0;
+        let hi = 1;
+        s = t;
+        for (let i = 0; i < 30; i++) {
+            const x = bezierAxis(s, curve.x1, curve.x2);
+            if (Math.abs(x - t) < 1e-6) break;
+            if (x < t) lo = s;
+            else hi = s;
+            s = (lo + hi) / 2;
+        }
+    }
+
+    return clampUnit(bezierAxis(s, curve.y1, curve.y2), t);
+}
+
+/**
+ * Edits the world's custom fade curves: pick a curve, drag its two control points (or type them),
+ * and save it under a name.
+ */
+export class FadeCurveEditor extends HandlebarsApplicationMixin(ApplicationV2) {
+    constructor(options = {}) {
+        super(options);
+        this.selectedId = getCustomCurves()[0]?.id ?? null;
+    }
+
+    static DEFAULT_OPTIONS = {
+        id: "sos-fade-curve-editor",
+        classes: ["sos-fade-curve-editor"],
+        tag: "form",
+        window: {
+            title: "Sound of Silence - Fade Curves",
+            icon: "fas fa-bezier-curve",
+        },
+        position: {
+            width: 460,
+            height: "auto",
+        },
+        form: {
+            handler: FadeCurveEditor.#onSubmit,
+            closeOnSubmit: false,
+        },
+        actions: {
+            newCurve: FadeCurveEditor.#onNewCurve,
+            deleteCurve: FadeCurveEditor.#onDeleteCurve,
+        },
+    };
+
+    static PARTS = {
+        content: {
+            template: `modules/${MODULE_ID}/templates/fade-curve-editor.hbs`,
+        },
+    };
+
+    async _prepareContext(options) {
+        const curves = getCustomCurves();
+        const selected = curves.find(curve => curve.id === this.selectedId) ?? null;
+        const draft = selected ?? { id: null, ...NEW_CURVE };
+        return {
+            curves: curves.map(curve => ({ ...curve, selected: curve.id === this.selectedId })),
+            curve: draft,
+            isNew: !selected,
+            geometry: FadeCurveEditor.#geometry(draft),
+        };
+    }
+
+    /** SVG coordinates (0-100, y down) for a curve's path and control handles. */
+    static #geometry(curve) {
+        const px = (x) => (x * 100).toFixed(2);
+        const py = (y) => (100 - y * 100).toFixed(2);
+        return {
+            path: `M 0 100 C ${px(curve.x1)} ${py(curve.y1)}, ${px(curve.x2)} ${py(curve.y2)}, 100 0`,
+            p1: { x: px(curve.x1), y: py(curve.y1) },
+            p2: { x: px(curve.x2), y: py(curve.y2) },
+        };
+    }
+
+    _onRender(context, options) {
+        super._onRender(context, options);
+        const form = this.element;
+
+        form.querySelector("select[name=selectedId]")?.addEventListener("change", (event) => {
+            this.selectedId = event.currentTarget.value || null;
+            this.render();
+        });
+
+        const readCurve = () => validateCustomCurve({
+            name: form.elements.name.value,
+            x1: form.elements.x1.value,
+            y1: form.elements.y1.value,
+            x2: form.elements.x2.value,
+            y2: form.elements.y2.value,
+        });
+        const redraw = () => this.#drawCurve(readCurve());
+        for (const key of ["x1", "y1", "x2", "y2"]) {
+            form.elements[key]?.addEventListener("input", redraw);
+        }
+
+        const svg = form.querySelector(".sos-fade-curve-graph");
+        for (const handle of form.querySelectorAll(".sos-fade-curve-handle")) {
+            handle.addEventListener("pointerdown", (event) => {
+                event.preventDefault();
+                handle.setPointerCapture(event.pointerId);
+                const index = handle.dataset.handle;
+                const move = (moveEvent) => {
+                    const rect = svg.getBoundingClientRect();
+                    const x = clampUnit((moveEvent.clientX - rect.left) / rect.width, 0);
+                    const y = clampUnit(1 - (moveEvent.clientY - rect.top) / rect.height, 0);
+                    form.elements[`x${index}`].value = x.toFixed(3);
+                    form.elements[`y${index}`].value = y.toFixed(3);
+                    redraw();
+                };
+                const release = () => {
+                    handle.removeEventListener("pointermove", move);
+                    handle.removeEventListener("pointerup", release);
+                    handle.removeEventListener("pointercancel", release);
+                };
+                handle.addEventListener("pointermove", move);
+                handle.addEventListener("pointerup", release);
+                handle.addEventListener("pointercancel", release);
+            });
+        }
+    }
+
+    /** Moves the graph to a curve without a full re-render, so dragging stays smooth. */
+    #drawCurve(curve) {
+        const geometry = FadeCurveEditor.#geometry(curve);
+        const svg = this.element.querySelector(".sos-fade-curve-graph");
+        if (!svg) return;
+        svg.querySelector(".sos-fade-curve-path")?.setAttribute("d", geometry.path);
+        for (const index of ["1", "2"]) {
+            const point = geometry[`p${index}`];
+            const handle = svg.querySelector(`.sos-fade-curve-handle[data-handle="${index}"]`);
+            handle?.setAttribute("cx", point.x);
+            handle?.setAttribute("cy", point.y);
+            const arm = svg.querySelector(`.sos-fade-curve-arm[data-handle="${index}"]`);
+            arm?.setAttribute("x2", point.x);
+            arm?.setAttribute("y2", point.y);
+        }
+    }
+
+    static async #onSubmit(_event, _form, formData) {
+        const curve = validateCustomCurve(formData.object);
+        const id = this.selectedId ?? foundry.utils.randomID(8);
+        const curves = foundry.utils.deepClone(getStoredCurves());
+        curves[id] = curve;
+        await game.settings.set(MODULE_ID, "customFadeCurves", curves);
+        this.selectedId = id;
+        debug(`[Curves] Saved fade curve "${curve.name}" (${id}).`);
+        ui.notifications.info(`Saved fade curve "${curve.name}".`);
+        this.render();
+    }
+
+    static #onNewCurve() {
+        this.selectedId = null;
+        this.render();
+    }
+
+    static async #onDeleteCurve() {
+        if (!this.selectedId) return;
+        const curves = foundry.utils.deepClone(getStoredCurves());
+        const name = curves[this.selectedId]?.name;
+        delete curves[this.selectedId];
+        // A deleted curve falls back to the default shape wherever a playlist still names it.
+        await game.settings.set(MODULE_ID, "customFadeCurves", curves);
+        debug(`[Curves] Deleted fade curve "${name}" (${this.selectedId}).`);
+        this.selectedId = getCustomCurves()[0]?.id ?? null;
+        this.render();
+    }
+}
@@ -1,7 +1,6 @@
 // fade-in.js - Applies a fade-in effect to playlist sounds when they start playing
 
 import { MODULE_ID, logFeature, LogSymbols } from "./utils.js";
-import { Silence } from "./silence.js";
 import { advancedFade } from "./audio-fader.js";
 import { debug, waitForMedia } from "./utils.js";
 import { Flags } from "./flag-service.js";
@@ -47,8 +46,7 @@ export async function applyFadeIn(playlist, ps, { targetVolume } = {}) {
         return;
     }
 
-    // Skip fade-in for our silent gap tracks
-    if (!ps || ps.getFlag(MODULE_ID, Silence.FLAG_KEY)) return;
+    if (!ps) return;
 
     const media = await waitForMedia(ps);
     if (!media) return;
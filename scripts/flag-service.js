@@ -3,7 +3,24 @@
  * @description A centralized service for getting, setting, and validating all module flags.
  * This service is the single source of truth for module configuration on documents.
  */
-import { MODULE_ID, toSec, debug, warn } from "./utils.js";
+import { MODULE_ID, toSec, debug, warn, normalizeTimeInput, clampNumber } from "./utils.js";
+import { isCustomCurveKey } from "./fade-curves.js";
+
+/** Crossfade shapes a transition rule can ask for; "cut" switches tracks with no fade. */
+export const TRANSITION_CURVES = ["equal-power", "linear", "s-curve", "cut"];
+
+/**
+ * Ways a silence gap's length is picked: a fixed duration, or a roll between the min and max
+ * delay that is flat ("random"), center-weighted ("natural") or mostly short with a rare long
+ * one ("exponential"). "proportional" follows the length of the track before the gap.
+ */
+export const SILENCE_MODES = ["static", "random", "natural", "exponential", "proportional"];
+
+/** Gap lengths are rounded to this many milliseconds. */
+const SILENCE_STEP_MS = 100;
+
+/** Separator in an encoded cross-sound follow-up target, "soundId:segmentId". */
+export const FOLLOW_UP_SOUND_SEPARATOR = ":";
 
 /**
  * Defines the schema for all module flags, including type, defaults, and validation rules.
@@ -12,17 +29,46 @@ import { MODULE_ID, toSec, debug, warn } from "./utils.js";
 const FlagSchemas = {
     PLAYLIST: {
         silenceEnabled: { type: Boolean, default: false },
-        silenceMode: { type: String, default: "static", enum: ["static", "random"] },
+        silenceMode: { type: String, default: "static", enum: SILENCE_MODES },
         silenceDuration: { type: Number, default: 0, min: 0 },
         minDelay: { type: Number, default: 0, min: 0 },
         maxDelay: { type: Number, default: 0, min: 0 },
+        // Proportional gaps: this percentage of the finished track's audible length.
+        silenceTrackRatio: { type: Number, default: 10, min: 0, max: 1000 },
+        // Quiet fill for silence gaps: another playlist's tracks or a set of room-tone files.
+        interlude: {
+            type: Object,
+            default: {},
+            schema: {
+                source: { type: String, default: "none", enum: ["none", "playlist", "sounds"] },
+                playlistId: { type: String, default: "" },
+                sounds: { type: Array, default: [] },
+                volume: { type: Number, default: 0.25, min: 0, max: 1 },
+                fadeMs: { type: Number, default: 1000, min: 0, max: 10000 },
+            },
+        },
         crossfade: { type: Boolean, default: false },
         useCustomAutoFade: { type: Boolean, default: false },
         customAutoFadeMs: { type: Number, default: 1000, min: 0 },
+        // Per-transition overrides: { from, to, durationMs, curve }, where from/to are sound ids or "*".
+        transitionRules: { type: Array, default: [] },
         fadeIn: { type: Number, default: 0, min: 0 },
+        // Curve keys: a built-in name or "custom:<id>". Empty fade curves follow the world settings.
+        fadeInCurve: { type: String, default: "" },
+        fadeOutCurve: { type: String, default: "" },
+        crossfadeCurve: { type: String, default: "equal-power" },
+        // Fades around a pause; 0 pauses and resumes instantly.
+        pauseFadeMs: { type: Number, default: 0, min: 0, max: 60000 },
+        resumeFadeMs: { type: Number, default: 0, min: 0, max: 60000 },
         loopPlaylist: { type: Boolean, default: false },
         volumeNormalizationEnabled: { type: Boolean, default: false },
         normalizedVolume: { type: Number, default: 0.5, min: 0, max: 1.0 },
+        // Sidechain ducking: while a "ducker" is audible, every "duckable" sound drops by duckDepthDb.
+        duckingRole: { type: String, default: "none", enum: ["none", "ducker", "duckable"] },
+        duckDepthDb: { type: Number, default: -12, min: -40, max: 0 },
+        duckAttackMs: { type: Number, default: 150, min: 0, max: 5000 },
+        duckHoldMs: { type: Number, default: 250, min: 0, max: 10000 },
+        duckReleaseMs: { type: Number, default: 1000, min: 0, max: 10000 },
         soundscapeMode: { type: Boolean, default: false },
         soundscapeMaxPolyphony: { type: Number, default: 4, min: 1, max: 16 },
         soundscapePlayChanceScaling: { type: String, default: "independent", enum: ["independent", "scaled", "soft"] },
@@ -41,7 +87,6 @@ const FlagSchemas = {
         },
     },
     PLAYLIST_SOUND: {
-        isSilenceGap: { type: Boolean, default: false },
         allowVolumeOverride: { type: Boolean, default: false },
         normalizedVolumeOverride: { type: Number, default: null, min: 0, max: 1 },
         isProcedural: { type: Boolean, default: false },
@@ -52,6 +97,45 @@ const FlagSchemas = {
         volumeVariance: { type: Number, default: 0, min: 0, max: 1 },
         randomPan: { type: Boolean, default: false },
         playChance: { type: Number, default: 100, min: 0, max: 100 },
+        // Where a procedural one-shot plays from on the canvas; "none" leaves it unplaced.
+        // radius is the audible range in grid spaces, so it holds on any grid scale.
+        spatial: {
+            type: Object,
+            default: {},
+            schema: {
+                mode: { type: String, default: "none", enum: ["none", "point", "region", "drawing"] },
+                sceneId: { type: String, default: "" },
+                x: { type: Number, default: 0 },
+                y: { type: Number, default: 0 },
+                regionUuid: { type: String, default: "" },
+                drawingUuid: { type: String, default: "" },
+                radius: { type: Number, default: 12, min: 1, max: 1000 },
+            },
+        },
+        // "inherit" follows the playlist's ducking role; null duck settings use the playlist's.
+        duckingRole: { type: String, default: "inherit", enum: ["inherit", "none", "ducker", "duckable"] },
+        duckDepthDb: { type: Number, default: null, min: -40, max: 0 },
+        duckAttackMs: { type: Number, default: null, min: 0, max: 5000 },
+        duckHoldMs: { type: Number, default: null, min: 0, max: 10000 },
+        duckReleaseMs: { type: Number, default: null, min: 0, max: 10000 },
+        // The gap after this track: "inherit" follows the playlist; null settings use the playlist's.
+        silenceMode: { type: String, default: "inherit", enum: ["inherit", ...SILENCE_MODES] },
+        silenceDuration: { type: Number, default: null, min: 0 },
+        silenceMinDelay: { type: Number, default: null, min: 0 },
+        silenceMaxDelay: { type: Number, default: null, min: 0 },
+        silenceTrackRatio: { type: Number, default: null, min: 0, max: 1000 },
+        // Detected audible range of the file at `path`: { path, thresholdDb, startSec, endSec }. Written by the GM.
+        audioBounds: { type: Object, default: null },
+        // Per-sound overrides: ignore the detection, or pin the start/end ("MM:SS.mmm"; blank = detected).
+        trimSilence: { type: Boolean, default: true },
+        audioStartOverride: { type: String, default: "" },
+        audioEndOverride: { type: String, default: "" },
+        // Named timestamps that fire the marker hook (and optionally a Macro) when playback crosses them.
+        cueMarkers: { type: Array, default: [] },
+        // Extra files layered on the main file, sample-aligned and sharing its loop segments.
+        stems: { type: Array, default: [] },
+        // GM-authored live layer state: { layers: { [stemId]: { enabled, gain } }, fadeMs }.
+        stemMix: { type: Object, default: {} },
         loopWithin: {
             type: Object,
             default: {},
@@ -60,6 +144,18 @@ const FlagSchemas = {
                 active: { type: Boolean, default: true },
                 startFromBeginning: { type: Boolean, default: true },
                 segments: { type: Array, default: [] },
+                // Musical grid used for bars:beats editing and quantized breaks/skips. bpm 0 = no tempo.
+                tempo: {
+                    type: Object,
+                    default: {},
+                    schema: {
+                        bpm: { type: Number, default: 0, min: 0, max: 999 },
+                        beatsPerBar: { type: Number, default: 4, min: 1, max: 32 },
+                        downbeatOffsetMs: { type: Number, default: 0, min: 0 },
+                        phraseBars: { type: Number, default: 4, min: 1, max: 64 },
+                        quantize: { type: String, default: "immediate", enum: ["immediate", "beat", "bar", "phrase"] },
+                    },
+                },
                 // Legacy properties for migration, not for direct use
                 start: { type: String, default: "00:00" },
                 end: { type: String, default: "00:00" },
@@ -249,6 +345,25 @@ class FlagService {
         return this.validateLoopConfig(rawFlags);
     }
 
+    /**
+     * Replaces a sound's loop segments and turns its loop on, keeping the rest of its loop
+     * settings (tempo, start from beginning).
+     * @param {PlaylistSound} sound The sound document.
+     * @param {{start: string, end: string, crossfadeMs?: number, loopCount?: number}[]} segments
+     * @returns {Promise<Document>} The updated document.
+     */
+    async setLoopSegments(sound, segments) {
+        const validated = this.validateLoopConfig({ ...this.getLoopConfig(sound), segments });
+        const persistent = {
+            enabled: true,
+            active: true,
+            startFromBeginning: validated.startFromBeginning,
+            tempo: validated.tempo,
+            segments: validated.segments.map(({ startSec, endSec, ...segment }) => segment),
+        };
+        return this.setFlag(sound, "loopWithin", persistent);
+    }
+
     /**
      * Validate playlist flags without reading or writing a Foundry document.
      * Used by diagnostics and tests.
@@ -276,6 +391,10 @@ class FlagService {
         for (const key in FlagSchemas.PLAYLIST_SOUND) {
             if (key === "loopWithin") {
                 flags[key] = this.validateLoopConfig(source[key] ?? {});
+            } else if (key === "cueMarkers") {
+                flags[key] = this.validateCueMarkers(source[key] ?? []);
+            } else if (key === "stems") {
+                flags[key] = this.validateStems(source[key] ?? []);
             } else {
                 flags[key] = this._validate(source[key], FlagSchemas.PLAYLIST_SOUND[key]);
             }
@@ -292,20 +411,35 @@ class FlagService {
         const source = (input && typeof input === "object" && !Array.isArray(input)) ? input : {};
         const migrated = this._migrateLegacyLoopFlags(source);
         const validatedConfig = this._validate(migrated, FlagSchemas.PLAYLIST_SOUND.loopWithin);
+        validatedConfig.tempo = this.validateLoopTempo(validatedConfig.tempo);
 
         // Validate each segment individually
-        validatedConfig.segments = (validatedConfig.segments || []).map(seg => {
+        validatedConfig.segments = (validatedConfig.segments || []).map((seg, index) => {
             const validated = {
+                // Stable identity for follow-up links; sorting on save would break index references.
+                id: typeof seg.id === "string" && seg.id ? seg.id : `segment-${index}`,
                 start: seg.start || "00:00",
                 end: seg.end || "00:00",
                 crossfadeMs: this._validateNumber(seg.crossfadeMs, 1000, 0), // min: 0
                 loopCount: this._validateNumber(seg.loopCount, 0, 0), // min: 0
-                skipToNext: typeof seg.skipToNext === "boolean" ? seg.skipToNext : false
+                // Time limit in minutes (0 = none); a larger loopMinutesMax makes it a random range.
+                loopMinutes: this._validateNumber(seg.loopMinutes, 0, 0),
+                loopMinutesMax: this._validateNumber(seg.loopMinutesMax, 0, 0),
+                // Level offset (dB) and playback rate, each optionally stepping on every completed pass.
+                gainDb: this._validateNumber(seg.gainDb, 0, -40, 12),
+                gainStepDb: this._validateNumber(seg.gainStepDb, 0, -12, 12),
+                rate: this._validateNumber(seg.rate, 1, 0.5, 2),
+                rateStep: this._validateNumber(seg.rateStep, 0, -0.5, 0.5),
+                skipToNext: typeof seg.skipToNext === "boolean" ? seg.skipToNext : false,
+                next: this._validateFollowUps(seg.next)
             };
+            // Sample-exact seconds from embedded loop metadata or a zero-crossing snap (null = none).
+            validated.startExactSec = this.validateExactLoopTime(seg.startExactSec, validated.start);
+            validated.endExactSec = this.validateExactLoopTime(seg.endExactSec, validated.end);
 
-            // Add runtime-processed values for convenience
-            validated.startSec = toSec(validated.start);
-            validated.endSec = toSec(validated.end);
+            // Add runtime-processed values for convenience; the gapless looper uses these directly.
+            validated.startSec = validated.startExactSec ?? toSec(validated.start);
+            validated.endSec = validated.endExactSec ?? toSec(validated.end);
 
             return validated;
         });
@@ -313,6 +447,200 @@ class FlagService {
         return foundry.utils.duplicate(validatedConfig);
     }
 
+    /**
+     * Validate loop tempo metadata, filling defaults for missing fields.
+     * @param {object} input Candidate loopWithin.tempo data
+     * @returns {object} Complete sanitized tempo with whole-number bar/phrase lengths
+     */
+    validateLoopTempo(input = {}) {
+        const tempo = this._validate(input ?? {}, FlagSchemas.PLAYLIST_SOUND.loopWithin.schema.tempo);
+        tempo.beatsPerBar = Math.round(tempo.beatsPerBar);
+        tempo.phraseBars = Math.round(tempo.phraseBars);
+        return tempo;
+    }
+
+    /**
+     * Validate a sample-exact loop time against its "MM:SS.mmm" display time. The exact value
+     * only survives while it still rounds to the displayed time, so editing the time drops it.
+     * @param {any} value Candidate exact time in seconds (blank/null = none)
+     * @param {string} display The segment's stored start or end time
+     * @returns {number|null} The exact time, or null
+     */
+    validateExactLoopTime(value, display) {
+        if (value === null || value === undefined || value === "") return null;
+        const exact = Number(value);
+        if (!Number.isFinite(exact) || exact < 0) return null;
+        return Math.abs(exact - toSec(display)) <= 0.0005 + 1e-9 ? exact : null;
+    }
+
+    /**
+     * Gets a sound's validated cue markers, sorted by time.
+     * @param {PlaylistSound} sound The sound document.
+     * @returns {object[]} Markers with runtime timeSec values
+     */
+    getCueMarkers(sound) {
+        return this.validateCueMarkers(this.getSoundFlag(sound, "cueMarkers"));
+    }
+
+    /**
+     * Validate cue markers without reading or writing a Foundry document.
+     * @param {any} input Array (or index-keyed object) of marker data
+     * @returns {object[]} Sanitized markers sorted by time, with timeSec
+     */
+    validateCueMarkers(input = []) {
+        const markers = Array.isArray(input) ? input : (input && typeof input === "object" ? Object.values(input) : []);
+        return markers
+            .filter(marker => marker && typeof marker === "object")
+            .map((marker, index) => {
+                const validated = {
+                    id: typeof marker.id === "string" && marker.id ? marker.id : `marker-${index}`,
+                    name: String(marker.name ?? "").trim() || `Marker ${index + 1}`,
+                    time: typeof marker.time === "string" && marker.time ? marker.time : "00:00.000",
+                    macroUuid: typeof marker.macroUuid === "string" ? marker.macroUuid.trim() : "",
+                    macroScope: marker.macroScope === "all" ? "all" : "gm",
+                };
+                validated.timeSec = toSec(validated.time);
+                return validated;
+            })
+            .sort((a, b) => a.timeSec - b.timeSec);
+    }
+
+    /**
+     * Gets a sound's validated stem layers.
+     * @param {PlaylistSound} sound The sound document.
+     * @returns {object[]}
+     */
+    getStems(sound) {
+        return this.validateStems(this.getSoundFlag(sound, "stems"));
+    }
+
+    /**
+     * Validate stem layer definitions. Stems without a file path are dropped.
+     * @param {any} input Array (or index-keyed object) of stem data
+     * @returns {{id: string, name: string, path: string, volume: number, muted: boolean}[]}
+     */
+    validateStems(input = []) {
+        const stems = Array.isArray(input) ? input : (input && typeof input === "object" ? Object.values(input) : []);
+        return stems
+            .filter(stem => stem && typeof stem === "object" && typeof stem.path === "string" && stem.path.trim())
+            .map((stem, index) => ({
+                id: typeof stem.id === "string" && stem.id ? stem.id : `stem-${index}`,
+                name: String(stem.name ?? "").trim() || `Layer ${index + 1}`,
+                path: stem.path.trim(),
+                volume: this._validateNumber(stem.volume, 1, 0, 1),
+                muted: !!stem.muted,
+            }));
+    }
+
+    /**
+     * Resolves the live state of every stem layer: the GM's stemMix overrides, falling
+     * back to each stem's configured volume and start-muted setting.
+     * @param {PlaylistSound} sound The sound document.
+     * @returns {{id: string, name: string, enabled: boolean, gain: number}[]}
+     */
+    getStemLayerStates(sound) {
+        const mixLayers = this.getSoundFlag(sound, "stemMix")?.layers ?? {};
+        return this.getStems(sound).map(stem => {
+            const mix = mixLayers[stem.id] ?? {};
+            return {
+                id: stem.id,
+                name: stem.name,
+                enabled: typeof mix.enabled === "boolean" ? mix.enabled : !stem.muted,
+                gain: this._validateNumber(mix.gain, stem.volume, 0, 1),
+            };
+        });
+    }
+
+    /**
+     * Validate a segment's weighted follow-up links.
+     * @private
+     * A link with a `sound` id targets a segment of that other sound in the same playlist.
+     * @param {any} next Array (or index-keyed object) of {target, weight, sound?}
+     * @returns {{target: string, weight: number, sound?: string}[]}
+     */
+    _validateFollowUps(next) {
+        const links = Array.isArray(next) ? next : (next && typeof next === "object" ? Object.values(next) : []);
+        return links
+            .filter(link => typeof link?.target === "string" && link.target)
+            .map(link => {
+                const validated = {
+                    target: link.target,
+                    weight: this._validateNumber(link.weight, 1, 0),
+                };
+                if (typeof link.sound === "string" && link.sound) validated.sound = link.sound;
+                return validated;
+            });
+    }
+
+    /**
+     * Splits a follow-up link into its segment id and, for a cross-track link, the target sound id.
+     * Stored links carry `sound`; links read from the config form carry the dropdown's encoded value.
+     * @param {object} link
+     * @returns {{target: string, sound: string|null}}
+     */
+    parseFollowUpLink(link) {
+        const target = typeof link?.target === "string" ? link.target : "";
+        if (typeof link?.sound === "string" && link.sound) return { target, sound: link.sound };
+
+        const separator = target.indexOf(FOLLOW_UP_SOUND_SEPARATOR);
+        if (separator < 0) return { target, sound: null };
+        return { target: target.slice(separator + 1), sound: target.slice(0, separator) || null };
+    }
+
+    /**
+     * Cleans loop segments into their stored form: normalized times, whole loop counts, time limits,
+     * level/speed envelopes, stable ids, sorted by start, with follow-ups to missing segments dropped.
+     * Links into other sounds are kept as-is; the looper skips them if that segment is gone. Shared
+     * by the config form submit and loop config import/paste.
+     * @param {object[]} rawSegments Segment data; `next` may be an array or a Map of links.
+     * @returns {object[]}
+     */
+    sanitizeLoopSegments(rawSegments) {
+        const cleanSegments = rawSegments
+            .filter(segData => segData && typeof segData.start !== 'undefined' && typeof segData.end !== 'undefined')
+            .map((segData) => {
+                const cleaned = {
+                    crossfadeMs: Math.max(0, Number(segData.crossfadeMs) ?? 0),
+                    loopCount: Math.max(0, parseInt(segData.loopCount, 10) || 0),
+                    loopMinutes: Math.max(0, Number(segData.loopMinutes) || 0),
+                };
+                // An upper bound only means something above the lower one.
+                const loopMinutesMax = Math.max(0, Number(segData.loopMinutesMax) || 0);
+                cleaned.loopMinutesMax = loopMinutesMax > cleaned.loopMinutes ? loopMinutesMax : 0;
+                cleaned.gainDb = clampNumber(segData.gainDb, 0, -40, 12);
+                cleaned.gainStepDb = clampNumber(segData.gainStepDb, 0, -12, 12);
+                cleaned.rate = clampNumber(segData.rate, 1, 0.5, 2);
+                cleaned.rateStep = clampNumber(segData.rateStep, 0, -0.5, 0.5);
+                cleaned.start = normalizeTimeInput(segData.start);
+                cleaned.end = normalizeTimeInput(segData.end);
+                cleaned.startExactSec = this.validateExactLoopTime(segData.startExactSec, cleaned.start);
+                cleaned.endExactSec = this.validateExactLoopTime(segData.endExactSec, cleaned.end);
+                cleaned.skipToNext = !!segData.skipToNext;
+                cleaned.id = typeof segData.id === "string" && segData.id ? segData.id : foundry.utils.randomID(8);
+                cleaned.next = Array.from(segData.next?.values() ?? [])
+                    .map(link => {
+                        const { target, sound } = this.parseFollowUpLink(link);
+                        if (!target) return null;
+                        const stored = {
+                            target,
+                            weight: Math.max(0, Number.isFinite(Number(link.weight)) ? Number(link.weight) : 1),
+                        };
+                        if (sound) stored.sound = sound;
+                        return stored;
+                    })
+                    .filter(Boolean);
+                return cleaned;
+            });
+        cleanSegments.sort((a, b) => toSec(a.start) - toSec(b.start));
+
+        // Drop follow-ups that point at segments removed in this edit.
+        const segmentIds = new Set(cleanSegments.map(seg => seg.id));
+        cleanSegments.forEach(seg => {
+            seg.next = seg.next.filter(link => link.sound || segmentIds.has(link.target));
+        });
+        return cleanSegments;
+    }
+
     getPlaylistFlagKeys() {
         return Object.keys(FlagSchemas.PLAYLIST);
     }
@@ -370,32 +698,198 @@ class FlagService {
     }
 
     /**
-     * Gets the correct silence duration, accounting for static vs. random mode.
+     * Resolves how a sound takes part in ducking. The sound's own role wins over its playlist's,
+     * and each duck setting the sound leaves blank falls back to the playlist's.
+     * @param {PlaylistSound} ps The sound document.
+     * @returns {{role: "none"|"ducker"|"duckable", depthDb: number, attackMs: number, holdMs: number, releaseMs: number}}
+     */
+    getDuckingConfig(ps) {
+        const playlist = ps?.parent;
+        const fromPlaylist = (key) => playlist
+            ? this.getPlaylistFlag(playlist, key)
+            : FlagSchemas.PLAYLIST[key].default;
+        const setting = (key) => this.getSoundFlag(ps, key) ?? fromPlaylist(key);
+
+        const soundRole = this.getSoundFlag(ps, "duckingRole");
+        return {
+            role: soundRole === "inherit" ? fromPlaylist("duckingRole") : soundRole,
+            depthDb: setting("duckDepthDb"),
+            attackMs: setting("duckAttackMs"),
+            holdMs: setting("duckHoldMs"),
+            releaseMs: setting("duckReleaseMs"),
+        };
+    }
+
+    /**
+     * Gets a playlist's validated crossfade transition rules.
      * @param {Playlist} playlist The playlist document.
-     * @returns {number} The silence duration in milliseconds.
+     * @returns {{from: string, to: string, durationMs: number|null, curve: string}[]}
+     */
+    getTransitionRules(playlist) {
+        return this.validateTransitionRules(this.getPlaylistFlag(playlist, "transitionRules"));
+    }
+
+    /**
+     * Validate transition rules without reading or writing a Foundry document.
+     * A null duration means the playlist's own crossfade duration; the "cut" curve is a hard cut.
+     * @param {any} input Array (or index-keyed object) of rule data
+     * @returns {{from: string, to: string, durationMs: number|null, curve: string}[]}
      */
-    getSilenceDuration(playlist) {
-        const mode = this.getPlaylistFlag(playlist, "silenceMode");
-        const staticDuration = this.getPlaylistFlag(playlist, "silenceDuration");
+    validateTransitionRules(input = []) {
+        const rules = Array.isArray(input) ? input : (input && typeof input === "object" ? Object.values(input) : []);
+        return rules
+            .filter(rule => rule && typeof rule === "object")
+            .map(rule => ({
+                from: typeof rule.from === "string" && rule.from ? rule.from : "*",
+                to: typeof rule.to === "string" && rule.to ? rule.to : "*",
+                durationMs: rule.durationMs === null || rule.durationMs === undefined || rule.durationMs === ""
+                    ? null
+                    : this._validateNumber(rule.durationMs, null, 0, 600000),
+                curve: this.isTransitionCurve(rule.curve) ? rule.curve : "equal-power",
+            }));
+    }
 
-        if (mode === "random") {
-            const min = this.getPlaylistFlag(playlist, "minDelay");
-            const max = Math.max(min, this.getPlaylistFlag(playlist, "maxDelay"));
+    /**
+     * Checks a crossfade curve key: a built-in transition curve or a custom curve key.
+     * @param {any} curve
+     * @returns {boolean}
+     */
+    isTransitionCurve(curve) {
+        return TRANSITION_CURVES.includes(curve) || isCustomCurveKey(curve);
+    }
 
-            if (min >= max) return min;
+    /**
+     * Gets the curve a playlist crossfades with when no transition rule picks one.
+     * @param {Playlist} playlist The playlist document.
+     * @returns {string} A crossfade curve key.
+     */
+    getCrossfadeCurve(playlist) {
+        const curve = this.getPlaylistFlag(playlist, "crossfadeCurve");
+        return curve !== "cut" && this.isTransitionCurve(curve) ? curve : "equal-power";
+    }
 
-            const step = 100;
-            const minStep = Math.ceil(min / step);
-            const maxStep = Math.floor(max / step);
-            const numSteps = maxStep - minStep + 1;
+    /**
+     * Resolves how one track should hand over to another: the most specific matching
+     * transition rule, or the playlist's crossfade duration and curve.
+     * An exact destination outranks an exact source; among equals the first rule wins.
+     * @param {Playlist} playlist The playlist document.
+     * @param {PlaylistSound|null} fromSound The outgoing sound.
+     * @param {PlaylistSound|null} toSound The incoming sound, or null when the playlist is ending.
+     * @returns {{fadeMs: number, curve: string, rule: object|null}}
+     */
+    resolveTransition(playlist, fromSound, toSound) {
+        const defaultMs = this.getCrossfadeDuration(playlist);
+        let match = null;
+        let matchScore = -1;
+
+        for (const rule of this.getTransitionRules(playlist)) {
+            if (rule.from !== "*" && rule.from !== fromSound?.id) continue;
+            if (rule.to !== "*" && rule.to !== toSound?.id) continue;
+            const score = (rule.to !== "*" ? 2 : 0) + (rule.from !== "*" ? 1 : 0);
+            if (score > matchScore) {
+                match = rule;
+                matchScore = score;
+            }
+        }
 
-            if (numSteps <= 0) return min;
+        if (!match) return { fadeMs: defaultMs, curve: this.getCrossfadeCurve(playlist), rule: null };
+        return {
+            fadeMs: match.curve === "cut" ? 0 : (match.durationMs ?? defaultMs),
+            curve: match.curve,
+            rule: match,
+        };
+    }
 
-            const stepIndex = Math.floor(Math.random() * numSteps);
-            return (minStep + stepIndex) * step;
+    /**
+     * Resolves how the gap after a track is picked. The track's own silence mode wins over its
+     * playlist's, and each gap setting the track leaves blank falls back to the playlist's.
+     * @param {Playlist} playlist The playlist document.
+     * @param {PlaylistSound|null} [sourceSound] The track the gap follows.
+     * @returns {{mode: string, durationMs: number, minMs: number, maxMs: number, trackRatio: number}}
+     */
+    getSilenceConfig(playlist, sourceSound = null) {
+        const own = (key) => sourceSound ? this.getSoundFlag(sourceSound, key) : null;
+        const soundMode = own("silenceMode");
+        return {
+            mode: soundMode && soundMode !== "inherit" ? soundMode : this.getPlaylistFlag(playlist, "silenceMode"),
+            durationMs: own("silenceDuration") ?? this.getPlaylistFlag(playlist, "silenceDuration"),
+            minMs: own("silenceMinDelay") ?? this.getPlaylistFlag(playlist, "minDelay"),
+            maxMs: own("silenceMaxDelay") ?? this.getPlaylistFlag(playlist, "maxDelay"),
+            trackRatio: own("silenceTrackRatio") ?? this.getPlaylistFlag(playlist, "silenceTrackRatio"),
+        };
+    }
+
+    /**
+     * Picks the length of the silence gap after a track, using the mode from `getSilenceConfig()`.
+     * Proportional gaps stay within the min/max delay (a max of 0 means no upper limit) and use
+     * the static duration while the track's length is unknown.
+     * @param {Playlist} playlist The playlist document.
+     * @param {PlaylistSound|null} [sourceSound] The track the gap follows.
+     * @returns {number} The silence duration in milliseconds.
+     */
+    getSilenceDuration(playlist, sourceSound = null) {
+        const { mode, durationMs, minMs, maxMs, trackRatio } = this.getSilenceConfig(playlist, sourceSound);
+        const min = Math.max(0, minMs);
+        const max = Math.max(min, maxMs);
+
+        switch (mode) {
+            case "random": {
+                // Uniform pick among the steps inside the window.
+                const minStep = Math.ceil(min / SILENCE_STEP_MS);
+                const maxStep = Math.floor(max / SILENCE_STEP_MS);
+                const numSteps = maxStep - minStep + 1;
+                if (min >= max || numSteps <= 0) return min;
+                return (minStep + Math.floor(Math.random() * numSteps)) * SILENCE_STEP_MS;
+            }
+
+            case "natural": {
+                // Triangular roll centered on the midpoint, like procedural "natural" timing.
+                const roll = (Math.random() + Math.random()) / 2;
+                return this._roundSilenceMs(min + roll * (max - min), min, max);
+            }
+
+            case "exponential": {
+                // Exponential roll truncated to the window: most gaps near the min, a rare one near the max.
+                const k = 4;
+                const roll = -Math.log(1 - Math.random() * (1 - Math.exp(-k))) / k;
+                return this._roundSilenceMs(min + roll * (max - min), min, max);
+            }
+
+            case "proportional": {
+                const media = sourceSound?.sound;
+                const bounds = this.getAudioBounds(sourceSound, media?.duration);
+                const trackSec = bounds.endSec - bounds.startSec;
+                if (!(trackSec > 0)) return durationMs;
+                const upper = maxMs > 0 ? max : Infinity;
+                return this._roundSilenceMs(trackSec * 1000 * (trackRatio / 100), min, upper);
+            }
+
+            case "static":
+            default:
+                return durationMs;
         }
+    }
+
+    /**
+     * Gets a playlist's interlude: what fills its silence gaps, how loud, and how long it fades.
+     * @param {Playlist} playlist The playlist document.
+     * @returns {{source: "none"|"playlist"|"sounds", playlistId: string, sounds: string[], volume: number, fadeMs: number}}
+     */
+    getInterludeConfig(playlist) {
+        const config = this.getPlaylistFlag(playlist, "interlude");
+        return { ...config, sounds: this.validateInterludeSounds(config.sounds) };
+    }
 
-        return staticDuration;
+    /**
+     * Validate an interlude's room-tone file list without reading or writing a Foundry document.
+     * @param {any} input Array (or index-keyed object) of file paths
+     * @returns {string[]}
+     */
+    validateInterludeSounds(input = []) {
+        const paths = Array.isArray(input) ? input : (input && typeof input === "object" ? Object.values(input) : []);
+        return paths
+            .filter(path => typeof path === "string" && path.trim())
+            .map(path => path.trim());
     }
 
     /**
@@ -422,11 +916,93 @@ class FlagService {
         );
     }
 
+    /**
+     * Gets the part of a sound's file that actually has audio in it: the per-sound overrides,
+     * else the detected bounds for its current file, else the whole file.
+     * @param {PlaylistSound} sound The sound document.
+     * @param {number} durationSec The file's duration in seconds.
+     * @returns {{startSec: number, endSec: number}}
+     */
+    getAudioBounds(sound, durationSec) {
+        const duration = Number(durationSec);
+        if (!Number.isFinite(duration) || duration <= 0) return { startSec: 0, endSec: 0 };
+
+        let startSec = 0;
+        let endSec = duration;
+        const detected = this.getSoundFlag(sound, "audioBounds");
+        if (this._isSilenceDetectionEnabled() && this.getSoundFlag(sound, "trimSilence") && detected?.path === sound?.path) {
+            if (Number.isFinite(detected.startSec)) startSec = detected.startSec;
+            if (Number.isFinite(detected.endSec)) endSec = detected.endSec;
+        }
+
+        const startOverride = this.getSoundFlag(sound, "audioStartOverride");
+        const endOverride = this.getSoundFlag(sound, "audioEndOverride");
+        if (startOverride) startSec = toSec(startOverride);
+        if (endOverride) endSec = toSec(endOverride);
+
+        startSec = Math.max(0, Math.min(startSec, duration));
+        endSec = Math.max(0, Math.min(endSec, duration));
+        if (endSec <= startSec) return { startSec: 0, endSec: duration };
+        return { startSec, endSec };
+    }
+
+    /**
+     * Whether tracks skip their leading and trailing silence outright (the world's opt-in
+     * setting). Without it the audible range only times fades and crossfades.
+     * @returns {boolean}
+     */
+    isSilenceSkipEnabled() {
+        try {
+            return game.settings?.get(MODULE_ID, "skipTrackSilence") === true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets where a fresh play of a sound should start: its audible start when silence skipping
+     * is on, unless an internal loop owns playback or the sound is a procedural one-shot.
+     * @param {PlaylistSound} sound The sound document.
+     * @param {number} durationSec The file's duration in seconds.
+     * @returns {number} Offset in seconds.
+     */
+    getPlaybackStartOffset(sound, durationSec) {
+        if (this.getSoundFlag(sound, "isProcedural")) return 0;
+        if (this.isLoopActive(sound)) return 0;
+        if (!this.isSilenceSkipEnabled()) return 0;
+        return this.getAudioBounds(sound, durationSec).startSec;
+    }
 
     // ============================================
     // Private Helpers
     // ============================================
 
+    /**
+     * Whether detected silence bounds should be applied (the world's detection setting).
+     * @private
+     * @returns {boolean}
+     */
+    _isSilenceDetectionEnabled() {
+        try {
+            return game.settings?.get(MODULE_ID, "detectTrackSilence") !== false;
+        } catch (err) {
+            return true;
+        }
+    }
+
+    /**
+     * Rounds a gap length to the silence step, kept within [min, max].
+     * @private
+     * @param {number} ms
+     * @param {number} min
+     * @param {number} max
+     * @returns {number}
+     */
+    _roundSilenceMs(ms, min, max) {
+        const rounded = Math.round(ms / SILENCE_STEP_MS) * SILENCE_STEP_MS;
+        return Math.max(min, Math.min(max, rounded));
+    }
+
     /**
      * Validates a numeric value with optional min/max constraints
      * @private
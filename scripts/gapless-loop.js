@@ -0,0 +1,215 @@
+// gapless-loop.js
+/**
+ * @file gapless-loop.js
+ * @description Sample-accurate loop regions for buffer-backed Sounds. A zero-crossfade segment
+ * is looped by the AudioBufferSourceNode itself (`loop`/`loopStart`/`loopEnd`), so the wrap
+ * happens on the audio thread with no A/B handoff. Foundry's Sound does not know about the
+ * region and would report a linear playback time, so a region-aware `currentTime` is installed
+ * on the Sound instance; schedules, cue markers and the UI keep reading the true position.
+ * The same clock follows playback-rate ramps (segment envelopes), and the instance's `schedule`
+ * converts media time into real time at the current speed.
+ */
+import { debug } from "./utils.js";
+
+/**
+ * @typedef {object} GaplessState
+ * @property {AudioBufferSourceNode} node The node the region was applied to.
+ * @property {number} anchorContextTime Audio clock time of the last anchor.
+ * @property {number} anchorPosition Playback position at the anchor, in seconds.
+ * @property {{start: number, end: number}|null} region The active loop region.
+ * @property {{loop: boolean, loopStart: number, loopEnd: number}} original The node's own loop settings.
+ * @property {{from: number, to: number, end: number}} rate Playback-rate ramp from the anchor to `end` (audio clock time).
+ */
+
+/** @type {WeakMap<Sound, GaplessState>} */
+const states = new WeakMap();
+
+const baseCurrentTime = Object.getOwnPropertyDescriptor(foundry.audio.Sound.prototype, "currentTime")?.get;
+const baseSchedule = foundry.audio.Sound.prototype.schedule;
+
+/**
+ * Checks whether a Sound is playing from a decoded buffer whose node can loop a region.
+ * Streamed (media element) Sounds cannot.
+ * @param {Sound} sound
+ * @returns {boolean}
+ */
+export function supportsGaplessLoop(sound) {
+  return !!sound?.playing
+    && typeof AudioBufferSourceNode !== "undefined"
+    && sound.sourceNode instanceof AudioBufferSourceNode;
+}
+
+function rateAt(state, now) {
+  const { from, to, end } = state.rate;
+  if (now >= end) return to;
+  return from + (to - from) * ((now - state.anchorContextTime) / (end - state.anchorContextTime));
+}
+
+/** Media seconds played since the anchor, integrating any rate ramp. */
+function playedSinceAnchor(state, now) {
+  const { from, to, end } = state.rate;
+  const elapsed = Math.max(0, now - state.anchorContextTime);
+  const rampSec = Math.max(0, end - state.anchorContextTime);
+  if (elapsed >= rampSec) return (from + to) / 2 * rampSec + to * (elapsed - rampSec);
+  return from * elapsed + (to - from) * elapsed * elapsed / (2 * rampSec);
+}
+
+/**
+ * Reads the region-aware position, or null once the node has been replaced (the Sound was
+ * paused and resumed, or restarted) and Foundry's own clock is right again.
+ */
+function readPosition(sound, state) {
+  if (!sound.playing || sound.sourceNode !== state.node) return null;
+
+  let position = state.anchorPosition + playedSinceAnchor(state, sound.context.currentTime);
+  const region = state.region;
+  if (region && position >= region.end) {
+    position = region.start + ((position - region.start) % (region.end - region.start));
+  } else if (!region && state.original.loop && Number.isFinite(sound.duration) && sound.duration > 0) {
+    position %= sound.duration;
+  }
+  return position;
+}
+
+function getPosition(sound) {
+  const state = states.get(sound);
+  const position = state ? readPosition(sound, state) : null;
+  return position ?? baseCurrentTime?.call(sound);
+}
+
+/** The speed a schedule should assume: where the current rate ramp is heading. */
+function getScheduleRate(sound) {
+  const state = states.get(sound);
+  if (!state || !sound.playing || sound.sourceNode !== state.node) return 1;
+  return state.rate.to;
+}
+
+function installClock(sound) {
+  if (Object.prototype.hasOwnProperty.call(sound, "currentTime")) return;
+  Object.defineProperty(sound, "currentTime", {
+    configurable: true,
+    get() { return getPosition(this); },
+  });
+  // Foundry waits out the media time left 1:1 in real time; at other speeds that is scaled.
+  Object.defineProperty(sound, "schedule", {
+    configurable: true,
+    writable: true,
+    value(fn, playbackTime) {
+      const rate = getScheduleRate(this);
+      if (rate === 1 || !Number.isFinite(playbackTime)) return baseSchedule.call(this, fn, playbackTime);
+      const now = this.currentTime;
+      return baseSchedule.call(this, fn, now + (playbackTime - now) / rate);
+    },
+  });
+}
+
+/**
+ * Gets the clock state for the Sound's current node, starting a fresh one (anchored at
+ * Foundry's own position) when the node is new.
+ */
+function ensureState(sound) {
+  const node = sound.sourceNode;
+  let state = states.get(sound);
+  if (!state || state.node !== node) {
+    const position = baseCurrentTime?.call(sound);
+    const rate = Number(node.playbackRate?.value) || 1;
+    state = {
+      node,
+      anchorContextTime: sound.context.currentTime,
+      anchorPosition: Number.isFinite(position) ? position : 0,
+      region: null,
+      original: { loop: node.loop, loopStart: node.loopStart, loopEnd: node.loopEnd },
+      rate: { from: rate, to: rate, end: 0 },
+    };
+    states.set(sound, state);
+    installClock(sound);
+  }
+  return state;
+}
+
+/**
+ * Re-anchors the position clock at the current moment. Call before changing the region or
+ * the rate so time already played keeps its old mapping.
+ */
+function anchor(sound, state) {
+  const position = getPosition(sound);
+  const now = sound.context.currentTime;
+  state.rate = { from: rateAt(state, now), to: state.rate.to, end: Math.max(now, state.rate.end) };
+  state.anchorContextTime = now;
+  state.anchorPosition = Number.isFinite(position) ? position : 0;
+}
+
+/**
+ * Loops a region of a playing, buffer-backed Sound on the audio thread.
+ * @param {Sound} sound The playing Sound.
+ * @param {number} startSec Loop start in seconds.
+ * @param {number} endSec Loop end in seconds.
+ * @returns {boolean} True if the region was applied; false if the Sound cannot loop gaplessly.
+ */
+export function setLoopRegion(sound, startSec, endSec) {
+  if (!supportsGaplessLoop(sound) || !(endSec > startSec)) return false;
+
+  const node = sound.sourceNode;
+  const state = ensureState(sound);
+  anchor(sound, state);
+  state.region = { start: startSec, end: endSec };
+  node.loopStart = startSec;
+  node.loopEnd = endSec;
+  node.loop = true;
+  debug(`[Gapless] Looping ${startSec.toFixed(3)}s-${endSec.toFixed(3)}s on the audio thread.`);
+  return true;
+}
+
+/**
+ * Lets a Sound play on past its loop region, restoring the node's own loop settings.
+ * @param {Sound} sound
+ */
+export function clearLoopRegion(sound) {
+  const state = sound ? states.get(sound) : null;
+  if (!state?.region) return;
+
+  if (sound.sourceNode === state.node) {
+    anchor(sound, state);
+    state.node.loop = state.original.loop;
+    state.node.loopStart = state.original.loopStart;
+    state.node.loopEnd = state.original.loopEnd;
+  }
+  state.region = null;
+  debug("[Gapless] Loop region released.");
+}
+
+/**
+ * Changes a buffer-backed Sound's playback speed (and pitch), ramping linearly.
+ * @param {Sound} sound The playing Sound.
+ * @param {number} rate Target rate; 1 is normal speed.
+ * @param {number} [rampSec=0] Ramp length in seconds.
+ * @returns {boolean} True if the rate was applied; false for streamed Sounds.
+ */
+export function setPlaybackRate(sound, rate, rampSec = 0) {
+  if (!supportsGaplessLoop(sound) || !(rate > 0)) return false;
+  const current = states.get(sound);
+  if (rate === 1 && (!current || current.node !== sound.sourceNode)) return true;
+
+  const state = ensureState(sound);
+  anchor(sound, state);
+  const now = state.anchorContextTime;
+  const from = state.rate.from;
+  const param = state.node.playbackRate;
+  param.cancelScheduledValues(now);
+  param.setValueAtTime(from, now);
+  if (rampSec > 0) param.linearRampToValueAtTime(rate, now + rampSec);
+  else param.setValueAtTime(rate, now);
+  state.rate = { from, to: rate, end: now + Math.max(0, rampSec) };
+  return true;
+}
+
+/**
+ * Gets the region a Sound is currently looping, if any.
+ * @param {Sound} sound
+ * @returns {{start: number, end: number}|null}
+ */
+export function getLoopRegion(sound) {
+  const state = sound ? states.get(sound) : null;
+  if (!state?.region || sound.sourceNode !== state.node) return null;
+  return { ...state.region };
+}
@@ -0,0 +1,161 @@
+// interlude.js
+/**
+ * @file interlude.js
+ * @description Quiet fill for silence gaps, so a gap does not sound like the audio broke. A
+ * playlist can name an interlude source: another playlist (a soundscape playlist lends its bed
+ * tracks) or a set of room-tone files. Each client plays the interlude itself while the
+ * playlist's gap clock (see playback-clock.js) is up, fading it in and then out so it is gone
+ * when the next track starts to fade in. The GM clears the gap clock when the gap completes,
+ * is skipped or the playlist stops, which ends the interlude on every client.
+ */
+import { MODULE_ID, debug, warn, safeStop } from "./utils.js";
+import { advancedFade, fadeOutAndStop } from "./audio-fader.js";
+import { Flags } from "./flag-service.js";
+import { PlaybackClock } from "./playback-clock.js";
+
+const AudioTimeout = foundry.audio.AudioTimeout;
+
+const MIN_INTERLUDE_MS = 1000; // gaps with less left than this stay silent
+const STOP_FADE_MS = 500;      // fade when a gap is cut short
+
+/** @type {Map<string, object>} Running interludes, by the id of the playlist in the gap. */
+const activeInterludes = new Map();
+
+/**
+ * The files an interlude plays: every bed track of a soundscape source, one random track of
+ * any other playlist, or one random room-tone file.
+ * @param {Playlist} playlist The playlist in the gap.
+ * @param {object} config Its interlude config.
+ * @returns {{path: string, volume: number}[]}
+ */
+function getInterludeTracks(playlist, config) {
+  const pickOne = (list) => list.length ? [list[Math.floor(Math.random() * list.length)]] : [];
+
+  if (config.source === "sounds") {
+    return pickOne(config.sounds).map((path) => ({ path, volume: 1 }));
+  }
+  if (config.source !== "playlist") return [];
+
+  const source = game.playlists.get(config.playlistId);
+  if (!source || source === playlist) return [];
+
+  const tracks = source.sounds.filter((ps) => ps.path && !Flags.getSoundFlag(ps, "isProcedural"));
+  const beds = Flags.getPlaybackMode(source).soundscape ? tracks.filter((ps) => ps.repeat) : [];
+  return (beds.length ? beds : pickOne(tracks)).map((ps) => ({ path: ps.path, volume: ps.volume }));
+}
+
+/**
+ * Loads one interlude file and fades it in, looping until the interlude ends.
+ * @param {object} interlude
+ * @param {{path: string, volume: number}} track
+ * @param {AudioContext} context
+ */
+async function playInterludeTrack(interlude, track, context) {
+  let sound;
+  try {
+    sound = new foundry.audio.Sound(track.path, { context });
+    await sound.load();
+    if (interlude.stopped) return safeStop(sound, "interlude stale load");
+
+    await sound.play({ loop: true, volume: 0, _sosProceduralOneShot: true });
+    if (interlude.stopped) return safeStop(sound, "interlude stale play");
+  } catch (err) {
+    warn(`[Interlude] Failed to play "${track.path}":`, err?.message ?? err);
+    safeStop(sound, "interlude play failed");
+    return;
+  }
+
+  interlude.sounds.add(sound);
+  advancedFade(sound, { targetVol: track.volume * interlude.volume, duration: interlude.fadeMs });
+}
+
+/**
+ * Starts the interlude for a playlist's gap, if the playlist has one and there is time for it.
+ * @param {Playlist} playlist
+ * @param {object} clock The playlist's gap clock.
+ */
+async function startInterlude(playlist, clock) {
+  const config = Flags.getInterludeConfig(playlist);
+  if (config.source === "none" || !(config.volume > 0)) return;
+  if (game.audio?.locked === true) return;
+
+  const expectedEndAt = Number(clock.expectedEndAt);
+  const remainingMs = expectedEndAt - Date.now();
+  if (!(remainingMs >= MIN_INTERLUDE_MS)) return;
+
+  const tracks = getInterludeTracks(playlist, config);
+  if (!tracks.length) return;
+
+  const interlude = {
+    clockSeq: clock.clockSeq,
+    sounds: new Set(),
+    timer: null,
+    stopped: false,
+    volume: config.volume,
+    // Fade in and out within the gap, whatever is left of it.
+    fadeMs: Math.min(config.fadeMs, remainingMs / 2),
+  };
+  activeInterludes.set(playlist.id, interlude);
+  debug(`[Interlude] Filling ${Math.round(remainingMs)}ms gap in "${playlist.name}" with ${tracks.length} track(s).`);
+
+  // The fade-out is timed from the shared clock, so it ends as the next track starts.
+  interlude.timer = new AudioTimeout(Math.max(0, expectedEndAt - interlude.fadeMs - Date.now()));
+  interlude.timer.complete.then(() => {
+    if (activeInterludes.get(playlist.id) !== interlude) return;
+    stopInterlude(playlist, { fadeMs: Math.max(0, expectedEndAt - Date.now()) });
+  }).catch(() => { });
+
+  const context = game.audio?.[playlist.channel] ?? game.audio?.music;
+  await Promise.all(tracks.map((track) => playInterludeTrack(interlude, track, context)));
+}
+
+/**
+ * Fades out and stops a playlist's interlude, if one is playing on this client.
+ * @param {Playlist} playlist
+ * @param {object} [options]
+ * @param {number} [options.fadeMs] Fade-out length; short by default, for a gap cut short.
+ * @returns {boolean} True if an interlude was playing.
+ */
+export function stopInterlude(playlist, { fadeMs = STOP_FADE_MS } = {}) {
+  const interlude = activeInterludes.get(playlist?.id);
+  if (!interlude) return false;
+  activeInterludes.delete(playlist.id);
+
+  interlude.stopped = true;
+  try {
+    interlude.timer?.cancel();
+  } catch (_) { }
+  for (const sound of interlude.sounds) {
+    fadeOutAndStop(sound, fadeMs);
+  }
+  debug(`[Interlude] Stopped interlude for "${playlist.name}".`);
+  return true;
+}
+
+/**
+ * Brings a playlist's interlude in line with its gap clock: starts one for a new gap and stops
+ * one whose gap has ended or been replaced.
+ * @param {Playlist} playlist
+ */
+export function syncInterlude(playlist) {
+  const gap = playlist.playing ? PlaybackClock.getGap(playlist) : null;
+  const interlude = activeInterludes.get(playlist.id);
+  if (interlude && interlude.clockSeq === gap?.clockSeq) return;
+
+  if (interlude) stopInterlude(playlist);
+  if (gap) startInterlude(playlist, gap);
+}
+
+export function registerInterludeHooks() {
+  Hooks.on("updatePlaylist", (playlist, changes) => {
+    if (!("playing" in changes) && !changes.flags?.[MODULE_ID]) return;
+    syncInterlude(playlist);
+  });
+
+  Hooks.on("deletePlaylist", (playlist) => {
+    stopInterlude(playlist, { fadeMs: 0 });
+  });
+
+  // Clients that join mid-gap pick the interlude up from the clock.
+  for (const playlist of game.playlists) syncInterlude(playlist);
+}
@@ -4,7 +4,7 @@
  * public API for creating, canceling, pausing, and resuming per-track internal loops.
  * 
  */
-import { MODULE_ID, debug, getNextSequence, shouldProcessAction } from "./utils.js";
+import { MODULE_ID, debug, error, getNextSequence, shouldProcessAction } from "./utils.js";
 import { LoopingSound } from "./looping-sound.js";
 import { scheduleEndOfTrackFade } from "./audio-fader.js";
 import { cancelCrossfade, scheduleCrossfade } from "./cross-fade.js";
@@ -80,7 +80,7 @@ export function scheduleLoopWithin(ps) {
 
   debug(`[Manager] Scheduling a new LoopingSound for "${ps.name}".`);
   // This next line is important. We pass the already-validated `cfg` object.
-  const looper = new LoopingSound(ps, cfg);
+  const looper = createLooper(ps, cfg);
   State.setActiveLooper(ps, looper);  //  Use State manager
 
   // Start the looper with a small delay to avoid race conditions with Foundry's audio system.
@@ -94,6 +94,57 @@ export function scheduleLoopWithin(ps) {
   return true;
 }
 
+/**
+ * Builds a LoopingSound with the manager's callbacks wired in.
+ * @param {PlaylistSound} ps
+ * @param {object} cfg Validated loop config.
+ * @returns {LoopingSound}
+ */
+function createLooper(ps, cfg) {
+  const looper = new LoopingSound(ps, cfg);
+  looper.onCrossTrackJump = (targetPs, sound, segmentIndex) => adoptCrossTrackJump(ps, targetPs, sound, segmentIndex);
+  if (game.user.isGM) {
+    looper.onBranchPlanned = (fromIndex, targetIndex, targetSoundId) => replicateSegmentBranch(ps, fromIndex, targetIndex, targetSoundId);
+    looper.onTimeLimitPlanned = (fromIndex, limitSec) => replicateSegmentTimeLimit(ps, fromIndex, limitSec);
+  }
+  return looper;
+}
+
+/**
+ * Finishes a cross-track follow-up: the source looper has crossfaded into `sound`, which now
+ * plays for `targetPs`. The source looper is dropped and a new looper for the target takes the
+ * sound over at the chosen segment. The GM then moves the playing state to the target, which
+ * Foundry's sync leaves alone because the sound is already running.
+ * @param {PlaylistSound} sourcePs The sound the jump came from.
+ * @param {PlaylistSound} targetPs The sound now playing.
+ * @param {Sound} sound The target's playing Sound.
+ * @param {number} segmentIndex The target segment to loop first.
+ */
+async function adoptCrossTrackJump(sourcePs, targetPs, sound, segmentIndex) {
+  cancelLoopWithin(sourcePs, { quiet: true, preservePlayback: false });
+  cancelLoopWithin(targetPs, { quiet: true, preservePlayback: false });
+
+  const cfg = Flags.getLoopConfig(targetPs);
+  cancelStandardTransitionScheduling(targetPs);
+  PlaybackClock.clear(targetPs.parent, "internal loop active").catch((err) =>
+    debug(`[Clock] Failed to clear internal-loop clock for "${targetPs.name}":`, err?.message ?? err)
+  );
+
+  debug(`[Manager] "${targetPs.name}" takes over from "${sourcePs.name}" at segment ${segmentIndex}.`);
+  const looper = createLooper(targetPs, cfg);
+  State.setActiveLooper(targetPs, looper);
+  looper.adopt(sound, segmentIndex);
+
+  if (!game.user.isGM) return;
+  try {
+    await targetPs.update({ playing: true, pausedTime: null }, { render: false });
+    // Omit render: false so every client's playlist UI moves to the new track.
+    await sourcePs.update({ playing: false, pausedTime: null });
+  } catch (err) {
+    error(`[Manager] Failed to move playback from "${sourcePs.name}" to "${targetPs.name}":`, err);
+  }
+}
+
 /**
  * Finds and destroys the active LoopingSound instance for a given PlaylistSound.
  * @param {PlaylistSound} ps The PlaylistSound document whose loop should be cancelled.
@@ -129,8 +180,10 @@ export function cancelLoopWithin(ps, {
  * Handles the "break loop" command for a sound. GM executes locally and
  * uses flag-based replication to sync across all other clients.
  * @param {PlaylistSound} ps The PlaylistSound to break the loop for.
+ * @param {object} [options]
+ * @param {string} [options.quantize] "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting.
  */
-export async function breakLoopWithin(ps) {
+export async function breakLoopWithin(ps, { quantize } = {}) {
   // Only GM should initiate this action
   if (!game.user.isGM) return;
 
@@ -142,11 +195,12 @@ export async function breakLoopWithin(ps) {
 
   // 1. Execute locally on GM first
   debug(`[Manager] Executing local loop break for "${ps.name}".`);
-  looper.breakLoop();
+  looper.breakLoop({ quantize });
 
   // 2. Then set flag to replicate to other clients
   debug(`[Manager] Replicating loop break for "${ps.name}" to other clients.`);
   await ps.setFlag(MODULE_ID, 'loopBreak', {
+    quantize: quantize ?? null,
     seq: getNextSequence(ps.id, "snd"),
     gmId: game.user.id
   });
@@ -156,8 +210,10 @@ export async function breakLoopWithin(ps) {
  * Directly executes a loop break on the local looper.
  * Called by the replication hook on non-GM clients.
  * @param {PlaylistSound} ps The PlaylistSound
+ * @param {object} [options]
+ * @param {string} [options.quantize] Grid unit the GM asked for
  */
-export function executeLoopBreak(ps) {
+export function executeLoopBreak(ps, { quantize } = {}) {
   const looper = State.getActiveLooper(ps);
   if (!looper || looper.isDestroyed) {
     debug(`[Manager] Cannot execute loop break for "${ps.name}" - no active looper.`);
@@ -165,15 +221,17 @@ export function executeLoopBreak(ps) {
   }
 
   debug(`[Manager] Executing replicated loop break for "${ps.name}".`);
-  looper.breakLoop();
+  looper.breakLoop({ quantize });
 }
 
 /**
  * Finds the active looper for a sound and tells it to skip to the next segment.
  * GM executes locally and uses flag-based replication for other clients.
  * @param {PlaylistSound} ps The PlaylistSound whose loop should advance.
+ * @param {object} [options]
+ * @param {string} [options.quantize] "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting.
  */
-export async function nextSegmentWithin(ps) {
+export async function nextSegmentWithin(ps, { quantize } = {}) {
   // Only GM should initiate this action
   if (!game.user.isGM) return;
 
@@ -199,12 +257,13 @@ export async function nextSegmentWithin(ps) {
 
   // 1. Execute locally on GM first
   debug(`[Manager] Executing local skip to segment ${nextIndex} for "${ps.name}".`);
-  looper.skipToSegmentByIndex(nextIndex);
+  looper.skipToSegmentByIndex(nextIndex, { quantize });
 
   // 2. Then set flag to replicate to other clients
   debug(`[Manager] Replicating segment skip to index ${nextIndex} for "${ps.name}".`);
   await ps.setFlag(MODULE_ID, 'segmentSkip', {
     targetIndex: nextIndex,
+    quantize: quantize ?? null,
     seq: getNextSequence(ps.id, "snd"),
     gmId: game.user.id
   });
@@ -214,8 +273,10 @@ export async function nextSegmentWithin(ps) {
  * Finds the active looper for a sound and tells it to skip to the previous segment.
  * GM executes locally and uses flag-based replication for other clients.
  * @param {PlaylistSound} ps The PlaylistSound whose loop should go back.
+ * @param {object} [options]
+ * @param {string} [options.quantize] "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting.
  */
-export async function previousSegmentWithin(ps) {
+export async function previousSegmentWithin(ps, { quantize } = {}) {
   // Only GM should initiate this action
   if (!game.user.isGM) return;
 
@@ -241,12 +302,13 @@ export async function previousSegmentWithin(ps) {
 
   // 1. Execute locally on GM first
   debug(`[Manager] Executing local skip to segment ${prevIndex} for "${ps.name}".`);
-  looper.skipToSegmentByIndex(prevIndex);
+  looper.skipToSegmentByIndex(prevIndex, { quantize });
 
   // 2. Then set flag to replicate to other clients
   debug(`[Manager] Replicating segment skip to index ${prevIndex} for "${ps.name}".`);
   await ps.setFlag(MODULE_ID, 'segmentSkip', {
     targetIndex: prevIndex,
+    quantize: quantize ?? null,
     seq: getNextSequence(ps.id, "snd"),
     gmId: game.user.id
   });
@@ -257,8 +319,10 @@ export async function previousSegmentWithin(ps) {
  * Called by the replication hook on non-GM clients.
  * @param {PlaylistSound} ps The PlaylistSound
  * @param {number} targetIndex The segment index to skip to
+ * @param {object} [options]
+ * @param {string} [options.quantize] Grid unit the GM asked for
  */
-export function executeSegmentSkip(ps, targetIndex) {
+export function executeSegmentSkip(ps, targetIndex, { quantize } = {}) {
   const looper = State.getActiveLooper(ps);
   if (!looper || looper.isDestroyed) {
     debug(`[Manager] Cannot execute skip to segment ${targetIndex} for "${ps.name}" - no active looper.`);
@@ -273,10 +337,102 @@ export function executeSegmentSkip(ps, targetIndex) {
   }
 
   debug(`[Manager] Executing replicated skip to segment ${targetIndex} for "${ps.name}".`);
-  looper.skipToSegmentByIndex(targetIndex);
+  looper.skipToSegmentByIndex(targetIndex, { quantize });
   return true;
 }
 
+/**
+ * Replicates the GM's branch roll for a segment so players take the same follow-up.
+ * @param {PlaylistSound} ps The PlaylistSound
+ * @param {number} fromIndex The branching segment index
+ * @param {number} targetIndex The follow-up segment index the GM picked
+ * @param {string|null} [targetSoundId] The sound the follow-up segment belongs to, if not this one
+ */
+async function replicateSegmentBranch(ps, fromIndex, targetIndex, targetSoundId = null) {
+  debug(`[Manager] Replicating branch ${fromIndex} -> ${targetIndex} for "${ps.name}".`);
+  try {
+    await ps.setFlag(MODULE_ID, 'segmentBranch', {
+      fromIndex,
+      targetIndex,
+      targetSoundId: targetSoundId ?? null,
+      seq: getNextSequence(ps.id, "snd"),
+      gmId: game.user.id
+    });
+  } catch (err) {
+    debug(`[Manager] Failed to replicate branch for "${ps.name}":`, err?.message ?? err);
+  }
+}
+
+/**
+ * Hands a replicated branch roll to the local looper.
+ * Called by the replication hook on non-GM clients.
+ * @param {PlaylistSound} ps The PlaylistSound
+ * @param {number} fromIndex The branching segment index
+ * @param {number} targetIndex The follow-up segment index
+ * @param {string|null} [targetSoundId] The sound the follow-up segment belongs to, if not this one
+ */
+export function executeSegmentBranch(ps, fromIndex, targetIndex, targetSoundId = null) {
+  const looper = State.getActiveLooper(ps);
+  if (!looper || looper.isDestroyed) {
+    debug(`[Manager] Cannot apply branch plan for "${ps.name}" - no active looper.`);
+    return;
+  }
+
+  debug(`[Manager] Applying replicated branch ${fromIndex} -> ${targetIndex} for "${ps.name}".`);
+  looper.setPlannedBranch(fromIndex, targetIndex, targetSoundId);
+}
+
+/**
+ * Replicates the GM's roll of a segment's randomized time limit so players retire it on the same pass.
+ * @param {PlaylistSound} ps The PlaylistSound
+ * @param {number} fromIndex The segment index
+ * @param {number} limitSec The time limit the GM rolled, in seconds
+ */
+async function replicateSegmentTimeLimit(ps, fromIndex, limitSec) {
+  debug(`[Manager] Replicating time limit ${limitSec.toFixed(1)}s for segment ${fromIndex} of "${ps.name}".`);
+  try {
+    await ps.setFlag(MODULE_ID, 'segmentTimeLimit', {
+      fromIndex,
+      limitSec,
+      seq: getNextSequence(ps.id, "snd"),
+      gmId: game.user.id
+    });
+  } catch (err) {
+    debug(`[Manager] Failed to replicate time limit for "${ps.name}":`, err?.message ?? err);
+  }
+}
+
+/**
+ * Hands a replicated time-limit roll to the local looper.
+ * Called by the replication hook on non-GM clients.
+ * @param {PlaylistSound} ps The PlaylistSound
+ * @param {number} fromIndex The segment index
+ * @param {number} limitSec The time limit in seconds
+ */
+export function executeSegmentTimeLimit(ps, fromIndex, limitSec) {
+  const looper = State.getActiveLooper(ps);
+  if (!looper || looper.isDestroyed) {
+    debug(`[Manager] Cannot apply time limit for "${ps.name}" - no active looper.`);
+    return;
+  }
+
+  debug(`[Manager] Applying replicated time limit ${limitSec.toFixed(1)}s for segment ${fromIndex} of "${ps.name}".`);
+  looper.setPlannedTimeLimit(fromIndex, limitSec);
+}
+
+/**
+ * Hands edited segment levels and speeds to the local looper. Called from the loopWithin
+ * flag update on every client, so a GM's change made while the loop plays is heard by all.
+ * @param {PlaylistSound} ps The PlaylistSound
+ */
+export function refreshLoopEnvelopes(ps) {
+  const looper = State.getActiveLooper(ps);
+  if (!looper || looper.isDestroyed) return;
+
+  debug(`[Manager] Refreshing segment envelopes for "${ps.name}".`);
+  looper.refreshSegmentEnvelopes(Flags.getLoopConfig(ps));
+}
+
 /**
  * Disables all looping for a sound and lets it play through naturally.
  * GM executes locally and uses flag-based replication for other clients.
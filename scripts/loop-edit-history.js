@@ -0,0 +1,78 @@
+// loop-edit-history.js
+/**
+ * @file loop-edit-history.js
+ * @description Undo/redo for the loop segment editor. Holds whole-editor snapshots (plain
+ * segment data read from the form), so any edit — add, remove, drag, typed field — is undone
+ * the same way: by rebuilding the segment list from the previous snapshot.
+ */
+
+const MAX_HISTORY = 100;
+const COALESCE_MS = 600; // repeated nudges/wheel steps within this window are one undo step
+
+export class LoopEditHistory {
+    constructor() {
+        /** @type {object[][]} */
+        this.past = [];
+        /** @type {object[][]} */
+        this.future = [];
+        /** @type {object[][]|null} */
+        this.present = null;
+        this.lastKey = null;
+        this.lastRecordedAt = 0;
+    }
+
+    get canUndo() {
+        return this.past.length > 0;
+    }
+
+    get canRedo() {
+        return this.future.length > 0;
+    }
+
+    /**
+     * Records the editor state after an edit. Identical states are ignored.
+     * @param {object[]} snapshot Segment data as read from the form.
+     * @param {object} [options]
+     * @param {string} [options.coalesce] Edits sharing this key in quick succession merge into one step.
+     * @returns {boolean} True if a new undo step was added.
+     */
+    record(snapshot, { coalesce } = {}) {
+        const now = performance.now();
+        if (this.present && JSON.stringify(this.present) === JSON.stringify(snapshot)) return false;
+
+        const merge = coalesce && coalesce === this.lastKey && now - this.lastRecordedAt < COALESCE_MS && this.past.length;
+        if (this.present && !merge) {
+            this.past.push(this.present);
+            if (this.past.length > MAX_HISTORY) this.past.shift();
+        }
+        this.present = snapshot;
+        this.future = [];
+        this.lastKey = coalesce ?? null;
+        this.lastRecordedAt = now;
+        return !merge;
+    }
+
+    /**
+     * Steps back one edit.
+     * @returns {object[]|null} The snapshot to restore, or null when there is nothing to undo.
+     */
+    undo() {
+        if (!this.canUndo) return null;
+        this.future.push(this.present);
+        this.present = this.past.pop();
+        this.lastKey = null;
+        return this.present;
+    }
+
+    /**
+     * Re-applies the last undone edit.
+     * @returns {object[]|null} The snapshot to restore, or null when there is nothing to redo.
+     */
+    redo() {
+        if (!this.canRedo) return null;
+        this.past.push(this.present);
+        this.present = this.future.pop();
+        this.lastKey = null;
+        return this.present;
+    }
+}
@@ -0,0 +1,328 @@
+// loop-metadata.js
+/**
+ * @file loop-metadata.js
+ * @description Reads loop points embedded in audio files: WAV `smpl` chunks and the
+ * `LOOPSTART`/`LOOPLENGTH`/`LOOPEND` comments used by game music in OGG (Vorbis or Opus).
+ * Only the bytes needed are fetched where the server honours Range requests.
+ */
+import { MODULE_ID, debug, warn, formatTime, PlaylistActionAuthority } from "./utils.js";
+import { Flags } from "./flag-service.js";
+
+const WAV_EXTENSIONS = new Set(["wav", "wave"]);
+const OGG_EXTENSIONS = new Set(["ogg", "oga", "opus"]);
+const MAX_WAV_CHUNKS = 64;
+const OGG_INITIAL_READ = 64 * 1024;
+const OGG_MAX_HEADER_BYTES = 4 * 1024 * 1024; // comment headers can carry embedded cover art
+const OGG_TAIL_READ = 64 * 1024;
+const OPUS_SAMPLE_RATE = 48000; // Opus granule positions and loop tags are always 48kHz
+
+/**
+ * @typedef {object} EmbeddedLoop
+ * @property {number} startSec Loop start in seconds.
+ * @property {number} endSec Loop end in seconds (exclusive).
+ */
+
+/**
+ * Reads byte ranges of a file, falling back to holding the whole file when the server
+ * answers a Range request with the full body.
+ */
+class RangeReader {
+    constructor(path) {
+        this.path = path;
+        this.whole = null;
+        this.size = null;
+    }
+
+    /**
+     * @param {number} offset
+     * @param {number} length
+     * @returns {Promise<Uint8Array>} Up to `length` bytes; shorter at the end of the file.
+     */
+    async read(offset, length) {
+        if (this.whole) return this.whole.subarray(offset, offset + length);
+
+        const response = await fetch(this.path, { headers: { Range: `bytes=${offset}-${offset + length - 1}` } });
+        if (response.status === 416) return new Uint8Array(0);
+        if (!response.ok) throw new Error(`HTTP ${response.status} while reading "${this.path}".`);
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (response.status === 206) {
+            const total = Number(response.headers.get("Content-Range")?.split("/")[1]);
+            if (Number.isFinite(total)) this.size = total;
+            return bytes;
+        }
+
+        // The server ignored the range; keep the full body for later reads.
+        this.whole = bytes;
+        this.size = bytes.length;
+        return bytes.subarray(offset, offset + length);
+    }
+}
+
+function ascii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function view(bytes) {
+    return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function getExtension(path) {
+    return String(path ?? "").split(/[?#]/)[0].split(".").pop().toLowerCase();
+}
+
+/**
+ * Walks the RIFF chunks of a WAV file for the sample rate and `smpl` loops.
+ * @param {RangeReader} reader
+ * @returns {Promise<EmbeddedLoop[]>}
+ */
+async function readWavLoops(reader) {
+    const header = await reader.read(0, 12);
+    if (header.length < 12 || ascii(header, 0, 4) !== "RIFF" || ascii(header, 8, 4) !== "WAVE") return [];
+
+    let sampleRate = 0;
+    let sampleLoops = [];
+    let offset = 12;
+    for (let i = 0; i < MAX_WAV_CHUNKS; i++) {
+        const chunkHeader = await reader.read(offset, 8);
+        if (chunkHeader.length < 8) break;
+        const id = ascii(chunkHeader, 0, 4);
+        const size = view(chunkHeader).getUint32(4, true);
+
+        if (id === "fmt ") {
+            const fmt = await reader.read(offset + 8, 16);
+            if (fmt.length >= 8) sampleRate = view(fmt).getUint32(4, true);
+        } else if (id === "smpl") {
+            const smpl = view(await reader.read(offset + 8, size));
+            const count = smpl.byteLength >= 36 ? smpl.getUint32(28, true) : 0;
+            for (let n = 0; n < count && 36 + (n + 1) * 24 <= smpl.byteLength; n++) {
+                const base = 36 + n * 24;
+                // The smpl end sample is inclusive.
+                sampleLoops.push({ start: smpl.getUint32(base + 8, true), end: smpl.getUint32(base + 12, true) + 1 });
+            }
+        }
+
+        if (sampleRate && sampleLoops.length) break;
+        offset += 8 + size + (size & 1); // chunks are word-aligned
+    }
+
+    if (!sampleRate) return [];
+    return sampleLoops
+        .filter(loop => loop.end > loop.start)
+        .map(loop => ({ startSec: loop.start / sampleRate, endSec: loop.end / sampleRate }));
+}
+
+/**
+ * Reassembles the first packets of the first logical stream in an Ogg file.
+ * @param {Uint8Array} bytes The start of the file.
+ * @param {number} wanted How many packets to collect.
+ * @returns {Uint8Array[]|null} The packets, or null if `bytes` ends before they are complete.
+ */
+function readOggPackets(bytes, wanted) {
+    const packets = [];
+    let pending = [];
+    let serial = null;
+    let offset = 0;
+
+    while (offset + 27 <= bytes.length && packets.length < wanted) {
+        if (ascii(bytes, offset, 4) !== "OggS") return [];
+        const pageSerial = view(bytes).getUint32(offset + 14, true);
+        const segmentCount = bytes[offset + 26];
+        const tableEnd = offset + 27 + segmentCount;
+        if (tableEnd > bytes.length) return null;
+
+        let bodyOffset = tableEnd;
+        serial ??= pageSerial;
+        for (let s = 0; s < segmentCount; s++) {
+            const lacing = bytes[offset + 27 + s];
+            if (bodyOffset + lacing > bytes.length) return null;
+            if (pageSerial === serial) {
+                pending.push(bytes.subarray(bodyOffset, bodyOffset + lacing));
+                // A lacing value under 255 ends the packet.
+                if (lacing < 255) {
+                    const length = pending.reduce((sum, part) => sum + part.length, 0);
+                    const packet = new Uint8Array(length);
+                    let at = 0;
+                    for (const part of pending) {
+                        packet.set(part, at);
+                        at += part.length;
+                    }
+                    packets.push(packet);
+                    pending = [];
+                    if (packets.length >= wanted) break;
+                }
+            }
+            bodyOffset += lacing;
+        }
+        offset = bodyOffset;
+    }
+    return packets.length >= wanted ? packets : null;
+}
+
+/**
+ * Parses a Vorbis comment list into an upper-cased key map.
+ * @param {Uint8Array} packet
+ * @param {number} offset Where the vendor string length starts.
+ * @returns {Map<string, string>}
+ */
+function parseVorbisComments(packet, offset) {
+    const comments = new Map();
+    const data = view(packet);
+    const decoder = new TextDecoder();
+    if (offset + 4 > packet.length) return comments;
+
+    offset += 4 + data.getUint32(offset, true);
+    if (offset + 4 > packet.length) return comments;
+    const count = data.getUint32(offset, true);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= packet.length; i++) {
+        const length = data.getUint32(offset, true);
+        offset += 4;
+        const entry = decoder.decode(packet.subarray(offset, offset + length));
+        offset += length;
+        const separator = entry.indexOf("=");
+        if (separator > 0) comments.set(entry.slice(0, separator).toUpperCase(), entry.slice(separator + 1).trim());
+    }
+    return comments;
+}
+
+/**
+ * Reads the total sample count from the granule position of the last Ogg page.
+ * @param {RangeReader} reader
+ * @returns {Promise<number|null>}
+ */
+async function readOggTotalSamples(reader) {
+    if (!reader.size) return null;
+    const from = Math.max(0, reader.size - OGG_TAIL_READ);
+    const tail = await reader.read(from, reader.size - from);
+    for (let i = tail.length - 27; i >= 0; i--) {
+        if (tail[i] !== 0x4f || ascii(tail, i, 4) !== "OggS") continue;
+        const granule = Number(view(tail).getBigInt64(i + 6, true));
+        if (granule > 0) return granule;
+    }
+    return null;
+}
+
+/**
+ * Reads LOOPSTART/LOOPLENGTH/LOOPEND from an Ogg Vorbis or Opus file.
+ * @param {RangeReader} reader
+ * @returns {Promise<EmbeddedLoop[]>}
+ */
+async function readOggLoops(reader) {
+    let packets = null;
+    for (let length = OGG_INITIAL_READ; length <= OGG_MAX_HEADER_BYTES; length *= 4) {
+        const bytes = await reader.read(0, length);
+        packets = readOggPackets(bytes, 2);
+        if (packets !== null || bytes.length < length) break;
+    }
+    if (!packets || packets.length < 2) return [];
+
+    const [identification, commentPacket] = packets;
+    let sampleRate;
+    let comments;
+    let preSkip = 0;
+    if (ascii(identification, 0, 7) === "\x01vorbis" && ascii(commentPacket, 0, 7) === "\x03vorbis") {
+        sampleRate = view(identification).getUint32(12, true);
+        comments = parseVorbisComments(commentPacket, 7);
+    } else if (ascii(identification, 0, 8) === "OpusHead" && ascii(commentPacket, 0, 8) === "OpusTags") {
+        sampleRate = OPUS_SAMPLE_RATE;
+        preSkip = view(identification).getUint16(10, true);
+        comments = parseVorbisComments(commentPacket, 8);
+    } else {
+        return [];
+    }
+
+    const readTag = (key) => {
+        const value = Number.parseInt(comments.get(key), 10);
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    };
+    const start = readTag("LOOPSTART");
+    if (start === null || !sampleRate) return [];
+
+    let end = readTag("LOOPEND");
+    const length = readTag("LOOPLENGTH");
+    if (end === null && length) end = start + length;
+    // A start with no end loops to the end of the file.
+    if (end === null) {
+        const total = await readOggTotalSamples(reader);
+        if (total !== null) end = total - preSkip;
+    }
+    if (end === null || end <= start) return [];
+
+    return [{ startSec: start / sampleRate, endSec: end / sampleRate }];
+}
+
+/**
+ * Reads the loop points embedded in an audio file.
+ * @param {string} path The audio file path or URL.
+ * @returns {Promise<EmbeddedLoop[]>} Loops in file order; empty for unsupported formats or files without loop data.
+ */
+export async function readEmbeddedLoopPoints(path) {
+    const extension = getExtension(path);
+    const reader = new RangeReader(path);
+    if (WAV_EXTENSIONS.has(extension)) return readWavLoops(reader);
+    if (OGG_EXTENSIONS.has(extension)) return readOggLoops(reader);
+    return [];
+}
+
+/**
+ * Whether a file's format can carry loop metadata this module reads.
+ * @param {string} path
+ * @returns {boolean}
+ */
+export function canHaveEmbeddedLoops(path) {
+    const extension = getExtension(path);
+    return WAV_EXTENSIONS.has(extension) || OGG_EXTENSIONS.has(extension);
+}
+
+/**
+ * Converts embedded loops into loop segment data. Embedded loop points are meant for
+ * gapless looping, so the segments get no crossfade and keep their sample-exact times
+ * next to the millisecond display times.
+ * @param {EmbeddedLoop[]} loops
+ * @returns {{start: string, end: string, startExactSec: number, endExactSec: number, crossfadeMs: number, loopCount: number}[]}
+ */
+export function toLoopSegments(loops) {
+    return [...loops]
+        .sort((a, b) => a.startSec - b.startSec)
+        .map(loop => ({
+            start: formatTime(loop.startSec, true),
+            end: formatTime(loop.endSec, true),
+            startExactSec: loop.startSec,
+            endExactSec: loop.endSec,
+            crossfadeMs: 0,
+            loopCount: 0,
+        }));
+}
+
+/**
+ * Reads a sound's embedded loop points and saves them as its loop segments.
+ * @param {PlaylistSound} sound The sound document.
+ * @returns {Promise<number>} How many segments were imported (0 if the file has no loop data).
+ */
+export async function importEmbeddedLoop(sound) {
+    const loops = await readEmbeddedLoopPoints(sound.path);
+    if (!loops.length) return 0;
+
+    await Flags.setLoopSegments(sound, toLoopSegments(loops));
+    debug(`[LoopMetadata] Imported ${loops.length} embedded loop(s) for "${sound.name}".`);
+    return loops.length;
+}
+
+export function registerLoopMetadataHooks() {
+    // New sounds pick up their embedded loops automatically, unless a loop was already configured.
+    Hooks.on("createPlaylistSound", async (sound, options, userId) => {
+        if (userId !== game.user.id || !PlaylistActionAuthority.isAuthorizedGM()) return;
+        if (!game.settings.get(MODULE_ID, "importEmbeddedLoops")) return;
+        if (!canHaveEmbeddedLoops(sound.path)) return;
+        if (Flags.getSoundFlag(sound, "isProcedural")) return;
+        if (Flags.getLoopConfig(sound).segments.some(segment => segment.endSec > 0)) return;
+
+        try {
+            await importEmbeddedLoop(sound);
+        } catch (err) {
+            warn(`[LoopMetadata] Could not read loop metadata from "${sound.path}":`, err?.message ?? err);
+        }
+    });
+}
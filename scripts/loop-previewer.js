@@ -1,7 +1,31 @@
 // loop-previewer.js
 
 import { debug, toSec, formatTime, MODULE_ID, SEGMENT_COLORS, error } from "./utils.js";
+import { Flags } from "./flag-service.js";
 import { equalPowerCrossfade } from "./audio-fader.js";
+import { getWaveformPeaks, getDecodedAudio, releaseDecodedAudio } from "./waveform-cache.js";
+import { findNearestZeroCrossing, findNearestTime, getTransients, suggestLoopPoints } from "./audio-analysis.js";
+import { hasTempo, getGridStepSec, getNearestGridTime, formatBarsBeats, parseBarsBeats } from "./tempo-grid.js";
+
+const SNAP_ZERO_WINDOW_SEC = 0.01;     // search +/- this far for a quiet point
+const SNAP_TRANSIENT_RADIUS_PX = 12;   // transients within this many pixels pull the handle
+const SNAP_RESOLUTION_SEC = 0.001;     // grid for dragged and nudged times; snapped points keep their sample time
+const BAR_LINE_MIN_SPACING_PX = 4;     // skip drawing bar lines that would merge into a solid fill
+const ZOOM_STEP = 1.5;                 // view span factor per zoom button press
+const WHEEL_ZOOM_RATE = 0.004;         // span factor per wheel delta pixel; one mouse notch is about ZOOM_STEP
+const MIN_VIEW_SPAN_SEC = 0.25;        // the deepest zoom still shows this much audio
+const FOLLOW_LEAD = 0.1;               // a followed playhead re-enters the view this far from the left edge
+const SEGMENT_ZOOM_PADDING = 0.1;      // zoom to segment leaves this share of the segment either side
+const NUDGE_SEC = 0.01;                // arrow key nudge for the selected handle
+const NUDGE_COARSE_SEC = 0.1;          // Shift+arrow nudge
+
+function readSnapModeSetting() {
+    try {
+        return game.settings.get(MODULE_ID, "loopEditorSnapMode") || "off";
+    } catch (_) {
+        return "off";
+    }
+}
 
 export class LoopPreviewer {
     constructor(app, html, data) {
@@ -21,17 +45,37 @@ export class LoopPreviewer {
         this.activeDrag = null;
         this.hasValidationError = false;
         this.loopEnabled = false;
+        this.waveformPeaks = null;
+        this.waveformFrameId = null;
+        this.resizeObserver = null;
+        this.isDestroyed = false;
+        this.snapMode = readSnapModeSetting();
+        this.snapBuffer = null;
+        this.transients = null;
+        this.tempo = null;
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        this.followSuspended = false;  // the user scrolled away from the playhead while playing
+        this.scrollDrag = null;
+        this.selectedHandle = null;    // { index, type } of the handle the keyboard acts on
+        this.onSegmentsEdited = null;  // set by the sheet to record undo steps; receives a coalesce key
     }
 
     async init() {
         debug("[Previewer] Initializing...");
         if (!this._cacheDOM()) return;
         if (!(await this._loadAudioMetadata())) return;
+        this.viewEnd = this.duration;
 
+        this._readTempoFromInputs();
         this.rescanSegments();
+        this.rescanMarkers();
         this._attachGlobalListeners();
         this._updateVisuals();
+        this._updateScrollbar();
         this.$timer.text(`${formatTime(0, false)} / ${formatTime(this.duration, false)}`);
+        this._loadWaveform();
+        this._ensureSnapData();
     }
 
     _cacheDOM() {
@@ -47,6 +91,15 @@ export class LoopPreviewer {
         this.$progress = this.$container.find(".sos-loop-timeline-progress");
         this.$timer = this.$editor.find(".sos-loop-timer");
         this.$warningOverlay = this.$container.find(".sos-loop-timeline-warning-overlay");
+        this.$waveform = this.$container.find(".sos-loop-timeline-waveform");
+        this.$snapSelect = this.$editor.find(".sos-loop-snap-mode");
+        this.$tempoInputs = this.html.find(".sos-loop-tempo").find("input, select");
+        this.$snapIndicator = $('<div class="sos-loop-timeline-snap-indicator"></div>').appendTo(this.$container);
+        this.$scrollbar = this.$editor.find(".sos-loop-timeline-scrollbar");
+        this.$scrollThumb = this.$scrollbar.find(".sos-loop-timeline-scroll-thumb");
+        this.$zoomInBtn = this.$editor.find(".sos-loop-zoom-in");
+        this.$zoomOutBtn = this.$editor.find(".sos-loop-zoom-out");
+        this.$zoomFitBtn = this.$editor.find(".sos-loop-zoom-fit");
         this.$updateBtn = this.html.closest(".app").find('button[type="submit"]');
 
         // Add error message element
@@ -80,6 +133,263 @@ export class LoopPreviewer {
         return true;
     }
 
+    /**
+     * Decodes (or reuses cached) peaks for the track and draws them behind the timeline.
+     * Failure is silent: the timeline simply stays empty as before.
+     */
+    async _loadWaveform() {
+        if (!this.$waveform.length) return;
+        this.$container.addClass("waveform-loading");
+        const peaks = await getWaveformPeaks(this.data.document.path);
+        if (this.isDestroyed) return;
+        this.$container.removeClass("waveform-loading");
+        if (!peaks) return;
+
+        this.waveformPeaks = peaks;
+        this.$container.addClass("has-waveform");
+        this._drawWaveform();
+
+        // Redraw whenever the timeline changes size (sheet resize, UI scale or browser zoom).
+        if (typeof ResizeObserver !== "undefined") {
+            this.resizeObserver = new ResizeObserver(() => this._scheduleWaveformDraw());
+            this.resizeObserver.observe(this.$container[0]);
+        }
+    }
+
+    _scheduleWaveformDraw() {
+        if (this.waveformFrameId !== null) return;
+        this.waveformFrameId = requestAnimationFrame(() => {
+            this.waveformFrameId = null;
+            this._drawWaveform();
+        });
+    }
+
+    /**
+     * Renders one min/max column per device pixel for the visible time range. Zoomed in past
+     * the peak table's resolution, columns are read from the decoded samples when snapping
+     * has them loaded.
+     */
+    _drawWaveform() {
+        const canvas = this.$waveform[0];
+        const peaks = this.waveformPeaks;
+        if (!canvas || !peaks || this.isDestroyed) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const cssWidth = canvas.clientWidth;
+        const cssHeight = canvas.clientHeight;
+        if (!cssWidth || !cssHeight) return;
+
+        const width = Math.round(cssWidth * ratio);
+        const height = Math.round(cssHeight * ratio);
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+
+        const ctx = canvas.getContext("2d");
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = getComputedStyle(canvas).color;
+
+        const viewStart = this.viewStart;
+        const viewEnd = this.viewEnd || peaks.duration;
+        const bucketsPerSecond = peaks.bucketCount / peaks.duration;
+        const secondsPerPixel = (viewEnd - viewStart) / width;
+        const mid = height / 2;
+
+        if (this.snapBuffer && secondsPerPixel * bucketsPerSecond < 1) {
+            this._drawSampleColumns(ctx, viewStart, secondsPerPixel, width, mid);
+            this._drawBarLines(ctx, viewStart, viewEnd, width, height);
+            return;
+        }
+
+        for (let x = 0; x < width; x++) {
+            const fromBucket = Math.floor((viewStart + x * secondsPerPixel) * bucketsPerSecond);
+            const toBucket = Math.max(fromBucket + 1, Math.floor((viewStart + (x + 1) * secondsPerPixel) * bucketsPerSecond));
+            if (fromBucket >= peaks.bucketCount) break;
+
+            let lo = 0;
+            let hi = 0;
+            for (let b = fromBucket; b < Math.min(toBucket, peaks.bucketCount); b++) {
+                if (peaks.min[b] < lo) lo = peaks.min[b];
+                if (peaks.max[b] > hi) hi = peaks.max[b];
+            }
+
+            const top = mid - hi * mid;
+            const columnHeight = Math.max(1, (hi - lo) * mid);
+            ctx.fillRect(x, top, 1, columnHeight);
+        }
+
+        this._drawBarLines(ctx, viewStart, viewEnd, width, height);
+    }
+
+    _drawSampleColumns(ctx, viewStart, secondsPerPixel, width, mid) {
+        const buffer = this.snapBuffer;
+        const data = buffer.getChannelData(0);
+        const rate = buffer.sampleRate;
+
+        for (let x = 0; x < width; x++) {
+            const from = Math.floor((viewStart + x * secondsPerPixel) * rate);
+            const to = Math.max(from + 1, Math.floor((viewStart + (x + 1) * secondsPerPixel) * rate));
+            if (from >= data.length) break;
+
+            let lo = data[from];
+            let hi = data[from];
+            for (let i = from + 1; i < Math.min(to, data.length); i++) {
+                if (data[i] < lo) lo = data[i];
+                else if (data[i] > hi) hi = data[i];
+            }
+            ctx.fillRect(x, mid - hi * mid, 1, Math.max(1, (hi - lo) * mid));
+        }
+    }
+
+    /**
+     * Overlays faint bar lines on the waveform when the sound has a tempo.
+     */
+    _drawBarLines(ctx, viewStart, viewEnd, width, height) {
+        const barSec = getGridStepSec(this.tempo, "bar");
+        if (!barSec) return;
+
+        const pixelsPerSecond = width / (viewEnd - viewStart);
+        const ratio = window.devicePixelRatio || 1;
+        if (barSec * pixelsPerSecond < BAR_LINE_MIN_SPACING_PX * ratio) return;
+
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+        const firstBar = getNearestGridTime(viewStart, this.tempo, "bar");
+        for (let t = firstBar; t <= viewEnd; t += barSec) {
+            if (t < viewStart) continue;
+            ctx.fillRect(Math.round((t - viewStart) * pixelsPerSecond), 0, Math.max(1, Math.round(ratio)), height);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Reads the unsaved tempo fields so bars:beats and the beat grid follow edits live.
+     */
+    _readTempoFromInputs() {
+        const tempo = {};
+        this.$tempoInputs.each((_, el) => {
+            const key = el.name?.split(".").pop();
+            if (key) tempo[key] = el.value;
+        });
+        this.tempo = hasTempo(tempo) ? tempo : null;
+    }
+
+    _onTempoChange() {
+        this._readTempoFromInputs();
+        this.segments.forEach(seg => this._syncBarsBeats(seg));
+        this._scheduleWaveformDraw();
+    }
+
+    /**
+     * Shows each segment time as bars:beats beside its MM:SS.mmm field, or hides the
+     * bars:beats fields when there is no tempo. The field being typed in is left alone.
+     */
+    _syncBarsBeats(segment) {
+        const show = !!this.tempo;
+        segment.$form.find(".sos-bars-beats").toggle(show);
+        if (!show) return;
+
+        for (const [$input, timeSec] of [[segment.$startBeatsInput, segment.startSec], [segment.$endBeatsInput, segment.endSec]]) {
+            if (!$input?.length || $input[0] === document.activeElement) continue;
+            $input.val(formatBarsBeats(timeSec, this.tempo));
+        }
+    }
+
+    _onBarsBeatsChange(segment, event) {
+        const $input = $(event.currentTarget);
+        const $timeInput = $input.data("timeField") === "end" ? segment.$endInput : segment.$startInput;
+        const timeSec = parseBarsBeats($input.val(), this.tempo);
+
+        if (timeSec === null || timeSec > this.duration) {
+            ui.notifications?.warn(`"${$input.val()}" is not a valid bar:beat position in this track.`);
+            $input.val(formatBarsBeats(toSec($timeInput.val()), this.tempo));
+            return;
+        }
+
+        $timeInput.val(formatTime(Math.round(timeSec * 1000) / 1000, true)).trigger("input");
+        $input.val(formatBarsBeats(timeSec, this.tempo));
+    }
+
+    /**
+     * Loads the decoded buffer (and transient list) needed by the active snap mode.
+     * The buffer is only held while snapping is on.
+     */
+    async _ensureSnapData() {
+        const path = this.data.document.path;
+        if (this.snapMode === "off" || this.snapMode === "beat") {
+            this.snapBuffer = null;
+            releaseDecodedAudio(path);
+            return;
+        }
+
+        if (!this.snapBuffer) {
+            this.$snapSelect.addClass("loading");
+            const buffer = await getDecodedAudio(path);
+            if (this.isDestroyed) return;
+            this.$snapSelect.removeClass("loading");
+            if (!buffer) {
+                ui.notifications?.warn("Could not decode this track for snapping. Handles will move freely.");
+                return;
+            }
+            this.snapBuffer = buffer;
+            this._scheduleWaveformDraw();
+        }
+
+        if (this.snapMode === "transient" && !this.transients) {
+            this.transients = getTransients(path, this.snapBuffer);
+        }
+    }
+
+    _onSnapModeChange() {
+        this.snapMode = this.$snapSelect.val() || "off";
+        game.settings.set(MODULE_ID, "loopEditorSnapMode", this.snapMode).catch(() => { });
+        debug(`[Previewer] Snap mode changed to: ${this.snapMode}`);
+        this._ensureSnapData();
+    }
+
+    /**
+     * Resolves where a dragged handle should land for the current snap mode.
+     * @param {number} timeSec Unsnapped time under the pointer.
+     * @param {number} widthPx Rendered timeline width, used to scale the transient pull radius.
+     * @returns {{time: number, kind: string}|null} The snapped time, or null when snapping is off/unavailable.
+     */
+    _snapTime(timeSec, widthPx) {
+        if (this.snapMode === "beat") {
+            const beat = getNearestGridTime(timeSec, this.tempo, "beat");
+            if (beat === null) return null;
+            const time = Math.max(0, Math.min(this.duration, Math.round(beat * 1000) / 1000));
+            return { time, kind: "beat" };
+        }
+        if (this.snapMode === "off" || !this.snapBuffer) return null;
+
+        let target = timeSec;
+        let kind = "zero";
+        if (this.snapMode === "transient") {
+            const radiusSec = (SNAP_TRANSIENT_RADIUS_PX / Math.max(1, widthPx)) * (this.viewEnd - this.viewStart);
+            const onset = findNearestTime(this.transients, timeSec, radiusSec);
+            if (onset !== null) {
+                target = onset;
+                kind = "transient";
+            }
+        }
+
+        // Always finish on the nearest real sign change so crossfade-free loops don't click.
+        const crossing = findNearestZeroCrossing(this.snapBuffer, target, { windowSec: SNAP_ZERO_WINDOW_SEC });
+        const time = Math.max(0, Math.min(this.duration, crossing ?? target));
+        return { time, kind };
+    }
+
+    _showSnapIndicator(snap) {
+        if (!snap) {
+            this.$snapIndicator.removeClass("visible");
+            return;
+        }
+        const pct = this._timeToPct(snap.time);
+        this.$snapIndicator
+            .css("left", `${pct}%`)
+            .attr("data-snap-kind", snap.kind)
+            .addClass("visible");
+    }
+
     rescanSegments() {
         debug("[Previewer] Rescanning segments from form.");
         this.segments = [];
@@ -87,28 +397,70 @@ export class LoopPreviewer {
             const $el = $(el);
             const segment = {
                 index,
+                id: $el.find('input[name$=".id"]').val(),
                 color: SEGMENT_COLORS[index % SEGMENT_COLORS.length],
                 $form: $el,
-                $startInput: $el.find('input[name*=".start"]'),
-                $endInput: $el.find('input[name*=".end"]'),
+                $startInput: $el.find('input[name$=".start"]'),
+                $endInput: $el.find('input[name$=".end"]'),
+                $startExactInput: $el.find('input[name$=".startExactSec"]'),
+                $endExactInput: $el.find('input[name$=".endExactSec"]'),
+                $startBeatsInput: $el.find('.sos-bars-beats-input[data-time-field="start"]'),
+                $endBeatsInput: $el.find('.sos-bars-beats-input[data-time-field="end"]'),
                 $crossfadeInput: $el.find('input[name*=".crossfadeMs"]'),
                 $loopCountInput: $el.find('input[name*=".loopCount"]'),
                 $previewBtn: $el.find('button.sos-loop-preview-segment'),
                 $previewPointBtn: $el.find('button.sos-loop-preview-point'),
+                $zoomBtn: $el.find('button.sos-loop-zoom-segment'),
                 $stopBtn: $el.find('button.loop-stop')
             };
             this.segments.push(segment);
         });
+        if (this.selectedHandle && !this.segments[this.selectedHandle.index]) this.selectedHandle = null;
         this._readSegmentsFromInputs();
         this._renderAllSegments();
         this._attachSegmentListeners();
     }
 
+    /**
+     * Redraws cue markers on the timeline from the marker rows in the form.
+     */
+    rescanMarkers() {
+        if (!this.$container || !this.duration) return;
+        this.$container.find(".sos-loop-timeline-marker").remove();
+
+        this.html.find(".sos-cue-marker-row").each((_, el) => {
+            const $row = $(el);
+            const time = String($row.find(".sos-cue-marker-time").val() ?? "");
+            const timeSec = toSec(time);
+            if (timeSec > this.duration) return;
+
+            const name = String($row.find(".sos-cue-marker-name").val() ?? "").trim() || "Marker";
+            $('<div class="sos-loop-timeline-marker"></div>')
+                .css("left", `${this._timeToPct(timeSec)}%`)
+                .attr("data-tooltip", `${name} (${time})`)
+                .appendTo(this.$container);
+        });
+    }
+
+    /**
+     * Gets the preview position used when adding a marker: the live position while
+     * playing, otherwise where playback was paused.
+     * @returns {number}
+     */
+    getPlayheadTime() {
+        const activeSound = this.isA_Active ? this.soundA : this.soundB;
+        if (this.isPlaying && activeSound) return activeSound.currentTime;
+        return this.pausedTime || 0;
+    }
+
     _readSegmentsFromInputs() {
         this.segments.forEach(seg => {
-            seg.startSec = toSec(seg.$startInput.val());
-            seg.endSec = toSec(seg.$endInput.val());
+            const start = seg.$startInput.val();
+            const end = seg.$endInput.val();
+            seg.startSec = Flags.validateExactLoopTime(seg.$startExactInput.val(), start) ?? toSec(start);
+            seg.endSec = Flags.validateExactLoopTime(seg.$endExactInput.val(), end) ?? toSec(end);
             seg.crossfadeMs = Number(seg.$crossfadeInput.val()) || 0;
+            this._syncBarsBeats(seg);
         });
         this._validateAllSegments();
     }
@@ -117,8 +469,8 @@ export class LoopPreviewer {
         this.$container.find(".sos-loop-timeline-selection, .sos-loop-timeline-handle, .sos-loop-timeline-crossfade").remove();
 
         this.segments.forEach(seg => {
-            const startPct = (seg.startSec / this.duration) * 100;
-            const endPct = (seg.endSec / this.duration) * 100;
+            const startPct = this._timeToPct(seg.startSec);
+            const endPct = this._timeToPct(seg.endSec);
             const widthPct = endPct - startPct;
 
             // Main segment bar
@@ -136,8 +488,8 @@ export class LoopPreviewer {
             // So its right edge is always at endPct, and its width is proportional to crossfadeMs.
             // Calculate width in percent of timeline
             if (crossfadeMs > 0 && segmentDurationMs > 0) {
-                const crossfadeWidthPct = (crossfadeMs / 1000 / this.duration) * 100;
-                const crossfadeStartPct = Math.max(0, endPct - crossfadeWidthPct);
+                const crossfadeWidthPct = this._spanToPct(crossfadeMs / 1000);
+                const crossfadeStartPct = Math.max(startPct, endPct - crossfadeWidthPct);
                 // Create darker version of segment color
                 const darkerColor = this._darkenColor(seg.color, 0.4);
 
@@ -161,6 +513,10 @@ export class LoopPreviewer {
                 backgroundColor: seg.color
             }).appendTo(this.$container);
 
+            if (this.selectedHandle?.index === seg.index) {
+                (this.selectedHandle.type === "start" ? seg.$startHandle : seg.$endHandle).addClass("selected");
+            }
+
             // Create the time tooltip element for this segment
             const midPct = (startPct + endPct) / 2;
             seg.$timeTooltip = $(`<div class="sos-loop-timeline-tooltip"></div>`).css({
@@ -188,17 +544,17 @@ export class LoopPreviewer {
         const fadeOutSec = fadeOutMs / 1000;
 
         if (fadeInSec > 0) {
-            const fadeInPct = (fadeInSec / this.duration) * 100;
+            const fadeInPct = this._spanToPct(fadeInSec);
 
             $(`<div class="sos-loop-timeline-fadein" data-tooltip="Fade-In Zone (${fadeInMs}ms)"></div>`).css({
-                left: '0%',
+                left: `${this._timeToPct(0)}%`,
                 width: `${fadeInPct}%`
             }).appendTo(this.$container);
         }
 
         if (fadeOutSec > 0) {
-            const fadeOutPct = (fadeOutSec / this.duration) * 100;
-            const startPct = 100 - fadeOutPct;
+            const fadeOutPct = this._spanToPct(fadeOutSec);
+            const startPct = this._timeToPct(this.duration - fadeOutSec);
 
             $(`<div class="sos-loop-timeline-fadeout" data-tooltip="Fade-Out Zone (${fadeOutMs}ms)"></div>`).css({
                 left: `${startPct}%`,
@@ -231,9 +587,7 @@ export class LoopPreviewer {
 
         if (isVisible) {
             const text = `${formatTime(segment.startSec, false)} - ${formatTime(segment.endSec, false)}`;
-            const startPct = (segment.startSec / this.duration) * 100;
-            const endPct = (segment.endSec / this.duration) * 100;
-            const midPct = (startPct + endPct) / 2;
+            const midPct = this._timeToPct((segment.startSec + segment.endSec) / 2);
 
             segment.$timeTooltip.text(text).css('left', `${midPct}%`).addClass('visible');
         } else {
@@ -245,8 +599,19 @@ export class LoopPreviewer {
         this.$playPauseBtn.on("click", this._onPlayPause.bind(this));
         this.$stopBtn.on("click", () => this.stopAll());
         this.$volumeSlider.on("input change", () => this._applyPreviewVolume());
+        this.$snapSelect.val(this.snapMode).on("change", this._onSnapModeChange.bind(this));
+        this.$tempoInputs.on("input change", this._onTempoChange.bind(this));
         this.$container.on("click", this._onTimelineClick.bind(this));
+        this.$container.on("wheel", this._onTimelineWheel.bind(this));
+        this.$container.on("keydown", this._onTimelineKeyDown.bind(this));
+        this.$zoomInBtn.on("click", () => this.zoomBy(1 / ZOOM_STEP));
+        this.$zoomOutBtn.on("click", () => this.zoomBy(ZOOM_STEP));
+        this.$zoomFitBtn.on("click", () => this.setView(0, this.duration, { manual: true }));
+        this.$scrollbar.on("mousedown", this._onScrollbarMouseDown.bind(this));
         this.$container.on("mousedown", ".sos-loop-timeline-handle", this._onHandleMouseDown.bind(this));
+        // Follow-up rows are added and removed freely, so listen on the sheet rather than per row.
+        this.html.off("click.sosFollowUp").on("click.sosFollowUp", ".sos-followup-preview", this._onPreviewFollowUp.bind(this));
+        this.html.off("input.sosMarkers").on("input.sosMarkers", ".sos-cue-marker-name, .sos-cue-marker-time", () => this.rescanMarkers());
     }
 
     _getPreviewVolume() {
@@ -268,6 +633,7 @@ export class LoopPreviewer {
         this.segments.forEach(seg => {
             const inputs = seg.$startInput.add(seg.$endInput);
             inputs.off('.previewer').on('input.previewer wheel.previewer', this._onTimeInputChange.bind(this, seg));
+            seg.$startBeatsInput.add(seg.$endBeatsInput).off('.previewer').on('change.previewer', this._onBarsBeatsChange.bind(this, seg));
 
             const hoverTargets = seg.$selection.add(seg.$startHandle).add(seg.$endHandle);
             hoverTargets.off('.previewer').on('mouseenter.previewer', () => {
@@ -289,6 +655,7 @@ export class LoopPreviewer {
 
             // Add handler for loop point preview
             seg.$previewPointBtn.off('.previewer').on('click.previewer', () => this._onPreviewLoopPoint(seg));
+            seg.$zoomBtn.off('.previewer').on('click.previewer', () => this.zoomToSegment(seg));
 
             // Add handler for the segment-level stop button
             seg.$form.find('button.loop-stop').off('.previewer').on('click.previewer', () => {
@@ -298,6 +665,24 @@ export class LoopPreviewer {
     }
 
 
+    /**
+     * Stops playback and releases timeline observers. Called when the sheet closes or re-renders.
+     */
+    destroy() {
+        if (this.$playIcon) this.stopAll(false);
+        this.isDestroyed = true;
+        this.snapBuffer = null;
+        releaseDecodedAudio(this.data.document.path);
+        this.resizeObserver?.disconnect();
+        this.resizeObserver = null;
+        if (this.waveformFrameId !== null) cancelAnimationFrame(this.waveformFrameId);
+        this.waveformFrameId = null;
+        $(document).off(".loopeditor");
+        $(document).off(".loopscroll");
+        this.html?.off("click.sosFollowUp");
+        this.html?.off("input.sosMarkers");
+    }
+
     stopAll(resetVisuals = true) {
         if (this.animationFrameId) cancelAnimationFrame(this.animationFrameId);
         this.timeoutIds.forEach(clearTimeout);
@@ -338,7 +723,8 @@ export class LoopPreviewer {
     _updateVisuals() {
         const activeSound = this.isA_Active ? this.soundA : this.soundB;
         if (activeSound && this.isPlaying) {
-            const progressPct = (activeSound.currentTime / this.duration) * 100;
+            this._followPlayhead(activeSound.currentTime);
+            const progressPct = Math.max(0, Math.min(100, this._timeToPct(activeSound.currentTime)));
             this.$progress.css("width", `${progressPct}%`);
         } else {
             this.$progress.css("width", `0%`);
@@ -462,6 +848,7 @@ export class LoopPreviewer {
 
         // Hide the tooltip when dragging ends
         this._updateTooltip(this.activeDrag.segment, false);
+        this._showSnapIndicator(null);
 
         // Cancel any pending frame to prevent a final update after mouse up
         if (this.activeDrag.animationFrame) {
@@ -485,6 +872,7 @@ export class LoopPreviewer {
         if (this.hasValidationError) {
             debug(`[Previewer] ⚠️ Validation error detected - submit button disabled`);
         }
+        this.onSegmentsEdited?.();
     }
 
     _onPlayPause() {
@@ -600,9 +988,77 @@ export class LoopPreviewer {
     }
 
     /**
-     * Previews just the loop transition point - plays 5 seconds before and after the crossfade
+     * Reads a segment's loop points for previewing. Editor segments read their inputs;
+     * plain `{startSec, endSec, crossfadeMs}` objects (loop suggestions) are used as-is.
+     * @param {object} segment
+     * @returns {{startSec: number, endSec: number, crossfadeMs: number}}
      */
-    async _onPreviewLoopPoint(segment) {
+    _readPreviewPoints(segment) {
+        if (!segment.$startInput) {
+            return { startSec: segment.startSec, endSec: segment.endSec, crossfadeMs: Number(segment.crossfadeMs) || 0 };
+        }
+        return {
+            startSec: toSec(segment.$startInput.val()),
+            endSec: toSec(segment.$endInput.val()),
+            crossfadeMs: Number(segment.$crossfadeInput.val()) || 0,
+        };
+    }
+
+    /**
+     * Decodes the track and asks the analyser for seamless loop point pairs.
+     * @param {object} [options] Passed through to `suggestLoopPoints`.
+     * @returns {Promise<import("./audio-analysis.js").LoopSuggestion[]|null>} Suggestions, or null if the track could not be decoded.
+     */
+    async findLoopSuggestions(options = {}) {
+        const path = this.data.document.path;
+        const buffer = this.snapBuffer ?? await getDecodedAudio(path);
+        if (!buffer || this.isDestroyed) return null;
+        const suggestions = await suggestLoopPoints(buffer, options);
+        // Only keep the full buffer around if snapping still needs it.
+        if (!this.snapBuffer) releaseDecodedAudio(path);
+        return suggestions;
+    }
+
+    /**
+     * Auditions a loop suggestion with the transition preview: the lead-in to its end point,
+     * the crossfade, then the audio after its start point.
+     * @param {{startSec: number, endSec: number}} suggestion
+     * @param {number} [crossfadeMs=0]
+     */
+    previewSuggestion(suggestion, crossfadeMs = 0) {
+        this._onPreviewLoopPoint({ startSec: suggestion.startSec, endSec: suggestion.endSec, crossfadeMs });
+    }
+
+    /**
+     * Previews a branch: the source segment's loop point crossfading into the chosen follow-up.
+     */
+    _onPreviewFollowUp(ev) {
+        ev.preventDefault();
+        const $row = $(ev.currentTarget).closest(".sos-followup-row");
+        const sectionEl = $row.closest(".sos-loop-segment-section")[0];
+        const source = this.segments.find(s => s.$form[0] === sectionEl);
+        const targetId = $row.find("select.sos-followup-target").val();
+        const target = this.segments.find(s => s.id === targetId);
+
+        if (source && !target && targetId?.includes(":")) {
+            ui.notifications?.info("Follow-ups into another sound can only be heard in playback.");
+            return;
+        }
+        if (!source || !target) {
+            ui.notifications?.warn("Choose a follow-up segment to preview.");
+            return;
+        }
+        this._onPreviewLoopPoint(source, { targetSegment: target });
+    }
+
+    /**
+     * Previews the transition at a segment's loop point: a few seconds before the crossfade,
+     * the crossfade itself, then a few seconds of what follows.
+     * @param {object} segment The segment whose end/crossfade is auditioned.
+     * @param {object} [options]
+     * @param {object} [options.targetSegment] Segment to land in; defaults to looping back to `segment`.
+     */
+    async _onPreviewLoopPoint(segment, { targetSegment = segment } = {}) {
         this.stopAll(false);
         this.isPreviewingLoop = true;
 
@@ -612,9 +1068,8 @@ export class LoopPreviewer {
             s.$previewPointBtn.prop('disabled', true);
         });
 
-        const startSec = toSec(segment.$startInput.val());
-        const endSec = toSec(segment.$endInput.val());
-        const crossfadeMs = Number(segment.$crossfadeInput.val()) || 0;
+        const { startSec, endSec, crossfadeMs } = this._readPreviewPoints(segment);
+        const targetStartSec = this._readPreviewPoints(targetSegment).startSec;
 
         // Validate segment
         const segmentDuration = endSec - startSec;
@@ -669,9 +1124,9 @@ export class LoopPreviewer {
                     }
                 }
 
-                // Start target sound at loop start point
+                // Start target sound at the loop start (or the follow-up segment's start)
                 const previewVolume = this._getPreviewVolume();
-                await targetSound.play({ offset: startSec, volume: 0, _fromLoop: true });
+                await targetSound.play({ offset: targetStartSec, volume: 0, _fromLoop: true });
 
                 // Perform crossfade
                 equalPowerCrossfade(sourceSound, targetSound, crossfadeMs, { targetVolIn: previewVolume });
@@ -704,15 +1159,244 @@ export class LoopPreviewer {
         }
     }
 
+    // ----- Zoom and scroll -----
+    // Everything on the timeline is placed through the visible window [viewStart, viewEnd],
+    // so handles, markers and the playhead stay exact at any zoom level.
+
+    _timeToPct(timeSec) {
+        return ((timeSec - this.viewStart) / (this.viewEnd - this.viewStart)) * 100;
+    }
+
+    _spanToPct(seconds) {
+        return (seconds / (this.viewEnd - this.viewStart)) * 100;
+    }
+
+    _clientXToTime(clientX) {
+        const rect = this.$container[0].getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (clientX - rect.left) / Math.max(1, rect.width)));
+        return this.viewStart + fraction * (this.viewEnd - this.viewStart);
+    }
+
+    /**
+     * Rounds an unsnapped drag: whole seconds with the whole track in view, and finer steps
+     * (down to the stored millisecond) as the view zooms in, never coarser than a pixel.
+     */
+    _roundDragTime(timeSec, widthPx) {
+        const span = this.viewEnd - this.viewStart;
+        if (span >= this.duration) return Math.round(timeSec);
+        const secondsPerPixel = span / Math.max(1, widthPx);
+        const step = [1, 0.1, 0.01].find(candidate => candidate <= secondsPerPixel) ?? SNAP_RESOLUTION_SEC;
+        const rounded = Math.round(timeSec / step) * step;
+        return Math.max(0, Math.min(this.duration, Math.round(rounded / SNAP_RESOLUTION_SEC) * SNAP_RESOLUTION_SEC));
+    }
+
+    /**
+     * Shows a window of the track on the timeline.
+     * @param {number} startSec First visible second.
+     * @param {number} spanSec Visible length; clamped between the deepest zoom and the whole track.
+     * @param {object} [options]
+     * @param {boolean} [options.manual=false] A user scroll or zoom. Leaving the playhead
+     *   out of view this way stops the view following it until it comes back into view.
+     */
+    setView(startSec, spanSec, { manual = false } = {}) {
+        if (!this.duration || this.activeDrag) return;
+        const span = Math.max(Math.min(MIN_VIEW_SPAN_SEC, this.duration), Math.min(this.duration, spanSec));
+        const start = Math.max(0, Math.min(this.duration - span, startSec));
+        if (start === this.viewStart && start + span === this.viewEnd) return;
+
+        this.viewStart = start;
+        this.viewEnd = start + span;
+        if (manual && this.isPlaying) {
+            const playhead = this.getPlayheadTime();
+            this.followSuspended = playhead < this.viewStart || playhead > this.viewEnd;
+        }
+
+        this._renderAllSegments();
+        this._attachSegmentListeners();
+        this.rescanMarkers();
+        this._updateVisuals();
+        this._updateScrollbar();
+        this._scheduleWaveformDraw();
+    }
+
+    /**
+     * Zooms around a point in time, keeping that point under the same spot on screen.
+     * @param {number} factor Span multiplier; below 1 zooms in.
+     * @param {number} [anchorSec] Defaults to the middle of the view.
+     */
+    zoomBy(factor, anchorSec = (this.viewStart + this.viewEnd) / 2) {
+        const span = this.viewEnd - this.viewStart;
+        const anchorFraction = (anchorSec - this.viewStart) / span;
+        const nextSpan = span * factor;
+        this.setView(anchorSec - anchorFraction * nextSpan, nextSpan, { manual: true });
+    }
+
+    /**
+     * Fits a loop segment (with a little context either side) to the timeline.
+     * @param {object} segment A scanned segment.
+     */
+    zoomToSegment(segment) {
+        const length = segment.endSec - segment.startSec;
+        if (!(length > 0)) return;
+        const padding = length * SEGMENT_ZOOM_PADDING;
+        this.setView(segment.startSec - padding, length + padding * 2, { manual: true });
+    }
+
+    /** Pages the view along with playback unless the user scrolled away from the playhead. */
+    _followPlayhead(timeSec) {
+        const span = this.viewEnd - this.viewStart;
+        if (span >= this.duration || this.activeDrag) return;
+        const inView = timeSec >= this.viewStart && timeSec <= this.viewEnd;
+        if (inView) {
+            this.followSuspended = false;
+            return;
+        }
+        if (!this.followSuspended) this.setView(timeSec - span * FOLLOW_LEAD, span);
+    }
+
+    _onTimelineWheel(ev) {
+        const event = ev.originalEvent ?? ev;
+        if (!this.duration || this.activeDrag) return;
+        ev.preventDefault();
+
+        const lineScale = event.deltaMode === 1 ? 40 : 1; // Firefox reports lines, not pixels
+        const deltaX = event.deltaX * lineScale;
+        const deltaY = event.deltaY * lineScale;
+        const span = this.viewEnd - this.viewStart;
+
+        // Shift+wheel and sideways trackpad swipes scroll; everything else (including pinch,
+        // which arrives as a ctrl+wheel) zooms around the pointer.
+        if (event.shiftKey || Math.abs(deltaX) > Math.abs(deltaY)) {
+            const delta = event.shiftKey && !deltaX ? deltaY : deltaX;
+            const widthPx = Math.max(1, this.$container[0].getBoundingClientRect().width);
+            this.setView(this.viewStart + (delta / widthPx) * span, span, { manual: true });
+            return;
+        }
+        this.zoomBy(Math.exp(deltaY * WHEEL_ZOOM_RATE), this._clientXToTime(event.clientX));
+    }
+
+    _updateScrollbar() {
+        const span = this.viewEnd - this.viewStart;
+        const zoomed = span < this.duration;
+        this.$scrollbar.toggleClass("visible", zoomed);
+        this.$scrollThumb.css({
+            left: `${(this.viewStart / this.duration) * 100}%`,
+            width: `${(span / this.duration) * 100}%`,
+        });
+        this.$zoomInBtn.prop("disabled", span <= Math.min(MIN_VIEW_SPAN_SEC, this.duration));
+        this.$zoomOutBtn.prop("disabled", !zoomed);
+        this.$zoomFitBtn.prop("disabled", !zoomed);
+    }
+
+    /**
+     * Drags the scrollbar thumb, or jumps the view to a point clicked on the bar.
+     */
+    _onScrollbarMouseDown(ev) {
+        ev.preventDefault();
+        const rect = this.$scrollbar[0].getBoundingClientRect();
+        const span = this.viewEnd - this.viewStart;
+        const timeAt = (clientX) => ((clientX - rect.left) / Math.max(1, rect.width)) * this.duration;
+
+        if (!$(ev.target).is(this.$scrollThumb)) {
+            this.setView(timeAt(ev.clientX) - span / 2, span, { manual: true });
+        }
+        this.scrollDrag = { grabSec: timeAt(ev.clientX) - this.viewStart };
+
+        $(document).on("mousemove.loopscroll", (moveEv) => {
+            if (!this.scrollDrag) return;
+            this.setView(timeAt(moveEv.clientX) - this.scrollDrag.grabSec, span, { manual: true });
+        });
+        $(document).on("mouseup.loopscroll", () => {
+            this.scrollDrag = null;
+            $(document).off(".loopscroll");
+        });
+    }
+
+    // ----- Keyboard editing -----
+
+    _selectHandle(segment, type) {
+        this.selectedHandle = segment ? { index: segment.index, type } : null;
+        this.$container.find(".sos-loop-timeline-handle.selected").removeClass("selected");
+        if (segment) (type === "start" ? segment.$startHandle : segment.$endHandle).addClass("selected");
+    }
+
+    /**
+     * The segment [ and ] edit: the selected handle's, else the one under the playhead,
+     * else the last (usually the section just added).
+     */
+    _getKeyboardSegment(timeSec) {
+        const selected = this.segments[this.selectedHandle?.index];
+        if (selected) return selected;
+        return this.segments.find(seg => timeSec >= seg.startSec && timeSec <= seg.endSec)
+            ?? this.segments[this.segments.length - 1]
+            ?? null;
+    }
+
+    _setHandleTime(segment, type, timeSec) {
+        const time = Math.max(0, Math.min(this.duration, Math.round(timeSec / SNAP_RESOLUTION_SEC) * SNAP_RESOLUTION_SEC));
+        (type === "start" ? segment.$startInput : segment.$endInput).val(formatTime(time, true));
+        (type === "start" ? segment.$startExactInput : segment.$endExactInput).val("");
+        this._readSegmentsFromInputs();
+        this._renderAllSegments();
+        this._attachSegmentListeners();
+    }
+
+    /**
+     * Timeline shortcuts: arrows nudge the selected handle (Shift for coarse), [ and ] drop the
+     * start/end at the playhead, Space plays from the selected handle, Escape deselects.
+     */
+    _onTimelineKeyDown(ev) {
+        if (ev.ctrlKey || ev.metaKey || ev.altKey || this.activeDrag || this.isPreviewingLoop) return;
+        const selected = this.segments[this.selectedHandle?.index];
+
+        switch (ev.key) {
+            case "ArrowLeft":
+            case "ArrowRight": {
+                if (!selected) return;
+                const step = (ev.shiftKey ? NUDGE_COARSE_SEC : NUDGE_SEC) * (ev.key === "ArrowLeft" ? -1 : 1);
+                const type = this.selectedHandle.type;
+                this._setHandleTime(selected, type, (type === "start" ? selected.startSec : selected.endSec) + step);
+                this.onSegmentsEdited?.("nudge");
+                break;
+            }
+            case "[":
+            case "]": {
+                const time = this.getPlayheadTime();
+                const segment = this._getKeyboardSegment(time);
+                if (!segment) return;
+                const type = ev.key === "[" ? "start" : "end";
+                this._setHandleTime(segment, type, time);
+                this._selectHandle(segment, type);
+                this.onSegmentsEdited?.();
+                break;
+            }
+            case " ": {
+                if (this.isPlaying) {
+                    this._onPlayPause();
+                } else if (selected) {
+                    this._seekAndPlay(this.selectedHandle.type === "start" ? selected.startSec : selected.endSec);
+                } else {
+                    this._onPlayPause();
+                }
+                break;
+            }
+            case "Escape":
+                if (!this.selectedHandle) return;
+                this._selectHandle(null);
+                break;
+            default:
+                return;
+        }
+        ev.preventDefault();
+        ev.stopPropagation();
+    }
+
     _onTimelineClick(ev) {
         this.segments.forEach(s => this._updateTooltip(s, false));
 
         if ($(ev.target).hasClass("sos-loop-timeline-handle")) return;
-        const rect = ev.currentTarget.getBoundingClientRect();
-        const x = ev.clientX - rect.left;
-        const percent = Math.max(0, Math.min(100, (x / rect.width) * 100));
-        const seekTime = (percent / 100) * this.duration;
-        this._seekAndPlay(seekTime);
+        this.followSuspended = false;
+        this._seekAndPlay(this._clientXToTime(ev.clientX));
     }
 
     _onHandleMouseDown(ev) {
@@ -730,6 +1414,8 @@ export class LoopPreviewer {
             }
         }
         if (!this.activeDrag) return;
+        this._selectHandle(this.activeDrag.segment, this.activeDrag.type);
+        this.$container[0].focus({ preventScroll: true });
         // Show the tooltip when dragging starts
         this._updateTooltip(this.activeDrag.segment, true);
         // Add properties to track the animation frame and the latest event
@@ -749,13 +1435,16 @@ export class LoopPreviewer {
         if (!this.activeDrag) return;
 
         const { segment, type, latestEvent } = this.activeDrag;
-        const rect = this.$container[0].getBoundingClientRect();
-        const x = latestEvent.clientX - rect.left;
-        const percent = Math.max(0, Math.min(100, (x / rect.width) * 100));
-        let newTimeSec = (percent / 100) * this.duration;
+        const widthPx = this.$container[0].getBoundingClientRect().width;
+        let newTimeSec = this._clientXToTime(latestEvent.clientX);
 
-        // Round to whole seconds for dragging
-        newTimeSec = Math.round(newTimeSec);
+        const snap = this._snapTime(newTimeSec, widthPx);
+        if (snap) {
+            newTimeSec = snap.time;
+        } else {
+            newTimeSec = this._roundDragTime(newTimeSec, widthPx);
+        }
+        this._showSnapIndicator(snap);
 
         if (type === "start") {
             segment.startSec = newTimeSec;
@@ -765,9 +1454,12 @@ export class LoopPreviewer {
 
         segment.$startInput.val(formatTime(segment.startSec, true));
         segment.$endInput.val(formatTime(segment.endSec, true));
+        // The text field shows milliseconds; a snapped point is saved at its exact sample time.
+        (type === "start" ? segment.$startExactInput : segment.$endExactInput).val(snap ? newTimeSec : "");
+        this._syncBarsBeats(segment);
 
-        const startPct = (segment.startSec / this.duration) * 100;
-        const endPct = (segment.endSec / this.duration) * 100;
+        const startPct = this._timeToPct(segment.startSec);
+        const endPct = this._timeToPct(segment.endSec);
         const widthPct = endPct - startPct;
 
         segment.$startHandle.css("left", `${startPct}%`);
@@ -780,8 +1472,8 @@ export class LoopPreviewer {
         // Update crossfade bar
         const crossfadeMs = Number(segment.$crossfadeInput?.val()) || 0;
         if (segment.$crossfade && crossfadeMs > 0) {
-            const crossfadeWidthPct = (crossfadeMs / 1000 / this.duration) * 100;
-            const crossfadeStartPct = Math.max(0, endPct - crossfadeWidthPct);
+            const crossfadeWidthPct = this._spanToPct(crossfadeMs / 1000);
+            const crossfadeStartPct = Math.max(startPct, endPct - crossfadeWidthPct);
             segment.$crossfade.css({
                 left: `${crossfadeStartPct}%`,
                 width: `${Math.min(crossfadeWidthPct, widthPct)}%`
@@ -826,6 +1518,8 @@ export class LoopPreviewer {
         this._renderAllSegments();
 
         this._attachSegmentListeners();
+        // Typed edits are recorded by the sheet on change; wheel steps never fire one.
+        if (event.type === 'wheel') this.onSegmentsEdited?.("wheel");
     }
 
 }
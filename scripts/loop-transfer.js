@@ -0,0 +1,210 @@
+// loop-transfer.js
+/**
+ * @file loop-transfer.js
+ * @description Moves a sound's internal loop configuration between sounds and worlds:
+ * versioned JSON export/import and copy/paste from the playlist sound context menu.
+ * Incoming data is validated by FlagService and cleaned exactly like a sound config submit.
+ */
+import { MODULE_ID, debug, error } from "./utils.js";
+import { Flags } from "./flag-service.js";
+
+export const LOOP_TRANSFER_FORMAT = "the-sound-of-silence.loop";
+export const LOOP_TRANSFER_VERSION = 1;
+
+/**
+ * The loop copied on this client, waiting to be pasted.
+ * @type {{sourceName: string, sourcePlaylistId: string|null, loopWithin: object}|null}
+ */
+let copiedLoop = null;
+
+/**
+ * Turns any loopWithin-shaped data into the form stored on a sound.
+ * @param {object} input Candidate loopWithin data.
+ * @returns {object}
+ */
+function toStoredLoopConfig(input) {
+  const validated = Flags.validateLoopConfig(input);
+  return {
+    enabled: validated.enabled,
+    active: validated.active,
+    startFromBeginning: validated.startFromBeginning,
+    tempo: validated.tempo,
+    segments: Flags.sanitizeLoopSegments(validated.segments),
+  };
+}
+
+/**
+ * Builds the versioned export document for a sound's loop.
+ * @param {PlaylistSound} sound
+ * @returns {object}
+ */
+export function serializeLoopConfig(sound) {
+  return {
+    format: LOOP_TRANSFER_FORMAT,
+    version: LOOP_TRANSFER_VERSION,
+    source: { name: sound.name, path: sound.path, playlistId: sound.parent?.id ?? null },
+    loopWithin: toStoredLoopConfig(sound.getFlag(MODULE_ID, "loopWithin") ?? {}),
+  };
+}
+
+/**
+ * Reads an export document back into a storable loop config.
+ * @param {any} data Parsed JSON.
+ * @returns {object} The loopWithin config.
+ * @throws {Error} If the data is not a loop export this version can read.
+ */
+export function parseLoopConfig(data) {
+  if (!data || typeof data !== "object" || data.format !== LOOP_TRANSFER_FORMAT) {
+    throw new Error("This is not a Sound of Silence loop file.");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1 || data.version > LOOP_TRANSFER_VERSION) {
+    throw new Error(`Loop file version ${data.version} is not supported by this version of the module.`);
+  }
+  if (!data.loopWithin || typeof data.loopWithin !== "object") {
+    throw new Error("The loop file has no loop configuration.");
+  }
+  return toStoredLoopConfig(data.loopWithin);
+}
+
+/**
+ * Drops cross-sound follow-ups that cannot resolve on the target sound. They name sounds
+ * by id, so they only hold inside the playlist the loop came from.
+ * @param {object} loopWithin A stored-form loop config.
+ * @param {PlaylistSound} sound The sound receiving the loop.
+ * @param {string|null} sourcePlaylistId Playlist of the sound the loop came from.
+ * @returns {object}
+ */
+function dropForeignFollowUps(loopWithin, sound, sourcePlaylistId) {
+  const playlist = sound.parent;
+  const samePlaylist = !!sourcePlaylistId && playlist?.id === sourcePlaylistId;
+  const keep = (link) => !link.sound || (samePlaylist && playlist.sounds.has(link.sound));
+  return {
+    ...loopWithin,
+    segments: loopWithin.segments.map(seg => ({ ...seg, next: seg.next.filter(keep) })),
+  };
+}
+
+/**
+ * Replaces a sound's whole loop configuration in one update. The flag is written as a
+ * forced replacement so keys missing from the new config (old segments, legacy fields)
+ * do not survive a merge, and clients never see the sound without a loop config.
+ * @param {PlaylistSound} sound
+ * @param {object} loopWithin A stored-form loop config.
+ * @returns {Promise<PlaylistSound>}
+ */
+export async function applyLoopConfig(sound, loopWithin) {
+  return sound.update({ [`flags.${MODULE_ID}.==loopWithin`]: loopWithin });
+}
+
+export function exportLoopConfig(sound) {
+  const data = serializeLoopConfig(sound);
+  const filename = `${sound.name.slugify({ strict: true }) || "sound"}-loop.json`;
+  foundry.utils.saveDataToFile(JSON.stringify(data, null, 2), "text/json", filename);
+}
+
+export async function importLoopConfig(sound) {
+  const file = await foundry.applications.api.DialogV2.prompt({
+    window: { title: `Import Loop: ${sound.name}`, icon: "fas fa-file-import" },
+    content: `
+      <div class="form-group">
+        <label>Loop File</label>
+        <input type="file" name="loopFile" accept=".json,application/json">
+      </div>
+      <p class="notes">Replaces this sound's loop segments and loop settings.</p>
+    `,
+    ok: {
+      icon: "fas fa-file-import",
+      label: "Import",
+      callback: (_event, button) => button.form.elements.loopFile.files[0] ?? null,
+    },
+    rejectClose: false,
+  });
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await foundry.utils.readTextFromFile(file));
+    const loopWithin = dropForeignFollowUps(parseLoopConfig(data), sound, data.source?.playlistId ?? null);
+    await applyLoopConfig(sound, loopWithin);
+    ui.notifications.info(`Imported ${loopWithin.segments.length} loop segment(s) into "${sound.name}".`);
+  } catch (err) {
+    error("[LoopTransfer] Import failed:", err);
+    ui.notifications.error(`Could not import loop: ${err.message}`);
+  }
+}
+
+export function copyLoopConfig(sound) {
+  copiedLoop = {
+    sourceName: sound.name,
+    sourcePlaylistId: sound.parent?.id ?? null,
+    loopWithin: serializeLoopConfig(sound).loopWithin,
+  };
+  debug(`[LoopTransfer] Copied loop from "${sound.name}".`);
+  ui.notifications.info(`Copied the loop from "${sound.name}".`);
+}
+
+export async function pasteLoopConfig(sound) {
+  if (!copiedLoop) return;
+  try {
+    const loopWithin = toStoredLoopConfig(copiedLoop.loopWithin);
+    await applyLoopConfig(sound, dropForeignFollowUps(loopWithin, sound, copiedLoop.sourcePlaylistId));
+    ui.notifications.info(`Pasted the loop from "${copiedLoop.sourceName}" into "${sound.name}".`);
+  } catch (err) {
+    error("[LoopTransfer] Paste failed:", err);
+    ui.notifications.error(`Could not paste loop into "${sound.name}".`);
+  }
+}
+
+/**
+ * Resolves the PlaylistSound a directory context menu was opened on.
+ * @param {HTMLElement|jQuery} li
+ * @returns {PlaylistSound|null}
+ */
+function getContextSound(li) {
+  const element = li instanceof HTMLElement ? li : li?.[0];
+  const soundId = element?.dataset.soundId;
+  if (!soundId) return null;
+  const playlistId = element.dataset.playlistId ?? element.closest(".playlist")?.dataset.entryId;
+  const playlist = game.playlists.get(playlistId);
+  if (playlist) return playlist.sounds.get(soundId) ?? null;
+  return game.playlists.find(p => p.sounds.has(soundId))?.sounds.get(soundId) ?? null;
+}
+
+function hasLoopSegments(sound) {
+  return !!sound && Flags.getLoopConfig(sound).segments.length > 0;
+}
+
+export function registerLoopTransferHooks() {
+  Hooks.on("getPlaylistSoundContextOptions", (_app, options) => {
+    const canEdit = (li) => {
+      const sound = getContextSound(li);
+      return !!sound?.isOwner;
+    };
+
+    options.push(
+      {
+        name: "Copy Loop",
+        icon: '<i class="fas fa-copy"></i>',
+        condition: (li) => canEdit(li) && hasLoopSegments(getContextSound(li)),
+        callback: (li) => copyLoopConfig(getContextSound(li)),
+      },
+      {
+        name: "Paste Loop",
+        icon: '<i class="fas fa-paste"></i>',
+        condition: (li) => canEdit(li) && !!copiedLoop,
+        callback: (li) => pasteLoopConfig(getContextSound(li)),
+      },
+      {
+        name: "Export Loop",
+        icon: '<i class="fas fa-file-export"></i>',
+        condition: (li) => canEdit(li) && hasLoopSegments(getContextSound(li)),
+        callback: (li) => exportLoopConfig(getContextSound(li)),
+      },
+      {
+        name: "Import Loop",
+        icon: '<i class="fas fa-file-import"></i>',
+        condition: (li) => canEdit(li),
+        callback: (li) => importLoopConfig(getContextSound(li)),
+      },
+    );
+  });
+}
@@ -8,7 +8,10 @@ import {
   cancelLoopWithin,
   executeLoopBreak,
   executeLoopDisable,
+  executeSegmentBranch,
   executeSegmentSkip,
+  executeSegmentTimeLimit,
+  refreshLoopEnvelopes,
   scheduleLoopWithin,
 } from "../internal-loop.js";
 import { State } from "../state-manager.js";
@@ -22,8 +25,8 @@ function segmentSkipRetryKey(soundDoc, seq) {
   return `${soundDoc.uuid ?? soundDoc.id}:${seq}`;
 }
 
-function executeSegmentSkipWithRetry(soundDoc, targetIndex, seq, attempt = 1) {
-  if (executeSegmentSkip(soundDoc, targetIndex)) {
+function executeSegmentSkipWithRetry(soundDoc, targetIndex, seq, attempt = 1, options = {}) {
+  if (executeSegmentSkip(soundDoc, targetIndex, options)) {
     pendingSegmentSkipRetries.delete(segmentSkipRetryKey(soundDoc, seq));
     return;
   }
@@ -46,7 +49,7 @@ function executeSegmentSkipWithRetry(soundDoc, targetIndex, seq, attempt = 1) {
   delay.then(() => {
     if (pendingSegmentSkipRetries.get(key) !== attempt) return;
     const liveSoundDoc = soundDoc.parent?.sounds?.get(soundDoc.id) ?? soundDoc;
-    executeSegmentSkipWithRetry(liveSoundDoc, targetIndex, seq, attempt + 1);
+    executeSegmentSkipWithRetry(liveSoundDoc, targetIndex, seq, attempt + 1, options);
   });
 }
 
@@ -66,6 +69,10 @@ export function registerLoopReplicationHooks() {
         }
       }
 
+      if (loopFlags.hasOwnProperty("segments")) {
+        refreshLoopEnvelopes(soundDoc);
+      }
+
       if (loopFlags.hasOwnProperty("enabled")) {
         ui.playlists?.render();
         if (!loopFlags.enabled) {
@@ -76,7 +83,7 @@ export function registerLoopReplicationHooks() {
 
     if (moduleFlags.segmentSkip) {
       const segmentSkip = soundDoc.getFlag(MODULE_ID, "segmentSkip") ?? {};
-      const { targetIndex, seq } = segmentSkip;
+      const { targetIndex, seq, quantize } = segmentSkip;
 
       if (typeof targetIndex !== "number" || !Number.isFinite(seq)) return;
 
@@ -86,12 +93,42 @@ export function registerLoopReplicationHooks() {
       }
 
       debug(`[Segment-Sync] Executing segment skip to index ${targetIndex} for "${soundDoc.name}"`);
-      executeSegmentSkipWithRetry(soundDoc, targetIndex, seq);
+      executeSegmentSkipWithRetry(soundDoc, targetIndex, seq, 1, { quantize: quantize ?? undefined });
+    }
+
+    if (moduleFlags.segmentBranch) {
+      const segmentBranch = soundDoc.getFlag(MODULE_ID, "segmentBranch") ?? {};
+      const { fromIndex, targetIndex, targetSoundId, seq } = segmentBranch;
+
+      if (!Number.isInteger(fromIndex) || !Number.isInteger(targetIndex) || !Number.isFinite(seq)) return;
+
+      if (!shouldProcessAction(soundDoc.id, seq, "snd")) {
+        debug(`[Branch-Sync] Ignoring duplicate branch plan (seq ${seq}) for "${soundDoc.name}"`);
+        return;
+      }
+
+      debug(`[Branch-Sync] Applying branch plan ${fromIndex} -> ${targetIndex} for "${soundDoc.name}"`);
+      executeSegmentBranch(soundDoc, fromIndex, targetIndex, targetSoundId ?? null);
+    }
+
+    if (moduleFlags.segmentTimeLimit) {
+      const segmentTimeLimit = soundDoc.getFlag(MODULE_ID, "segmentTimeLimit") ?? {};
+      const { fromIndex, limitSec, seq } = segmentTimeLimit;
+
+      if (!Number.isInteger(fromIndex) || !Number.isFinite(limitSec) || !Number.isFinite(seq)) return;
+
+      if (!shouldProcessAction(soundDoc.id, seq, "snd")) {
+        debug(`[TimeLimit-Sync] Ignoring duplicate time limit (seq ${seq}) for "${soundDoc.name}"`);
+        return;
+      }
+
+      debug(`[TimeLimit-Sync] Applying time limit for segment ${fromIndex} of "${soundDoc.name}"`);
+      executeSegmentTimeLimit(soundDoc, fromIndex, limitSec);
     }
 
     if (moduleFlags.loopBreak) {
       const loopBreak = soundDoc.getFlag(MODULE_ID, "loopBreak") ?? {};
-      const { seq } = loopBreak;
+      const { seq, quantize } = loopBreak;
 
       if (!Number.isFinite(seq)) return;
 
@@ -101,7 +138,7 @@ export function registerLoopReplicationHooks() {
       }
 
       debug(`[LoopBreak-Sync] Executing loop break for "${soundDoc.name}"`);
-      executeLoopBreak(soundDoc);
+      executeLoopBreak(soundDoc, { quantize: quantize ?? undefined });
     }
 
     if (moduleFlags.loopDisable) {
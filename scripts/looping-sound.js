@@ -6,6 +6,10 @@ import { Silence } from "./silence.js";
 import { Flags } from "./flag-service.js";
 import { MODULE_ID, toSec, debug, waitForMedia, formatTime, logFeature, LogSymbols, safeStop, safeCancelTimer, error } from "./utils.js";
 import { State } from "./state-manager.js";
+import { hasTempo, getNextGridTime } from "./tempo-grid.js";
+import { playWithStems, prepareStems, setStemLoopRegion, setStemEnvelope } from "./stem-layers.js";
+import { supportsGaplessLoop, setLoopRegion, clearLoopRegion, getLoopRegion } from "./gapless-loop.js";
+import { applyEnvelope, changesSegmentRate, getSegmentEnvelope, NEUTRAL_ENVELOPE } from "./segment-envelope.js";
 
 const AudioTimeout = foundry.audio.AudioTimeout;
 
@@ -15,6 +19,9 @@ const POSITION_CHECK_REQUIRED = 3;     // consecutive stable reads
 const POSITION_CHECK_INTERVAL = 50;    // ms between checks
 const PRELOAD_WINDOW = 0.5;            // seconds before crossfade
 const HANDOFF_BUFFER = 50;             // ms buffer after crossfade
+const QUANTIZE_MIN_LEAD = 0.05;        // seconds; closer grid boundaries roll to the next one
+const GAPLESS_MIN_LEAD = 0.05;         // seconds; a loop end closer than this is handled by the A/B path
+const ENVELOPE_RAMP_SEC = 0.75;        // seconds; segment level/speed changes glide over this
 
 
 
@@ -38,6 +45,12 @@ export class LoopingSound {
     this.handoffTimer = null;
     this.loopCrossfadeTimer = null;
     this.finalTransitionTimer = null;
+    this.pendingQuantizedAction = null; // break/skip waiting for the next beat/bar/phrase
+    this.plannedBranch = null;          // { fromIndex, targetIndex, targetSoundId } rolled by the GM for the active segment
+    this.onBranchPlanned = null;        // set by the manager on the GM to replicate branch rolls
+    this.onCrossTrackJump = null;       // set by the manager to hand a cross-track follow-up to the target sound
+    this.plannedTimeLimit = null;       // { fromIndex, limitSec } for the active segment's time limit
+    this.onTimeLimitPlanned = null;     // set by the manager on the GM to replicate time-limit rolls
 
     this.wasRestarted = false; // track if we used stop/play
   }
@@ -106,7 +119,8 @@ export class LoopingSound {
       try {
         const oldSound = this.soundA;
         const newSound = new foundry.audio.Sound(this.ps.path, {
-          context: oldSound.context
+          context: oldSound.context,
+          forceBuffer: this._needsBufferedSound(),
         });
         await newSound.load();
 
@@ -115,7 +129,7 @@ export class LoopingSound {
           return;
         }
 
-        await newSound.play({
+        await playWithStems(this.ps, newSound, {
           offset: firstSeg.startSec,
           volume: startVolume,
           _fromLoop: true,
@@ -210,6 +224,7 @@ export class LoopingSound {
       if (!existingSound.loaded) {
         await existingSound.load();
       }
+      await prepareStems(this.ps, existingSound);
       debug(`[LoopingSound] ♻️ Reusing existing ${bufferName} (performance optimization)`);
       return existingSound;
     }
@@ -218,8 +233,11 @@ export class LoopingSound {
     debug(`[LoopingSound] Creating fresh ${bufferName} instance...`);
 
     try {
-      const newSound = new foundry.audio.Sound(this.ps.path);
+      // Buffer-backed so zero-crossfade segments can loop on the audio thread after the handoff,
+      // and segment playback rates can be applied.
+      const newSound = new foundry.audio.Sound(this.ps.path, { forceBuffer: this._needsBufferedSound() });
       await newSound.load();
+      await prepareStems(this.ps, newSound);
 
       newSound.addEventListener("end", this.ps._onEnd.bind(this.ps), { once: true });
 
@@ -334,6 +352,8 @@ export class LoopingSound {
       // Stop the inactive buffer
       const inactiveSound = this.isA_Active ? this.soundB : this.soundA;
       safeStop(inactiveSound, `retire inactive buffer for "${this.ps?.name}"`);
+      this._releaseGaplessLoop();
+      this._releaseSegmentEnvelope();
 
       // Schedule fade-out BEFORE clearing references
       this._scheduleFinalFadeOut();
@@ -358,10 +378,24 @@ export class LoopingSound {
 
   _handleLoopTrigger(segment) {
     if (this.isDestroyed || !this.ps?.playing) return;
+    // A skip queued for a grid boundary past this segment's start goes now instead.
+    if (this._flushQuantizedAction()) return;
 
     debug(`[LoopingSound] Triggered loop for segment starting at ${segment.start}.`);
+    this._enterLoopSegment(segment);
+  }
+
+  /**
+   * Makes a segment the active loop and arms its first pass.
+   * @param {object} segment
+   * @private
+   */
+  _enterLoopSegment(segment) {
     this._setActiveLoopSegment(segment);
     this.loopsCompleted = 0;
+    this._planBranch(segment);
+    this._planTimeLimit(segment);
+    this._applySegmentEnvelope();
 
     this.loopingDisabled = false;
     this.isFadingOut = false;
@@ -386,7 +420,8 @@ export class LoopingSound {
 
     const { startSec, endSec, crossfadeMs } = this.activeLoopSegment;
     const segmentDur = endSec - startSec;
-    const crossfadeSec = crossfadeMs / 1000;
+    // Measured in media time, so a faster segment starts its crossfade that much earlier.
+    const crossfadeSec = (crossfadeMs / 1000) * getSegmentEnvelope(this.activeLoopSegment, this.loopsCompleted).rate;
 
     const currentTime = Number(this.activeSound.currentTime);
 
@@ -396,6 +431,11 @@ export class LoopingSound {
       return;
     }
 
+    if (this._canLoopGapless(this.activeLoopSegment, currentTime)) {
+      this._armGaplessLoop();
+      return;
+    }
+
     const timeToEnd = segmentDur - (currentTime - startSec);
     const untilFade = timeToEnd - crossfadeSec;
 
@@ -478,10 +518,283 @@ export class LoopingSound {
     }
   }
 
+  /** Gapless loop regions and segment playback rates both need a decoded buffer, not a stream. */
+  _needsBufferedSound(config = this.config) {
+    return config.segments.some(seg => seg.crossfadeMs === 0 || changesSegmentRate(seg));
+  }
+
+  /**
+   * A zero-crossfade segment loops on the audio thread when the active sound plays from a
+   * decoded buffer and the loop end is still ahead. Anything else uses the A/B handoff.
+   * @private
+   */
+  _canLoopGapless(segment, currentTime) {
+    if (!segment || segment.crossfadeMs !== 0) return false;
+    if (!supportsGaplessLoop(this.activeSound)) return false;
+    return currentTime < segment.endSec - GAPLESS_MIN_LEAD;
+  }
+
+  /**
+   * Arms one pass of a gapless loop. The node wraps by itself; the timer at the loop end only
+   * counts the iteration and fires the hooks. On the final pass the region is released so
+   * playback runs on past the end, just like a completed A/B loop.
+   * @private
+   */
+  _armGaplessLoop() {
+    const segment = this.activeLoopSegment;
+    const sound = this.activeSound;
+    const isFinalPass = this._isFinalPass(segment);
+    this.wasRestarted = false;
+
+    if (isFinalPass) {
+      this._releaseGaplessLoop();
+    } else {
+      // startSec/endSec are the sample-exact loop points when the segment has them.
+      setLoopRegion(sound, segment.startSec, segment.endSec);
+      setStemLoopRegion(sound, segment.startSec, segment.endSec);
+    }
+
+    logFeature(LogSymbols.LOOP, 'Loop',
+      `Arm gapless loop: ${this.ps.name} [${formatTime(segment.startSec)}-${formatTime(segment.endSec)}]`,
+      { finalPass: isFinalPass }
+    );
+    this.loopCrossfadeTimer = sound.schedule(() => this._performCrossfadeLoop(), segment.endSec);
+  }
+
+  /** Lets both buffers (and their stem layers) play on past any gapless loop region. */
+  _releaseGaplessLoop() {
+    for (const sound of [this.soundA, this.soundB]) {
+      if (!getLoopRegion(sound)) continue;
+      clearLoopRegion(sound);
+      setStemLoopRegion(sound, null);
+    }
+  }
+
+  /** Moves a sound and its stem layers to a segment envelope. */
+  _setEnvelope(sound, envelope, rampSec) {
+    if (!sound) return;
+    applyEnvelope(sound, envelope, rampSec);
+    setStemEnvelope(sound, envelope, rampSec);
+  }
+
+  /**
+   * Glides the active sound to the active segment's level and speed for the current pass.
+   * Every client derives the pass from whole loops completed, so all of them land on the same values.
+   * @param {number} [rampSec]
+   * @private
+   */
+  _applySegmentEnvelope(rampSec = ENVELOPE_RAMP_SEC) {
+    if (!this.activeLoopSegment) return;
+    this._setEnvelope(this.activeSound, getSegmentEnvelope(this.activeLoopSegment, this.loopsCompleted), rampSec);
+  }
+
+  /** Glides the active sound back to its normal level and speed as it plays on past the loop. */
+  _releaseSegmentEnvelope() {
+    this._setEnvelope(this.activeSound, NEUTRAL_ENVELOPE, ENVELOPE_RAMP_SEC);
+  }
+
+  /**
+   * Takes up edited segment levels and speeds while looping. The config arrives through the
+   * loopWithin flag, so a GM's change reaches every client's looper.
+   * @param {object} config The updated, validated loop config.
+   */
+  refreshSegmentEnvelopes(config) {
+    if (this.isDestroyed) return;
+    const updated = new Map(config.segments.map(seg => [seg.id, seg]));
+    for (const segment of this.config.segments) {
+      const source = updated.get(segment.id);
+      if (!source) continue;
+      segment.gainDb = source.gainDb;
+      segment.gainStepDb = source.gainStepDb;
+      segment.rate = source.rate;
+      segment.rateStep = source.rateStep;
+    }
+    if (!this.isCrossfading) this._applySegmentEnvelope();
+  }
+
+  /**
+   * Resolves a segment's follow-up links to segment indices, dropping dangling or zero-weight links.
+   * A link into another sound resolves against that sound's segments and carries its id.
+   * @param {object} segment
+   * @returns {{index: number, weight: number, soundId: string|null}[]}
+   * @private
+   */
+  _getFollowUps(segment) {
+    return (segment?.next ?? [])
+      .map(link => {
+        const soundId = link.sound && link.sound !== this.ps.id ? link.sound : null;
+        const segments = soundId ? this._getCrossTrackSegments(soundId) : this.config.segments;
+        return {
+          index: segments.findIndex(seg => seg.id === link.target),
+          weight: link.weight,
+          soundId,
+        };
+      })
+      .filter(link => link.index >= 0 && link.weight > 0);
+  }
+
+  /**
+   * The segments a cross-track follow-up may land in. Only another idle sound of this playlist
+   * with an active loop qualifies; a sound that is already playing is left alone.
+   * @param {string} soundId
+   * @returns {object[]}
+   * @private
+   */
+  _getCrossTrackSegments(soundId) {
+    const targetPs = this.ps.parent?.sounds.get(soundId);
+    if (!targetPs || targetPs.playing) return [];
+    const config = Flags.getLoopConfig(targetPs);
+    return Flags.isLoopConfigActive(config) ? config.segments : [];
+  }
+
+  _pickWeightedFollowUp(followUps) {
+    const total = followUps.reduce((sum, link) => sum + link.weight, 0);
+    let roll = Math.random() * total;
+    for (const link of followUps) {
+      roll -= link.weight;
+      if (roll < 0) return link;
+    }
+    return followUps[followUps.length - 1];
+  }
+
+  /**
+   * Rolls where a branching segment will go once its loops complete. Only the GM rolls;
+   * the result is replicated so every client takes the same branch. Players keep a plan
+   * that arrived before their own looper reached the segment.
+   * @param {object} segment The segment that just became active.
+   * @private
+   */
+  _planBranch(segment) {
+    const fromIndex = this.config.segments.indexOf(segment);
+    if (!game.user.isGM) {
+      if (this.plannedBranch?.fromIndex !== fromIndex) this.plannedBranch = null;
+      return;
+    }
+
+    this.plannedBranch = null;
+    const followUps = this._getFollowUps(segment);
+    if (followUps.length < 2) return; // A single follow-up needs no roll.
+
+    const { index: targetIndex, soundId: targetSoundId } = this._pickWeightedFollowUp(followUps);
+    this.plannedBranch = { fromIndex, targetIndex, targetSoundId };
+    debug(`[LoopingSound] Branch planned for "${this.ps.name}": segment ${fromIndex} -> ${targetSoundId ? `sound ${targetSoundId} ` : ""}${targetIndex}.`);
+    this.onBranchPlanned?.(fromIndex, targetIndex, targetSoundId);
+  }
+
+  /**
+   * Accepts a branch roll replicated from the GM.
+   * @param {number} fromIndex The branching segment.
+   * @param {number} targetIndex The follow-up the GM picked.
+   * @param {string|null} [targetSoundId] The sound that segment belongs to, for a cross-track follow-up.
+   */
+  setPlannedBranch(fromIndex, targetIndex, targetSoundId = null) {
+    if (this.isDestroyed) return;
+    const targetSegments = targetSoundId ? this._getCrossTrackSegments(targetSoundId) : this.config.segments;
+    if (!this.config.segments[fromIndex] || !targetSegments[targetIndex]) {
+      debug(`[LoopingSound] Ignoring branch plan ${fromIndex} -> ${targetIndex} for "${this.ps.name}" - index out of range.`);
+      return;
+    }
+    this.plannedBranch = { fromIndex, targetIndex, targetSoundId };
+  }
+
+  /**
+   * Settles how long the segment may loop. A fixed limit needs no roll; a range is rolled by
+   * the GM and replicated like a branch roll, so every client retires on the same pass.
+   * @param {object} segment The segment that just became active.
+   * @private
+   */
+  _planTimeLimit(segment) {
+    const fromIndex = this.config.segments.indexOf(segment);
+    if (this.plannedTimeLimit?.fromIndex !== fromIndex) this.plannedTimeLimit = null;
+    if (!game.user.isGM || !(segment.loopMinutesMax > segment.loopMinutes)) return;
+
+    const minSec = segment.loopMinutes * 60;
+    const limitSec = minSec + Math.random() * (segment.loopMinutesMax * 60 - minSec);
+    this.plannedTimeLimit = { fromIndex, limitSec };
+    debug(`[LoopingSound] Time limit planned for "${this.ps.name}": segment ${fromIndex} loops for ${formatTime(limitSec)}.`);
+    this.onTimeLimitPlanned?.(fromIndex, limitSec);
+  }
+
+  /**
+   * Accepts a time-limit roll replicated from the GM.
+   * @param {number} fromIndex The segment the limit applies to.
+   * @param {number} limitSec Seconds the GM rolled.
+   */
+  setPlannedTimeLimit(fromIndex, limitSec) {
+    if (this.isDestroyed) return;
+    if (!this.config.segments[fromIndex] || !(limitSec >= 0)) {
+      debug(`[LoopingSound] Ignoring time limit for segment ${fromIndex} of "${this.ps.name}" - out of range.`);
+      return;
+    }
+    this.plannedTimeLimit = { fromIndex, limitSec };
+  }
+
+  /**
+   * Seconds a segment may loop before it completes at its next loop point; 0 for no limit.
+   * A player without the GM's roll yet uses the lower bound of the range.
+   * @private
+   */
+  _getTimeLimitSec(segment) {
+    if (!segment) return 0;
+    const plan = this.plannedTimeLimit;
+    if (plan && this.config.segments[plan.fromIndex] === segment) return plan.limitSec;
+    return (segment.loopMinutes || 0) * 60;
+  }
+
+  /**
+   * Whether the pass now playing is the segment's last, by loop count or by time limit.
+   * Passes are whole segment lengths, so every client agrees no matter when it joined.
+   * @private
+   */
+  _isFinalPass(segment) {
+    const maxLoops = segment.loopCount;
+    if (maxLoops > 0 && this.loopsCompleted >= maxLoops - 1) return true;
+    const limitSec = this._getTimeLimitSec(segment);
+    return limitSec > 0 && (this.loopsCompleted + 1) * (segment.endSec - segment.startSec) >= limitSec;
+  }
+
+  /**
+   * Time left before the active segment completes, for segments with a time limit.
+   * @returns {number|null} Seconds, or null when the segment has no time limit.
+   */
+  getLoopTimeRemaining() {
+    const segment = this.activeLoopSegment;
+    const limitSec = this._getTimeLimitSec(segment);
+    const segmentDur = segment ? segment.endSec - segment.startSec : 0;
+    if (!limitSec || !(segmentDur > 0) || this.loopingDisabled) return null;
+
+    let passes = Math.max(1, Math.ceil(limitSec / segmentDur));
+    if (segment.loopCount > 0) passes = Math.min(passes, segment.loopCount);
+    const position = Number(this.activeSound?.currentTime);
+    const intoPass = Number.isFinite(position)
+      ? Math.min(segmentDur, Math.max(0, position - segment.startSec))
+      : 0;
+    return Math.max(0, (passes - this.loopsCompleted) * segmentDur - intoPass);
+  }
+
+  /**
+   * Picks the follow-up a completed branching segment continues at.
+   * @returns {{index: number, weight: number, soundId: string|null}}
+   * @private
+   */
+  _resolveBranchTarget(fromIndex, followUps) {
+    const plan = this.plannedBranch;
+    this.plannedBranch = null;
+    const planned = plan?.fromIndex === fromIndex
+      ? followUps.find(link => link.index === plan.targetIndex && link.soundId === (plan.targetSoundId ?? null))
+      : null;
+    if (planned) return planned;
+    if (followUps.length > 1) {
+      debug(`[LoopingSound] No branch plan for segment ${fromIndex} of "${this.ps.name}". Rolling locally.`);
+    }
+    return this._pickWeightedFollowUp(followUps);
+  }
+
   /**
    * Handles the transition after a segment completes its loops.
-   * If skipToNext is enabled, jumps to the next segment or fades out.
-   * Otherwise, continues playing naturally.
+   * Follow-up links take priority: one is picked by weight and jumped to, possibly in
+   * another sound of the playlist. Otherwise, if skipToNext is enabled, jumps to the next segment or fades out;
+   * if not, continues playing naturally.
    */
   async _handleSegmentCompletion() {
     if (this.isDestroyed || !this.activeLoopSegment) return;
@@ -491,6 +804,30 @@ export class LoopingSound {
 
     // Find the next segment in the array
     const currentIndex = this.config.segments.indexOf(currentSegment);
+    const followUps = this._getFollowUps(currentSegment);
+    if (followUps.length) {
+      const link = this._resolveBranchTarget(currentIndex, followUps);
+
+      Hooks.callAll('the-sound-of-silence.loopEnd', {
+        sound: this.ps,
+        segment: currentSegment,
+        totalIterations: this.loopsCompleted,
+        hasNextSegment: true
+      });
+      this._recordLoopSessionEnd({ completed: true });
+
+      if (link.soundId) {
+        debug(`[LoopingSound] Segment "${currentSegment.start}-${currentSegment.end}" completed. Jumping to segment ${link.index} of sound ${link.soundId}.`);
+        await this._jumpToSound(link.soundId, link.index);
+        return;
+      }
+
+      const branchSegment = this.config.segments[link.index];
+      debug(`[LoopingSound] Segment "${currentSegment.start}-${currentSegment.end}" completed. Branching to segment at ${branchSegment.start}.`);
+      await this._skipToSegment(branchSegment);
+      return;
+    }
+
     const nextSegment = this.config.segments[currentIndex + 1];
     const isLastSegment = !nextSegment;
 
@@ -539,20 +876,25 @@ export class LoopingSound {
    * @param {Sound} options.targetSound The sound to fade in.
    * @param {number} options.targetOffset The time (in seconds) where the target sound should start playing.
    * @param {number} options.crossfadeMs The duration of the crossfade in milliseconds.
+   * @param {PlaylistSound} [options.targetPs] The document the target sound plays for. Another
+   *   sound's document means a cross-track jump: the target is not kept as this looper's A/B buffer.
+   * @param {{gainDb: number, rate: number}} [options.envelope] Level and speed the target starts at.
    * @returns {Promise<boolean>} True if the handoff was successful, false otherwise.
    * @private
    */
-  async _executeCrossfadeAndHandoff({ sourceSound, targetSound, targetOffset, crossfadeMs }) {
+  async _executeCrossfadeAndHandoff({ sourceSound, targetSound, targetOffset, crossfadeMs, targetPs = this.ps, envelope = NEUTRAL_ENVELOPE }) {
     if (this.isDestroyed || !sourceSound || !targetSound) {
       debug(`[LoopingSound] Crossfade aborted: destroyed=${this.isDestroyed}, sourceSound=${!!sourceSound}, targetSound=${!!targetSound}`);
       return false;
     }
 
     this._setCrossfading(true);
-    targetSound._manager = this.ps;
+    targetSound._manager = targetPs;
 
     try {
-      await targetSound.play({ offset: targetOffset, volume: 0, _fromLoop: true });
+      // Stem layers start with the target so they wrap together with the main file.
+      await playWithStems(targetPs, targetSound, { offset: targetOffset, volume: 0, _fromLoop: true });
+      this._setEnvelope(targetSound, envelope, 0);
     } catch (err) {
       if (err.name === 'AbortError') {
         debug(`[LoopingSound] Crossfade play was aborted.`);
@@ -571,7 +913,7 @@ export class LoopingSound {
       return false;
     }
 
-    const targetVolIn = Flags.resolveTargetVolume(this.ps);
+    const targetVolIn = Flags.resolveTargetVolume(targetPs);
     equalPowerCrossfade(sourceSound, targetSound, crossfadeMs, { targetVolIn });
 
     this.handoffTimer?.cancel();
@@ -596,6 +938,12 @@ export class LoopingSound {
 
     safeStop(sourceSound, "handoff cleanup");
 
+    if (targetPs !== this.ps) {
+      this._setCrossfading(false);
+      debug(`[LoopingSound] Cross-track handoff complete: "${this.ps.name}" -> "${targetPs.name}".`);
+      return true;
+    }
+
     this.isA_Active = !this.isA_Active;
     this.ps.sound = this.activeSound;
     this.activeSound._manager = this.ps;
@@ -612,11 +960,7 @@ export class LoopingSound {
   async _skipToSegment(nextSegment) {
     if (this.isDestroyed) return;
 
-    safeCancelTimer(this.mainSchedule, `skipToSegment main schedule for "${this.ps?.name}"`);
-    safeCancelTimer(this.loopCrossfadeTimer, `skipToSegment crossfade timer for "${this.ps?.name}"`);
-    this.mainSchedule = null;
-    this.loopCrossfadeTimer = null;
-    this.handoffTimer?.cancel();
+    this._cancelSegmentTimers("skipToSegment");
 
     const sourceSound = this.activeSound;
     const crossfadeMs = this.activeLoopSegment?.crossfadeMs || 1000;
@@ -634,7 +978,8 @@ export class LoopingSound {
       sourceSound,
       targetSound,
       targetOffset: nextSegment.startSec,
-      crossfadeMs
+      crossfadeMs,
+      envelope: getSegmentEnvelope(nextSegment)
     });
 
     if (this.isDestroyed) return;
@@ -644,6 +989,8 @@ export class LoopingSound {
       debug(`[LoopingSound] Handoff to new segment complete. Now tracking segment at ${nextSegment.start}`);
       this._setActiveLoopSegment(nextSegment);
       this.loopsCompleted = 0; // Reset the loop counter for the new segment
+      this._planBranch(nextSegment);
+      this._planTimeLimit(nextSegment);
 
       this._armCrossfadeLoop(); // Arm the timer for the *next* iteration of the *new* loop
     } else {
@@ -653,6 +1000,82 @@ export class LoopingSound {
     }
   }
 
+  /**
+   * Continues in another sound of the playlist: crossfades into it at the chosen segment, then
+   * hands the playing sound to the manager, which gives that sound a looper of its own. Every
+   * client jumps from the replicated branch plan; the GM also moves the playing state across.
+   * @param {string} soundId The PlaylistSound to continue in.
+   * @param {number} segmentIndex Index of the segment in that sound's loop config.
+   * @private
+   */
+  async _jumpToSound(soundId, segmentIndex) {
+    if (this.isDestroyed) return;
+
+    this._cancelSegmentTimers("jumpToSound");
+
+    const targetPs = this.ps.parent?.sounds.get(soundId);
+    const targetSegment = this._getCrossTrackSegments(soundId)[segmentIndex];
+    if (!targetPs || !targetSegment) {
+      debug(`[LoopingSound] Cross-track target ${soundId}/${segmentIndex} is no longer available.`);
+      this._endCurrentLoopSegment();
+      return;
+    }
+
+    const sourceSound = this.activeSound;
+    const crossfadeMs = this.activeLoopSegment?.crossfadeMs || 1000;
+    let targetSound;
+    try {
+      targetSound = new foundry.audio.Sound(targetPs.path, {
+        context: sourceSound?.context,
+        forceBuffer: this._needsBufferedSound(Flags.getLoopConfig(targetPs)),
+      });
+      await targetSound.load();
+      await prepareStems(targetPs, targetSound);
+    } catch (err) {
+      error(`[LoopingSound] Failed to load "${targetPs.name}" for a cross-track jump:`, err);
+      this._endCurrentLoopSegment();
+      return;
+    }
+    if (this.isDestroyed) return;
+
+    // Claimed before the GM marks the document playing, so Foundry's sync finds it already running.
+    targetSound.addEventListener("end", targetPs._onEnd.bind(targetPs), { once: true });
+    targetPs.sound = targetSound;
+
+    debug(`[LoopingSound] Crossfading "${this.ps.name}" into "${targetPs.name}" at ${targetSegment.startSec}s over ${crossfadeMs}ms`);
+    const wasSuccessful = await this._executeCrossfadeAndHandoff({
+      sourceSound,
+      targetSound,
+      targetOffset: targetSegment.startSec,
+      crossfadeMs,
+      targetPs,
+      envelope: getSegmentEnvelope(targetSegment),
+    });
+
+    if (this.isDestroyed) return;
+
+    if (!wasSuccessful) {
+      debug(`[LoopingSound] Cross-track crossfade failed.`);
+      this._endCurrentLoopSegment();
+      return;
+    }
+
+    Hooks.callAll('the-sound-of-silence.loopTrackJump', {
+      fromSound: this.ps,
+      toSound: targetPs,
+      segmentIndex
+    });
+    this.onCrossTrackJump?.(targetPs, targetSound, segmentIndex);
+  }
+
+  _cancelSegmentTimers(reason) {
+    safeCancelTimer(this.mainSchedule, `${reason} main schedule for "${this.ps?.name}"`);
+    safeCancelTimer(this.loopCrossfadeTimer, `${reason} crossfade timer for "${this.ps?.name}"`);
+    this.mainSchedule = null;
+    this.loopCrossfadeTimer = null;
+    this.handoffTimer?.cancel();
+  }
+
   /**
    * Fades out the current sound and signals to advance to the next track.
    * This function now checks if crossfade is active on the playlist.
@@ -726,11 +1149,13 @@ export class LoopingSound {
 
   async _performCrossfadeLoop() {
     if (this.isDestroyed || !this.activeLoopSegment) return;
+    // The loop point arrived before the queued grid boundary; act at the loop point.
+    if (this._flushQuantizedAction()) return;
 
     const maxLoops = this.activeLoopSegment.loopCount;
 
-    if (maxLoops > 0 && this.loopsCompleted >= maxLoops - 1) {
-      debug(`[LoopingSound] Reached ${maxLoops} play(s). Checking skipToNext...`);
+    if (this._isFinalPass(this.activeLoopSegment)) {
+      debug(`[LoopingSound] Reached ${this.loopsCompleted + 1} play(s) (count ${maxLoops || "∞"}, time limit ${formatTime(this._getTimeLimitSec(this.activeLoopSegment))}). Checking skipToNext...`);
       await this._handleSegmentCompletion();
       return;
     }
@@ -748,6 +1173,13 @@ export class LoopingSound {
     });
     State.recordLoopIteration();
 
+    if (getLoopRegion(this.activeSound)) {
+      // The node already wrapped on the audio thread; step the envelope and arm the next pass.
+      this._applySegmentEnvelope();
+      this._armCrossfadeLoop();
+      return;
+    }
+
     const targetSound = await this._prepareTargetSound();
     if (!targetSound) {
       debug(`[LoopingSound] Aborting crossfade, target sound could not be prepared.`);
@@ -761,7 +1193,8 @@ export class LoopingSound {
       sourceSound,
       targetSound,
       targetOffset: startSec,
-      crossfadeMs
+      crossfadeMs,
+      envelope: getSegmentEnvelope(this.activeLoopSegment, this.loopsCompleted)
     });
 
     if (this.isDestroyed) return;
@@ -777,6 +1210,8 @@ export class LoopingSound {
   }
 
   _endCurrentLoopSegment() {
+    this._releaseGaplessLoop();
+    this._releaseSegmentEnvelope();
     this._recordLoopSessionEnd({ completed: false });
     this._setActiveLoopSegment(null);
     this._setCrossfading(false);
@@ -785,10 +1220,93 @@ export class LoopingSound {
     this._armNextTimer();
   }
 
-  breakLoop() {
+  /**
+   * Works out when a quantized break/skip should happen on the active sound's timeline.
+   * @param {string} [quantize] "immediate", "beat", "bar" or "phrase". Defaults to the sound's tempo setting.
+   * @returns {number|null} The boundary in seconds, or null to act immediately.
+   * @private
+   */
+  _getQuantizeBoundary(quantize) {
+    const tempo = this.config.tempo;
+    const unit = quantize ?? tempo?.quantize ?? "immediate";
+    if (unit === "immediate" || !hasTempo(tempo)) return null;
+
+    const currentTime = Number(this.activeSound?.currentTime);
+    if (!Number.isFinite(currentTime)) return null;
+
+    return getNextGridTime(currentTime, tempo, unit, { minLeadSec: QUANTIZE_MIN_LEAD });
+  }
+
+  /**
+   * Defers a break/skip until a grid boundary. A newer request replaces a queued one.
+   * @private
+   */
+  _queueQuantizedAction(kind, boundary, run) {
+    this._cancelQuantizedAction();
+
+    const pending = { kind, boundary, run, timer: null };
+    this.pendingQuantizedAction = pending;
+
+    // A boundary past a gapless loop's end is never reached while the node wraps. Let this
+    // pass run out instead, so the action is flushed at the loop point like the A/B path does.
+    const region = getLoopRegion(this.activeSound);
+    if (region && boundary >= region.end) this._releaseGaplessLoop();
+    debug(`[LoopingSound] Queued ${kind} for "${this.ps.name}" at grid boundary ${formatTime(boundary)}.`);
+
+    pending.timer = this.activeSound.schedule(() => {
+      if (this.pendingQuantizedAction !== pending || this.isDestroyed) return;
+      this.pendingQuantizedAction = null;
+      debug(`[LoopingSound] Grid boundary reached. Running queued ${kind} for "${this.ps.name}".`);
+      run();
+    }, boundary);
+  }
+
+  _cancelQuantizedAction() {
+    const pending = this.pendingQuantizedAction;
+    if (!pending) return;
+    safeCancelTimer(pending.timer, `LoopingSound quantized ${pending.kind} for "${this.ps?.name}"`);
+    this.pendingQuantizedAction = null;
+  }
+
+  /**
+   * Runs a queued break/skip early, e.g. when the loop wraps before its grid boundary.
+   * @returns {boolean} True if an action was run.
+   * @private
+   */
+  _flushQuantizedAction() {
+    const pending = this.pendingQuantizedAction;
+    if (!pending) return false;
+    this._cancelQuantizedAction();
+    debug(`[LoopingSound] Running queued ${pending.kind} early for "${this.ps.name}".`);
+    pending.run();
+    return true;
+  }
+
+  /**
+   * Stops looping the current segment and lets the track play on.
+   * @param {object} [options]
+   * @param {string} [options.quantize] Wait for the next "beat", "bar" or "phrase", or "immediate".
+   * Defaults to the sound's tempo setting.
+   */
+  breakLoop({ quantize } = {}) {
     if (this.isDestroyed) return;
     debug(`[LoopingSound] Break loop requested for "${this.ps.name}".`);
 
+    if (this.activeLoopSegment && !this.isCrossfading) {
+      const boundary = this._getQuantizeBoundary(quantize);
+      if (boundary !== null) {
+        this._queueQuantizedAction("break", boundary, () => this._breakLoopNow());
+        return;
+      }
+    }
+
+    this._breakLoopNow();
+  }
+
+  _breakLoopNow() {
+    if (this.isDestroyed) return;
+    this._cancelQuantizedAction();
+
     safeCancelTimer(this.loopCrossfadeTimer, `breakLoop crossfade timer for "${this.ps?.name}"`);
     this.loopCrossfadeTimer = null;
 
@@ -823,6 +1341,7 @@ export class LoopingSound {
     safeCancelTimer(this.loopCrossfadeTimer, `disableLooping crossfade timer for "${this.ps?.name}"`);
     safeCancelTimer(this.handoffTimer, `disableLooping handoff timer for "${this.ps?.name}"`);
     safeCancelTimer(this.finalTransitionTimer, `disableLooping final transition for "${this.ps?.name}"`);
+    this._cancelQuantizedAction();
 
     // If crossfading, abort it gracefully and restore volume
     if (this.isCrossfading) {
@@ -833,6 +1352,8 @@ export class LoopingSound {
     }
 
     // Clear the active segment
+    this._releaseGaplessLoop();
+    this._releaseSegmentEnvelope();
     this._recordLoopSessionEnd({ completed: false });
     this._setActiveLoopSegment(null);
     this._setCrossfading(false);
@@ -875,7 +1396,12 @@ export class LoopingSound {
     return null;
   }
 
-  skipToNextSegment() {
+  /**
+   * Skips to the next segment in the sequence.
+   * @param {object} [options]
+   * @param {string} [options.quantize] Grid unit to wait for; defaults to the sound's tempo setting.
+   */
+  skipToNextSegment(options = {}) {
     if (this.isDestroyed) {
       debug(`[LoopingSound] Cannot skip to next segment: looper is destroyed.`);
       return;
@@ -888,13 +1414,15 @@ export class LoopingSound {
 
     const nextSegment = this.config.segments[nextIndex];
     debug(`[LoopingSound] Skipping to next segment: "${nextSegment.label}" at ${nextSegment.start}`);
-    this._skipToSegment(nextSegment);
+    this._requestSkip(nextSegment, options);
   }
 
   /**
    * Skips to the previous segment in the sequence.
+   * @param {object} [options]
+   * @param {string} [options.quantize] Grid unit to wait for; defaults to the sound's tempo setting.
    */
-  skipToPreviousSegment() {
+  skipToPreviousSegment(options = {}) {
     if (this.isDestroyed) {
       debug(`[LoopingSound] Cannot skip to previous segment: looper is destroyed.`);
       return;
@@ -907,15 +1435,17 @@ export class LoopingSound {
 
     const prevSegment = this.config.segments[prevIndex];
     debug(`[LoopingSound] Skipping to previous segment: "${prevSegment.label}" at ${prevSegment.start}`);
-    this._skipToSegment(prevSegment);
+    this._requestSkip(prevSegment, options);
   }
 
   /**
    * Skips to a specific segment by its index in the config array.
    * Used by the replication system to sync segment skips across clients.
    * @param {number} index The index of the segment to skip to
+   * @param {object} [options]
+   * @param {string} [options.quantize] Grid unit to wait for; defaults to the sound's tempo setting.
    */
-  skipToSegmentByIndex(index) {
+  skipToSegmentByIndex(index, options = {}) {
     if (this.isDestroyed) return;
     if (this.loopingDisabled) {
       debug(`[LoopingSound] Cannot skip to segment index ${index} for "${this.ps.name}" - looping is disabled.`);
@@ -933,7 +1463,25 @@ export class LoopingSound {
     }
 
     debug(`[LoopingSound] Skipping to segment index ${index} at ${targetSegment.start}`);
-    this._skipToSegment(targetSegment);
+    this._requestSkip(targetSegment, options);
+  }
+
+  /**
+   * Starts a segment skip now, or queues it for the next grid boundary.
+   * @private
+   */
+  _requestSkip(segment, { quantize } = {}) {
+    // The handoff stops and swaps the active sound, so a skip must not be scheduled on it.
+    if (this.isCrossfading) {
+      debug(`[LoopingSound] Cannot skip to ${segment.start} for "${this.ps.name}" - transition already in progress.`);
+      return;
+    }
+    const boundary = this._getQuantizeBoundary(quantize);
+    if (boundary !== null) {
+      this._queueQuantizedAction("skip", boundary, () => this._skipToSegment(segment));
+      return;
+    }
+    this._skipToSegment(segment);
   }
 
   retire() {
@@ -946,6 +1494,7 @@ export class LoopingSound {
     safeCancelTimer(this.loopCrossfadeTimer, `LoopingSound crossfade timer for "${this.ps?.name}"`);
     safeCancelTimer(this.handoffTimer, `LoopingSound handoff timer for "${this.ps?.name}"`);
     safeCancelTimer(this.finalTransitionTimer, `LoopingSound final transition timer for "${this.ps?.name}"`);
+    this._cancelQuantizedAction();
 
     if (this.isCrossfading) {
       safeStop(inactiveSound, `retire abort crossfade for "${this.ps?.name}"`);
@@ -967,6 +1516,9 @@ export class LoopingSound {
     if (this.soundA && this.soundA !== activeSound) this.soundA._manager = null;
     if (this.soundB && this.soundB !== activeSound) this.soundB._manager = null;
 
+    // The active sound keeps playing as a plain track; it must not keep wrapping.
+    this._releaseGaplessLoop();
+    this._releaseSegmentEnvelope();
     this._recordLoopSessionEnd({ completed: false });
     this._setActiveLoopSegment(null);
     this._setCrossfading(false);
@@ -994,7 +1546,9 @@ export class LoopingSound {
     safeCancelTimer(this.loopCrossfadeTimer, `LoopingSound crossfade timer for "${this.ps?.name}"`);
     safeCancelTimer(this.handoffTimer, `LoopingSound handoff timer for "${this.ps?.name}"`);
     safeCancelTimer(this.finalTransitionTimer, `LoopingSound final transition timer for "${this.ps?.name}"`);
+    this._cancelQuantizedAction();
 
+    this._releaseGaplessLoop();
     if (!allowFadeOut) {
       // Clean up sounds if they exist
       safeStop(this.soundA, `destroy soundA for "${this.ps?.name}"`);
@@ -1016,10 +1570,33 @@ export class LoopingSound {
     this.soundB = null;
   }
 
+  /**
+   * Takes over a sound that another looper crossfaded into for a cross-track follow-up, and
+   * loops it from the chosen segment without restarting playback.
+   * @param {Sound} sound The playing Sound.
+   * @param {number} segmentIndex The segment to loop first.
+   */
+  adopt(sound, segmentIndex) {
+    if (this.isDestroyed) return;
+
+    this.soundA = sound;
+    this.soundB = null;
+    this.isA_Active = true;
+    this.ps.sound = sound;
+    sound._manager = this.ps;
+
+    const segment = this.config.segments[segmentIndex];
+    debug(`[LoopingSound] Adopted playback for "${this.ps.name}" at segment ${segmentIndex}.`);
+    if (segment) this._enterLoopSegment(segment);
+    else this._armNextTimer();
+  }
+
   pause() {
     safeCancelTimer(this.mainSchedule, `pause main schedule for "${this.ps?.name}"`);
     safeCancelTimer(this.loopCrossfadeTimer, `pause crossfade timer for "${this.ps?.name}"`);
     safeCancelTimer(this.finalTransitionTimer, `pause final transition timer for "${this.ps?.name}"`);
+    // A queued break/skip is dropped; its grid boundary means nothing once playback stops.
+    this._cancelQuantizedAction();
     // We don't need to cancel handoffTimer as it's very short-lived
   }
 
@@ -1032,7 +1609,8 @@ export class LoopingSound {
     }
 
     if (this.activeLoopSegment) {
-      // If we were in the middle of a loop, re-arm the crossfade
+      // Resuming starts a new source node at normal speed; restore the segment's before re-arming.
+      this._applySegmentEnvelope(0);
       this._armCrossfadeLoop();
     } else {
       // Otherwise, look for the next segment in the sequence
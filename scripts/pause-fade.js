@@ -0,0 +1,109 @@
+// pause-fade.js
+/**
+ * @file pause-fade.js
+ * @description Fades a track out before it pauses and back in when it resumes. Pausing is a
+ * document update (`playing: false` with a `pausedTime`), so every client reaches this through
+ * its own `PlaylistSound#sync` and fades its own audio. The `pausedTime` in that update is read
+ * before the fade, so once it ends the GM moves it to where the audio actually stopped. The
+ * resume fade itself is started by the `Sound#play` wrapper, which already knows the resume offset.
+ */
+import { debug, safeStop, PlaylistActionAuthority } from "./utils.js";
+import { advancedFade } from "./audio-fader.js";
+import { Flags } from "./flag-service.js";
+import { pauseLoopWithin, resumeLoopWithin } from "./internal-loop.js";
+import { State } from "./state-manager.js";
+
+const AudioTimeout = foundry.audio.AudioTimeout;
+
+/** @type {WeakMap<PlaylistSound, {sounds: Sound[], tokens: Map<Sound, object>}>} */
+const pendingPauses = new WeakMap();
+
+/** The Sounds a pause has to silence: the track itself and both sides of a loop crossfade. */
+function getPausingSounds(ps) {
+  const sounds = new Set([ps.sound]);
+  const looper = State.getActiveLooper(ps);
+  if (looper && !looper.isDestroyed) {
+    sounds.add(looper.activeSound);
+    sounds.add(looper.targetSound);
+  }
+  return Array.from(sounds).filter((sound) => sound?.playing);
+}
+
+/**
+ * Whether a track is still fading out towards a pause.
+ * @param {PlaylistSound} ps
+ * @returns {boolean}
+ */
+export function isPauseFading(ps) {
+  return pendingPauses.has(ps);
+}
+
+/**
+ * Fades a track out, then pauses it. The other side of a loop crossfade is stopped, since only
+ * the track's own Sound resumes. If the track is stopped outright during the fade it stops
+ * instead of pausing.
+ * @param {PlaylistSound} ps A track that has just been paused but whose Sound is still playing.
+ * @returns {boolean} True if the fade owns the pause; false to let Foundry pause it at once.
+ */
+export function fadeOutAndPause(ps) {
+  if (pendingPauses.has(ps)) return true;
+
+  const fadeMs = Flags.getPlaylistFlag(ps.parent, "pauseFadeMs");
+  if (!(fadeMs > 0) || !ps.sound?.playing) return false;
+
+  // Loop timers must not fire while the track fades towards its pause.
+  pauseLoopWithin(ps);
+
+  const sounds = getPausingSounds(ps);
+  const pause = { sounds, tokens: new Map() };
+  for (const sound of sounds) {
+    pause.tokens.set(sound, advancedFade(sound, { targetVol: 0, duration: fadeMs }));
+  }
+  pendingPauses.set(ps, pause);
+  debug(`[PauseFade] Fading out "${ps.name}" over ${fadeMs}ms before pausing.`);
+
+  AudioTimeout.wait(fadeMs).then(() => {
+    if (pendingPauses.get(ps) !== pause) return;
+    pendingPauses.delete(ps);
+
+    const stopped = !Number.isFinite(ps.pausedTime);
+    const pausedAt = Number(ps.sound?.currentTime);
+    for (const sound of sounds) {
+      State.clearFadingSound(sound, pause.tokens.get(sound));
+      if (sound === ps.sound && !stopped) sound.pause();
+      else safeStop(sound, "pause fade");
+    }
+    debug(`[PauseFade] ${stopped ? "Stopped" : "Paused"} "${ps.name}" after fade-out.`);
+
+    // Resume from the end of the fade, not from where it began, so the faded part is not replayed.
+    if (!stopped && !ps.playing && Number.isFinite(pausedAt) && PlaylistActionAuthority.isAuthorizedGM()) {
+      ps.update({ pausedTime: pausedAt }).catch((err) =>
+        debug(`[PauseFade] Failed to record paused position for "${ps.name}":`, err?.message ?? err)
+      );
+    }
+  }).catch(() => { });
+  return true;
+}
+
+/**
+ * Turns a pause fade-out around when the track resumes before it has finished, fading back in
+ * from wherever it got to.
+ * @param {PlaylistSound} ps A track that has just been set playing again.
+ * @returns {boolean} True if a pending pause was cancelled.
+ */
+export function cancelPauseFade(ps) {
+  const pause = pendingPauses.get(ps);
+  if (!pause) return false;
+  pendingPauses.delete(ps);
+
+  for (const sound of pause.sounds) {
+    if (sound !== ps.sound) safeStop(sound, "pause fade resumed");
+  }
+  advancedFade(ps.sound, {
+    targetVol: Flags.resolveTargetVolume(ps),
+    duration: Flags.getPlaylistFlag(ps.parent, "resumeFadeMs"),
+  });
+  resumeLoopWithin(ps);
+  debug(`[PauseFade] "${ps.name}" resumed during its pause fade; fading back in.`);
+  return true;
+}
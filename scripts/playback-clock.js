@@ -1,7 +1,8 @@
 /**
  * @file playback-clock.js
  * @description Shared wall-clock playback metadata used to recover playlist
- * advancement when the owner client's local media clock stalls.
+ * advancement when the owner client's local media clock stalls. Between tracks the
+ * same flag carries the current silent gap, which has no document of its own.
  */
 
 import { MODULE_ID, debug } from "./utils.js";
@@ -78,6 +79,10 @@ function _resolveExpectedFadeAt(playlist, expectedEndAt) {
   return Math.max(0, expectedEndAt - fadeMs);
 }
 
+function _isGapClock(clock) {
+  return clock?.kind === "gap";
+}
+
 function _sameClock(existing, next) {
   if (!existing || !next) return false;
   if (existing.soundId !== next.soundId) return false;
@@ -100,7 +105,6 @@ export const PlaybackClock = {
     if (!_canWriteClock(playlist) || !ps) return null;
     if (![CONST.PLAYLIST_MODES.SEQUENTIAL, CONST.PLAYLIST_MODES.SHUFFLE].includes(playlist.mode)) return null;
     if (Flags.getPlaybackMode(playlist).soundscape) return null;
-    if (Flags.getSoundFlag(ps, "isSilenceGap")) return null;
     if (ps.repeat) return null;
     const loopConfig = Flags.getLoopConfig(ps);
     if (loopConfig?.enabled && loopConfig?.active) {
@@ -119,6 +123,7 @@ export const PlaybackClock = {
     const startedAt = Math.round(now - (offset * 1000));
     const expectedEndAt = Math.round(startedAt + (durationSec * 1000));
     const nextClock = {
+      kind: "track",
       soundId: ps.id,
       soundUuid: ps.uuid,
       clockSeq: _nextClockSeq(playlist),
@@ -145,6 +150,75 @@ export const PlaybackClock = {
     return nextClock;
   },
 
+  /**
+   * Records a silent gap as the playlist's clock, in the same write as any other playlist
+   * changes (such as stopping the track that just finished).
+   * @param {Playlist} playlist
+   * @param {PlaylistSound|null} sourceSound The track the gap follows.
+   * @param {number} gapMs Gap length in milliseconds.
+   * @param {object} [options]
+   * @param {object} [options.updates] Further playlist changes to write with the clock.
+   * @param {string} [options.reason]
+   * @returns {Promise<object|null>} The gap clock, or null if this client may not write it.
+   */
+  async recordGap(playlist, sourceSound, gapMs, { updates = {}, reason = "silence" } = {}) {
+    if (!_canWriteClock(playlist)) return null;
+    const durationSec = _finitePositive(Number(gapMs) / 1000);
+    if (!durationSec) return null;
+
+    const startedAt = Date.now();
+    const nextClock = {
+      kind: "gap",
+      soundId: null,
+      sourceSoundId: sourceSound?.id ?? null,
+      clockSeq: _nextClockSeq(playlist),
+      ownerId: game.user.id,
+      startedAt,
+      offsetSec: 0,
+      durationSec: Number(durationSec.toFixed(3)),
+      expectedEndAt: Math.round(startedAt + durationSec * 1000),
+      expectedFadeAt: null,
+      reason,
+    };
+    LAST_CLOCK_WRITES.set(playlist.id, nextClock);
+
+    debug(`[Clock] Recording ${gapMs}ms silent gap for "${playlist.name}".`, nextClock);
+    await playlist.update({ ...updates, [`flags.${MODULE_ID}.${FLAG_KEY}`]: nextClock });
+    return nextClock;
+  },
+
+  /**
+   * Gets the playlist's current silent gap, if its clock is one.
+   * @param {Playlist} playlist
+   * @returns {object|null}
+   */
+  getGap(playlist) {
+    const clock = this.get(playlist);
+    return _isGapClock(clock) ? clock : null;
+  },
+
+  /**
+   * Resolves how far through its silent gap a playlist is, from the shared clock.
+   * @param {Playlist} playlist
+   * @param {object} [options]
+   * @param {number} [options.now]
+   * @returns {{currentTime: number, duration: number, progressPct: number, remainingMs: number, clock: object}|null}
+   */
+  resolveGapPosition(playlist, { now = Date.now() } = {}) {
+    const clock = this.getGap(playlist);
+    const durationSec = _finitePositive(clock?.durationSec);
+    if (!durationSec || !Number.isFinite(Number(clock.startedAt))) return null;
+
+    const elapsed = _clamp((now - Number(clock.startedAt)) / 1000, 0, durationSec);
+    return {
+      currentTime: elapsed,
+      duration: durationSec,
+      progressPct: _clamp((elapsed / durationSec) * 100, 0, 100),
+      remainingMs: Math.max(0, Math.round(Number(clock.expectedEndAt) - now)),
+      clock,
+    };
+  },
+
   async clear(playlist, reason = "clear") {
     if (!_canWriteClock(playlist)) return false;
     if (!this.get(playlist)) return false;
@@ -176,7 +250,7 @@ export const PlaybackClock = {
   getTransitionDueAt(playlist, clock = this.get(playlist)) {
     if (!clock) return null;
     const mode = Flags.getPlaybackMode(playlist);
-    const dueAt = mode.crossfade ? Number(clock.expectedFadeAt) : Number(clock.expectedEndAt);
+    const dueAt = mode.crossfade && !_isGapClock(clock) ? Number(clock.expectedFadeAt) : Number(clock.expectedEndAt);
     return Number.isFinite(dueAt) && dueAt > 0 ? dueAt : null;
   },
 
@@ -190,8 +264,9 @@ export const PlaybackClock = {
     const clock = this.get(playlist);
     if (!clock) return null;
 
-    const ps = playlist?.sounds?.get?.(clock.soundId);
-    const position = ps ? this.resolvePosition(ps, { now }) : null;
+    const isGap = _isGapClock(clock);
+    const ps = isGap ? null : playlist?.sounds?.get?.(clock.soundId);
+    const position = isGap ? this.resolveGapPosition(playlist, { now }) : (ps ? this.resolvePosition(ps, { now }) : null);
     const media = ps?.sound;
     const liveTime = Number(media?.currentTime);
     const duration = Number(media?.duration);
@@ -199,7 +274,7 @@ export const PlaybackClock = {
 
     return {
       ...clock,
-      soundName: ps?.name ?? clock.soundId,
+      soundName: isGap ? "Silent Gap" : (ps?.name ?? clock.soundId),
       currentTime: Number.isFinite(derivedTime) ? Number(derivedTime.toFixed(1)) : null,
       mediaCurrentTime: Number.isFinite(liveTime) ? Number(liveTime.toFixed(1)) : null,
       mediaDuration: Number.isFinite(duration) ? Number(duration.toFixed(1)) : null,
@@ -21,7 +21,7 @@ function _describeActivePlaylists() {
       .map((playlist) => {
         const mode = Flags.getPlaybackMode(playlist).effective;
         const sounds = playlist.sounds
-          .filter((sound) => sound.playing && !Flags.getSoundFlag(sound, "isSilenceGap"))
+          .filter((sound) => sound.playing)
           .map((sound) => {
             const media = sound.sound;
             const audioState = media
@@ -63,8 +63,7 @@ function _getRecoverablePlayingSound(playlist) {
   if (Flags.getPlaybackMode(playlist).soundscape) return null;
   return playlist.sounds.find((sound) =>
     sound.playing &&
-    !sound.repeat &&
-    !Flags.getSoundFlag(sound, "isSilenceGap")
+    !sound.repeat
   ) ?? null;
 }
 
@@ -120,7 +119,6 @@ export function queuePlaybackClockRecord(soundDoc, reason = "document playing",
   if (!playlist?.isOwner || !soundDoc?.playing) return;
   if (!_isSequentialOrShuffle(playlist)) return;
   if (Flags.getPlaybackMode(playlist).soundscape) return;
-  if (Flags.getSoundFlag(soundDoc, "isSilenceGap")) return;
   if (soundDoc.repeat) return;
 
   const attempt = async (label) => {
@@ -157,17 +155,30 @@ export function queuePlaybackClockRecord(soundDoc, reason = "document playing",
   }, 300);
 }
 
-async function _recoverOverdueSilenceGap(playlist, reason) {
+/**
+ * Keeps a playlist's silent gap moving: takes over a gap this client is not timing (such as
+ * after a reload) and completes one whose timer has stalled past the shared end time.
+ * @returns {Promise<boolean>} True while the playlist is in a gap.
+ */
+async function _recoverSilenceGap(playlist, reason) {
+  const clock = PlaybackClock.getGap(playlist);
   const state = State.getSilenceState(playlist);
-  if (!state || state.cancelled || state.completed) return false;
+  if (!clock && !state) return false;
 
-  const expectedEndAt = Number(state.expectedEndAt);
+  if (!state) {
+    Silence.adoptGap(playlist, clock);
+    return true;
+  }
+  if (state.cancelled || state.completed) return true;
+
+  const expectedEndAt = Number(clock?.expectedEndAt ?? state.expectedEndAt);
   if (!Number.isFinite(expectedEndAt) || Date.now() <= expectedEndAt + PlaybackClock.RECOVERY_GRACE_MS) {
-    return false;
+    return true;
   }
 
   debug(`[ClockRecovery] Completing overdue silent gap in "${playlist.name}" (${reason}).`);
-  return Silence.completeGap(playlist, state, { reason: `clock:${reason}` });
+  await Silence.completeGap(playlist, state, { reason: `clock:${reason}` });
+  return true;
 }
 
 async function _recoverOverduePlaylist(playlist, reason = "watchdog") {
@@ -181,7 +192,7 @@ async function _recoverOverduePlaylist(playlist, reason = "watchdog") {
 
   PLAYBACK_RECOVERY_IN_FLIGHT.add(key);
   try {
-    if (await _recoverOverdueSilenceGap(playlist, reason)) return true;
+    if (await _recoverSilenceGap(playlist, reason)) return true;
 
     const activeSound = _getRecoverablePlayingSound(playlist);
     if (!activeSound) return false;
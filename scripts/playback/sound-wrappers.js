@@ -3,9 +3,11 @@
  * @description Audio-level Foundry wrappers for playback, pause, sync, and volume updates.
  */
 import {
+  advancedFade,
   scheduleEndOfTrackFade,
 } from "../audio-fader.js";
 import { scheduleCrossfade } from "../cross-fade.js";
+import { trackDuckingSound } from "../ducking.js";
 import { applyFadeIn } from "../fade-in.js";
 import { Flags } from "../flag-service.js";
 import {
@@ -14,8 +16,10 @@ import {
   resumeLoopWithin,
   scheduleLoopWithin,
 } from "../internal-loop.js";
+import { cancelPauseFade, fadeOutAndPause } from "../pause-fade.js";
 import { PlaybackClock } from "../playback-clock.js";
 import { State } from "../state-manager.js";
+import { hasStems, playWithStems } from "../stem-layers.js";
 import { AdvancedShuffle } from "../advanced-shuffle.js";
 import {
   debug,
@@ -38,14 +42,6 @@ function _handleShuffleOnPlay(ps) {
   }
 }
 
-function _applyPreMute(sound, ps, fadeInMs, targetVolume) {
-  if (fadeInMs > 0 && isFreshPlaybackStart(ps)) {
-    sound.volume = 0;
-  } else {
-    sound.volume = targetVolume;
-  }
-}
-
 function _isSequentialOrShuffle(playlist) {
   return [
     CONST.PLAYLIST_MODES.SEQUENTIAL,
@@ -55,18 +51,27 @@ function _isSequentialOrShuffle(playlist) {
 
 function _shouldDeferSyncForCrossfade(ps) {
   const playlist = ps?.parent;
-  if (!playlist || !_isSequentialOrShuffle(playlist)) return false;
-  if (!Flags.getPlaybackMode(playlist).crossfade) return false;
+  if (!playlist) return false;
+  // Also set on both sides of a playlist-to-playlist transition, whatever the playback mode.
   if (State.isPlaylistCrossfading(playlist)) return true;
+  if (!_isSequentialOrShuffle(playlist)) return false;
+  if (!Flags.getPlaybackMode(playlist).crossfade) return false;
   if (!ps.playing || ps.sound?.playing) return false;
 
   return playlist.sounds.some((sound) =>
     sound.id !== ps.id &&
-    sound.playing &&
-    !Flags.getSoundFlag(sound, "isSilenceGap")
+    sound.playing
   );
 }
 
+// A looper that already runs this sound (e.g. one a cross-track follow-up crossfaded into)
+// owns its playback; Foundry's sync must not restart or reconfigure it.
+function _loopOwnsRunningSound(ps) {
+  if (!ps?.playing || !ps.sound?.playing) return false;
+  const looper = State.getActiveLooper(ps);
+  return !!looper && !looper.isDestroyed && looper.activeSound === ps.sound;
+}
+
 function _schedulePostPlayActions(ps, sound, { fromCrossfade = false } = {}) {
   const playlist = ps.parent;
   const isResume = Number.isFinite(ps.pausedTime);
@@ -91,9 +96,15 @@ function _schedulePostPlayActions(ps, sound, { fromCrossfade = false } = {}) {
     loopScheduled = scheduleLoopWithin(ps);
   }
 
+  const resumeFadeMs = isResume && !fromCrossfade ? Flags.getPlaylistFlag(playlist, "resumeFadeMs") : 0;
+  if (resumeFadeMs > 0) {
+    debug(`[PauseFade] Fading "${ps.name}" back in over ${resumeFadeMs}ms from ${resumeOffset.toFixed(2)}s.`);
+    advancedFade(sound, { targetVol: Flags.resolveTargetVolume(ps), duration: resumeFadeMs });
+  }
+
   const fadeInOverride = typeof ps?._sos_fadeInOverride === "number" ? ps._sos_fadeInOverride : null;
   const fadeInMs = fadeInOverride ?? Flags.getPlaylistFlag(playlist, "fadeIn");
-  if (fadeInMs > 0 && !ps?.getFlag(MODULE_ID, "isSilenceGap") && !fromCrossfade) {
+  if (fadeInMs > 0 && !fromCrossfade) {
     const targetVolume = Flags.resolveTargetVolume(ps);
     applyFadeIn(playlist, ps, { targetVolume }).catch((err) => {
       debug(`[FadeIn] Error during fade-in for "${ps.name}":`, err.message);
@@ -134,7 +145,9 @@ export function registerSoundPlaybackWrappers() {
       ensureAudioContext();
 
       if (options?._fromLoop || options?._sosProceduralOneShot) {
-        return wrapped.call(this, options);
+        const result = await wrapped.call(this, options);
+        trackDuckingSound(this);
+        return result;
       }
       const ps = findPlaylistSoundForSound(this);
       if (!(ps instanceof PlaylistSound)) {
@@ -150,16 +163,23 @@ export function registerSoundPlaybackWrappers() {
         const resumeOffset = !isFreshPlay && Number.isFinite(Number(ps.pausedTime))
           ? Number(ps.pausedTime)
           : null;
-        const preMuteVolume = (fadeInMs > 0 && isFreshPlay) ? 0 : targetVolume;
-        _applyPreMute(this, ps, fadeInMs, targetVolume);
+        // Fresh starts with a fade-in and resumes with a resume fade start silent.
+        const resumeFadeMs = isFreshPlay ? 0 : Flags.getPlaylistFlag(ps.parent, "resumeFadeMs");
+        const preMuteVolume = ((fadeInMs > 0 && isFreshPlay) || resumeFadeMs > 0) ? 0 : targetVolume;
+        this.volume = preMuteVolume;
 
-        const playOffset = options?.offset ?? (isFreshPlay ? 0 : (resumeOffset ?? undefined));
+        const freshOffset = isFreshPlay ? Flags.getPlaybackStartOffset(ps, this.duration) : 0;
+        const playOffset = options?.offset ?? (isFreshPlay ? freshOffset : (resumeOffset ?? undefined));
         options = { ...options, volume: preMuteVolume, offset: playOffset };
       }
 
-      const result = await wrapped.call(this, options);
+      // Stem layers load first, then start in the same task as the main file.
+      const result = hasStems(ps)
+        ? await playWithStems(ps, this, options, (opts) => wrapped.call(this, opts))
+        : await wrapped.call(this, options);
 
       _schedulePostPlayActions(ps, this, { fromCrossfade: !!options?._fromCrossfade });
+      trackDuckingSound(this, ps);
 
       return result;
     },
@@ -293,6 +313,11 @@ export function registerSoundPlaybackWrappers() {
         }
         return;
       }
+      if (this.playing && cancelPauseFade(this)) return;
+      if (!this.playing && Number.isFinite(this.pausedTime) && fadeOutAndPause(this)) {
+        debug(`[Sync Guard] Deferred pause for "${this.name}" - SoS pause fade active`);
+        return;
+      }
       if (_shouldDeferSyncForCrossfade(this)) {
         debug(`[Sync Guard] Blocked sync() for "${this.name}" - SoS crossfade owns playback`);
         return;
@@ -301,6 +326,11 @@ export function registerSoundPlaybackWrappers() {
         debug(`[Sync Guard] Blocked sync() for "${this.name}" - SoS fade curve active`);
         return;
       }
+      if (_loopOwnsRunningSound(this)) {
+        debug(`[Sync Guard] Blocked sync() for "${this.name}" - internal loop owns running playback`);
+        this.sound.volume = Flags.resolveTargetVolume(this);
+        return;
+      }
       const result = wrapped();
       if (this.sound?.playing && !State.isSoundFading(this.sound)) {
         this.sound.volume = Flags.resolveTargetVolume(this);
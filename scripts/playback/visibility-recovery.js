@@ -37,9 +37,7 @@ export function registerVisibilityRecovery() {
 
       const mode = Flags.getPlaybackMode(playlist);
       if (mode.crossfade && !State.getCrossfadeTimer(playlist)) {
-        const currentlyPlaying = playlist.sounds.find((s) =>
-          s.playing && !Flags.getSoundFlag(s, "isSilenceGap")
-        );
+        const currentlyPlaying = playlist.sounds.find((s) => s.playing);
         if (currentlyPlaying) {
           const looper = State.getActiveLooper(currentlyPlaying);
           const loopConfig = Flags.getLoopConfig(currentlyPlaying);
@@ -56,7 +54,6 @@ export function registerVisibilityRecovery() {
       if (normEnabled) {
         for (const ps of playlist.sounds) {
           if (!ps.playing || !ps.sound) continue;
-          if (Flags.getSoundFlag(ps, "isSilenceGap")) continue;
           if (Flags.getSoundFlag(ps, "allowVolumeOverride")) continue;
 
           const expectedVolume = Flags.resolveTargetVolume(ps);
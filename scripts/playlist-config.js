@@ -7,6 +7,7 @@
 import { MODULE_ID } from "./utils.js";
 import { debug } from "./utils.js";
 import { Flags } from "./flag-service.js";
+import { getCrossfadeCurveOptions, getFadeCurveOptions } from "./fade-curves.js";
 import { SoundscapePreviewer } from "./soundscape-previewer.js";
 
 let wrappersRegistered = false;
@@ -18,16 +19,32 @@ let hooksRegistered = false;
 const KEYS = {
   ENABLED: "silenceEnabled",         // boolean
   FADE_IN: "fadeIn",                 // number (ms)
-  MODE: "silenceMode",               // "static" | "random"
+  FADE_IN_CURVE: "fadeInCurve",      // curve key, "" = world setting
+  FADE_OUT_CURVE: "fadeOutCurve",    // curve key, "" = world setting
+  CROSSFADE_CURVE: "crossfadeCurve", // crossfade curve key
+  PAUSE_FADE_MS: "pauseFadeMs",      // number (ms)
+  RESUME_FADE_MS: "resumeFadeMs",    // number (ms)
+  MODE: "silenceMode",               // "static" | "random" | "natural" | "exponential" | "proportional"
   DURATION: "silenceDuration",       // number (ms)
   MIN_DELAY: "minDelay",             // number (ms)
   MAX_DELAY: "maxDelay",             // number (ms)
+  TRACK_RATIO: "silenceTrackRatio",  // number (% of track length)
+  INTERLUDE_SOURCE: "interlude.source",        // "none" | "playlist" | "sounds"
+  INTERLUDE_PLAYLIST: "interlude.playlistId",  // playlist id
+  INTERLUDE_VOLUME: "interlude.volume",        // number (0-1)
+  INTERLUDE_FADE_MS: "interlude.fadeMs",       // number (ms)
   CROSSFADE_ENABLED: "crossfade",      // boolean - Master switch
   USE_CUSTOM_AUTO_FADE: "useCustomAutoFade", // boolean
   CUSTOM_AUTO_FADE_MS: "customAutoFadeMs",  // number (ms)
+  TRANSITION_RULES: "transitionRules",   // {from, to, durationMs, curve}[]
   LOOP_PLAYLIST: "loopPlaylist",       // boolean
   VOLUME_NORMALIZATION_ENABLED: "volumeNormalizationEnabled", // boolean
   NORMALIZED_VOLUME: "normalizedVolume", // number (0-1)
+  DUCKING_ROLE: "duckingRole",         // "none" | "ducker" | "duckable"
+  DUCK_DEPTH_DB: "duckDepthDb",        // number (dB, -40-0)
+  DUCK_ATTACK_MS: "duckAttackMs",      // number (ms)
+  DUCK_HOLD_MS: "duckHoldMs",          // number (ms)
+  DUCK_RELEASE_MS: "duckReleaseMs",    // number (ms)
   SOUNDSCAPE_MODE: "soundscapeMode",       // boolean
   SOUNDSCAPE_MAX_POLYPHONY: "soundscapeMaxPolyphony", // number (1-16)
   SOUNDSCAPE_PLAY_CHANCE_SCALING: "soundscapePlayChanceScaling", // "independent" | "scaled" | "soft"
@@ -42,17 +59,36 @@ const KEYS = {
 
 const DEFAULTS = {
   [KEYS.FADE_IN]: 0,
+  [KEYS.FADE_IN_CURVE]: "",
+  [KEYS.FADE_OUT_CURVE]: "",
+  [KEYS.CROSSFADE_CURVE]: "equal-power",
+  [KEYS.PAUSE_FADE_MS]: 0,
+  [KEYS.RESUME_FADE_MS]: 0,
   [KEYS.MODE]: "static",
   [KEYS.DURATION]: 0,
   [KEYS.MIN_DELAY]: 0,
   [KEYS.MAX_DELAY]: 0,
+  [KEYS.TRACK_RATIO]: 10,
+  interlude: {
+    source: "none",
+    playlistId: "",
+    sounds: [],
+    volume: 0.25,
+    fadeMs: 1000
+  },
   [KEYS.CROSSFADE_ENABLED]: false,
   [KEYS.USE_CUSTOM_AUTO_FADE]: false, // Default to using the main Fade-Out
   [KEYS.CUSTOM_AUTO_FADE_MS]: 1000,
+  [KEYS.TRANSITION_RULES]: [],
   [KEYS.ENABLED]: false,
   [KEYS.LOOP_PLAYLIST]: false,
   [KEYS.VOLUME_NORMALIZATION_ENABLED]: false,
   [KEYS.NORMALIZED_VOLUME]: 0.5,
+  [KEYS.DUCKING_ROLE]: "none",
+  [KEYS.DUCK_DEPTH_DB]: -12,
+  [KEYS.DUCK_ATTACK_MS]: 150,
+  [KEYS.DUCK_HOLD_MS]: 250,
+  [KEYS.DUCK_RELEASE_MS]: 1000,
   [KEYS.SOUNDSCAPE_MODE]: false,
   [KEYS.SOUNDSCAPE_MAX_POLYPHONY]: 4,
   [KEYS.SOUNDSCAPE_PLAY_CHANCE_SCALING]: "independent",
@@ -96,6 +132,50 @@ const PLAY_CHANCE_SCALING_OPTIONS = {
   soft: "Soft by Polyphony",
 };
 
+/** Playlist fade curve choices; custom curves come from the Fade Curves editor. */
+function getPlaylistFadeCurveOptions() {
+  return { "": "World Default", ...getFadeCurveOptions() };
+}
+
+function getTransitionCurveOptions() {
+  return { ...getCrossfadeCurveOptions(), "cut": "Hard Cut" };
+}
+
+function sanitizeFadeCurve(value) {
+  return Object.prototype.hasOwnProperty.call(getPlaylistFadeCurveOptions(), value) ? value : "";
+}
+
+function sanitizeCrossfadeCurve(value) {
+  return Object.prototype.hasOwnProperty.call(getCrossfadeCurveOptions(), value) ? value : "equal-power";
+}
+
+function buildCurveOptions(options, selected) {
+  const escape = (text) => foundry.utils.escapeHTML ? foundry.utils.escapeHTML(text) : text;
+  return Object.entries(options).map(([value, label]) =>
+    `<option value="${value}" ${selected === value ? "selected" : ""}>${escape(label)}</option>`
+  ).join("");
+}
+
+const DUCKING_ROLE_OPTIONS = {
+  none: "Off",
+  ducker: "Ducker",
+  duckable: "Duckable",
+};
+
+const INTERLUDE_SOURCE_OPTIONS = {
+  none: "Nothing (Silent)",
+  playlist: "Another Playlist",
+  sounds: "Room Tone Files",
+};
+
+const SILENCE_MODE_OPTIONS = {
+  static: "Static",
+  random: "Random",
+  natural: "Natural (Center-Weighted)",
+  exponential: "Exponential (Mostly Short)",
+  proportional: "Follow Track Length",
+};
+
 function sanitizeProceduralTimingMode(value) {
   return Object.prototype.hasOwnProperty.call(PROCEDURAL_TIMING_OPTIONS, value) ? value : "uniform";
 }
@@ -108,6 +188,14 @@ function sanitizePlayChanceScaling(value) {
   return Object.prototype.hasOwnProperty.call(PLAY_CHANCE_SCALING_OPTIONS, value) ? value : "independent";
 }
 
+function sanitizeDuckingRole(value) {
+  return Object.prototype.hasOwnProperty.call(DUCKING_ROLE_OPTIONS, value) ? value : "none";
+}
+
+function sanitizeSilenceMode(value) {
+  return Object.prototype.hasOwnProperty.call(SILENCE_MODE_OPTIONS, value) ? value : "static";
+}
+
 function formatProceduralCadenceSummary(min, max, timingMode) {
   if (timingMode === "fixed") return `Fixed ${min}s`;
   const modeLabel = timingMode === "natural" ? "Natural" : "Uniform";
@@ -186,11 +274,14 @@ function _registerDocumentSheetV2Wrappers() {
       // 2. Extract and sanitize all values directly from the flat formData.
       const raw = formData.object;
       cleanFlags.fadeIn = Number(raw[`${basePath}.${KEYS.FADE_IN}`] ?? 0);
+      cleanFlags.fadeInCurve = sanitizeFadeCurve(raw[`${basePath}.${KEYS.FADE_IN_CURVE}`]);
+      cleanFlags.fadeOutCurve = sanitizeFadeCurve(raw[`${basePath}.${KEYS.FADE_OUT_CURVE}`]);
+      cleanFlags.crossfadeCurve = sanitizeCrossfadeCurve(raw[`${basePath}.${KEYS.CROSSFADE_CURVE}`]);
       cleanFlags.silenceDuration = Number(raw[`${basePath}.${KEYS.DURATION}`] ?? 0);
       cleanFlags.minDelay = Number(raw[`${basePath}.${KEYS.MIN_DELAY}`] ?? 0);
       cleanFlags.maxDelay = Number(raw[`${basePath}.${KEYS.MAX_DELAY}`] ?? 0);
       cleanFlags.customAutoFadeMs = Number(raw[`${basePath}.${KEYS.CUSTOM_AUTO_FADE_MS}`] ?? 1000);
-      cleanFlags.silenceMode = raw[`${basePath}.${KEYS.MODE}`] ?? "static";
+      cleanFlags.silenceMode = sanitizeSilenceMode(raw[`${basePath}.${KEYS.MODE}`]);
 
       cleanFlags.volumeNormalizationEnabled = !!raw[`${basePath}.${KEYS.VOLUME_NORMALIZATION_ENABLED}`];
       cleanFlags.normalizedVolume = Number(raw[`${basePath}.${KEYS.NORMALIZED_VOLUME}`] ?? 0.5);
@@ -230,6 +321,30 @@ function _registerDocumentSheetV2Wrappers() {
         randomPan: !!raw[`${basePath}.${KEYS.SOUNDSCAPE_DEFAULT_RANDOM_PAN}`]
       };
 
+      cleanFlags.silenceTrackRatio = clampNum(raw[`${basePath}.${KEYS.TRACK_RATIO}`], 10, 0, 1000);
+
+      const interludeSource = raw[`${basePath}.${KEYS.INTERLUDE_SOURCE}`];
+      const interludePlaylistId = raw[`${basePath}.${KEYS.INTERLUDE_PLAYLIST}`];
+      const interludeSoundPrefix = `${basePath}.interlude.sounds.`;
+      const interludeSounds = Object.entries(raw)
+        .filter(([key]) => key.startsWith(interludeSoundPrefix))
+        .sort(([a], [b]) => parseInt(a.slice(interludeSoundPrefix.length), 10) - parseInt(b.slice(interludeSoundPrefix.length), 10))
+        .map(([, path]) => path);
+      cleanFlags.interlude = {
+        source: Object.prototype.hasOwnProperty.call(INTERLUDE_SOURCE_OPTIONS, interludeSource) ? interludeSource : "none",
+        playlistId: game.playlists.has(interludePlaylistId) && interludePlaylistId !== this.document.id ? interludePlaylistId : "",
+        sounds: Flags.validateInterludeSounds(interludeSounds),
+        volume: clampNum(raw[`${basePath}.${KEYS.INTERLUDE_VOLUME}`], 0.25, 0, 1),
+        fadeMs: clampNum(raw[`${basePath}.${KEYS.INTERLUDE_FADE_MS}`], 1000, 0, 10000)
+      };
+      cleanFlags.duckingRole = sanitizeDuckingRole(raw[`${basePath}.${KEYS.DUCKING_ROLE}`]);
+      cleanFlags.duckDepthDb = clampNum(raw[`${basePath}.${KEYS.DUCK_DEPTH_DB}`], -12, -40, 0);
+      cleanFlags.duckAttackMs = clampNum(raw[`${basePath}.${KEYS.DUCK_ATTACK_MS}`], 150, 0, 5000);
+      cleanFlags.duckHoldMs = clampNum(raw[`${basePath}.${KEYS.DUCK_HOLD_MS}`], 250, 0, 10000);
+      cleanFlags.duckReleaseMs = clampNum(raw[`${basePath}.${KEYS.DUCK_RELEASE_MS}`], 1000, 0, 10000);
+      cleanFlags.pauseFadeMs = clampNum(raw[`${basePath}.${KEYS.PAUSE_FADE_MS}`], 0, 0, 60000);
+      cleanFlags.resumeFadeMs = clampNum(raw[`${basePath}.${KEYS.RESUME_FADE_MS}`], 0, 0, 60000);
+
       if (crossfadeEnabled && autoFadeType === "custom") {
         cleanFlags.useCustomAutoFade = true;
       } else {
@@ -246,6 +361,19 @@ function _registerDocumentSheetV2Wrappers() {
 
       cleanFlags.loopPlaylist = loopPlaylist;
 
+      const rulePrefix = `${basePath}.transitionRules.`;
+      const transitionRules = new Map();
+      for (const [key, value] of Object.entries(raw)) {
+        if (!key.startsWith(rulePrefix)) continue;
+        const [indexText, ruleField] = key.slice(rulePrefix.length).split(".");
+        const index = parseInt(indexText, 10);
+        if (!Number.isFinite(index) || index < 0 || !ruleField) continue;
+        transitionRules.set(index, { ...transitionRules.get(index), [ruleField]: value });
+      }
+      cleanFlags.transitionRules = Flags.validateTransitionRules(
+        Array.from(transitionRules.entries()).sort(([a], [b]) => a - b).map(([, rule]) => rule)
+      );
+
       // 4. Clean up the original formData.
       for (const key of Object.keys(formData.object)) {
         if (key.startsWith(basePath)) {
@@ -263,6 +391,113 @@ function _registerDocumentSheetV2Wrappers() {
   );
 }
 
+/**
+ * Build one row of the crossfade transition matrix.
+ * @param {number} index
+ * @param {object} rule
+ * @param {{id: string, name: string}[]} tracks Sounds a rule can name.
+ * @returns {string}
+ */
+function _buildTransitionRuleRow(index, rule, tracks) {
+  const field = (key) => `flags.${MODULE_ID}.transitionRules.${index}.${key}`;
+  const trackOptions = (selected) => [
+    `<option value="*" ${selected === "*" ? "selected" : ""}>Any Track</option>`,
+    ...tracks.map((track) => `<option value="${track.id}" ${selected === track.id ? "selected" : ""}>${track.name}</option>`),
+  ].join("");
+  const isCut = rule.curve === "cut";
+
+  return /* html */`
+    <div class="sos-transition-rule" data-rule-index="${index}">
+      <select name="${field("from")}" class="sos-transition-rule-track" data-tooltip="From">${trackOptions(rule.from ?? "*")}</select>
+      <i class="fas fa-arrow-right"></i>
+      <select name="${field("to")}" class="sos-transition-rule-track" data-tooltip="To">${trackOptions(rule.to ?? "*")}</select>
+      <select name="${field("curve")}" class="sos-transition-rule-curve">
+        ${buildCurveOptions(getTransitionCurveOptions(), rule.curve ?? "equal-power")}
+      </select>
+      <input type="number" name="${field("durationMs")}" class="sos-transition-rule-duration" value="${rule.durationMs ?? ""}"
+             placeholder="Default" step="100" min="0" data-tooltip="Duration (ms)" ${isCut ? "disabled" : ""}>
+      <button type="button" class="sos-transition-rule-remove sos-compact" data-tooltip="Remove Rule">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Build one room-tone file row of the interlude list.
+ * @param {number} index
+ * @param {string} path
+ * @returns {string}
+ */
+function _buildInterludeSoundRow(index, path = "") {
+  const safePath = String(path ?? "").replace(/[<>"']/g, "");
+  return /* html */`
+    <div class="sos-interlude-sound" data-sound-index="${index}">
+      <file-picker name="flags.${MODULE_ID}.interlude.sounds.${index}" type="audio" value="${safePath}"></file-picker>
+      <button type="button" class="sos-interlude-sound-remove sos-compact" data-tooltip="Remove File">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `;
+}
+
+/**
+ * Build the interlude fieldset of the silence block: what plays quietly during a gap.
+ * @param {Playlist} playlist
+ * @param {object} interlude The playlist's interlude config.
+ * @param {(key: string) => string} fieldName
+ * @returns {string}
+ */
+function _buildInterludeFieldset(playlist, interlude, fieldName) {
+  const playlistOptions = game.playlists
+    .filter((other) => other.id !== playlist.id)
+    .map((other) => {
+      const label = Flags.getPlaybackMode(other).soundscape ? `${other.name} (Soundscape)` : other.name;
+      return `<option value="${other.id}" ${interlude.playlistId === other.id ? "selected" : ""}>${label}</option>`;
+    })
+    .join("");
+
+  return /* html */`
+    <fieldset class="sos-interlude">
+      <legend>Interlude</legend>
+      <div class="form-group sos-compact">
+        <label>Fill Gaps With</label>
+        <select name="${fieldName(KEYS.INTERLUDE_SOURCE)}">
+          ${Object.entries(INTERLUDE_SOURCE_OPTIONS).map(([value, label]) =>
+            `<option value="${value}" ${interlude.source === value ? "selected" : ""}>${label}</option>`
+          ).join("")}
+        </select>
+      </div>
+      <div class="form-group sos-compact sos-interlude-playlist">
+        <label>Playlist</label>
+        <select name="${fieldName(KEYS.INTERLUDE_PLAYLIST)}">
+          <option value="">-</option>
+          ${playlistOptions}
+        </select>
+      </div>
+      <div class="sos-interlude-sounds">
+        <div class="sos-interlude-sound-list">
+          ${interlude.sounds.map((path, index) => _buildInterludeSoundRow(index, path)).join("")}
+        </div>
+        <button type="button" class="sos-add-interlude-sound sos-compact">
+          <i class="fas fa-plus"></i> Add File
+        </button>
+      </div>
+      <div class="form-group sos-compact sos-interlude-options">
+        <label>Volume</label>
+        <div class="form-fields">
+          <range-picker name="${fieldName(KEYS.INTERLUDE_VOLUME)}" value="${interlude.volume}" min="0" max="1" step="0.05"></range-picker>
+        </div>
+      </div>
+      <div class="form-group sos-compact sos-interlude-options">
+        <label>Fade <span class="sos-label-units">(ms)</span></label>
+        <input type="number" name="${fieldName(KEYS.INTERLUDE_FADE_MS)}" value="${interlude.fadeMs}" step="100" min="0" max="10000">
+      </div>
+      <p class="notes sos-compact">Plays quietly on every client during each gap and fades out as the next track begins. A soundscape playlist lends its bed tracks; other playlists and the room tone list play one file at random, looped.</p>
+    </fieldset>
+  `;
+}
+
 /**
  * Build the Soundscape subsection HTML.
  * Shows max polyphony, playlist-level defaults, play-chance scaling mode,
@@ -279,13 +514,12 @@ function _buildSoundscapePanel(playlist, sos, fieldName, visible) {
   const maxPoly = sos.soundscapeMaxPolyphony ?? 4;
   const defaultTimingMode = sanitizeProceduralTimingMode(defaults.timingMode);
   const defaultInitialFireMode = sanitizeProceduralInitialFireMode(defaults.initialFireMode);
-  const hasPreviewableContent = Array.from(playlist?.sounds ?? [])
-    .some((ps) => !Flags.getSoundFlag(ps, "isSilenceGap"));
+  const hasPreviewableContent = (playlist?.sounds?.size ?? 0) > 0;
   const previewDisabled = hasPreviewableContent ? "" : "disabled";
   const previewStatus = hasPreviewableContent ? "Ready" : "No Sounds";
 
   const proceduralRows = (playlist?.sounds ?? [])
-    .filter((ps) => !Flags.getSoundFlag(ps, "isSilenceGap") && Flags.getSoundFlag(ps, "isProcedural"))
+    .filter((ps) => Flags.getSoundFlag(ps, "isProcedural"))
     .map((ps) => {
       const min = Flags.resolveProceduralField(ps, "minDelay");
       const max = Flags.resolveProceduralField(ps, "maxDelay");
@@ -477,6 +711,12 @@ if (fadeRangePicker.length) {
   // Define a localizable label for "Fade-In"
   const fadeInLabel = game.i18n.localize("Fade-In");
 
+  const escape = (text) => foundry.utils.escapeHTML ? foundry.utils.escapeHTML(text) : text;
+  const ruleTracks = Array.from(app.document?.sounds ?? [])
+    .sort((a, b) => (a.sort ?? 0) - (b.sort ?? 0))
+    .map((ps) => ({ id: ps.id, name: escape(ps.name ?? "(unnamed)") }));
+  const transitionRules = Flags.validateTransitionRules(sos.transitionRules);
+
 
   // --- 2. CREATE THE CONSOLIDATED UI BLOCK ---
   const $mainBlock = $(`
@@ -486,6 +726,30 @@ if (fadeRangePicker.length) {
         <label>${fadeInLabel} <span class="sos-label-units">(ms)</span></label>
         <input type="number" name="${fieldName(KEYS.FADE_IN)}" value="${sos.fadeIn}" step="1" min="0">
       </div>
+      <div class="sos-two-column">
+        <div class="form-group sos-compact sos-column">
+          <label>Fade-In Curve</label>
+          <select name="${fieldName(KEYS.FADE_IN_CURVE)}">
+            ${buildCurveOptions(getPlaylistFadeCurveOptions(), sos.fadeInCurve ?? "")}
+          </select>
+        </div>
+        <div class="form-group sos-compact sos-column">
+          <label>Fade-Out Curve</label>
+          <select name="${fieldName(KEYS.FADE_OUT_CURVE)}">
+            ${buildCurveOptions(getPlaylistFadeCurveOptions(), sos.fadeOutCurve ?? "")}
+          </select>
+        </div>
+      </div>
+      <div class="sos-two-column">
+        <div class="form-group sos-compact sos-column">
+          <label>Pause Fade <span class="sos-label-units">(ms)</span></label>
+          <input type="number" name="${fieldName(KEYS.PAUSE_FADE_MS)}" value="${sos.pauseFadeMs}" step="100" min="0" max="60000">
+        </div>
+        <div class="form-group sos-compact sos-column">
+          <label>Resume Fade <span class="sos-label-units">(ms)</span></label>
+          <input type="number" name="${fieldName(KEYS.RESUME_FADE_MS)}" value="${sos.resumeFadeMs}" step="100" min="0" max="60000">
+        </div>
+      </div>
 
       <hr class="sos-section-divider">
 
@@ -523,6 +787,22 @@ if (fadeRangePicker.length) {
             </div>
             <p class="notes sos-compact">Duration used when tracks transition automatically</p>
           </div>
+          <div class="form-group sos-compact">
+            <label>Crossfade Curve</label>
+            <select name="${fieldName(KEYS.CROSSFADE_CURVE)}">
+              ${buildCurveOptions(getCrossfadeCurveOptions(), sos.crossfadeCurve ?? "equal-power")}
+            </select>
+          </div>
+          <fieldset class="sos-transition-rules">
+            <legend>Transition Rules</legend>
+            <div class="sos-transition-rule-list">
+              ${transitionRules.map((rule, index) => _buildTransitionRuleRow(index, rule, ruleTracks)).join("")}
+            </div>
+            <button type="button" class="sos-add-transition-rule sos-compact">
+              <i class="fas fa-plus"></i> Add Rule
+            </button>
+            <p class="notes sos-compact">Overrides the duration and shape for specific track changes, automatic or manual. The most specific match wins: a named destination beats a named source, which beats Any Track. Leave the duration blank to use the one above.</p>
+          </fieldset>
         </div>
         
         ${_buildSoundscapePanel(app.document, sos, fieldName, soundscapeActive)}
@@ -538,8 +818,9 @@ if (fadeRangePicker.length) {
           <div class="form-group sos-compact">
             <label>Silence Mode</label>
             <select name="${fieldName(KEYS.MODE)}">
-              <option value="static" ${sos.silenceMode === "static" ? "selected" : ""}>Static</option>
-              <option value="random" ${sos.silenceMode === "random" ? "selected" : ""}>Random</option>
+              ${Object.entries(SILENCE_MODE_OPTIONS).map(([value, label]) =>
+                `<option value="${value}" ${sos.silenceMode === value ? "selected" : ""}>${label}</option>`
+              ).join("")}
             </select>
           </div>
           <div class="form-group sos-compact">
@@ -552,6 +833,12 @@ if (fadeRangePicker.length) {
             <label class="sos-range-label">Max Delay <span class="sos-label-units">(ms)</span>: <span class="sos-maxDelay-val">${sos.maxDelay}</span></label>
             <input type="range" name="${fieldName(KEYS.MAX_DELAY)}" min="0" max="${sos.silenceDuration}" step="100" value="${sos.maxDelay}">
           </div>
+          <div class="form-group sos-compact sos-track-ratio-group" style="display: none;">
+            <label>Track Length <span class="sos-label-units">(%)</span></label>
+            <input type="number" name="${fieldName(KEYS.TRACK_RATIO)}" value="${sos.silenceTrackRatio}" step="1" min="0" max="1000">
+            <p class="notes sos-compact">The gap lasts this share of the track before it, kept between Min and Max Delay. Duration is used while the track's length is unknown.</p>
+          </div>
+          ${_buildInterludeFieldset(app.document, Flags.getInterludeConfig(app.document), fieldName)}
         </div>
 
       </div>
@@ -574,6 +861,40 @@ if (fadeRangePicker.length) {
         </div>
       </div>
       <hr class="sos-section-divider">
+
+      <div class="form-group sos-compact">
+        <label>Ducking</label>
+        <select name="${fieldName(KEYS.DUCKING_ROLE)}">
+          ${Object.entries(DUCKING_ROLE_OPTIONS).map(([value, label]) =>
+            `<option value="${value}" ${sos.duckingRole === value ? "selected" : ""}>${label}</option>`
+          ).join("")}
+        </select>
+        <p class="notes sos-compact">While a Ducker playlist (narration, soundboard, one-shots) is audible, Duckable playlists drop in level, then come back once it stops. Only the audio is lowered; volumes are left alone. Sounds can override this in their own config. Only playlist sounds duck: Ambient Sounds and sounds other modules play directly (dice, chat, macros) do not.</p>
+      </div>
+      <div class="sos-ducking-options sos-subsection" style="display: ${sos.duckingRole === "duckable" ? "block" : "none"};">
+        <div class="sos-two-column">
+          <div class="sos-column">
+            <label>Duck Depth <span class="sos-label-units">(dB)</span></label>
+            <input type="number" name="${fieldName(KEYS.DUCK_DEPTH_DB)}" value="${sos.duckDepthDb}" step="1" min="-40" max="0">
+          </div>
+          <div class="sos-column">
+            <label>Attack <span class="sos-label-units">(ms)</span></label>
+            <input type="number" name="${fieldName(KEYS.DUCK_ATTACK_MS)}" value="${sos.duckAttackMs}" step="10" min="0" max="5000">
+          </div>
+        </div>
+        <div class="sos-two-column">
+          <div class="sos-column">
+            <label>Hold <span class="sos-label-units">(ms)</span></label>
+            <input type="number" name="${fieldName(KEYS.DUCK_HOLD_MS)}" value="${sos.duckHoldMs}" step="50" min="0" max="10000">
+          </div>
+          <div class="sos-column">
+            <label>Release <span class="sos-label-units">(ms)</span></label>
+            <input type="number" name="${fieldName(KEYS.DUCK_RELEASE_MS)}" value="${sos.duckReleaseMs}" step="50" min="0" max="10000">
+          </div>
+        </div>
+        <p class="notes sos-compact">Hold keeps the music down for a moment after the last ducker stops, so short gaps in speech do not pump the level.</p>
+      </div>
+      <hr class="sos-section-divider">
     </div>
   `);
 
@@ -585,6 +906,10 @@ if (fadeRangePicker.length) {
   const normalizationOptions = $mainBlock.find('.sos-normalization-options');
   normalizationMaster.on('change', () => normalizationOptions.toggle(normalizationMaster.is(':checked')));
 
+  const duckingRoleSelect = $mainBlock.find(`select[name="${fieldName(KEYS.DUCKING_ROLE)}"]`);
+  const duckingOptions = $mainBlock.find('.sos-ducking-options');
+  duckingRoleSelect.on('change', () => duckingOptions.toggle(duckingRoleSelect.val() === 'duckable'));
+
   const crossfadeMaster = $mainBlock.find(`input[name="${fieldName(KEYS.CROSSFADE_ENABLED)}"]`);
   const crossfadeOptions = $mainBlock.find('.sos-crossfade-options');
   const silenceMaster = $mainBlock.find(`input[name="${fieldName(KEYS.ENABLED)}"]`);
@@ -596,8 +921,7 @@ if (fadeRangePicker.length) {
   const soundscapePreviewStart = soundscapePreviewPanel.find('.sos-soundscape-preview-start');
   const soundscapePreviewStop = soundscapePreviewPanel.find('.sos-soundscape-preview-stop');
   const soundscapePreviewStatus = soundscapePreviewPanel.find('.sos-soundscape-preview-status');
-  const hasPreviewableSoundscapeContent = Array.from(app.document?.sounds ?? [])
-    .some((ps) => !Flags.getSoundFlag(ps, "isSilenceGap"));
+  const hasPreviewableSoundscapeContent = (app.document?.sounds?.size ?? 0) > 0;
 
   function refreshSoundscapeState() {
     const soundscapeOn = isSoundscapeChoice();
@@ -720,6 +1044,21 @@ if (fadeRangePicker.length) {
     if (Number($defMax.val()) < Number($defMin.val())) $defMin.val($defMax.val());
   });
 
+  const $ruleList = $mainBlock.find('.sos-transition-rule-list');
+  $mainBlock.on('click', 'button.sos-add-transition-rule', (ev) => {
+    ev.preventDefault();
+    const indices = $ruleList.children().map(function () { return Number($(this).data('ruleIndex')) || 0; }).get();
+    const index = indices.length ? Math.max(...indices) + 1 : 0;
+    $ruleList.append(_buildTransitionRuleRow(index, {}, ruleTracks));
+  });
+  $mainBlock.on('click', 'button.sos-transition-rule-remove', function (ev) {
+    ev.preventDefault();
+    $(this).closest('.sos-transition-rule').remove();
+  });
+  $mainBlock.on('change', 'select.sos-transition-rule-curve', function () {
+    $(this).siblings('.sos-transition-rule-duration').prop('disabled', $(this).val() === 'cut');
+  });
+
   const customFadeInput = $mainBlock.find(`input[name="${fieldName(KEYS.CUSTOM_AUTO_FADE_MS)}"]`);
   $mainBlock.find(`input[name="flags.${MODULE_ID}.autoFadeType"]`).on('change', (ev) => {
     customFadeInput.toggle(ev.currentTarget.value === 'custom');
@@ -727,8 +1066,36 @@ if (fadeRangePicker.length) {
 
   const silenceModeSelect = $mainBlock.find(`select[name="${fieldName(KEYS.MODE)}"]`);
   const randomDelayGroup = $mainBlock.find('.sos-delay-group');
-  silenceModeSelect.on('change', () => randomDelayGroup.toggle(silenceModeSelect.val() === 'random'));
-  randomDelayGroup.toggle(silenceModeSelect.val() === 'random');
+  const trackRatioGroup = $mainBlock.find('.sos-track-ratio-group');
+  const refreshSilenceMode = () => {
+    const mode = silenceModeSelect.val();
+    randomDelayGroup.toggle(mode !== 'static');
+    trackRatioGroup.toggle(mode === 'proportional');
+  };
+  silenceModeSelect.on('change', refreshSilenceMode);
+  refreshSilenceMode();
+
+  const interludeSourceSelect = $mainBlock.find(`select[name="${fieldName(KEYS.INTERLUDE_SOURCE)}"]`);
+  const refreshInterludeSource = () => {
+    const source = interludeSourceSelect.val();
+    $mainBlock.find('.sos-interlude-playlist').toggle(source === 'playlist');
+    $mainBlock.find('.sos-interlude-sounds').toggle(source === 'sounds');
+    $mainBlock.find('.sos-interlude-options').toggle(source !== 'none');
+  };
+  interludeSourceSelect.on('change', refreshInterludeSource);
+  refreshInterludeSource();
+
+  const $interludeSoundList = $mainBlock.find('.sos-interlude-sound-list');
+  $mainBlock.on('click', 'button.sos-add-interlude-sound', (ev) => {
+    ev.preventDefault();
+    const indices = $interludeSoundList.children().map(function () { return Number($(this).data('soundIndex')) || 0; }).get();
+    const index = indices.length ? Math.max(...indices) + 1 : 0;
+    $interludeSoundList.append(_buildInterludeSoundRow(index));
+  });
+  $mainBlock.on('click', 'button.sos-interlude-sound-remove', function (ev) {
+    ev.preventDefault();
+    $(this).closest('.sos-interlude-sound').remove();
+  });
 
   $mainBlock.find(`input[name="${fieldName(KEYS.DURATION)}"]`).on('input', function () {
     const silVal = Number($(this).val()) || 0;
@@ -0,0 +1,387 @@
+// playlist-transition.js
+/**
+ * @file playlist-transition.js
+ * @description Crossfades one playlist into another for scene changes (e.g. Travel -> Combat).
+ * Whatever the outgoing playlist has playing fades out while the incoming playlist's first
+ * track (in its own shuffle order) fades in. Loops on the outgoing side are retired so the
+ * audible player is the one that fades, pending silence gaps and crossfade timers are dropped,
+ * and the incoming track starts through the normal play path so its own loop, crossfade and
+ * silence scheduling take over. The GM runs the transition and replicates it with the
+ * `playlistTransition` flag on the incoming playlist.
+ */
+import { MODULE_ID, debug, error, safeStop, getNextSequence } from "./utils.js";
+import { advancedFade, equalPowerCrossfade } from "./audio-fader.js";
+import { prepareIncomingCrossfadeMedia } from "./cross-fade.js";
+import { getCrossfadeCurveOptions } from "./fade-curves.js";
+import { Flags } from "./flag-service.js";
+import { cancelLoopWithin } from "./internal-loop.js";
+import { stopSoundscape } from "./procedural-ambience.js";
+import { State, cleanupPlaylistState } from "./state-manager.js";
+import { getNextGridTime, hasTempo } from "./tempo-grid.js";
+
+const AudioTimeout = foundry.audio.AudioTimeout;
+const PM = CONST.PLAYLIST_MODES;
+
+const BOUNDARY_MIN_LEAD = 0.05; // seconds; closer boundaries roll to the next one
+const PLAYING_WAIT_MS = 5000;   // how long a client waits for the incoming sound's document
+
+/**
+ * The sounds a transition fades out: everything audible in the playlist. A playlist in a
+ * silent gap has none.
+ * @param {Playlist} playlist
+ * @returns {PlaylistSound[]}
+ */
+function getOutgoingSounds(playlist) {
+  return playlist.sounds.filter((ps) => ps.playing);
+}
+
+/**
+ * The sounds a transition starts: the first track in playback order (which follows the
+ * playlist's shuffle pattern), or every track of a simultaneous playlist.
+ * @param {Playlist} playlist
+ * @returns {PlaylistSound[]}
+ */
+function getIncomingSounds(playlist) {
+  const sounds = playlist.playbackOrder
+    .map((id) => playlist.sounds.get(id))
+    .filter(Boolean);
+  return playlist.mode === PM.SIMULTANEOUS ? sounds : sounds.slice(0, 1);
+}
+
+/**
+ * Waits until the outgoing playlist reaches a musical boundary: the next beat, bar or phrase
+ * when its playing track has tempo metadata, otherwise the end of the current loop pass.
+ * Resolves at once when there is no boundary to wait for.
+ * @param {Playlist} playlist
+ * @param {boolean|string} unit `true` for the track's own quantize setting (or "bar"), or a grid unit.
+ */
+async function waitForTransitionBoundary(playlist, unit) {
+  const ps = playlist.sounds.find((s) => s.playing);
+  if (!ps) return;
+
+  const looper = State.getActiveLooper(ps);
+  const liveLooper = looper && !looper.isDestroyed ? looper : null;
+  const sound = liveLooper?.activeSound ?? ps.sound;
+  const currentTime = Number(sound?.currentTime);
+  if (!sound?.playing || !Number.isFinite(currentTime)) return;
+
+  const tempo = Flags.getLoopConfig(ps).tempo;
+  const tempoUnit = tempo?.quantize && tempo.quantize !== "immediate" ? tempo.quantize : "bar";
+  const gridUnit = typeof unit === "string" ? unit : tempoUnit;
+
+  let boundary = hasTempo(tempo)
+    ? getNextGridTime(currentTime, tempo, gridUnit, { minLeadSec: BOUNDARY_MIN_LEAD })
+    : null;
+  const segment = liveLooper?.activeLoopSegment;
+  if (boundary === null && segment && currentTime < segment.endSec - BOUNDARY_MIN_LEAD) {
+    boundary = segment.endSec;
+  }
+  if (boundary === null) {
+    debug(`[Transition] No boundary to wait for on "${ps.name}"; transitioning now.`);
+    return;
+  }
+
+  // A loop may swap players before the boundary, so wait in real time rather than on one Sound.
+  const rate = Number(sound.sourceNode?.playbackRate?.value) || 1;
+  const delayMs = Math.max(0, (boundary - currentTime) / rate) * 1000;
+  debug(`[Transition] Waiting ${Math.round(delayMs)}ms for the next boundary on "${ps.name}".`);
+  await AudioTimeout.wait(delayMs);
+}
+
+/**
+ * Hands the outgoing playlist over to a transition on this client: its loops are retired with
+ * their audio left playing, end-of-track fades, crossfade timers and silence gaps are dropped,
+ * and native sync is held back until the fade has finished.
+ * @param {Playlist} playlist The outgoing playlist.
+ * @param {PlaylistSound[]} sounds Its sounds being faded out.
+ * @returns {Promise<void>}
+ */
+export async function releaseOutgoingPlaylist(playlist, sounds) {
+  State.markPlaylistAsStopping(playlist);
+  State.markPlaylistAsCrossfading(playlist);
+  stopSoundscape(playlist, { stopBeds: false });
+
+  for (const ps of sounds) {
+    const pendingFade = State.getEndOfTrackFade(ps);
+    if (pendingFade) {
+      pendingFade.cancel();
+      State.clearEndOfTrackFade(ps);
+    }
+    cancelLoopWithin(ps, { quiet: true, preservePlayback: true, restorePlaybackHandlers: false });
+  }
+
+  await cleanupPlaylistState(playlist, {
+    cleanSilence: true,
+    cleanCrossfade: true,
+    cleanLoopers: false,
+    cleanSoundscape: false,
+  });
+}
+
+/**
+ * Runs the audio side of a playlist transition on this client. The first outgoing and first
+ * incoming sound share one crossfade; any others on either side fade on their own. Every
+ * outgoing sound is stopped once the fade is over.
+ * @param {Sound[]} outgoing Sounds of the outgoing playlist.
+ * @param {{sound: Sound|null, targetVol: number}[]} incoming Started, muted sounds of the incoming playlist.
+ * @param {number} fadeMs
+ * @param {string} curve
+ * @returns {Promise<void>} Resolves when the outgoing sounds have stopped.
+ */
+export async function crossfadePlaylistMedia(outgoing, incoming, fadeMs, curve) {
+  const outs = outgoing.filter((sound) => sound?.playing && sound.gain);
+  const ins = incoming.filter((entry) => entry.sound?.gain);
+  const tokens = new Map();
+
+  const [leadOut, ...otherOuts] = outs;
+  const [leadIn, ...otherIns] = ins;
+  if (leadOut && leadIn) {
+    const pair = equalPowerCrossfade(leadOut, leadIn.sound, fadeMs, { targetVolIn: leadIn.targetVol, curve });
+    tokens.set(leadOut, pair?.outToken);
+    tokens.set(leadIn.sound, pair?.inToken);
+  } else {
+    if (leadOut) otherOuts.unshift(leadOut);
+    if (leadIn) otherIns.unshift(leadIn);
+  }
+  for (const sound of otherOuts) {
+    tokens.set(sound, advancedFade(sound, { targetVol: 0, duration: fadeMs }));
+  }
+  for (const { sound, targetVol } of otherIns) {
+    tokens.set(sound, advancedFade(sound, { targetVol, duration: fadeMs }));
+  }
+
+  await AudioTimeout.wait(fadeMs + 50);
+
+  for (const sound of outs) {
+    const token = tokens.get(sound);
+    if (sound.playing && (!token || State.isCurrentFadeToken(sound, token))) {
+      safeStop(sound, "playlist transition completion");
+    }
+    if (token) State.clearFadingSound(sound, token);
+  }
+  for (const { sound } of ins) {
+    const token = tokens.get(sound);
+    if (token) State.clearFadingSound(sound, token);
+  }
+}
+
+/**
+ * Resolves once a sound's document is marked playing, or after a timeout.
+ * @param {PlaylistSound} ps
+ * @returns {Promise<boolean>} Whether the document is playing.
+ */
+export function waitForPlayingDocument(ps) {
+  if (ps.playing) return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    let settled = false;
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      Hooks.off("updatePlaylistSound", hookId);
+      resolve(!!ps.playing);
+    };
+    const hookId = Hooks.on("updatePlaylistSound", (soundDoc) => {
+      if (soundDoc.id === ps.id && soundDoc.playing) finish();
+    });
+    AudioTimeout.wait(PLAYING_WAIT_MS).then(finish);
+  });
+}
+
+/**
+ * Crossfades one playlist into another. GM only; other clients follow the replicated flag.
+ * @param {Playlist} fromPlaylist The playlist to fade out.
+ * @param {Playlist} toPlaylist The playlist to fade in.
+ * @param {object} [options]
+ * @param {number} [options.duration] Fade length in ms. Defaults to the outgoing playlist's crossfade duration.
+ * @param {string} [options.curve] "equal-power", "linear", "s-curve", "cut" or a "custom:<id>" curve.
+ * Defaults to the outgoing playlist's crossfade curve.
+ * @param {boolean|string} [options.waitForBoundary=false] Wait for the next musical boundary first;
+ * `true` uses the playing track's quantize setting, or pass "beat", "bar" or "phrase".
+ * @returns {Promise<boolean>} True once the transition has finished.
+ */
+export async function transitionToPlaylist(fromPlaylist, toPlaylist, { duration, curve, waitForBoundary = false } = {}) {
+  if (!fromPlaylist?.isOwner || !toPlaylist?.isOwner) {
+    throw new Error("Only the GM can transition between playlists");
+  }
+  if (fromPlaylist === toPlaylist) {
+    throw new Error("Cannot transition a playlist into itself");
+  }
+
+  const toMode = Flags.getPlaybackMode(toPlaylist);
+  if (toPlaylist.mode === PM.DISABLED && !toMode.soundscape) {
+    throw new Error(`"${toPlaylist.name}" has no playback mode to start`);
+  }
+
+  if (waitForBoundary) await waitForTransitionBoundary(fromPlaylist, waitForBoundary);
+
+  const safeCurve = Flags.isTransitionCurve(curve) ? curve : Flags.getCrossfadeCurve(fromPlaylist);
+  const fadeMs = safeCurve === "cut" ? 0 : Math.max(0, Number(duration ?? Flags.getCrossfadeDuration(fromPlaylist)) || 0);
+  const outgoing = getOutgoingSounds(fromPlaylist);
+  // A soundscape starts through Play All; a playlist that is already playing keeps going.
+  const incoming = toMode.soundscape || toPlaylist.playing ? [] : getIncomingSounds(toPlaylist);
+
+  debug(`[Transition] "${fromPlaylist.name}" -> "${toPlaylist.name}" over ${fadeMs}ms (${safeCurve}), starting ${incoming.map((ps) => `"${ps.name}"`).join(", ") || "nothing new"}.`);
+
+  State.clearStoppingFlag(toPlaylist);
+  if (incoming.length) State.markPlaylistAsCrossfading(toPlaylist);
+
+  try {
+    await releaseOutgoingPlaylist(fromPlaylist, outgoing);
+
+    // Replicate before anything plays, so clients hold back native sync for the incoming sounds.
+    await toPlaylist.setFlag(MODULE_ID, "playlistTransition", {
+      fromPlaylistId: fromPlaylist.id,
+      outgoingSoundIds: outgoing.map((ps) => ps.id),
+      incomingSoundIds: incoming.map((ps) => ps.id),
+      fadeMs,
+      curve: safeCurve,
+      targetVols: Object.fromEntries(incoming.map((ps) => [ps.id, Flags.resolveSharedTargetVolume(ps)])),
+      seq: getNextSequence(toPlaylist.id),
+      gmId: game.user.id,
+    });
+
+    if (toMode.soundscape && !toPlaylist.playing) {
+      await toPlaylist.playAll();
+    }
+    for (const ps of incoming) {
+      await ps.update({ playing: true, pausedTime: null }, { render: false });
+    }
+    if (incoming.length && !toPlaylist.playing) {
+      await toPlaylist.update({ playing: true });
+    }
+
+    const incomingMedia = await Promise.all(incoming.map(async (ps) => {
+      const sound = await prepareIncomingCrossfadeMedia(ps);
+      if (!sound) debug(`[Transition] Incoming sound "${ps.name}" did not start.`);
+      if (typeof ps._cancelFadeOut === "function") ps._cancelFadeOut();
+      return { sound, targetVol: Flags.resolveTargetVolume(ps) };
+    }));
+
+    Hooks.callAll("the-sound-of-silence.playlistTransitionStart", {
+      fromPlaylist,
+      toPlaylist,
+      toSounds: incoming,
+      duration: fadeMs,
+      curve: safeCurve,
+    });
+
+    const fade = crossfadePlaylistMedia(outgoing.map((ps) => ps.sound), incomingMedia, fadeMs, safeCurve);
+
+    // The audio keeps fading; the documents move on so every client's UI shows the new playlist.
+    const stopUpdates = outgoing.map((ps) => ({ _id: ps.id, playing: false, pausedTime: null }));
+    if (stopUpdates.length) await fromPlaylist.updateEmbeddedDocuments("PlaylistSound", stopUpdates);
+    if (fromPlaylist.playing) await fromPlaylist.update({ playing: false });
+
+    await fade;
+  } finally {
+    // A failed transition must not leave the source stuck as stopping, or its track ends are ignored.
+    State.clearStoppingFlag(fromPlaylist);
+    State.clearPlaylistCrossfading(fromPlaylist);
+    State.clearPlaylistCrossfading(toPlaylist);
+  }
+
+  debug(`[Transition] "${fromPlaylist.name}" -> "${toPlaylist.name}" complete.`);
+  Hooks.callAll("the-sound-of-silence.playlistTransitionComplete", { fromPlaylist, toPlaylist });
+  return true;
+}
+
+/**
+ * Resolves the Playlist a directory context menu was opened on.
+ * @param {HTMLElement|jQuery} li
+ * @returns {Playlist|null}
+ */
+function getContextPlaylist(li) {
+  const element = li instanceof HTMLElement ? li : li?.[0];
+  const playlistId = element?.dataset.entryId ?? element?.closest("[data-entry-id]")?.dataset.entryId;
+  return game.playlists.get(playlistId) ?? null;
+}
+
+function canTransitionInto(playlist) {
+  const hasTracks = playlist.sounds.size > 0;
+  return hasTracks && (playlist.mode !== PM.DISABLED || Flags.getPlaybackMode(playlist).soundscape);
+}
+
+/**
+ * Asks which playlist to crossfade into, then runs the transition.
+ * @param {Playlist} fromPlaylist
+ */
+export async function promptPlaylistTransition(fromPlaylist) {
+  const targets = game.playlists.filter((playlist) => playlist !== fromPlaylist && canTransitionInto(playlist));
+  if (!targets.length) {
+    ui.notifications.warn("There is no other playlist to crossfade into.");
+    return;
+  }
+
+  const escape = (text) => foundry.utils.escapeHTML ? foundry.utils.escapeHTML(text) : text;
+  const defaultMs = Flags.getCrossfadeDuration(fromPlaylist);
+  const defaultCurve = Flags.getCrossfadeCurve(fromPlaylist);
+  const curves = { ...getCrossfadeCurveOptions(), "cut": "Hard Cut" };
+  const choice = await foundry.applications.api.DialogV2.prompt({
+    window: { title: `Crossfade from ${fromPlaylist.name}`, icon: "fas fa-right-left" },
+    content: `
+      <div class="form-group">
+        <label>Crossfade To</label>
+        <select name="toPlaylist">
+          ${targets.map((playlist) => `<option value="${playlist.id}">${escape(playlist.name)}</option>`).join("")}
+        </select>
+      </div>
+      <div class="form-group">
+        <label>Duration <span class="sos-label-units">(ms)</span></label>
+        <input type="number" name="duration" value="${defaultMs}" step="100" min="0">
+      </div>
+      <div class="form-group">
+        <label>Curve</label>
+        <select name="curve">
+          ${Object.entries(curves).map(([value, label]) => `<option value="${value}" ${value === defaultCurve ? "selected" : ""}>${escape(label)}</option>`).join("")}
+        </select>
+      </div>
+      <div class="form-group">
+        <label class="checkbox">
+          <input type="checkbox" name="waitForBoundary">
+          <span>Wait for the next bar or loop point</span>
+        </label>
+      </div>
+    `,
+    ok: {
+      icon: "fas fa-right-left",
+      label: "Crossfade",
+      callback: (_event, button) => {
+        const elements = button.form.elements;
+        return {
+          toPlaylist: game.playlists.get(elements.toPlaylist.value),
+          duration: Number(elements.duration.value),
+          curve: elements.curve.value,
+          waitForBoundary: elements.waitForBoundary.checked,
+        };
+      },
+    },
+    rejectClose: false,
+  });
+  if (!choice?.toPlaylist) return;
+
+  try {
+    await transitionToPlaylist(fromPlaylist, choice.toPlaylist, {
+      duration: Number.isFinite(choice.duration) ? choice.duration : defaultMs,
+      curve: choice.curve,
+      waitForBoundary: choice.waitForBoundary,
+    });
+  } catch (err) {
+    error("[Transition] Playlist transition failed:", err);
+    ui.notifications.error(`Could not crossfade to "${choice.toPlaylist.name}": ${err.message}`);
+  }
+}
+
+export function registerPlaylistTransitionHooks() {
+  Hooks.on("getPlaylistContextOptions", (_app, options) => {
+    options.push({
+      name: "Crossfade to...",
+      icon: '<i class="fas fa-right-left"></i>',
+      condition: (li) => {
+        const playlist = getContextPlaylist(li);
+        return !!playlist?.isOwner && game.user.isGM && playlist.playing;
+      },
+      callback: (li) => promptPlaylistTransition(getContextPlaylist(li)),
+    });
+  });
+}
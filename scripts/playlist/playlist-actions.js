@@ -2,12 +2,19 @@
  * @file playlist-actions.js
  * @description Small shared playlist action helpers.
  */
+import { stopInterlude } from "../interlude.js";
+import { PlaybackClock } from "../playback-clock.js";
 import { cleanupPlaylistState } from "../state-manager.js";
 
 export async function cancelSilentGap(playlist) {
-  return cleanupPlaylistState(playlist, {
+  const result = await cleanupPlaylistState(playlist, {
     cleanSilence: true,
     cleanCrossfade: false,
     cleanLoopers: false,
   });
+  // Drop the replicated gap too, so clients and recovery stop treating the playlist as mid-gap
+  // and every client ends its interlude.
+  stopInterlude(playlist);
+  if (PlaybackClock.getGap(playlist)) await PlaybackClock.clear(playlist, "gap cancelled");
+  return result;
 }
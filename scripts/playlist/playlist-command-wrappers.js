@@ -55,8 +55,7 @@ function isSequentialOrShuffle(playlist) {
 function getCurrentCrossfadeSource(playlist, incomingSound = null) {
   return playlist?.sounds?.find((s) =>
     s.playing &&
-    s.id !== incomingSound?.id &&
-    !Flags.getSoundFlag(s, "isSilenceGap")
+    s.id !== incomingSound?.id
   );
 }
 
@@ -69,10 +68,18 @@ function getManualCrossfadeTarget(playlist, currentSound, soundId, direction) {
     : playlist._getNextSound(currentId);
 
   if (!target || target.id === currentSound?.id) return null;
-  if (Flags.getSoundFlag(target, "isSilenceGap")) return null;
   return target;
 }
 
+/**
+ * Checks whether moving between two tracks goes through the crossfade path: either the
+ * resolved fade has a length, or a transition rule asks for it (a hard cut included).
+ */
+function hasCrossfadeTransition(playlist, fromSound, toSound) {
+  const { fadeMs, rule } = Flags.resolveTransition(playlist, fromSound, toSound);
+  return fadeMs > 0 || !!rule;
+}
+
 async function executeManualCrossfade(playlist, currentSound, incomingSound, reason) {
   const pendingFade = State.getEndOfTrackFade(currentSound);
   if (pendingFade) {
@@ -102,10 +109,6 @@ export function registerPlaylistCommandWrappers() {
     function (wrapped, ...args) {
       const playlist = this.parent;
 
-      if (Flags.getSoundFlag(this, "isSilenceGap")) {
-        return;
-      }
-
       if (State.isPlaylistCrossfading(playlist)) {
         debug("_onEnd: Bailing because an automatic crossfade is in progress.");
         return;
@@ -178,17 +181,7 @@ export function registerPlaylistCommandWrappers() {
       await PlaybackClock.clear(this, "stopAll");
       const fadeDuration = Number(this.fade) || 0;
 
-      const playingSounds = this.sounds.filter(
-        (s) => s.playing && !Flags.getSoundFlag(s, "isSilenceGap")
-      );
-      const silenceState = State.getSilenceState(this);
-      const sourceSound = silenceState?.sourceSound;
-
-      const soundsToStopSet = new Set(playingSounds);
-      if (sourceSound) {
-        soundsToStopSet.add(sourceSound);
-      }
-      const soundsToStop = Array.from(soundsToStopSet);
+      const soundsToStop = this.sounds.filter((s) => s.playing);
       const soundIdsToStop = soundsToStop.map((s) => s.id);
 
       await cleanupPlaylistState(this, {
@@ -266,19 +259,15 @@ export function registerPlaylistCommandWrappers() {
         return await wrapped.call(playlist, soundToPlay, ...args);
       }
 
-      if (
-        State.hasSilenceState(playlist) &&
-        !soundToPlay.getFlag(MODULE_ID, "isSilenceGap")
-      ) {
+      if (State.hasSilenceState(playlist) || PlaybackClock.getGap(playlist)) {
         await cancelSilentGap(playlist);
       }
 
       const useCrossfade = Flags.getPlaybackMode(playlist).crossfade;
-      const fadeMs = Flags.getCrossfadeDuration(playlist);
 
-      if (playlist.isOwner && useCrossfade && fadeMs > 0 && isSequentialOrShuffle(playlist)) {
+      if (playlist.isOwner && useCrossfade && isSequentialOrShuffle(playlist)) {
         const currentlyPlaying = getCurrentCrossfadeSource(playlist, soundToPlay);
-        if (currentlyPlaying?.sound) {
+        if (currentlyPlaying?.sound && hasCrossfadeTransition(playlist, currentlyPlaying, soundToPlay)) {
           debug(
             `[CF-Skip] Targeted crossfade from "${currentlyPlaying.name}" to "${soundToPlay.name}".`
           );
@@ -305,10 +294,16 @@ export function registerPlaylistAdvanceWrappers() {
         return;
       }
 
+      // During a silent gap no track is playing, so step from the track the gap follows.
+      const gap = PlaybackClock.getGap(playlist);
+      if (gap || State.hasSilenceState(playlist)) {
+        if (!args[0] && gap?.sourceSoundId) args[0] = gap.sourceSoundId;
+        await cancelSilentGap(playlist);
+      }
+
       const useCrossfade = Flags.getPlaybackMode(this).crossfade;
-      const fadeMs = Flags.getCrossfadeDuration(this);
 
-      if (this.isOwner && useCrossfade && fadeMs > 0 && isSequentialOrShuffle(this)) {
+      if (this.isOwner && useCrossfade && isSequentialOrShuffle(this)) {
         const [soundId = null, options = {}] = args;
         const direction = Number(options?.direction) === -1 ? -1 : 1;
         const currentForCrossfade = getCurrentCrossfadeSource(this);
@@ -321,7 +316,7 @@ export function registerPlaylistAdvanceWrappers() {
           );
           const label = direction === -1 ? "prev" : "next";
 
-          if (incomingSound) {
+          if (incomingSound && hasCrossfadeTransition(this, currentForCrossfade, incomingSound)) {
             debug(
               `[CF-${label}] Manual ${label} true crossfade from "${currentForCrossfade.name}" to "${incomingSound.name}".`
             );
@@ -334,7 +329,7 @@ export function registerPlaylistAdvanceWrappers() {
           }
 
           debug(
-            `[CF-${label}] No distinct ${label} crossfade target for "${currentForCrossfade.name}"; falling back to native playNext.`
+            `[CF-${label}] No distinct ${label} crossfade target (or no fade to it) for "${currentForCrossfade.name}"; falling back to native playNext.`
           );
         }
       }
@@ -362,18 +357,13 @@ export function registerPlaylistAdvanceWrappers() {
       });
       State.clearStoppingFlag(this);
       if (Flags.getPlaybackMode(this).soundscape) {
-        const soundUpdates = this.sounds.map((sound) => {
-          const isSilenceGap = Flags.getSoundFlag(sound, "isSilenceGap");
-          const shouldPlay = !isSilenceGap;
-          return {
-            _id: sound.id,
-            playing: shouldPlay,
-            pausedTime: null,
-          };
-        });
+        const soundUpdates = this.sounds.map((sound) => ({
+          _id: sound.id,
+          playing: true,
+          pausedTime: null,
+        }));
 
-        const hasSessionTracks = soundUpdates.some((update) => update.playing);
-        if (!hasSessionTracks) {
+        if (!soundUpdates.length) {
           debug(
             `[Soundscape] Play All ignored for "${this.name}" - ` +
             "no playable soundscape tracks are configured."
@@ -21,17 +21,6 @@ export function registerShuffleHooks() {
       const customOrder = AdvancedShuffle.generateOrder(playlist);
 
       if (customOrder) {
-        const playingGap = playlist.sounds.find(
-          (s) => s.playing && s.getFlag(MODULE_ID, "isSilenceGap")
-        );
-
-        if (playingGap) {
-          return [
-            playingGap.id,
-            ...customOrder.filter((id) => id !== playingGap.id),
-          ];
-        }
-
         if (playlist.playing) {
           const pattern =
             game.settings.get(MODULE_ID, "shufflePattern") || "unknown";
@@ -50,12 +39,6 @@ export function registerShuffleHooks() {
   Hooks.on("createPlaylistSound", (sound) => {
     const playlist = sound.parent;
     if (playlist?.mode === CONST.PLAYLIST_MODES.SHUFFLE) {
-      if (sound.getFlag(MODULE_ID, "isSilenceGap")) {
-        debug(
-          `[Shuffle] Ignoring creation of temporary gap in "${playlist.name}"`
-        );
-        return;
-      }
       AdvancedShuffle.handleTracksChanged(playlist);
       debug(
         `[Shuffle] Track added to "${playlist.name}", updated shuffle state`
@@ -71,12 +54,6 @@ export function registerShuffleHooks() {
 
     const playlist = sound.parent;
     if (playlist?.mode === CONST.PLAYLIST_MODES.SHUFFLE) {
-      if (sound.getFlag(MODULE_ID, "isSilenceGap")) {
-        debug(
-          `[Shuffle] Ignoring deletion of temporary gap in "${playlist.name}"`
-        );
-        return;
-      }
       AdvancedShuffle.handleTracksChanged(playlist);
       debug(
         `[Shuffle] Track removed from "${playlist.name}", updated shuffle state`
@@ -1,6 +1,7 @@
 /**
  * @file transition-replication-hooks.js
- * @description Replicates playlist skip, stop, and crossfade transitions to non-owner clients.
+ * @description Replicates playlist skip, stop, crossfade and playlist-to-playlist transitions
+ * to non-owner clients.
  */
 import {
   prepareIncomingCrossfadeMedia,
@@ -12,6 +13,11 @@ import {
 } from "../audio-fader.js";
 import { Flags } from "../flag-service.js";
 import { cancelLoopWithin } from "../internal-loop.js";
+import {
+  crossfadePlaylistMedia,
+  releaseOutgoingPlaylist,
+  waitForPlayingDocument,
+} from "../playlist-transition.js";
 import { State, cleanupPlaylistState } from "../state-manager.js";
 import {
   debug,
@@ -126,7 +132,7 @@ export function registerTransitionReplicationHooks() {
     const cf = playlist.getFlag(MODULE_ID, "crossfadeTransition");
     if (!cf) return;
 
-    const { incomingSoundId, outgoingSoundId, fadeMs, targetVolIn, seq, gmId } = cf;
+    const { incomingSoundId, outgoingSoundId, fadeMs, curve, targetVolIn, seq, gmId } = cf;
 
     if (gmId === game.user.id || playlist.isOwner) return;
 
@@ -174,9 +180,9 @@ export function registerTransitionReplicationHooks() {
         return;
       }
 
-      debug(`[Crossfade-Sync] Applying equal-power crossfade "${psOut?.name}" -> "${psIn.name}" (${fadeMs}ms)`);
+      debug(`[Crossfade-Sync] Applying ${curve ?? "equal-power"} crossfade "${psOut?.name}" -> "${psIn.name}" (${fadeMs}ms)`);
 
-      const fadeTokens = equalPowerCrossfade(soundOut, soundIn, fadeMs, { targetVolIn: localTargetVolIn });
+      const fadeTokens = equalPowerCrossfade(soundOut, soundIn, fadeMs, { targetVolIn: localTargetVolIn, curve });
 
       AudioTimeout.wait(fadeMs + 50).then(() => {
         if (soundIn && fadeTokens?.inToken) State.clearFadingSound(soundIn, fadeTokens.inToken);
@@ -191,4 +197,70 @@ export function registerTransitionReplicationHooks() {
       State.clearPlaylistCrossfading(playlist);
     }
   });
+
+  Hooks.on("updatePlaylist", async (toPlaylist, changes) => {
+    if (!changes?.flags?.[MODULE_ID]?.playlistTransition) return;
+    const transition = toPlaylist.getFlag(MODULE_ID, "playlistTransition");
+    if (!transition) return;
+
+    const {
+      fromPlaylistId,
+      outgoingSoundIds = [],
+      incomingSoundIds = [],
+      fadeMs,
+      curve,
+      targetVols = {},
+      seq,
+      gmId,
+    } = transition;
+
+    if (gmId === game.user.id || toPlaylist.isOwner) return;
+
+    if (!shouldProcessAction(toPlaylist.id, seq)) {
+      debug(`[Transition-Sync] Ignoring duplicate/out-of-order (seq ${seq})`);
+      return;
+    }
+
+    const fromPlaylist = game.playlists.get(fromPlaylistId);
+    const outgoing = outgoingSoundIds.map((id) => fromPlaylist?.sounds.get(id)).filter(Boolean);
+    const incoming = incomingSoundIds.map((id) => toPlaylist.sounds.get(id)).filter(Boolean);
+    const dur = Number(fadeMs) || 0;
+
+    // Hold back native sync on both sides before the GM's playing updates arrive.
+    State.clearStoppingFlag(toPlaylist);
+    if (incoming.length) State.markPlaylistAsCrossfading(toPlaylist);
+    if (fromPlaylist) await releaseOutgoingPlaylist(fromPlaylist, outgoing);
+
+    debug(`[Transition-Sync] Applying ${curve ?? "equal-power"} transition "${fromPlaylist?.name}" -> "${toPlaylist.name}" (${dur}ms)`);
+
+    let started = [];
+    try {
+      const outgoingMedia = await Promise.all(outgoing.map((ps) => waitForMedia(ps)));
+      started = await Promise.all(incoming.map(async (ps) => {
+        if (!(await waitForPlayingDocument(ps))) return { ps, sound: null };
+        const sharedTargetVol = Number.isFinite(Number(targetVols[ps.id]))
+          ? Number(targetVols[ps.id])
+          : Flags.resolveSharedTargetVolume(ps);
+        const sound = await prepareIncomingCrossfadeMedia(ps);
+        return { ps, sound, targetVol: Flags.resolveTargetVolume(ps, { sharedVolume: sharedTargetVol }) };
+      }));
+
+      await crossfadePlaylistMedia(outgoingMedia, started, dur, curve);
+    } catch (err) {
+      debug(`[Transition-Sync] Failed to apply replicated transition:`, err?.message ?? err);
+    } finally {
+      if (fromPlaylist) State.clearPlaylistCrossfading(fromPlaylist);
+      State.clearPlaylistCrossfading(toPlaylist);
+    }
+
+    for (const { ps, sound } of started) {
+      if (sound) continue;
+      debug(`[Transition-Sync] Incoming sound "${ps.name}" did not start; falling back to native sync.`);
+      try {
+        ps.sync?.();
+      } catch (err) {
+        debug(`[Transition-Sync] Native sync fallback failed for "${ps.name}":`, err?.message ?? err);
+      }
+    }
+  });
 }
@@ -4,7 +4,7 @@
  * @description Soundscape Mode engine. Treats a playlist as two layers:
  *   - Bed tracks (repeat=true) can be started and stopped manually as background.
  *   - Procedural one-shots (isProcedural=true) fire on local, randomized timers
- *     with optional volume variance, stereo pan, and play-chance.
+ *     with optional volume variance, stereo pan or a canvas position, and play-chance.
  *
  * Procedural one-shot fires are GM-authored and socket-synced by default.
  * Players may opt out client-side; opted-out clients keep the older local RNG
@@ -23,6 +23,13 @@ import {
     safeCancelTimer,
 } from "./utils.js";
 import { advancedFade, fadeOutAndStop } from "./audio-fader.js";
+import {
+    canHearSpatialPosition,
+    createSpatialPanner,
+    normalizeSpatialPosition,
+    pickSpatialPosition,
+    releaseSpatialPanner,
+} from "./spatial-audio.js";
 
 const AudioTimeout = foundry.audio.AudioTimeout;
 const RETRY_BACKOFF_MS = 250;
@@ -113,7 +120,7 @@ export class SoundscapeEngine {
         /** @type {WeakMap<foundry.audio.Sound, {soundId: string, varianceFactor: number}>} active one-shot volume metadata */
         this.oneShotSharedTargetVolumes = new WeakMap();
 
-        /** @type {WeakMap<foundry.audio.Sound, {panner: StereoPannerNode, panValue: number}>} */
+        /** @type {WeakMap<foundry.audio.Sound, {panner: StereoPannerNode|PannerNode, panValue: number|null, position?: object}>} */
         this.panners = new WeakMap();
 
         /** @type {Set<string>} ids of configured bed sounds in this playlist */
@@ -164,7 +171,6 @@ export class SoundscapeEngine {
         const beds = [];
         const procedurals = [];
         for (const ps of this.playlist.sounds) {
-            if (Flags.getSoundFlag(ps, "isSilenceGap")) continue;
             if (Flags.getSoundFlag(ps, "isProcedural")) {
                 procedurals.push(ps);
             } else {
@@ -389,7 +395,9 @@ export class SoundscapeEngine {
             sharedTargetVol = _clamp01(baseVol * (1 + offset), baseVol);
         }
         const varianceFactor = baseVol > 0 ? sharedTargetVol / baseVol : 1;
-        const randomPan = Flags.resolveProceduralField(ps, "randomPan");
+        // A canvas position replaces random stereo pan; each client pans it from its own listener.
+        const position = pickSpatialPosition(ps);
+        const randomPan = !position && Flags.resolveProceduralField(ps, "randomPan");
         const panValue = randomPan ? Math.max(-1, Math.min(1, Math.random() * 2 - 1)) : null;
         const now = Date.now();
         const seq = synced ? this.syncedFireSeq + 1 : null;
@@ -406,6 +414,7 @@ export class SoundscapeEngine {
             sharedTargetVol,
             varianceFactor: Number.isFinite(varianceFactor) ? varianceFactor : 1,
             panValue,
+            position,
             fadeInMs: _resolveFadeInMs(this.playlist),
             gmId: game.user?.id ?? null,
         };
@@ -433,6 +442,7 @@ export class SoundscapeEngine {
                 ? variance
                 : (baseVol > 0 ? sharedTargetVol / baseVol : 1),
             panValue: Number.isFinite(pan) ? Math.max(-1, Math.min(1, pan)) : null,
+            position: normalizeSpatialPosition(recipe?.position),
             fadeInMs: Number.isFinite(fadeIn) ? Math.max(0, fadeIn) : _resolveFadeInMs(this.playlist),
             gmId: recipe?.gmId ?? null,
         };
@@ -453,6 +463,7 @@ export class SoundscapeEngine {
             sharedTargetVol: Number.isFinite(Number(recipe?.sharedTargetVol)) ? Number(recipe.sharedTargetVol) : null,
             varianceFactor: Number.isFinite(Number(recipe?.varianceFactor)) ? Number(recipe.varianceFactor) : null,
             panValue: Number.isFinite(Number(recipe?.panValue)) ? Number(recipe.panValue) : null,
+            position: recipe?.position ?? null,
             fadeInMs: Number.isFinite(Number(recipe?.fadeInMs)) ? Number(recipe.fadeInMs) : null,
             gmId: recipe?.gmId ?? null,
             ...extra,
@@ -602,6 +613,16 @@ export class SoundscapeEngine {
             return false;
         }
 
+        // Placed sounds are only heard by clients viewing their scene.
+        if (normalized.position && !canHearSpatialPosition(normalized.position)) {
+            releaseReservation();
+            if (isSyncedEvent) this._recordMissedSyncedEvent(normalized, "off-scene");
+            if (canRearm() && !this.isDestroyed && ps.playing) {
+                this._armOneShot(ps);
+            }
+            return false;
+        }
+
         ensureAudioContext();
         const targetVol = Flags.resolveTargetVolume(ps, {
             sharedVolume: normalized.sharedTargetVol,
@@ -632,7 +653,9 @@ export class SoundscapeEngine {
             return false;
         }
 
-        if (Number.isFinite(normalized.panValue)) {
+        if (normalized.position) {
+            this._attachSpatialPanner(sound, normalized.position);
+        } else if (Number.isFinite(normalized.panValue)) {
             this._attachPanner(sound, normalized.panValue);
         }
 
@@ -849,7 +872,28 @@ export class SoundscapeEngine {
     }
 
     /**
-     * Remove the StereoPannerNode from the effect chain.
+     * Register a PannerNode for a canvas position in Foundry's effects pipeline. It follows this
+     * client's listener until the sound ends.
+     * @param {foundry.audio.Sound} sound
+     * @param {{sceneId: string, x: number, y: number, radius: number}} position
+     */
+    _attachSpatialPanner(sound, position) {
+        try {
+            const panner = createSpatialPanner(sound.context, position);
+            if (!panner) {
+                warn(`[Soundscape] Spatial audio is not available in this audio context.`);
+                return;
+            }
+
+            sound.applyEffects([...(sound.effects ?? []), panner]);
+            this.panners.set(sound, { panner, panValue: null, position });
+        } catch (err) {
+            warn(`[Soundscape] Failed to attach spatial panner:`, err?.message);
+        }
+    }
+
+    /**
+     * Remove the stereo or spatial panner from the effect chain.
      * Rebuilds the chain via applyEffects() so Foundry rewires connections.
      * @param {foundry.audio.Sound} sound
      */
@@ -857,6 +901,7 @@ export class SoundscapeEngine {
         const entry = this.panners.get(sound);
         if (!entry) return;
         this.panners.delete(sound);
+        if (entry.position) releaseSpatialPanner(entry.panner);
         try {
             const remaining = (sound.effects ?? []).filter((effect) => effect !== entry.panner);
             if (typeof sound.applyEffects === "function") {
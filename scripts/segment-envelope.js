@@ -0,0 +1,97 @@
+// segment-envelope.js
+/**
+ * @file segment-envelope.js
+ * @description Per-segment level and speed for internal loops. A segment can lift or drop its
+ * level by a dB offset and run at its own playback rate, each optionally stepping further on
+ * every loop pass. The level lives on a GainNode of its own in the Sound's effect chain, so it
+ * stacks on top of normalized volume and crossfades without touching them; the rate is ramped
+ * on the source node through gapless-loop.js, which keeps the Sound's clock in media time.
+ */
+import { debug } from "./utils.js";
+import { setPlaybackRate } from "./gapless-loop.js";
+
+export const NEUTRAL_ENVELOPE = Object.freeze({ gainDb: 0, rate: 1 });
+
+// Limits for a segment's level and speed after any per-pass steps are added.
+const MIN_GAIN_DB = -40;
+const MAX_GAIN_DB = 12;
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+/** @type {WeakMap<Sound, GainNode>} */
+const gainNodes = new WeakMap();
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Checks whether a segment changes level or speed at all.
+ * @param {object} segment
+ * @returns {boolean}
+ */
+export function hasSegmentEnvelope(segment) {
+  return !!segment && (!!segment.gainDb || !!segment.gainStepDb || changesSegmentRate(segment));
+}
+
+/**
+ * Checks whether a segment plays at anything other than normal speed.
+ * @param {object} segment
+ * @returns {boolean}
+ */
+export function changesSegmentRate(segment) {
+  return !!segment && ((segment.rate ?? 1) !== 1 || !!segment.rateStep);
+}
+
+/**
+ * Works out a segment's level and speed on a given pass.
+ * @param {object|null} segment
+ * @param {number} [iteration=0] Passes already completed.
+ * @returns {{gainDb: number, rate: number}}
+ */
+export function getSegmentEnvelope(segment, iteration = 0) {
+  if (!hasSegmentEnvelope(segment)) return { ...NEUTRAL_ENVELOPE };
+  return {
+    gainDb: clamp((segment.gainDb || 0) + (segment.gainStepDb || 0) * iteration, MIN_GAIN_DB, MAX_GAIN_DB),
+    rate: clamp((segment.rate || 1) + (segment.rateStep || 0) * iteration, MIN_RATE, MAX_RATE),
+  };
+}
+
+/** The Sound's envelope GainNode, added to its effect chain on first use. */
+function getGainNode(sound, create) {
+  const existing = gainNodes.get(sound);
+  if (existing || !create) return existing ?? null;
+  if (!sound.context?.createGain || typeof sound.applyEffects !== "function") return null;
+
+  const node = sound.context.createGain();
+  sound.applyEffects([...(sound.effects ?? []), node]);
+  gainNodes.set(sound, node);
+  return node;
+}
+
+/**
+ * Moves a playing Sound to an envelope, ramping linearly. Streamed Sounds take the level
+ * but keep normal speed.
+ * @param {Sound} sound
+ * @param {{gainDb: number, rate: number}} envelope
+ * @param {number} [rampSec=0]
+ */
+export function applyEnvelope(sound, envelope, rampSec = 0) {
+  if (!sound?.context) return;
+  const { gainDb, rate } = envelope;
+
+  const node = getGainNode(sound, gainDb !== 0);
+  if (node) {
+    const param = node.gain;
+    const now = sound.context.currentTime;
+    const target = Math.pow(10, gainDb / 20);
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    if (rampSec > 0) param.linearRampToValueAtTime(target, now + rampSec);
+    else param.setValueAtTime(target, now);
+  }
+
+  if (sound.playing && !setPlaybackRate(sound, rate, rampSec) && rate !== 1) {
+    debug(`[Envelope] Playback rate ${rate} needs a buffer-backed sound; keeping normal speed.`);
+  }
+}
@@ -3,6 +3,7 @@
  * @description Registers The Sound of Silence module settings.
  */
 import { AdvancedShuffle, SHUFFLE_PATTERNS } from "./advanced-shuffle.js";
+import { FadeCurveEditor } from "./fade-curves.js";
 import { LegacyLoopMigrationLauncher } from "./legacy-loop-migration.js";
 import { debug, MODULE_ID } from "./utils.js";
 
@@ -82,6 +83,58 @@ export function registerSettings({
     onChange: applyPersonalMix,
   });
 
+  game.settings.register(MODULE_ID, "loopEditorSnapMode", {
+    name: "Loop Editor Snap Mode",
+    hint: "Client-local snapping used when dragging loop segment handles.",
+    scope: "client",
+    config: false,
+    type: String,
+    choices: {
+      off: "Off",
+      zeroCrossing: "Zero Crossing",
+      transient: "Transient",
+      beat: "Beat Grid",
+    },
+    default: "off",
+  });
+
+  game.settings.register(MODULE_ID, "importEmbeddedLoops", {
+    name: "Import Embedded Loop Points",
+    hint: "When a WAV or OGG sound is added to a playlist, read its embedded loop points (WAV smpl chunk, LOOPSTART/LOOPEND tags) and set them up as loop segments.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "detectTrackSilence", {
+    name: "Detect Leading/Trailing Silence",
+    hint: "Analyze each playlist track once to find where its audio really starts and ends, so crossfades and end fades happen before any dead air at the end. Each sound can override this in its configuration.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: true,
+  });
+
+  game.settings.register(MODULE_ID, "skipTrackSilence", {
+    name: "Skip Leading/Trailing Silence",
+    hint: "Also start tracks at their first audible moment and end them at their last, instead of playing the dead air at low volume. Needs silence detection or manual audio bounds.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+  });
+
+  game.settings.register(MODULE_ID, "trackSilenceThresholdDb", {
+    name: "Silence Threshold (dB)",
+    hint: "Audio quieter than this level counts as silence when finding where a track starts and ends. Lower values keep quieter intros and reverb tails.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: -80, max: -20, step: 1 },
+    default: -50,
+  });
+
   game.settings.register(MODULE_ID, "soundscapeProceduralSyncEnabled", {
     name: "Sync Soundscape Procedural Events",
     hint: "Follow GM-authored soundscape one-shot timing and playback recipes. Disable to use local procedural ambience timing on this client.",
@@ -126,7 +179,7 @@ export function registerSettings({
 
   game.settings.register(MODULE_ID, "fadeInCurveType", {
     name: "Fade-In Curve Type",
-    hint: "Controls the volume curve shape for fade-ins. Logarithmic (default) sounds perceptually linear. Linear is a straight volume ramp. S-Curve eases in and out smoothly. Steep front-loads the volume change for a more dramatic effect.",
+    hint: "Controls the volume curve shape for fade-ins. Logarithmic (default) sounds perceptually linear. Linear is a straight volume ramp. S-Curve eases in and out smoothly. Steep front-loads the volume change for a more dramatic effect. Playlists can pick their own curve, including custom ones, in Playlist Configuration.",
     scope: "world",
     config: true,
     type: String,
@@ -141,7 +194,7 @@ export function registerSettings({
 
   game.settings.register(MODULE_ID, "fadeOutCurveType", {
     name: "Fade-Out Curve Type",
-    hint: "Controls the volume curve shape for fade-outs. Logarithmic (default) sounds perceptually linear. Linear is a straight volume ramp. S-Curve eases in and out smoothly. Steep front-loads the volume change for a more dramatic effect.",
+    hint: "Controls the volume curve shape for fade-outs. Logarithmic (default) sounds perceptually linear. Linear is a straight volume ramp. S-Curve eases in and out smoothly. Steep front-loads the volume change for a more dramatic effect. Playlists can pick their own curve, including custom ones, in Playlist Configuration.",
     scope: "world",
     config: true,
     type: String,
@@ -153,4 +206,22 @@ export function registerSettings({
     },
     default: "logarithmic",
   });
+
+  game.settings.register(MODULE_ID, "customFadeCurves", {
+    name: "Custom Fade Curves",
+    hint: "Named Bézier fade curves, keyed by id. Edited through the Custom Fade Curves menu.",
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+  });
+
+  game.settings.registerMenu(MODULE_ID, "fadeCurveEditor", {
+    name: "Custom Fade Curves",
+    label: "Edit Fade Curves",
+    hint: "Draw named fade curves that any playlist can use for its fade-in, fade-out or crossfades.",
+    icon: "fas fa-bezier-curve",
+    restricted: true,
+    type: FadeCurveEditor,
+  });
 }
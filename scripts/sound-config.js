@@ -1,12 +1,21 @@
 // sound-config.js
 
 import { LoopPreviewer } from "./loop-previewer.js";
+import { LoopEditHistory } from "./loop-edit-history.js";
 import { ProceduralAuditioner } from "./procedural-auditioner.js";
-import { debug, MODULE_ID, toSec, SEGMENT_COLORS, warn, error } from "./utils.js";
-import { Flags } from "./flag-service.js";
+import { debug, MODULE_ID, toSec, formatTime, normalizeTimeInput, clampNumber, SEGMENT_COLORS, warn, error } from "./utils.js";
+import { Flags, FOLLOW_UP_SOUND_SEPARATOR } from "./flag-service.js";
+import { readEmbeddedLoopPoints, canHaveEmbeddedLoops, toLoopSegments } from "./loop-metadata.js";
 
 // max amount of Loop Segments
 const MAX_SEGMENTS = 16;
+// max weighted follow-up links per segment
+const MAX_FOLLOW_UPS = 8;
+// max stem layers per sound
+const MAX_STEMS = 8;
+// loop point suggestions listed per analysis, and the crossfade they are previewed/created with
+const MAX_LOOP_SUGGESTIONS = 5;
+const SUGGESTION_CROSSFADE_MS = 250;
 let wrappersRegistered = false;
 let hooksRegistered = false;
 
@@ -29,6 +38,20 @@ const DEFAULTS = {
   loopCount: 0,
 };
 
+const LOOP_SNAP_OPTIONS = {
+  off: "Snap: Off",
+  zeroCrossing: "Snap: Zero Crossing",
+  transient: "Snap: Transient",
+  beat: "Snap: Beat Grid",
+};
+
+const LOOP_QUANTIZE_OPTIONS = {
+  immediate: "Immediately",
+  beat: "Next Beat",
+  bar: "Next Bar",
+  phrase: "Next Phrase",
+};
+
 const PROCEDURAL_TIMING_OPTIONS = {
   uniform: "Uniform Random",
   fixed: "Fixed Cadence",
@@ -41,6 +64,45 @@ const PROCEDURAL_INITIAL_FIRE_OPTIONS = {
   immediate: "Immediate First Fire",
 };
 
+const DUCKING_ROLE_OPTIONS = {
+  inherit: "Playlist Setting",
+  none: "Off",
+  ducker: "Ducker",
+  duckable: "Duckable",
+};
+
+const SILENCE_MODE_OPTIONS = {
+  inherit: "Playlist Setting",
+  static: "Static",
+  random: "Random",
+  natural: "Natural (Center-Weighted)",
+  exponential: "Exponential (Mostly Short)",
+  proportional: "Follow Track Length",
+};
+
+const SPATIAL_MODE_OPTIONS = {
+  none: "Anywhere (Not Placed)",
+  point: "Fixed Point",
+  region: "Random Point in Region",
+  drawing: "Random Point in Drawing",
+};
+
+// per-sound gap settings for the silence after this track, blank = playlist's: [key, min, max]
+const SILENCE_SETTING_RANGES = [
+  ["silenceDuration", 0, 3600000],
+  ["silenceMinDelay", 0, 3600000],
+  ["silenceMaxDelay", 0, 3600000],
+  ["silenceTrackRatio", 0, 1000],
+];
+
+// per-sound duck settings, each left blank to use the playlist's: [key, min, max]
+const DUCK_SETTING_RANGES = [
+  ["duckDepthDb", -40, 0],
+  ["duckAttackMs", 0, 5000],
+  ["duckHoldMs", 0, 10000],
+  ["duckReleaseMs", 0, 10000],
+];
+
 const PROCEDURAL_FIELD_DEFAULTS = {
   minDelay: 15,
   maxDelay: 60,
@@ -78,6 +140,11 @@ function setModuleFlagsOnFormData(formDataObject, moduleFlags) {
   };
 }
 
+function encodeFollowUpTarget(link) {
+  const { target, sound } = Flags.parseFollowUpLink(link);
+  return sound ? `${sound}${FOLLOW_UP_SOUND_SEPARATOR}${target}` : target;
+}
+
 function assignKnownSoundFlag(target, fieldName, value) {
   const loopFlags = target[LOOP_KEY] ?? {};
   switch (fieldName) {
@@ -90,8 +157,33 @@ function assignKnownSoundFlag(target, fieldName, value) {
     case "volumeVariance":
     case "randomPan":
     case "playChance":
+    case "duckingRole":
+    case "duckDepthDb":
+    case "duckAttackMs":
+    case "duckHoldMs":
+    case "duckReleaseMs":
+    case "silenceMode":
+    case "silenceDuration":
+    case "silenceMinDelay":
+    case "silenceMaxDelay":
+    case "silenceTrackRatio":
+    case "trimSilence":
+    case "audioStartOverride":
+    case "audioEndOverride":
       target[fieldName] = value;
       break;
+    case "spatial.mode":
+    case "spatial.sceneId":
+    case "spatial.x":
+    case "spatial.y":
+    case "spatial.regionUuid":
+    case "spatial.drawingUuid":
+    case "spatial.radius":
+      target.spatial = {
+        ...(target.spatial ?? {}),
+        [fieldName.slice("spatial.".length)]: value,
+      };
+      break;
     case `${LOOP_KEY}.enabled`:
       loopFlags.enabled = value;
       target[LOOP_KEY] = loopFlags;
@@ -104,6 +196,17 @@ function assignKnownSoundFlag(target, fieldName, value) {
       loopFlags.startFromBeginning = value;
       target[LOOP_KEY] = loopFlags;
       break;
+    case `${LOOP_KEY}.tempo.bpm`:
+    case `${LOOP_KEY}.tempo.beatsPerBar`:
+    case `${LOOP_KEY}.tempo.downbeatOffsetMs`:
+    case `${LOOP_KEY}.tempo.phraseBars`:
+    case `${LOOP_KEY}.tempo.quantize`:
+      loopFlags.tempo = {
+        ...(loopFlags.tempo ?? {}),
+        [fieldName.slice(`${LOOP_KEY}.tempo.`.length)]: value,
+      };
+      target[LOOP_KEY] = loopFlags;
+      break;
     default:
       break;
   }
@@ -149,6 +252,8 @@ export function registerSoundConfigWrappers() {
       const modulePath = `flags.${MODULE_ID}`;
       const loopPath = `${modulePath}.${LOOP_KEY}`;
       const segmentPrefix = `${loopPath}.segments.`;
+      const markerPrefix = `${modulePath}.cueMarkers.`;
+      const stemPrefix = `${modulePath}.stems.`;
 
       // SAFETY: Store original data for recovery
       const originalFormData = foundry.utils.deepClone(formData.object);
@@ -156,6 +261,8 @@ export function registerSoundConfigWrappers() {
 
       try {
         const segments = new Map();
+        const cueMarkers = new Map();
+        const stems = new Map();
         const otherFlags = {}; // Holds all non-segment flags
 
         // 1. Extract all our flat flag data into a single object
@@ -165,14 +272,35 @@ export function registerSoundConfigWrappers() {
           if (key.startsWith(segmentPrefix)) {
             const rest = key.slice(segmentPrefix.length);
             const parts = rest.split('.');
-            if (parts.length !== 2) continue;
 
-            const [indexStr, field] = parts;
-            const index = parseInt(indexStr, 10);
+            const index = parseInt(parts[0], 10);
             if (!Number.isFinite(index) || index < 0) continue;
-
             if (!segments.has(index)) segments.set(index, {});
-            segments.get(index)[field] = value;
+
+            // Follow-up links arrive as segments.N.next.M.field
+            if (parts.length === 4 && parts[1] === "next") {
+              const rowIndex = parseInt(parts[2], 10);
+              if (!Number.isFinite(rowIndex) || rowIndex < 0) continue;
+              const segData = segments.get(index);
+              segData.next ??= new Map();
+              segData.next.set(rowIndex, { ...segData.next.get(rowIndex), [parts[3]]: value });
+              continue;
+            }
+            if (parts.length !== 2) continue;
+
+            segments.get(index)[parts[1]] = value;
+
+          } else if (key.startsWith(markerPrefix)) {
+            const [indexText, markerField] = key.slice(markerPrefix.length).split('.');
+            const index = parseInt(indexText, 10);
+            if (!Number.isFinite(index) || index < 0 || !markerField) continue;
+            cueMarkers.set(index, { ...cueMarkers.get(index), [markerField]: value });
+
+          } else if (key.startsWith(stemPrefix)) {
+            const [indexText, stemField] = key.slice(stemPrefix.length).split('.');
+            const index = parseInt(indexText, 10);
+            if (!Number.isFinite(index) || index < 0 || !stemField) continue;
+            stems.set(index, { ...stems.get(index), [stemField]: value });
 
           } else {
             // Catches ...loopWithin.enabled, ...allowVolumeOverride, etc.
@@ -244,48 +372,75 @@ export function registerSoundConfigWrappers() {
         setOptionalProceduralFlag(cleanRootFlags, "randomPan", !!otherFlags.randomPan);
         setOptionalProceduralFlag(cleanRootFlags, "playChance", playChance);
 
+        cleanRootFlags.duckingRole = Object.prototype.hasOwnProperty.call(DUCKING_ROLE_OPTIONS, otherFlags.duckingRole)
+          ? otherFlags.duckingRole
+          : "inherit";
+        for (const [key, min, max] of DUCK_SETTING_RANGES) {
+          cleanRootFlags[key] = clampNumber(otherFlags[key], null, min, max);
+        }
+
+        cleanRootFlags.silenceMode = Object.prototype.hasOwnProperty.call(SILENCE_MODE_OPTIONS, otherFlags.silenceMode)
+          ? otherFlags.silenceMode
+          : "inherit";
+        for (const [key, min, max] of SILENCE_SETTING_RANGES) {
+          cleanRootFlags[key] = clampNumber(otherFlags[key], null, min, max);
+        }
+        const { silenceMinDelay, silenceMaxDelay } = cleanRootFlags;
+        if (silenceMinDelay != null && silenceMaxDelay != null && silenceMaxDelay < silenceMinDelay) {
+          cleanRootFlags.silenceMinDelay = silenceMaxDelay;
+          cleanRootFlags.silenceMaxDelay = silenceMinDelay;
+        }
+
+        // Keep only the reference the chosen mode uses.
+        const spatial = otherFlags.spatial ?? {};
+        const spatialMode = Object.prototype.hasOwnProperty.call(SPATIAL_MODE_OPTIONS, spatial.mode) ? spatial.mode : "none";
+        cleanRootFlags.spatial = {
+          mode: spatialMode,
+          sceneId: spatialMode === "point" && game.scenes.has(spatial.sceneId) ? spatial.sceneId : "",
+          x: Math.round(clampNumber(spatial.x, 0, 0, Number.MAX_SAFE_INTEGER)),
+          y: Math.round(clampNumber(spatial.y, 0, 0, Number.MAX_SAFE_INTEGER)),
+          regionUuid: spatialMode === "region" ? String(spatial.regionUuid ?? "") : "",
+          drawingUuid: spatialMode === "drawing" ? String(spatial.drawingUuid ?? "") : "",
+          radius: clampNumber(spatial.radius, 12, 1, 1000),
+        };
+
+        // Blank overrides fall back to the detected (or full-file) bounds.
+        cleanRootFlags.trimSilence = !!otherFlags.trimSilence;
+        for (const key of ["audioStartOverride", "audioEndOverride"]) {
+          const raw = typeof otherFlags[key] === "string" ? otherFlags[key].trim() : "";
+          cleanRootFlags[key] = raw ? normalizeTimeInput(raw) : "";
+        }
+
+        // Cue markers are stored without the runtime timeSec the validator adds.
+        cleanRootFlags.cueMarkers = Flags.validateCueMarkers(
+          Array.from(cueMarkers.values())
+            .filter(marker => typeof marker.time !== "undefined")
+            .map(marker => ({
+              ...marker,
+              id: marker.id || foundry.utils.randomID(8),
+              time: normalizeTimeInput(marker.time),
+            }))
+        ).map(({ timeSec, ...marker }) => marker);
+
+        cleanRootFlags.stems = Flags.validateStems(
+          Array.from(stems.values()).map(stem => ({ ...stem, id: stem.id || foundry.utils.randomID(8) }))
+        );
+
         // Procedural and internal-loop are mutually exclusive per track.
         const loopEnabled = !!loopData.enabled && !isProcedural;
         const cleanLoopFlags = {
           enabled: loopEnabled,
           active: !!loopData.active && loopEnabled,
           startFromBeginning: !!loopData.startFromBeginning,
+          tempo: Flags.validateLoopTempo(loopData.tempo),
         };
 
-        // --- (This segment processing logic is unchanged and correct) ---
         let cleanSegments = [];
         if (segments.size > 0) {
           debug("[SoS Debug] 3. Processing and validating segments...");
-          cleanSegments = Array.from(segments.values())
-            .filter(segData => typeof segData.start !== 'undefined' && typeof segData.end !== 'undefined')
-            .map((segData) => {
-              const cleaned = {
-                crossfadeMs: Math.max(0, Number(segData.crossfadeMs) ?? 0),
-                loopCount: Math.max(0, parseInt(segData.loopCount, 10) || 0),
-              };
-              const norm = (v) => {
-                if (typeof v !== "string") return "00:00.000";
-                const trimmed = String(v).trim();
-                if (!trimmed || !/^\d{1,2}:\d{2}(\.\d{1,3})?$/.test(trimmed)) return "00:00.000";
-                const parts = trimmed.split(":");
-                const m = parseInt(parts[0], 10) || 0;
-                const [secStr, msStr] = (parts[1] || "0.0").split('.');
-                const s = parseInt(secStr, 10) || 0;
-                const ms = parseInt((msStr || "0").padEnd(3, '0').slice(0, 3), 10) || 0;
-                const clampedM = Math.max(0, m);
-                const clampedS = Math.min(59, Math.max(0, s));
-                const clampedMs = Math.min(999, Math.max(0, ms));
-                return `${String(clampedM).padStart(2, "0")}:${String(clampedS).padStart(2, "0")}.${String(clampedMs).padStart(3, "0")}`;
-              };
-              cleaned.start = norm(segData.start);
-              cleaned.end = norm(segData.end);
-              cleaned.skipToNext = !!segData.skipToNext;
-              return cleaned;
-            });
-          cleanSegments.sort((a, b) => toSec(a.start) - toSec(b.start));
+          cleanSegments = Flags.sanitizeLoopSegments(Array.from(segments.values()));
         }
         cleanLoopFlags.segments = cleanSegments;
-        // --- (End of segment processing) ---
 
         const finalFlags = {
           ...cleanRootFlags,
@@ -349,6 +504,125 @@ export function registerSoundConfigWrappers() {
 // HTML Injection Hook
 // =========================================================================
 
+/**
+ * Reads the segment editor back into plain segment data, in the shape _createSegmentHtml takes.
+ * @param {jQuery} $segmentsContainer
+ * @returns {object[]}
+ */
+function _readSegmentSnapshot($segmentsContainer) {
+  const prefix = `flags.${MODULE_ID}.${LOOP_KEY}.segments.`;
+  return $segmentsContainer.children(".sos-loop-segment-section").get().map((section) => {
+    const data = {};
+    const next = [];
+    $(section).find("input[name], select[name]").each(function () {
+      if (!this.name.startsWith(prefix)) return;
+      const parts = this.name.slice(prefix.length).split(".");
+      const value = this.type === "checkbox" ? this.checked : this.value;
+      if (parts.length === 4 && parts[1] === "next") {
+        const rowIndex = Number(parts[2]);
+        next[rowIndex] = { ...next[rowIndex], [parts[3]]: value };
+      } else if (parts.length === 2) {
+        data[parts[1]] = value;
+      }
+    });
+    data.next = next.filter(Boolean);
+    return data;
+  });
+}
+
+function _createFollowUpHtml(segmentIndex, rowIndex, link = {}) {
+  const field = (key) => `flags.${MODULE_ID}.${LOOP_KEY}.segments.${segmentIndex}.next.${rowIndex}.${key}`;
+  const safeTarget = encodeFollowUpTarget(link).replace(/[<>"']/g, '');
+  const safeWeight = Math.max(0, Number.isFinite(Number(link.weight)) ? Number(link.weight) : 1);
+
+  return $(/* html */`
+    <div class="sos-followup-row" data-row-index="${rowIndex}">
+      <select class="sos-followup-target" name="${field("target")}" data-selected="${safeTarget}"></select>
+      <input type="number" class="sos-followup-weight" name="${field("weight")}" value="${safeWeight}" step="1" min="0" data-tooltip="Weight">
+      <button type="button" class="sos-followup-preview sos-compact" data-tooltip="Preview Transition">
+        <i class="fas fa-crosshairs"></i>
+      </button>
+      <button type="button" class="sos-followup-remove sos-compact" data-tooltip="Remove Follow-up">
+        <i class="fas fa-times"></i>
+      </button>
+    </div>
+  `);
+}
+
+function _createCueMarkerHtml(index, marker = {}) {
+  const field = (key) => `flags.${MODULE_ID}.cueMarkers.${index}.${key}`;
+  const safe = (value) => String(value ?? "").replace(/[<>"']/g, '');
+  const scope = marker.macroScope === "all" ? "all" : "gm";
+
+  return $(/* html */`
+    <div class="sos-cue-marker-row" data-marker-index="${index}">
+      <input type="hidden" name="${field("id")}" value="${safe(marker.id || foundry.utils.randomID(8))}">
+      <div class="sos-cue-marker-line">
+        <input type="text" class="sos-cue-marker-name" name="${field("name")}" value="${safe(marker.name)}" placeholder="Marker name">
+        <input type="text" class="sos-cue-marker-time" name="${field("time")}" value="${safe(marker.time || "00:00.000")}" placeholder="02:31.000">
+        <button type="button" class="sos-cue-marker-remove sos-compact" data-tooltip="Remove Marker">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <div class="sos-cue-marker-line">
+        <input type="text" class="sos-cue-marker-macro" name="${field("macroUuid")}" value="${safe(marker.macroUuid)}" placeholder="Drop a Macro here (optional)">
+        <select name="${field("macroScope")}">
+          <option value="gm" ${scope === "gm" ? "selected" : ""}>Run on GM</option>
+          <option value="all" ${scope === "all" ? "selected" : ""}>Run for Everyone</option>
+        </select>
+      </div>
+    </div>
+  `);
+}
+
+function _createStemHtml(index, stem = {}) {
+  const field = (key) => `flags.${MODULE_ID}.stems.${index}.${key}`;
+  const safe = (value) => String(value ?? "").replace(/[<>"']/g, '');
+  const volume = Math.max(0, Math.min(1, Number.isFinite(Number(stem.volume)) ? Number(stem.volume) : 1));
+
+  return $(/* html */`
+    <div class="sos-stem-row" data-stem-index="${index}">
+      <input type="hidden" name="${field("id")}" value="${safe(stem.id || foundry.utils.randomID(8))}">
+      <div class="sos-stem-line">
+        <input type="text" class="sos-stem-name" name="${field("name")}" value="${safe(stem.name)}" placeholder="Layer name">
+        <label class="checkbox sos-compact-checkbox" data-tooltip="Start this layer silent; fade it in later">
+          <input type="checkbox" name="${field("muted")}" ${stem.muted ? "checked" : ""}>
+          <span>Muted</span>
+        </label>
+        <button type="button" class="sos-stem-remove sos-compact" data-tooltip="Remove Layer">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <file-picker name="${field("path")}" type="audio" value="${safe(stem.path)}"></file-picker>
+      <div class="sos-stem-line">
+        <i class="fa-solid fa-volume-low" inert></i>
+        <range-picker name="${field("volume")}" value="${volume}" min="0" max="1" step="0.05"></range-picker>
+      </div>
+    </div>
+  `);
+}
+
+function _createLoopSuggestionHtml(suggestion, rank) {
+  const start = formatTime(suggestion.startSec, true);
+  const end = formatTime(suggestion.endSec, true);
+  const length = (suggestion.endSec - suggestion.startSec).toFixed(1);
+  const match = Math.round(suggestion.score * 100);
+  return $(/* html */`
+    <div class="sos-loop-suggestion-row" data-start="${suggestion.startSec}" data-end="${suggestion.endSec}">
+      <span class="sos-loop-suggestion-rank">${rank + 1}.</span>
+      <span class="sos-loop-suggestion-times">${start} &rarr; ${end}</span>
+      <span class="sos-loop-suggestion-length">${length}s</span>
+      <span class="sos-loop-suggestion-score" data-tooltip="Match quality">${match}%</span>
+      <button type="button" class="sos-loop-suggestion-preview sos-compact" data-tooltip="Preview Loop Transition">
+        <i class="fas fa-crosshairs"></i>
+      </button>
+      <button type="button" class="sos-loop-suggestion-use sos-compact" data-tooltip="Add as Loop Segment">
+        <i class="fas fa-plus"></i>
+      </button>
+    </div>
+  `);
+}
+
 function _createSegmentHtml(segmentData, index) {
   try {
     const field = (key) => `flags.${MODULE_ID}.${LOOP_KEY}.segments.${index}.${key}`;
@@ -356,21 +630,41 @@ function _createSegmentHtml(segmentData, index) {
     const data = foundry.utils.mergeObject({
       start: "00:00.000",
       end: "00:00.000",
+      startExactSec: null,
+      endExactSec: null,
       crossfadeMs: 1000,
       loopCount: 0,
-      skipToNext: false
+      loopMinutes: 0,
+      loopMinutesMax: 0,
+      gainDb: 0,
+      gainStepDb: 0,
+      rate: 1,
+      rateStep: 0,
+      skipToNext: false,
+      next: []
     }, segmentData || {});
+    const safeId = String(data.id || foundry.utils.randomID(8)).replace(/[<>"']/g, '');
+    const followUps = Array.isArray(data.next) ? data.next : [];
 
     const safeStart = String(data.start).replace(/[<>"']/g, '');
     const safeEnd = String(data.end).replace(/[<>"']/g, '');
+    // Sample-exact times ride along hidden; they are dropped on save once the typed time moves off them.
+    const safeStartExact = Flags.validateExactLoopTime(data.startExactSec, safeStart) ?? "";
+    const safeEndExact = Flags.validateExactLoopTime(data.endExactSec, safeEnd) ?? "";
     const safeCrossfade = Math.max(0, Number(data.crossfadeMs) ?? 1000);
     const safeLoopCount = Math.max(0, parseInt(data.loopCount, 10) || 0);
+    const safeLoopMinutes = Math.max(0, Number(data.loopMinutes) || 0);
+    const safeLoopMinutesMax = Math.max(0, Number(data.loopMinutesMax) || 0);
+    const safeGainDb = clampNumber(data.gainDb, 0, -40, 12);
+    const safeGainStepDb = clampNumber(data.gainStepDb, 0, -12, 12);
+    const safeRate = clampNumber(data.rate, 1, 0.5, 2);
+    const safeRateStep = clampNumber(data.rateStep, 0, -0.5, 0.5);
     const safeSkipToNext = !!data.skipToNext;
     const colorHex = SEGMENT_COLORS[index % SEGMENT_COLORS.length];
     const startColor = `${colorHex}55`; // ~33% alpha - more solid start
     const endColor = `${colorHex}00`;   //   0% alpha - fully transparent end
 
-    return $(/* html */`
+    const $segment = $(/* html */`
       <div class="sos-loop-segment-section sos-compact" data-segment-index="${index}">
         <div class="sos-segment-header sos-compact collapsible" style="background: linear-gradient(90deg, ${startColor} 10%, ${endColor} 90%);">
           <div class="sos-segment-title">
@@ -387,18 +681,32 @@ function _createSegmentHtml(segmentData, index) {
             <button type="button" class="sos-loop-preview-segment sos-compact" data-segment-index="${index}" data-tooltip="Preview Full Loop">
               <i class="fas fa-play-circle"></i>
             </button>
+            <button type="button" class="sos-loop-zoom-segment sos-compact" data-segment-index="${index}" data-tooltip="Zoom Timeline to Segment">
+              <i class="fas fa-magnifying-glass"></i>
+            </button>
           </div>
         </div>
         
         <div class="sos-segment-content" style="display: none;">
+          <input type="hidden" name="${field("id")}" value="${safeId}">
+          <input type="hidden" name="${field("startExactSec")}" value="${safeStartExact}">
+          <input type="hidden" name="${field("endExactSec")}" value="${safeEndExact}">
           <div class="form-group sos-compact sos-time-inputs">
             <div class="sos-time-input-wrapper">
               <label>Start <span class="sos-label-units">(MM:SS.mmm)</span></label>
               <input type="text" name="${field("start")}" value="${safeStart}" placeholder="00:30.500">
+              <div class="sos-bars-beats" style="display: none;">
+                <label>Bars:Beats</label>
+                <input type="text" class="sos-bars-beats-input" data-time-field="start" placeholder="1:1">
+              </div>
             </div>
             <div class="sos-time-input-wrapper">
               <label>End <span class="sos-label-units">(MM:SS.mmm)</span></label>
               <input type="text" name="${field("end")}" value="${safeEnd}" placeholder="01:45.250">
+              <div class="sos-bars-beats" style="display: none;">
+                <label>Bars:Beats</label>
+                <input type="text" class="sos-bars-beats-input" data-time-field="end" placeholder="9:1">
+              </div>
             </div>
           </div>
           
@@ -412,6 +720,40 @@ function _createSegmentHtml(segmentData, index) {
               <input type="number" name="${field("loopCount")}" value="${safeLoopCount}" step="1" min="0">
             </div>
           </div>
+
+          <div class="form-group sos-compact sos-two-column">
+            <div class="sos-column">
+              <label>Loop For <span class="sos-label-units">(min, 0 = no limit)</span></label>
+              <input type="number" name="${field("loopMinutes")}" value="${safeLoopMinutes}" step="0.5" min="0">
+            </div>
+            <div class="sos-column">
+              <label>Up To <span class="sos-label-units">(min, random range)</span></label>
+              <input type="number" name="${field("loopMinutesMax")}" value="${safeLoopMinutesMax || ""}" step="0.5" min="0" placeholder="—">
+            </div>
+          </div>
+          <p class="notes sos-compact">Once this much time has passed the segment completes at its next loop point, even if the loop count is not reached. With "Up To" set, the time is picked at random from the range each time the segment starts.</p>
+
+          <div class="form-group sos-compact sos-two-column">
+            <div class="sos-column">
+              <label>Level <span class="sos-label-units">(dB offset)</span></label>
+              <input type="number" name="${field("gainDb")}" value="${safeGainDb}" step="0.5" min="-40" max="12">
+            </div>
+            <div class="sos-column">
+              <label>Level Per Loop <span class="sos-label-units">(dB)</span></label>
+              <input type="number" name="${field("gainStepDb")}" value="${safeGainStepDb}" step="0.5" min="-12" max="12">
+            </div>
+          </div>
+          <div class="form-group sos-compact sos-two-column">
+            <div class="sos-column">
+              <label>Speed <span class="sos-label-units">(× rate, 1 = normal)</span></label>
+              <input type="number" name="${field("rate")}" value="${safeRate}" step="0.01" min="0.5" max="2">
+            </div>
+            <div class="sos-column">
+              <label>Speed Per Loop <span class="sos-label-units">(× rate)</span></label>
+              <input type="number" name="${field("rateStep")}" value="${safeRateStep}" step="0.01" min="-0.5" max="0.5">
+            </div>
+          </div>
+          <p class="notes sos-compact">Glides to this level and speed when the segment starts, then steps by the per-loop amounts on every pass (e.g. +1 dB per loop for a swell). Speed also shifts pitch. Totals stay within -40 to +12 dB and 0.5× to 2×. The level stacks on the sound's volume.</p>
           
           <div class="form-group sos-compact">
             <label class="checkbox sos-compact-checkbox">
@@ -420,9 +762,21 @@ function _createSegmentHtml(segmentData, index) {
             </label>
             <p class="notes sos-compact">Jumps to next segment instead, If there is no segment it will stop at the last one and play through the song.</p>
           </div>
+
+          <div class="form-group sos-compact sos-segment-followups">
+            <label>Follow-ups <span class="sos-label-units">(weighted)</span></label>
+            <div class="sos-followup-list"></div>
+            <button type="button" class="sos-add-followup sos-compact">
+              <i class="fas fa-code-branch"></i> Add Follow-up
+            </button>
+            <p class="notes sos-compact">After the loops complete, jump to one of these segments, picked at random by weight. Overrides "Skip to next segment". A segment that loops forever never completes. Segments of other looping sounds in this playlist crossfade into that sound, which carries on from the chosen segment.</p>
+          </div>
         </div>
       </div>
     `);
+    const $followUpList = $segment.find(".sos-followup-list");
+    followUps.forEach((link, rowIndex) => $followUpList.append(_createFollowUpHtml(index, rowIndex, link)));
+    return $segment;
   } catch (err) {
     error("[SoundConfig] Failed to create segment HTML:", err);
     return $(`<div class="sos-loop-segment-section error sos-compact">
@@ -448,6 +802,9 @@ function _registerSoundConfigHooks() {
   const auditionVolume = Number.isFinite(resolvedTargetVolume)
     ? Math.max(0, Math.min(1, resolvedTargetVolume))
     : previewVolume;
+  const tempo = loop.tempo ?? Flags.validateLoopTempo();
+  const cueMarkers = Flags.getCueMarkers(app.document);
+  const stems = Flags.getStems(app.document);
   const field = (k) => `flags.${MODULE_ID}.${LOOP_KEY}.${k}`;
   const rootField = (k) => `flags.${MODULE_ID}.${k}`;
 
@@ -460,6 +817,17 @@ function _registerSoundConfigHooks() {
   const volumeVariance = Flags.resolveProceduralField(app.document, "volumeVariance");
   const randomPan = Flags.resolveProceduralField(app.document, "randomPan");
   const playChance = Flags.resolveProceduralField(app.document, "playChance");
+  const spatial = Flags.getSoundFlag(app.document, "spatial");
+
+  // Regions and drawings from every scene, labelled with their scene.
+  const escape = (text) => foundry.utils.escapeHTML ? foundry.utils.escapeHTML(text) : text;
+  const placeOption = (value, selected, label) =>
+    `<option value="${value}" ${selected === value ? "selected" : ""}>${escape(label)}</option>`;
+  const sceneOptions = game.scenes.map(scene => placeOption(scene.id, spatial.sceneId, scene.name));
+  const regionOptions = game.scenes.flatMap(scene => (scene.regions?.contents ?? [])
+    .map(region => placeOption(region.uuid, spatial.regionUuid, `${scene.name} — ${region.name || region.id}`)));
+  const drawingOptions = game.scenes.flatMap(scene => (scene.drawings?.contents ?? [])
+    .map(drawing => placeOption(drawing.uuid, spatial.drawingUuid, `${scene.name} — ${drawing.text || `Drawing ${drawing.id}`}`)));
 
   // --- 1. Create UI Blocks ---
 
@@ -474,6 +842,117 @@ function _registerSoundConfigHooks() {
     </div>
   `);
 
+  // Ducking role, with duck settings that fall back to the playlist's when left blank.
+  const duckingRole = Flags.getSoundFlag(app.document, "duckingRole");
+  const playlistDucking = app.document.parent ? Flags.getPlaylistFlags(app.document.parent) : {};
+  const inheritedRoleLabel = DUCKING_ROLE_OPTIONS[playlistDucking.duckingRole ?? "none"] ?? "Off";
+  const isDuckable = (role) => role === "duckable" || (role === "inherit" && playlistDucking.duckingRole === "duckable");
+  const duckInput = (key, label, step) => {
+    const [, min, max] = DUCK_SETTING_RANGES.find(([name]) => name === key);
+    const own = Flags.getSoundFlag(app.document, key);
+    return `
+      <div class="sos-column">
+        <label>${label}</label>
+        <input type="number" name="${rootField(key)}" value="${own ?? ""}" placeholder="${playlistDucking[key] ?? ""}" step="${step}" min="${min}" max="${max}">
+      </div>`;
+  };
+  const $duckingBlock = $(/* html */`
+    <div class="sos-ducking-config">
+      <div class="form-group sos-compact">
+        <label>Ducking</label>
+        <select name="${rootField("duckingRole")}">
+          ${Object.entries(DUCKING_ROLE_OPTIONS).map(([value, label]) =>
+            `<option value="${value}" ${duckingRole === value ? "selected" : ""}>${value === "inherit" ? `${label} (${inheritedRoleLabel})` : label}</option>`
+          ).join("")}
+        </select>
+        <p class="notes sos-compact">A Ducker lowers every Duckable sound while it plays, such as narration over music. Ambient Sounds and sounds played outside playlists neither duck nor get ducked.</p>
+      </div>
+      <div class="sos-ducking-options sos-subsection" style="display: ${isDuckable(duckingRole) ? "block" : "none"};">
+        <div class="sos-two-column">
+          ${duckInput("duckDepthDb", 'Duck Depth <span class="sos-label-units">(dB)</span>', 1)}
+          ${duckInput("duckAttackMs", 'Attack <span class="sos-label-units">(ms)</span>', 10)}
+        </div>
+        <div class="sos-two-column">
+          ${duckInput("duckHoldMs", 'Hold <span class="sos-label-units">(ms)</span>', 50)}
+          ${duckInput("duckReleaseMs", 'Release <span class="sos-label-units">(ms)</span>', 50)}
+        </div>
+        <p class="notes sos-compact">Leave a field blank to use the playlist's value.</p>
+      </div>
+    </div>
+  `);
+
+  // The silence gap after this track, with gap settings that fall back to the playlist's when left blank.
+  const silenceMode = Flags.getSoundFlag(app.document, "silenceMode");
+  const playlistSilence = app.document.parent ? Flags.getSilenceConfig(app.document.parent) : {};
+  const inheritedSilenceLabel = SILENCE_MODE_OPTIONS[playlistSilence.mode] ?? "Static";
+  const playlistSilenceValues = {
+    silenceDuration: playlistSilence.durationMs,
+    silenceMinDelay: playlistSilence.minMs,
+    silenceMaxDelay: playlistSilence.maxMs,
+    silenceTrackRatio: playlistSilence.trackRatio,
+  };
+  const silenceInput = (key, label, step) => {
+    const [, min, max] = SILENCE_SETTING_RANGES.find(([name]) => name === key);
+    const own = Flags.getSoundFlag(app.document, key);
+    return `
+      <div class="sos-column">
+        <label>${label}</label>
+        <input type="number" name="${rootField(key)}" value="${own ?? ""}" placeholder="${playlistSilenceValues[key] ?? ""}" step="${step}" min="${min}" max="${max}">
+      </div>`;
+  };
+  const $silenceBlock = $(/* html */`
+    <div class="sos-silence-override-config">
+      <div class="form-group sos-compact">
+        <label>Silence After</label>
+        <select name="${rootField("silenceMode")}">
+          ${Object.entries(SILENCE_MODE_OPTIONS).map(([value, label]) =>
+            `<option value="${value}" ${silenceMode === value ? "selected" : ""}>${value === "inherit" ? `${label} (${inheritedSilenceLabel})` : label}</option>`
+          ).join("")}
+        </select>
+        <p class="notes sos-compact">The gap that follows this track when the playlist has Silence enabled, such as a long breath after a slow track.</p>
+      </div>
+      <div class="sos-subsection">
+        <div class="sos-two-column">
+          ${silenceInput("silenceDuration", 'Duration <span class="sos-label-units">(ms)</span>', 100)}
+          ${silenceInput("silenceTrackRatio", 'Track Length <span class="sos-label-units">(%)</span>', 1)}
+        </div>
+        <div class="sos-two-column">
+          ${silenceInput("silenceMinDelay", 'Min Delay <span class="sos-label-units">(ms)</span>', 100)}
+          ${silenceInput("silenceMaxDelay", 'Max Delay <span class="sos-label-units">(ms)</span>', 100)}
+        </div>
+        <p class="notes sos-compact">Leave a field blank to use the playlist's value.</p>
+      </div>
+    </div>
+  `);
+
+  // Audible range: detected leading/trailing silence, with optional manual bounds.
+  const trimSilence = Flags.getSoundFlag(app.document, "trimSilence");
+  const detectedBounds = Flags.getSoundFlag(app.document, "audioBounds");
+  const hasDetectedBounds = detectedBounds?.path === app.document.path;
+  const boundsPlaceholder = (key) => hasDetectedBounds ? formatTime(detectedBounds[key], true) : "Auto";
+  const $boundsBlock = $(/* html */`
+    <div class="sos-bounds-config">
+      <div class="form-group sos-compact">
+        <label class="checkbox sos-compact-checkbox">
+          <input type="checkbox" name="${rootField("trimSilence")}" ${trimSilence ? "checked" : ""}>
+          <span>Trim Leading/Trailing Silence</span>
+        </label>
+        <p class="notes sos-compact">Fades and crossfades finish at the last audible moment. With the Skip Leading/Trailing Silence setting on, the track also starts at its first audible moment and ends at its last.</p>
+      </div>
+      <div class="form-group sos-compact sos-two-column">
+        <div class="sos-column">
+          <label>Audio Start</label>
+          <input type="text" name="${rootField("audioStartOverride")}" value="${Flags.getSoundFlag(app.document, "audioStartOverride")}" placeholder="${boundsPlaceholder("startSec")}">
+        </div>
+        <div class="sos-column">
+          <label>Audio End</label>
+          <input type="text" name="${rootField("audioEndOverride")}" value="${Flags.getSoundFlag(app.document, "audioEndOverride")}" placeholder="${boundsPlaceholder("endSec")}">
+        </div>
+      </div>
+      <p class="notes sos-compact">Leave blank to use the detected bounds (shown greyed out). Manual bounds (MM:SS.mmm) apply even when trimming is off.</p>
+    </div>
+  `);
+
   // Procedural one-shot block (Soundscape Mode opt-in per sound).
   const avgSec = Math.round(((Number(minDelay) || 0) + (Number(maxDelay) || 0)) / 2);
   const $proceduralBlock = $(/* html */`
@@ -547,6 +1026,60 @@ function _registerSoundConfigHooks() {
           </div>
         </fieldset>
 
+        <fieldset class="sos-procedural-fieldset sos-spatial-fieldset">
+          <legend>Position</legend>
+          <div class="form-group sos-compact">
+            <label>Plays From</label>
+            <select name="${rootField("spatial.mode")}">
+              ${Object.entries(SPATIAL_MODE_OPTIONS).map(([value, label]) =>
+                `<option value="${value}" ${spatial.mode === value ? "selected" : ""}>${label}</option>`
+              ).join("")}
+            </select>
+            <p class="notes sos-compact">A placed sound is heard from the nearest controlled token (or the view) and only on its scene. It replaces Random Stereo Pan.</p>
+          </div>
+          <div class="sos-spatial-point">
+            <div class="form-group sos-compact">
+              <label>Scene</label>
+              <select name="${rootField("spatial.sceneId")}">
+                <option value="">Choose scene...</option>
+                ${sceneOptions.join("")}
+              </select>
+            </div>
+            <div class="form-group sos-compact sos-two-column">
+              <div class="sos-column">
+                <label>X <span class="sos-label-units">(px)</span></label>
+                <input type="number" name="${rootField("spatial.x")}" value="${spatial.x}" step="1" min="0">
+              </div>
+              <div class="sos-column">
+                <label>Y <span class="sos-label-units">(px)</span></label>
+                <input type="number" name="${rootField("spatial.y")}" value="${spatial.y}" step="1" min="0">
+              </div>
+            </div>
+            <button type="button" class="sos-spatial-here sos-compact">
+              <i class="fa-solid fa-location-crosshairs"></i> Use Controlled Token or View Center
+            </button>
+          </div>
+          <div class="form-group sos-compact sos-spatial-region">
+            <label>Region</label>
+            <select name="${rootField("spatial.regionUuid")}">
+              <option value="">Choose region...</option>
+              ${regionOptions.join("")}
+            </select>
+          </div>
+          <div class="form-group sos-compact sos-spatial-drawing">
+            <label>Drawing</label>
+            <select name="${rootField("spatial.drawingUuid")}">
+              <option value="">Choose drawing...</option>
+              ${drawingOptions.join("")}
+            </select>
+          </div>
+          <div class="form-group sos-compact sos-spatial-radius">
+            <label>Audible Radius <span class="sos-label-units">(grid spaces)</span></label>
+            <input type="number" name="${rootField("spatial.radius")}" value="${spatial.radius}" step="1" min="1" max="1000">
+            <p class="notes sos-compact">Full volume within one grid space, fading to silence at this distance.</p>
+          </div>
+        </fieldset>
+
         ${game.user.isGM ? `
         <fieldset class="sos-procedural-fieldset sos-proc-audition">
           <legend>Audition</legend>
@@ -598,6 +1131,39 @@ function _registerSoundConfigHooks() {
             <span>Start from beginning (play intro first)</span>
           </label>
         </div>
+
+        <fieldset class="sos-procedural-fieldset sos-loop-tempo">
+          <legend>Tempo</legend>
+          <div class="form-group sos-compact sos-two-column">
+            <div class="sos-column">
+              <label>BPM <span class="sos-label-units">(0 = none)</span></label>
+              <input type="number" name="${field("tempo.bpm")}" value="${tempo.bpm}" step="0.01" min="0" max="999">
+            </div>
+            <div class="sos-column">
+              <label>Beats per Bar</label>
+              <input type="number" name="${field("tempo.beatsPerBar")}" value="${tempo.beatsPerBar}" step="1" min="1" max="32">
+            </div>
+          </div>
+          <div class="form-group sos-compact sos-two-column">
+            <div class="sos-column">
+              <label>Downbeat Offset <span class="sos-label-units">(ms)</span></label>
+              <input type="number" name="${field("tempo.downbeatOffsetMs")}" value="${tempo.downbeatOffsetMs}" step="1" min="0">
+            </div>
+            <div class="sos-column">
+              <label>Phrase Length <span class="sos-label-units">(bars)</span></label>
+              <input type="number" name="${field("tempo.phraseBars")}" value="${tempo.phraseBars}" step="1" min="1" max="64">
+            </div>
+          </div>
+          <div class="form-group sos-compact">
+            <label>Break / Skip Timing</label>
+            <select name="${field("tempo.quantize")}">
+              ${Object.entries(LOOP_QUANTIZE_OPTIONS).map(([value, label]) =>
+                `<option value="${value}" ${tempo.quantize === value ? "selected" : ""}>${label}</option>`
+              ).join("")}
+            </select>
+            <p class="notes sos-compact">With a BPM set, loop breaks and segment skips wait for the next beat, bar or phrase so phase changes land on the music's grid. The downbeat offset is where bar 1 starts.</p>
+          </div>
+        </fieldset>
         
         <div class="form-group sos-loop-editor sos-compact">
           <label class="sos-editor-label">Loop Preview</label>
@@ -617,16 +1183,45 @@ function _registerSoundConfigHooks() {
                               min="0" max="1" step="0.05">
                 </range-picker>
               </div>
+              <select class="sos-loop-snap-mode" data-tooltip="Handle Snapping">
+                ${Object.entries(LOOP_SNAP_OPTIONS).map(([value, label]) =>
+                  `<option value="${value}">${label}</option>`
+                ).join("")}
+              </select>
+              <div class="sos-loop-history-group">
+                <button type="button" class="sos-loop-undo sos-compact" data-tooltip="Undo Segment Edit (Ctrl+Z)" disabled>
+                  <i class="fas fa-rotate-left"></i>
+                </button>
+                <button type="button" class="sos-loop-redo sos-compact" data-tooltip="Redo Segment Edit (Ctrl+Shift+Z)" disabled>
+                  <i class="fas fa-rotate-right"></i>
+                </button>
+              </div>
+              <div class="sos-loop-zoom-group">
+                <button type="button" class="sos-loop-zoom-out sos-compact" data-tooltip="Zoom Out" disabled>
+                  <i class="fas fa-magnifying-glass-minus"></i>
+                </button>
+                <button type="button" class="sos-loop-zoom-in sos-compact" data-tooltip="Zoom In (or scroll on the timeline; Shift+scroll to pan)">
+                  <i class="fas fa-magnifying-glass-plus"></i>
+                </button>
+                <button type="button" class="sos-loop-zoom-fit sos-compact" data-tooltip="Show Whole Track" disabled>
+                  <i class="fas fa-arrows-left-right-to-line"></i>
+                </button>
+              </div>
             </div>
             <div class="sos-loop-timer">00:00 / 00:00</div>
           </div>
           
           <div class="sos-loop-timeline-row">
-            <div class="sos-loop-timeline-container">
+            <div class="sos-loop-timeline-container" tabindex="0">
+              <canvas class="sos-loop-timeline-waveform"></canvas>
               <div class="sos-loop-timeline-track"></div>
               <div class="sos-loop-timeline-progress"></div>
               <div class="sos-loop-timeline-warning-overlay"></div>
             </div>
+            <div class="sos-loop-timeline-scrollbar">
+              <div class="sos-loop-timeline-scroll-thumb"></div>
+            </div>
+            <p class="notes sos-compact sos-loop-keyboard-hint">Click a handle to select it. <kbd>←</kbd>/<kbd>→</kbd> nudge it 10ms (<kbd>Shift</kbd> 100ms), <kbd>Space</kbd> plays from it, <kbd>[</kbd>/<kbd>]</kbd> set a segment's start/end at the playhead.</p>
           </div>
           
           <div class="sos-loop-timeline-container-fallback" style="display: block;">
@@ -643,8 +1238,37 @@ function _registerSoundConfigHooks() {
           <button type="button" class="sos-remove-loop-segment sos-compact">
             <i class="fas fa-minus"></i> Remove Last
           </button>
+          <button type="button" class="sos-suggest-loop-points sos-compact" data-tooltip="Analyse the track for seamless loop points">
+            <i class="fas fa-wand-magic-sparkles"></i> Suggest Loops
+          </button>
+          <button type="button" class="sos-import-embedded-loop sos-compact" data-tooltip="Read loop points stored in the file (WAV smpl chunk, OGG LOOPSTART tags)">
+            <i class="fas fa-file-import"></i> Import Loop
+          </button>
+        </div>
+
+        <div class="sos-loop-suggestions" style="display: none;">
+          <div class="sos-loop-suggestion-list"></div>
+          <p class="notes sos-compact">Start/end pairs where the audio around both points matches, best first. Preview a transition, then add the ones you like as segments.</p>
         </div>
+
+        <fieldset class="sos-procedural-fieldset sos-cue-markers">
+          <legend>Cue Markers</legend>
+          <div class="sos-cue-marker-list"></div>
+          <button type="button" class="sos-add-cue-marker sos-compact">
+            <i class="fas fa-map-pin"></i> Add Marker at Playhead
+          </button>
+          <p class="notes sos-compact">Fires the <code>the-sound-of-silence.marker</code> hook, and the linked macro, each time playback crosses a marker, including every loop iteration. Markers also fire during plain playback while Loop Active is off.</p>
+        </fieldset>
       </div>
+
+      <fieldset class="sos-procedural-fieldset sos-stem-layers">
+        <legend>Stem Layers</legend>
+        <div class="sos-stem-list"></div>
+        <button type="button" class="sos-add-stem sos-compact">
+          <i class="fas fa-layer-group"></i> Add Layer
+        </button>
+        <p class="notes sos-compact">Extra files (percussion, strings, choir) that start sample-aligned with this track and follow its loop segments and fades. Use stems exported at the same length and sample rate as the main file. Layers can be faded in and out from Currently Playing.</p>
+      </fieldset>
     </div>
   `);
 
@@ -657,8 +1281,16 @@ function _registerSoundConfigHooks() {
   // This correctly places it right after the "Sound Volume" group.
   if ($repeatGroup.length) {
     $repeatGroup.before($overrideBlock);
+    $overrideBlock.after($duckingBlock);
+    $duckingBlock.after($boundsBlock);
+    $boundsBlock.after($silenceBlock);
   }
 
+  const $duckingRoleSelect = $duckingBlock.find(`select[name="${rootField("duckingRole")}"]`);
+  $duckingRoleSelect.on("change", () => {
+    $duckingBlock.find(".sos-ducking-options").toggle(isDuckable($duckingRoleSelect.val()));
+  });
+
   // Inject the procedural block *after* the "Fade Duration" group, before the internal loop block.
   if ($fadeGroup.length) {
     $fadeGroup.after($proceduralBlock);
@@ -672,6 +1304,66 @@ function _registerSoundConfigHooks() {
   const $addButton = $mainBlock.find('button.sos-add-loop-segment');
   const $removeButton = $mainBlock.find('button.sos-remove-loop-segment');
 
+  // Undo/redo. The history lives on the app so it survives re-renders until the sheet closes.
+  const history = app._soundOfSilenceLoopHistory ??= new LoopEditHistory();
+  const $undoButton = $mainBlock.find('button.sos-loop-undo');
+  const $redoButton = $mainBlock.find('button.sos-loop-redo');
+  let restoringHistory = false;
+
+  function refreshHistoryButtons() {
+    $undoButton.prop('disabled', !history.canUndo);
+    $redoButton.prop('disabled', !history.canRedo);
+  }
+
+  function recordHistory(coalesce) {
+    if (restoringHistory) return;
+    history.record(_readSegmentSnapshot($segmentsContainer), { coalesce });
+    refreshHistoryButtons();
+  }
+
+  function restoreHistory(snapshot) {
+    if (!snapshot || app._soundOfSilencePreviewer?.activeDrag) return;
+    const openIds = new Set($segmentsContainer.find('.sos-segment-content:visible').map(function () {
+      return $(this).find(`input[name$=".id"]`).val();
+    }).get());
+
+    restoringHistory = true;
+    $segmentsContainer.empty();
+    snapshot.forEach((segmentData, index) => addSegment(segmentData, index));
+    $segmentsContainer.children().each(function () {
+      const $section = $(this);
+      if (!openIds.has($section.find(`input[name$=".id"]`).val())) return;
+      $section.find('.sos-segment-content').show();
+      $section.find('.segment-toggle-icon').removeClass('fa-chevron-right').addClass('fa-chevron-down');
+    });
+    refreshUI();
+    restoringHistory = false;
+    refreshHistoryButtons();
+  }
+
+  $undoButton.on('click', (ev) => {
+    ev.preventDefault();
+    restoreHistory(history.undo());
+  });
+  $redoButton.on('click', (ev) => {
+    ev.preventDefault();
+    restoreHistory(history.redo());
+  });
+
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y anywhere in the loop block, except where a text field
+  // has its own undo.
+  $mainBlock.on('keydown', (ev) => {
+    if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+    const key = ev.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    if ($(ev.target).is('input:not([type="checkbox"]), textarea')) return;
+    ev.preventDefault();
+    restoreHistory(key === 'y' || ev.shiftKey ? history.redo() : history.undo());
+  });
+
+  // Typed and toggled fields are one step each, recorded when the field commits.
+  $segmentsContainer.on('change', 'input, select', () => recordHistory());
+
   function refreshUI() {
     const segmentCount = $segmentsContainer.children().length;
     $removeButton.prop('disabled', segmentCount <= 1);
@@ -681,7 +1373,53 @@ function _registerSoundConfigHooks() {
     $segmentsContainer.find("h4").each(function (i) {
       $(this).text(`Loop Segment ${i + 1}`);
     });
+    refreshFollowUpTargets();
     app._soundOfSilencePreviewer?.rescanSegments();
+    recordHistory();
+  }
+
+  // Segments of the other looping sounds in this playlist, offered as cross-track follow-ups.
+  // Only sounds the looper will actually jump to (loop enabled and active) are listed.
+  const otherSoundTargets = (app.document.parent?.sounds.contents ?? [])
+    .filter(sound => sound.id !== app.document.id)
+    .map(sound => ({ sound, config: Flags.getLoopConfig(sound) }))
+    .filter(({ config }) => Flags.isLoopConfigActive(config))
+    .map(({ sound, config }) => ({
+      label: sound.name,
+      options: config.segments.map((seg, i) => ({
+        id: encodeFollowUpTarget({ sound: sound.id, target: seg.id }),
+        label: `Loop Segment ${i + 1} (${formatTime(seg.startSec)})`,
+      })),
+    }));
+
+  // Rebuilds every follow-up dropdown from the current segment list, keeping selections by id.
+  function refreshFollowUpTargets() {
+    const options = $segmentsContainer.children().map(function (i) {
+      return { id: $(this).find(`input[name$=".id"]`).val(), label: `Loop Segment ${i + 1}` };
+    }).get();
+    const allOptions = options.concat(otherSoundTargets.flatMap(group => group.options));
+
+    $segmentsContainer.find("select.sos-followup-target").each(function () {
+      const $select = $(this);
+      const selected = $select.val() || $select.data("selected") || "";
+      $select.empty().append(`<option value="">Choose segment...</option>`);
+      for (const { id, label } of options) {
+        $select.append($("<option>").val(id).text(label));
+      }
+      for (const group of otherSoundTargets) {
+        const $group = $("<optgroup>").attr("label", group.label);
+        for (const { id, label } of group.options) {
+          $group.append($("<option>").val(id).text(label));
+        }
+        $select.append($group);
+      }
+      $select.val(allOptions.some(option => option.id === selected) ? selected : "");
+    });
+
+    $segmentsContainer.find(".sos-loop-segment-section").each(function () {
+      const $section = $(this);
+      $section.find("button.sos-add-followup").prop("disabled", $section.find(".sos-followup-row").length >= MAX_FOLLOW_UPS);
+    });
   }
 
   function addSegment(data = {}, index) {
@@ -709,6 +1447,90 @@ function _registerSoundConfigHooks() {
     refreshUI();
   });
 
+  // Loop point suggestions
+  const $suggestButton = $mainBlock.find('button.sos-suggest-loop-points');
+  const $suggestions = $mainBlock.find('.sos-loop-suggestions');
+  const $suggestionList = $suggestions.find('.sos-loop-suggestion-list');
+
+  $suggestButton.on('click', async (ev) => {
+    ev.preventDefault();
+    const previewer = app._soundOfSilencePreviewer;
+    if (!previewer) return;
+
+    $suggestButton.prop('disabled', true).find('i').addClass('fa-spin');
+    try {
+      const suggestions = await previewer.findLoopSuggestions({ maxResults: MAX_LOOP_SUGGESTIONS });
+      if (suggestions === null) {
+        ui.notifications.warn("Could not decode this track for analysis.");
+        return;
+      }
+      $suggestionList.empty();
+      suggestions.forEach((suggestion, rank) => $suggestionList.append(_createLoopSuggestionHtml(suggestion, rank)));
+      $suggestions.toggle(suggestions.length > 0);
+      if (!suggestions.length) ui.notifications.info("No repeating passages long enough to loop were found.");
+    } catch (err) {
+      error("[SoundConfig] Loop point analysis failed:", err);
+    } finally {
+      $suggestButton.prop('disabled', false).find('i').removeClass('fa-spin');
+    }
+  });
+
+  const readSuggestion = (el) => {
+    const $row = $(el).closest('.sos-loop-suggestion-row');
+    return { startSec: Number($row.data('start')), endSec: Number($row.data('end')) };
+  };
+
+  $mainBlock.on('click', 'button.sos-loop-suggestion-preview', function (ev) {
+    ev.preventDefault();
+    app._soundOfSilencePreviewer?.previewSuggestion(readSuggestion(this), SUGGESTION_CROSSFADE_MS);
+  });
+
+  // Adds generated segments, replacing the untouched placeholder segment rather than adding next to it.
+  function addGeneratedSegments(segmentList) {
+    const $only = $segmentsContainer.children();
+    if ($only.length === 1 && !toSec($only.find(`input[name$=".start"]`).val()) && !toSec($only.find(`input[name$=".end"]`).val())) {
+      $only.remove();
+    }
+    const room = MAX_SEGMENTS - $segmentsContainer.children().length;
+    if (segmentList.length > room) {
+      ui.notifications.warn(`Maximum of ${MAX_SEGMENTS} segments reached.`);
+    }
+    segmentList.slice(0, Math.max(0, room)).forEach(segmentData => addSegment(segmentData));
+    refreshUI();
+    return Math.min(segmentList.length, Math.max(0, room));
+  }
+
+  $mainBlock.on('click', 'button.sos-loop-suggestion-use', function (ev) {
+    ev.preventDefault();
+    const { startSec, endSec } = readSuggestion(this);
+    const added = addGeneratedSegments([{ start: formatTime(startSec, true), end: formatTime(endSec, true), crossfadeMs: SUGGESTION_CROSSFADE_MS }]);
+    if (!added) return;
+    $(this).closest('.sos-loop-suggestion-row').remove();
+    if (!$suggestionList.children().length) $suggestions.hide();
+  });
+
+  // Embedded loop metadata
+  const $importButton = $mainBlock.find('button.sos-import-embedded-loop');
+  $importButton.prop('disabled', !canHaveEmbeddedLoops(app.document.path));
+  $importButton.on('click', async (ev) => {
+    ev.preventDefault();
+    $importButton.prop('disabled', true);
+    try {
+      const loops = await readEmbeddedLoopPoints(app.document.path);
+      if (!loops.length) {
+        ui.notifications.info("This file has no embedded loop points.");
+        return;
+      }
+      const added = addGeneratedSegments(toLoopSegments(loops));
+      ui.notifications.info(`Imported ${added} loop segment${added === 1 ? "" : "s"} from the file. Save to keep them.`);
+    } catch (err) {
+      error("[SoundConfig] Could not read embedded loop points:", err);
+      ui.notifications.warn("Could not read loop points from this file.");
+    } finally {
+      $importButton.prop('disabled', false);
+    }
+  });
+
   $mainBlock.on('click', '.sos-segment-header.collapsible', function (ev) {
     ev.preventDefault();
     const $header = $(this);
@@ -722,12 +1544,89 @@ function _registerSoundConfigHooks() {
     ev.stopPropagation();
   });
 
+  $mainBlock.on('click', 'button.sos-add-followup', function (ev) {
+    ev.preventDefault();
+    const $section = $(this).closest('.sos-loop-segment-section');
+    const $list = $section.find('.sos-followup-list');
+    const rowIndices = $list.children().map(function () { return Number($(this).data('rowIndex')) || 0; }).get();
+    const rowIndex = rowIndices.length ? Math.max(...rowIndices) + 1 : 0;
+    $list.append(_createFollowUpHtml(Number($section.data('segmentIndex')), rowIndex));
+    refreshFollowUpTargets();
+    recordHistory();
+  });
+
+  $mainBlock.on('click', 'button.sos-followup-remove', function (ev) {
+    ev.preventDefault();
+    $(this).closest('.sos-followup-row').remove();
+    refreshFollowUpTargets();
+    recordHistory();
+  });
+
   html.find(`input[name="${field("enabled")}"]`).on("change", (ev) => {
     const checked = ev.currentTarget.checked;
     html.find(".sos-loop-active-row, .sos-loop-body").toggle(checked);
   });
 
+  // Stem layers
+  const $stemList = $mainBlock.find('.sos-stem-list');
+  const $addStemButton = $mainBlock.find('button.sos-add-stem');
+  const refreshStemButton = () => $addStemButton.prop('disabled', $stemList.children().length >= MAX_STEMS);
+  stems.forEach((stem, index) => $stemList.append(_createStemHtml(index, stem)));
+  refreshStemButton();
+
+  $addStemButton.on('click', (ev) => {
+    ev.preventDefault();
+    const indices = $stemList.children().map(function () { return Number($(this).data('stemIndex')) || 0; }).get();
+    const index = indices.length ? Math.max(...indices) + 1 : 0;
+    $stemList.append(_createStemHtml(index, { name: `Layer ${indices.length + 1}` }));
+    refreshStemButton();
+  });
+
+  $mainBlock.on('click', 'button.sos-stem-remove', function (ev) {
+    ev.preventDefault();
+    $(this).closest('.sos-stem-row').remove();
+    refreshStemButton();
+  });
+
+  // Cue markers
+  const $cueMarkerList = $mainBlock.find('.sos-cue-marker-list');
+  cueMarkers.forEach((marker, index) => $cueMarkerList.append(_createCueMarkerHtml(index, marker)));
+
+  $mainBlock.on('click', 'button.sos-add-cue-marker', function (ev) {
+    ev.preventDefault();
+    const indices = $cueMarkerList.children().map(function () { return Number($(this).data('markerIndex')) || 0; }).get();
+    const index = indices.length ? Math.max(...indices) + 1 : 0;
+    const time = formatTime(app._soundOfSilencePreviewer?.getPlayheadTime() ?? 0, true);
+    $cueMarkerList.append(_createCueMarkerHtml(index, { name: `Marker ${indices.length + 1}`, time }));
+    app._soundOfSilencePreviewer?.rescanMarkers();
+  });
+
+  $mainBlock.on('click', 'button.sos-cue-marker-remove', function (ev) {
+    ev.preventDefault();
+    $(this).closest('.sos-cue-marker-row').remove();
+    app._soundOfSilencePreviewer?.rescanMarkers();
+  });
+
+  // Accept a Macro dragged from the sidebar or a compendium.
+  $mainBlock.on('dragover', 'input.sos-cue-marker-macro', (ev) => ev.preventDefault());
+  $mainBlock.on('drop', 'input.sos-cue-marker-macro', function (ev) {
+    ev.preventDefault();
+    let dropData;
+    try {
+      dropData = JSON.parse(ev.originalEvent.dataTransfer.getData("text/plain"));
+    } catch (_) {
+      return;
+    }
+    if (dropData?.type !== "Macro" || !dropData.uuid) {
+      ui.notifications.warn("Only Macros can be linked to a cue marker.");
+      return;
+    }
+    $(this).val(dropData.uuid).trigger("change");
+  });
+
+  app._soundOfSilencePreviewer?.destroy?.();
   const previewer = new LoopPreviewer(app, html, data);
+  previewer.onSegmentsEdited = (coalesce) => recordHistory(coalesce);
   previewer.init();
   app._soundOfSilencePreviewer = previewer;
 
@@ -770,6 +1669,31 @@ function _registerSoundConfigHooks() {
   syncProceduralExclusivity();
   $proceduralCheckbox.on("change", syncProceduralExclusivity);
 
+  // Show the position inputs for the chosen mode.
+  const $spatialMode = $proceduralBlock.find(`select[name="${rootField("spatial.mode")}"]`);
+  function syncSpatialMode() {
+    const mode = $spatialMode.val();
+    $proceduralBlock.find(".sos-spatial-point").toggle(mode === "point");
+    $proceduralBlock.find(".sos-spatial-region").toggle(mode === "region");
+    $proceduralBlock.find(".sos-spatial-drawing").toggle(mode === "drawing");
+    $proceduralBlock.find(".sos-spatial-radius").toggle(mode !== "none");
+  }
+  syncSpatialMode();
+  $spatialMode.on("change", syncSpatialMode);
+
+  $proceduralBlock.find(".sos-spatial-here").on("click", (event) => {
+    event.preventDefault();
+    if (!canvas?.ready || !canvas.scene) {
+      ui.notifications.warn("View a scene to pick a position from it.");
+      return;
+    }
+    const token = canvas.tokens?.controlled?.[0];
+    const point = token ? token.center : canvas.stage.pivot;
+    $proceduralBlock.find(`select[name="${rootField("spatial.sceneId")}"]`).val(canvas.scene.id);
+    $proceduralBlock.find(`input[name="${rootField("spatial.x")}"]`).val(Math.round(point.x));
+    $proceduralBlock.find(`input[name="${rootField("spatial.y")}"]`).val(Math.round(point.y));
+  });
+
   // Clamp min/max delay inputs when edited, keep the preview readout live.
   const $minDelay = $proceduralBlock.find(`input[name="${rootField("minDelay")}"]`);
   const $maxDelay = $proceduralBlock.find(`input[name="${rootField("maxDelay")}"]`);
@@ -905,10 +1829,13 @@ function _registerSoundConfigHooks() {
 
 
   Hooks.on("closePlaylistSoundConfig", (app) => {
+    app._soundOfSilenceLoopHistory = null;
+
     const previewer = app._soundOfSilencePreviewer;
-    if (previewer?.stopAll) {
-      debug("[Previewer] Config window closed. Calling stopAll.");
-      previewer.stopAll();
+    if (previewer?.destroy) {
+      debug("[Previewer] Config window closed. Destroying loop previewer.");
+      previewer.destroy();
+      app._soundOfSilencePreviewer = null;
     }
 
     const auditioner = app._soundOfSilenceProceduralAuditioner;
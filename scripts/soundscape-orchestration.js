@@ -12,9 +12,7 @@ let playlistHooksRegistered = false;
 
 function _getActiveSoundscapeSounds(playlist) {
   if (!playlist?.sounds) return [];
-  return playlist.sounds.filter(
-    (sound) => sound.playing && !Flags.getSoundFlag(sound, "isSilenceGap")
-  );
+  return playlist.sounds.filter((sound) => sound.playing);
 }
 
 export function shouldRunSoundscapeEngine(playlist) {
@@ -101,9 +99,7 @@ export function registerSoundscapeSoundHooks() {
     if (!playlist.playing) return;
     if (State.isPlaylistStopping(playlist)) return;
 
-    const stillPlaying = playlist.sounds.some(
-      (sound) => sound.playing && !Flags.getSoundFlag(sound, "isSilenceGap")
-    );
+    const stillPlaying = playlist.sounds.some((sound) => sound.playing);
     if (stillPlaying) return;
 
     debug(`[Soundscape] Last sound stopped in "${playlist.name}"; stopping playlist.`);
@@ -158,7 +154,6 @@ export function registerSoundscapePlaylistHooks() {
     const proceduralUpdates = playlist.sounds
       .filter((sound) =>
         sound.playing &&
-        !Flags.getSoundFlag(sound, "isSilenceGap") &&
         Flags.getSoundFlag(sound, "isProcedural")
       )
       .map((sound) => ({
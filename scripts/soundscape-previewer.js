@@ -38,15 +38,12 @@ function _resolveFadeInMs(playlist, configOverrides = null) {
 }
 
 function _hasPreviewableSoundscapeContent(playlist) {
-    return Array.from(playlist?.sounds ?? []).some((sound) => {
-        return !Flags.getSoundFlag(sound, "isSilenceGap");
-    });
+    return (playlist?.sounds?.size ?? 0) > 0;
 }
 
 function _hasProceduralSound(playlist) {
     return Array.from(playlist?.sounds ?? []).some((sound) => {
-        return !Flags.getSoundFlag(sound, "isSilenceGap")
-            && Flags.getSoundFlag(sound, "isProcedural");
+        return Flags.getSoundFlag(sound, "isProcedural");
     });
 }
 
@@ -122,7 +119,6 @@ class SoundscapePreviewSession {
         const beds = [];
         const procedurals = [];
         for (const ps of this.playlist.sounds) {
-            if (Flags.getSoundFlag(ps, "isSilenceGap")) continue;
             if (Flags.getSoundFlag(ps, "isProcedural")) procedurals.push(ps);
             else beds.push(ps);
         }
@@ -0,0 +1,275 @@
+// spatial-audio.js
+/**
+ * @file spatial-audio.js
+ * @description Places procedural one-shots on the scene canvas. A sound's `spatial` flag names
+ * a fixed point, a Region or a Drawing; each fire picks one point there (random inside an
+ * area) and carries it in the fire recipe, so every client hears the same event. Each client
+ * then hears it through a Web Audio PannerNode placed relative to its own listener: the
+ * nearest controlled token, an observed token for players, or the view center. Clients that
+ * are not viewing the sound's scene do not hear it.
+ */
+import { debug, warn } from "./utils.js";
+import { Flags } from "./flag-service.js";
+
+const MAX_AREA_SAMPLES = 30;   // random tries for a point inside an irregular area
+const POSITION_RAMP_SEC = 0.05; // smooths panner moves as the listener moves
+
+/** @type {Map<PannerNode, object>} Live spatial panners and the positions they play from. */
+const activePanners = new Map();
+let updateQueued = false;
+
+/**
+ * Rotates a point about a center by degrees.
+ * @returns {{x: number, y: number}}
+ */
+function rotatePoint(x, y, cx, cy, degrees) {
+  if (!degrees) return { x, y };
+  const rad = Math.toRadians(degrees);
+  const dx = x - cx;
+  const dy = y - cy;
+  return {
+    x: cx + dx * Math.cos(rad) - dy * Math.sin(rad),
+    y: cy + dx * Math.sin(rad) + dy * Math.cos(rad),
+  };
+}
+
+/**
+ * Picks a point inside a rectangle that passes a test, falling back to the rectangle's center.
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @param {(x: number, y: number) => boolean} contains
+ * @returns {{x: number, y: number}}
+ */
+function randomPointIn(bounds, contains) {
+  for (let i = 0; i < MAX_AREA_SAMPLES; i++) {
+    const x = bounds.x + Math.random() * bounds.width;
+    const y = bounds.y + Math.random() * bounds.height;
+    if (contains(x, y)) return { x, y };
+  }
+  return { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+}
+
+function randomPointInRegion(region) {
+  const polygons = region.polygons ?? [];
+  if (!polygons.length) return null;
+
+  const xs = polygons.flatMap((polygon) => polygon.points.filter((_, i) => i % 2 === 0));
+  const ys = polygons.flatMap((polygon) => polygon.points.filter((_, i) => i % 2 === 1));
+  const bounds = {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys),
+  };
+  const contains = region.polygonTree?.testPoint
+    ? (x, y) => region.polygonTree.testPoint({ x, y })
+    : (x, y) => polygons.some((polygon) => polygon.contains(x, y));
+  return randomPointIn(bounds, contains);
+}
+
+function randomPointInDrawing(drawing) {
+  const { type, width = 0, height = 0, points = [] } = drawing.shape ?? {};
+  if (!(width > 0) || !(height > 0)) return null;
+
+  const local = { x: 0, y: 0, width, height };
+  let contains = () => true;
+  if (type === "e") {
+    contains = (x, y) => (((x - width / 2) / (width / 2)) ** 2) + (((y - height / 2) / (height / 2)) ** 2) <= 1;
+  } else if (type === "p" && points.length >= 6) {
+    const polygon = new PIXI.Polygon(points);
+    contains = (x, y) => polygon.contains(x, y);
+  }
+
+  const point = randomPointIn(local, contains);
+  return rotatePoint(drawing.x + point.x, drawing.y + point.y, drawing.x + width / 2, drawing.y + height / 2, drawing.rotation);
+}
+
+/**
+ * Picks where one fire of a procedural sound plays from.
+ * @param {PlaylistSound} ps
+ * @returns {{sceneId: string, x: number, y: number, radius: number}|null} Null for a sound with no position.
+ */
+export function pickSpatialPosition(ps) {
+  const config = Flags.getSoundFlag(ps, "spatial");
+  let sceneId = config.sceneId;
+  let point = null;
+
+  switch (config.mode) {
+    case "point":
+      point = { x: config.x, y: config.y };
+      break;
+
+    case "region":
+    case "drawing": {
+      const uuid = config.mode === "region" ? config.regionUuid : config.drawingUuid;
+      const doc = uuid ? fromUuidSync(uuid) : null;
+      if (!doc?.parent) break;
+      sceneId = doc.parent.id;
+      point = config.mode === "region" ? randomPointInRegion(doc) : randomPointInDrawing(doc);
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  if (!point || !sceneId) {
+    warn(`[Spatial] "${ps.name}" has no usable ${config.mode} position; playing it unplaced.`);
+    return null;
+  }
+  return normalizeSpatialPosition({ sceneId, x: point.x, y: point.y, radius: config.radius });
+}
+
+/**
+ * Validates a position carried in a fire recipe.
+ * @param {any} position
+ * @returns {{sceneId: string, x: number, y: number, radius: number}|null}
+ */
+export function normalizeSpatialPosition(position) {
+  if (!position || typeof position !== "object") return null;
+  const x = Number(position.x);
+  const y = Number(position.y);
+  const radius = Number(position.radius);
+  if (!position.sceneId || !Number.isFinite(x) || !Number.isFinite(y) || !(radius > 0)) return null;
+  return {
+    sceneId: String(position.sceneId),
+    x: Math.round(x),
+    y: Math.round(y),
+    radius,
+  };
+}
+
+/**
+ * The points this client can listen from: its controlled tokens, else (for a player) the tokens
+ * it observes, else the view center. Read once per update and shared by every panner.
+ * @returns {{x: number, y: number}[]}
+ */
+function getListenerCandidates() {
+  const controlled = canvas.tokens?.controlled ?? [];
+  const tokens = controlled.length || game.user.isGM
+    ? controlled
+    : (canvas.tokens?.placeables ?? []).filter((token) => token.document.testUserPermission(game.user, "OBSERVER"));
+  if (!tokens.length) return [{ x: canvas.stage.pivot.x, y: canvas.stage.pivot.y }];
+  return tokens.map((token) => ({ x: token.center.x, y: token.center.y }));
+}
+
+/**
+ * Where this client listens from for a position: the candidate nearest to it.
+ * @param {{sceneId: string, x: number, y: number}} position
+ * @param {{x: number, y: number}[]} [candidates] Listener candidates, when already read.
+ * @returns {{x: number, y: number}|null} Null when this client is not viewing the position's scene.
+ */
+export function getListenerPoint(position, candidates = null) {
+  if (!canvas?.ready || canvas.scene?.id !== position.sceneId) return null;
+
+  const points = candidates ?? getListenerCandidates();
+  const distanceTo = (point) => Math.hypot(point.x - position.x, point.y - position.y);
+  return points.reduce((best, point) => distanceTo(point) < distanceTo(best) ? point : best);
+}
+
+/**
+ * Whether this client hears a position at all: only clients viewing its scene do.
+ * @param {{sceneId: string}} position
+ * @returns {boolean}
+ */
+export function canHearSpatialPosition(position) {
+  return Boolean(canvas?.ready && canvas.scene?.id === position?.sceneId);
+}
+
+/**
+ * Where a position is relative to this client's listener, in grid spaces. Right is +x and down
+ * the map is +z, so the listener faces north.
+ * @param {object} position
+ * @param {{x: number, y: number}[]} [candidates] Listener candidates, when already read.
+ * @returns {{x: number, z: number}}
+ */
+function getListenerOffset(position, candidates = null) {
+  const listener = getListenerPoint(position, candidates);
+  // Off-scene listeners are put out of range, which the linear model makes silent.
+  if (!listener) return { x: position.radius * 2, z: 0 };
+
+  const gridSize = canvas.dimensions.size;
+  return {
+    x: (position.x - listener.x) / gridSize,
+    z: (position.y - listener.y) / gridSize,
+  };
+}
+
+/**
+ * Moves a panner to follow this client's listener.
+ * @param {PannerNode} panner
+ * @param {object} position
+ * @param {{x: number, y: number}[]} candidates Listener candidates for this update.
+ */
+function placePanner(panner, position, candidates) {
+  const { x, z } = getListenerOffset(position, candidates);
+  const now = panner.context.currentTime;
+  panner.positionX.setTargetAtTime(x, now, POSITION_RAMP_SEC);
+  panner.positionZ.setTargetAtTime(z, now, POSITION_RAMP_SEC);
+}
+
+/**
+ * Creates a PannerNode for a position, measured in grid spaces. The sound is at full volume
+ * within one grid space and fades out linearly to silence at the position's radius.
+ * @param {BaseAudioContext} context
+ * @param {{sceneId: string, x: number, y: number, radius: number}} position
+ * @returns {PannerNode|null}
+ */
+export function createSpatialPanner(context, position) {
+  if (!context?.createPanner || !canvas?.ready) return null;
+
+  const panner = context.createPanner();
+  panner.panningModel = "equalpower";
+  panner.distanceModel = "linear";
+  panner.refDistance = Math.min(1, position.radius / 2);
+  panner.maxDistance = position.radius;
+  panner.rolloffFactor = 1;
+
+  const { x, z } = getListenerOffset(position);
+  panner.positionX.value = x;
+  panner.positionY.value = 0;
+  panner.positionZ.value = z;
+  activePanners.set(panner, position);
+  return panner;
+}
+
+/**
+ * Stops tracking a panner once its sound has finished.
+ * @param {PannerNode} panner
+ */
+export function releaseSpatialPanner(panner) {
+  activePanners.delete(panner);
+}
+
+function updateSpatialPanners() {
+  if (!activePanners.size || !canvas?.ready) return;
+  const candidates = getListenerCandidates();
+  for (const [panner, position] of activePanners) {
+    try {
+      placePanner(panner, position, candidates);
+    } catch (err) {
+      debug("[Spatial] Failed to move panner:", err?.message);
+      activePanners.delete(panner);
+    }
+  }
+}
+
+/**
+ * Moves every panner at most once per animation frame, however many hooks fire in it.
+ * refreshToken alone fires for every token on every frame of a move.
+ */
+function queueSpatialUpdate() {
+  if (updateQueued || !activePanners.size) return;
+  updateQueued = true;
+  requestAnimationFrame(() => {
+    updateQueued = false;
+    updateSpatialPanners();
+  });
+}
+
+export function registerSpatialAudioHooks() {
+  // The listener moves with its token, with token control, and with the view.
+  Hooks.on("refreshToken", queueSpatialUpdate);
+  Hooks.on("controlToken", queueSpatialUpdate);
+  Hooks.on("canvasPan", queueSpatialUpdate);
+  Hooks.on("canvasReady", queueSpatialUpdate);
+}
@@ -35,16 +35,10 @@ class StateManager {
         // ============================================
         /**
          * Tracks currently active silent gaps
-         * @type {WeakMap<Playlist, {timer: AudioTimeout, gap: PlaylistSound, resolve: Function, cancelled: boolean, sourceSound: PlaylistSound}>}
+         * @type {WeakMap<Playlist, {timer: AudioTimeout, gapMs: number, resolve: Function, cancelled: boolean, sourceSound: PlaylistSound}>}
          */
         this._silentGaps = new WeakMap();
 
-        /**
-         * Tracks silent gaps that were cancelled to prevent _onEnd logic
-         * @type {WeakSet<PlaylistSound>}
-         */
-        this._cancelledGaps = new WeakSet();
-
         // ============================================
         // Crossfade Feature State
         // ============================================
@@ -281,7 +275,7 @@ class StateManager {
     /**
      * Set the silent gap state for a playlist
      * @param {Playlist} playlist
-     * @param {Object} state - The state object containing {timer, gap, resolve, cancelled}
+     * @param {Object} state - The state object containing {timer, gapMs, resolve, cancelled}
      */
     setSilenceState(playlist, state) {
         this._silentGaps.set(playlist, state);
@@ -311,32 +305,6 @@ class StateManager {
         return this._silentGaps.has(playlist);
     }
 
-    /**
-     * Mark a silent gap as cancelled to prevent its _onEnd handler from firing
-     * @param {PlaylistSound} gap
-     */
-    markGapAsCancelled(gap) {
-        this._cancelledGaps.add(gap);
-        debug(`[State] Marked gap "${gap?.name}" as cancelled`);
-    }
-
-    /**
-     * Check if a gap was cancelled
-     * @param {PlaylistSound} gap
-     * @returns {boolean}
-     */
-    isGapCancelled(gap) {
-        return this._cancelledGaps.has(gap);
-    }
-
-    /**
-     * Clear the cancelled marker for a gap
-     * @param {PlaylistSound} gap
-     */
-    clearCancelledGap(gap) {
-        this._cancelledGaps.delete(gap);
-    }
-
     // ============================================
     // Crossfade State Methods
     // ============================================
@@ -650,19 +618,8 @@ class StateManager {
                     silenceState.cancelled = true;
                     if (silenceState.timer) silenceState.timer.cancel();
 
-                    const gap = silenceState.gap;
-                    if (gap) {
-                        this.markGapAsCancelled(gap);
-                        if (gap.id && game.user.isGM) {
-                            // No need to await, let it delete in the background
-                            gap.delete().catch(err => {
-                                debug(`[State] Failed to delete silent gap "${gap?.name}":`, err.message);
-                            });
-                        }
-                    }
-
                     if (silenceState.resolve) {
-                        const gapMs = gap?.getFlag?.('the-sound-of-silence', 'gapDuration') || 0;
+                        const gapMs = Number(silenceState.gapMs) || 0;
                         Hooks.callAll('the-sound-of-silence.silenceEnd', {
                             playlist,
                             duration: gapMs,
@@ -757,7 +714,8 @@ class StateManager {
                 silence: silenceState ? {
                     active: true,
                     cancelled: silenceState.cancelled,
-                    gapName: silenceState.gap?.name,
+                    gapMs: silenceState.gapMs,
+                    expectedEndAt: silenceState.expectedEndAt,
                 } : null,
 
                 scheduledSilenceFade: hasScheduledSilenceFade,
@@ -0,0 +1,514 @@
+// stem-layers.js
+/**
+ * @file stem-layers.js
+ * @description Vertical layering. A PlaylistSound can carry stem files that play locked to its
+ * main file. Every live main Sound (the "lead": ps.sound, or either internal-loop buffer) owns
+ * a StemGroup with one Sound per stem. A group starts on the same audio clock time as its lead,
+ * follows the lead's gain so fades and loop crossfades carry every layer, and quietly re-seeks a
+ * layer that stays out of step. Layer toggles are GM-authored through the stemMix flag and fade
+ * on every client.
+ */
+import { MODULE_ID, debug, warn, safeStop, PlaylistActionAuthority } from "./utils.js";
+import { Flags } from "./flag-service.js";
+import { State } from "./state-manager.js";
+import { setLoopRegion, clearLoopRegion } from "./gapless-loop.js";
+import { applyEnvelope } from "./segment-envelope.js";
+
+const AudioTimeout = foundry.audio.AudioTimeout;
+
+const STEM_TICK_MS = 40;
+const GAIN_SMOOTHING = 0.02;   // setTargetAtTime constant; hides the tick steps during fades
+const START_LEAD_SEC = 0.05;   // shared start delay, so lead and layers begin on the same clock time
+const DRIFT_TOLERANCE = 0.05;  // a layer further than this from its lead is out of step
+const DRIFT_PERSIST_MS = 1000; // ...and is only re-seeked once it has stayed out of step this long
+const RESYNC_COOLDOWN_MS = 10000;
+const RESYNC_FADE_MS = 100;    // a re-seeked layer fades out first so the jump does not click
+const END_MARGIN = 0.1;        // a shorter stem is left ended once the lead passes its length
+const DEFAULT_TOGGLE_FADE_MS = 1000;
+
+/** @type {Map<Sound, StemGroup>} lead Sound -> its stem layers */
+const groups = new Map();
+/** @type {Map<string, {from: number, to: number, start: number, end: number}>} "<soundId>.<stemId>" -> level ramp */
+const layerRamps = new Map();
+/** @type {Map<string, Map<string, object>>} sound id -> validated layer states by stem id; refreshed on flag updates */
+const layerStateCache = new Map();
+let ticking = false;
+
+/**
+ * Checks whether a playlist sound has stem layers.
+ * @param {PlaylistSound} ps
+ * @returns {boolean}
+ */
+export function hasStems(ps) {
+  return !!ps && Flags.getStems(ps).length > 0;
+}
+
+/**
+ * Reads a sound's validated layer states, cached until its flags change.
+ * @param {PlaylistSound} ps
+ * @returns {Map<string, object>} Layer states by stem id.
+ */
+function getLayerStates(ps) {
+  let states = layerStateCache.get(ps.id);
+  if (!states) {
+    states = new Map(Flags.getStemLayerStates(ps).map(state => [state.id, state]));
+    layerStateCache.set(ps.id, states);
+  }
+  return states;
+}
+
+function getTargetLevel(state) {
+  return state?.enabled ? state.gain : 0;
+}
+
+function sampleRamp(ramp, now) {
+  if (now >= ramp.end) return ramp.to;
+  return ramp.from + (ramp.to - ramp.from) * ((now - ramp.start) / (ramp.end - ramp.start));
+}
+
+/**
+ * Reads a layer's current mix level, following any toggle fade in progress. Config edits
+ * (which do not fade) snap once no fade is running.
+ */
+function getLayerLevel(ps, state) {
+  const key = `${ps.id}.${state.id}`;
+  const target = getTargetLevel(state);
+  const ramp = layerRamps.get(key);
+  const now = performance.now();
+
+  if (!ramp || (now >= ramp.end && ramp.to !== target)) {
+    layerRamps.set(key, { from: target, to: target, start: now, end: now });
+    return target;
+  }
+  return sampleRamp(ramp, now);
+}
+
+function rampLayer(ps, state, fadeMs) {
+  const key = `${ps.id}.${state.id}`;
+  const to = getTargetLevel(state);
+  const now = performance.now();
+  const existing = layerRamps.get(key);
+  const from = existing ? sampleRamp(existing, now) : to;
+  layerRamps.set(key, { from, to, start: now, end: now + Math.max(0, fadeMs) });
+}
+
+function clearLayerRamps(ps) {
+  for (const key of Array.from(layerRamps.keys())) {
+    if (key.startsWith(`${ps.id}.`)) layerRamps.delete(key);
+  }
+}
+
+class StemGroup {
+  constructor(ps, lead) {
+    this.ps = ps;
+    this.lead = lead;
+    /** @type {{stem: object, sound: Sound, pending: boolean, driftSince: number|null, resyncedAt: number}[]} */
+    this.layers = [];
+    this.isLoaded = false;
+    this.isDisposed = false;
+    /** @type {{start: number, end: number}|null} The lead's gapless loop region, mirrored on every layer. */
+    this.loopRegion = null;
+    /** @type {{gainDb: number, rate: number}|null} The lead's segment envelope, mirrored on every layer. */
+    this.envelope = null;
+    this.ready = this._load();
+  }
+
+  async _load() {
+    const stems = Flags.getStems(this.ps);
+    const results = await Promise.allSettled(stems.map(async (stem) => {
+      const sound = new foundry.audio.Sound(stem.path, { context: this.lead.context });
+      await sound.load();
+      return sound;
+    }));
+
+    results.forEach((result, index) => {
+      if (result.status === "fulfilled") {
+        this.layers.push({ stem: stems[index], sound: result.value, pending: false, driftSince: null, resyncedAt: 0 });
+      } else {
+        warn(`[Stems] Could not load layer "${stems[index].name}" for "${this.ps.name}":`, result.reason?.message ?? result.reason);
+      }
+    });
+
+    this.isLoaded = true;
+    if (this.isDisposed) this.stop();
+    debug(`[Stems] Loaded ${this.layers.length}/${stems.length} layers for "${this.ps.name}".`);
+    return this;
+  }
+
+  /**
+   * Starts every layer at an offset after a delay. Call in the same task as the lead's play(),
+   * with the same delay, so every layer begins on the same audio clock time as the lead.
+   */
+  play(offset, { loop = false, volume, delay = 0 } = {}) {
+    const states = getLayerStates(this.ps);
+    const leadVolume = Number.isFinite(Number(volume)) ? Number(volume) : this.lead.volume;
+
+    return Promise.all(this.layers.map(async (layer) => {
+      const state = states.get(layer.stem.id);
+      layer.pending = true;
+      try {
+        await layer.sound.play({
+          offset,
+          delay,
+          loop,
+          volume: leadVolume * (state ? getLayerLevel(this.ps, state) : 0),
+          _fromLoop: true,
+        });
+        layer.driftSince = null;
+        this._applyLoopState(layer);
+      } catch (err) {
+        warn(`[Stems] Layer "${layer.stem.name}" failed to start for "${this.ps.name}":`, err?.message ?? err);
+      } finally {
+        layer.pending = false;
+      }
+    }));
+  }
+
+  /**
+   * Where the lead will be once a delayed start begins, wrapped into its loop region.
+   * @param {number} delaySec
+   * @returns {number}
+   */
+  _leadTimeAfter(delaySec) {
+    let time = Number(this.lead.currentTime) + delaySec * (this.envelope?.rate ?? 1);
+    const region = this.loopRegion;
+    if (region && time >= region.end && region.end > region.start) {
+      time = region.start + ((time - region.start) % (region.end - region.start));
+    }
+    return time;
+  }
+
+  /**
+   * Stops a layer and starts it again in step with the lead. The tick's gain follow fades it
+   * back in from silence.
+   * @param {object} layer
+   * @param {string} reason
+   * @param {object} [options]
+   * @param {boolean} [options.fade=false] Fade the layer out before stopping it.
+   */
+  async _restartLayer(layer, reason, { fade = false } = {}) {
+    layer.pending = true;
+    try {
+      const sound = layer.sound;
+      if (fade && sound.playing && sound.gain?.setTargetAtTime) {
+        sound.gain.setTargetAtTime(0, sound.context.currentTime, GAIN_SMOOTHING);
+        await AudioTimeout.wait(RESYNC_FADE_MS);
+      }
+      if (sound.playing) await sound.stop();
+      if (this.isDisposed || !this.lead.playing) return;
+      debug(`[Stems] Re-aligning "${layer.stem.name}" in "${this.ps.name}" (${reason}).`);
+      layer.resyncedAt = performance.now();
+      layer.driftSince = null;
+      await sound.play({
+        offset: this._leadTimeAfter(START_LEAD_SEC),
+        delay: START_LEAD_SEC,
+        loop: !!this.lead.loop,
+        volume: 0,
+        _fromLoop: true,
+      });
+      this._applyLoopState(layer);
+    } catch (err) {
+      debug(`[Stems] Re-align failed for "${layer.stem.name}":`, err?.message ?? err);
+    } finally {
+      layer.pending = false;
+    }
+  }
+
+  _applyLoopRegion(layer) {
+    if (this.loopRegion) setLoopRegion(layer.sound, this.loopRegion.start, this.loopRegion.end);
+    else clearLoopRegion(layer.sound);
+  }
+
+  /** Brings a freshly started layer to the lead's loop region and envelope. */
+  _applyLoopState(layer) {
+    this._applyLoopRegion(layer);
+    if (this.envelope) applyEnvelope(layer.sound, this.envelope);
+  }
+
+  /** Loops (or releases) the same region on every playing layer as on the lead. */
+  setLoopRegion(region) {
+    this.loopRegion = region;
+    for (const layer of this.layers) {
+      if (layer.sound.playing && !layer.pending) this._applyLoopRegion(layer);
+    }
+  }
+
+  /** Moves every playing layer to the lead's segment envelope. */
+  setEnvelope(envelope, rampSec) {
+    this.envelope = envelope;
+    for (const layer of this.layers) {
+      if (layer.sound.playing && !layer.pending) applyEnvelope(layer.sound, envelope, rampSec);
+    }
+  }
+
+  /** Follows the lead once per tick: start/stop, gain and drift. */
+  sync() {
+    if (!this.isLoaded || this.isDisposed) return;
+    const lead = this.lead;
+    const states = getLayerStates(this.ps);
+    const leadTime = Number(lead.currentTime);
+    const now = performance.now();
+
+    for (const layer of this.layers) {
+      if (layer.pending) continue;
+      const sound = layer.sound;
+
+      if (!lead.playing) {
+        if (sound.playing) safeStop(sound, `stem "${layer.stem.name}" lead stopped`);
+        continue;
+      }
+
+      if (!sound.playing) {
+        // The lead was started by a path that did not bring its layers along, or wrapped around.
+        if (Number.isFinite(leadTime) && leadTime < sound.duration - END_MARGIN) {
+          this._restartLayer(layer, "lead playing without layer");
+        }
+        continue;
+      }
+
+      const state = states.get(layer.stem.id);
+      const level = lead.volume * (state ? getLayerLevel(this.ps, state) : 0);
+      if (sound.gain?.setTargetAtTime) {
+        sound.gain.setTargetAtTime(level, sound.context.currentTime, GAIN_SMOOTHING);
+      } else {
+        sound.volume = level;
+      }
+
+      // Layers start in step, so only a layer that stays out of step is re-seeked, and rarely.
+      const drift = Math.abs(Number(sound.currentTime) - leadTime);
+      if (!(Number.isFinite(drift) && drift > DRIFT_TOLERANCE && leadTime < sound.duration - END_MARGIN)) {
+        layer.driftSince = null;
+        continue;
+      }
+      layer.driftSince ??= now;
+      if (now - layer.driftSince >= DRIFT_PERSIST_MS && now - layer.resyncedAt >= RESYNC_COOLDOWN_MS) {
+        this._restartLayer(layer, `drift ${(drift * 1000).toFixed(0)}ms`, { fade: true });
+      }
+    }
+  }
+
+  async stop() {
+    await Promise.all(this.layers
+      .filter(layer => layer.sound.playing)
+      .map(layer => Promise.resolve(layer.sound.stop()).catch(() => { })));
+  }
+
+  dispose() {
+    this.isDisposed = true;
+    for (const layer of this.layers) safeStop(layer.sound, `dispose stem "${layer.stem.name}"`);
+  }
+}
+
+function getWatchedSounds() {
+  const watched = [];
+  for (const playlist of game.playlists?.playing ?? []) {
+    for (const ps of playlist.sounds) {
+      if (!ps.playing || Flags.getSoundFlag(ps, "isProcedural")) continue;
+      if (hasStems(ps)) watched.push(ps);
+    }
+  }
+  return watched;
+}
+
+/** Every Sound that currently acts as a lead for a playlist sound, playing or not. */
+function getLeadSounds(ps) {
+  const leads = new Set();
+  if (ps.sound) leads.add(ps.sound);
+  const looper = State.getActiveLooper(ps);
+  if (looper && !looper.isDestroyed) {
+    if (looper.soundA) leads.add(looper.soundA);
+    if (looper.soundB) leads.add(looper.soundB);
+  }
+  return leads;
+}
+
+function ensureGroup(ps, lead) {
+  let group = groups.get(lead);
+  if (!group || group.isDisposed) {
+    group = new StemGroup(ps, lead);
+    groups.set(lead, group);
+  }
+  return group;
+}
+
+function tick() {
+  const watched = getWatchedSounds();
+  const liveLeads = new Map();
+  for (const ps of watched) {
+    for (const lead of getLeadSounds(ps)) liveLeads.set(lead, ps);
+  }
+
+  for (const [lead, ps] of liveLeads) {
+    if (lead.playing && !groups.has(lead)) ensureGroup(ps, lead);
+  }
+
+  for (const [lead, group] of Array.from(groups.entries())) {
+    if (!liveLeads.has(lead) || liveLeads.get(lead) !== group.ps) {
+      group.dispose();
+      groups.delete(lead);
+      continue;
+    }
+    group.sync();
+  }
+
+  if (!watched.length && !groups.size) {
+    ticking = false;
+    return;
+  }
+  AudioTimeout.wait(STEM_TICK_MS).then(tick);
+}
+
+function ensureStemTicker() {
+  if (ticking || !game.audio?.music) return;
+  ticking = true;
+  tick();
+}
+
+/**
+ * Loads the stem layers for a lead Sound ahead of playback.
+ * @param {PlaylistSound} ps
+ * @param {Sound} lead
+ * @returns {Promise<StemGroup|null>} The loaded group, or null when the sound has no stems.
+ */
+export async function prepareStems(ps, lead) {
+  if (!lead || !hasStems(ps)) return null;
+  const group = ensureGroup(ps, lead);
+  ensureStemTicker();
+  return group.ready;
+}
+
+/**
+ * Plays a lead Sound with its stem layers. Lead and layers are all started after the same short
+ * delay, so every layer begins on the same audio clock time as the main file.
+ * @param {PlaylistSound} ps
+ * @param {Sound} lead
+ * @param {object} options Sound#play options.
+ * @param {Function} [play] Starts the lead; defaults to lead.play(options).
+ * @returns {Promise<any>} The lead's play() result.
+ */
+export async function playWithStems(ps, lead, options = {}, play = (opts) => lead.play(opts)) {
+  const group = await prepareStems(ps, lead);
+  if (!group || group.isDisposed) return play(options);
+
+  await group.stop();
+  const delay = Math.max(0, Number(options.delay) || 0) + START_LEAD_SEC;
+  const [result] = await Promise.all([
+    play({ ...options, delay }),
+    group.play(options.offset ?? 0, { loop: options.loop, volume: options.volume, delay }),
+  ]);
+  return result;
+}
+
+/**
+ * Mirrors a lead's gapless loop region onto its stem layers so they wrap on the same sample.
+ * Layers that are streamed rather than buffer-backed keep playing linearly and are re-seeked
+ * by the drift check instead.
+ * @param {Sound} lead
+ * @param {number|null} startSec Region start, or null to release the region.
+ * @param {number} [endSec] Region end.
+ */
+export function setStemLoopRegion(lead, startSec, endSec) {
+  const group = groups.get(lead);
+  if (!group || group.isDisposed) return;
+  group.setLoopRegion(startSec == null ? null : { start: startSec, end: endSec });
+}
+
+/**
+ * Mirrors a lead's segment envelope (level and speed) onto its stem layers, so they stay
+ * level-matched and sample-locked while the lead changes speed.
+ * @param {Sound} lead
+ * @param {{gainDb: number, rate: number}} envelope
+ * @param {number} [rampSec=0]
+ */
+export function setStemEnvelope(lead, envelope, rampSec = 0) {
+  const group = groups.get(lead);
+  if (!group || group.isDisposed) return;
+  group.setEnvelope(envelope, rampSec);
+}
+
+/**
+ * Lists the layer Sounds that play under a lead, started or not.
+ * @param {Sound} lead
+ * @returns {Sound[]}
+ */
+export function getStemSounds(lead) {
+  const group = groups.get(lead);
+  if (!group || group.isDisposed) return [];
+  return group.layers.map(layer => layer.sound);
+}
+
+/**
+ * Turns a stem layer on or off, or changes its gain, with a fade on every client (GM only).
+ * @param {PlaylistSound} ps
+ * @param {string} stemId
+ * @param {object} [options]
+ * @param {boolean} [options.enabled] New on/off state; unchanged when omitted.
+ * @param {number} [options.gain] New gain (0-1); unchanged when omitted.
+ * @param {number} [options.fadeMs=1000] Fade duration for the change.
+ * @returns {Promise<boolean>} True if the change was written.
+ */
+export async function setStemLayer(ps, stemId, { enabled, gain, fadeMs = DEFAULT_TOGGLE_FADE_MS } = {}) {
+  if (!game.user.isGM) {
+    warn("[Stems] Only the GM can change stem layers.");
+    return false;
+  }
+
+  const current = getLayerStates(ps).get(stemId);
+  if (!current) {
+    warn(`[Stems] "${ps.name}" has no stem layer "${stemId}".`);
+    return false;
+  }
+
+  const layers = {
+    ...(Flags.getSoundFlag(ps, "stemMix")?.layers ?? {}),
+    [stemId]: {
+      enabled: typeof enabled === "boolean" ? enabled : current.enabled,
+      gain: Number.isFinite(Number(gain)) ? Math.max(0, Math.min(1, Number(gain))) : current.gain,
+    },
+  };
+  await ps.setFlag(MODULE_ID, "stemMix", { layers, fadeMs: Math.max(0, Number(fadeMs) || 0) });
+  return true;
+}
+
+function applyStemMix(ps) {
+  const fadeMs = Number(Flags.getSoundFlag(ps, "stemMix")?.fadeMs);
+  const duration = Number.isFinite(fadeMs) ? fadeMs : DEFAULT_TOGGLE_FADE_MS;
+  for (const state of getLayerStates(ps).values()) {
+    rampLayer(ps, state, duration);
+  }
+  debug(`[Stems] Applied layer mix for "${ps.name}" over ${duration}ms.`);
+}
+
+export function registerStemLayerHooks() {
+  Hooks.on("updatePlaylistSound", (soundDoc, changes) => {
+    if (changes.flags?.[MODULE_ID]) layerStateCache.delete(soundDoc.id);
+
+    if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.stemMix`)) {
+      applyStemMix(soundDoc);
+    }
+
+    if (changes.playing === true || foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.stems`)) {
+      ensureStemTicker();
+    }
+
+    // A stopped (not paused) sound starts from its configured layer mix next time.
+    if (changes.playing === false && soundDoc.pausedTime == null) {
+      clearLayerRamps(soundDoc);
+      if (PlaylistActionAuthority.isAuthorizedGM() && Flags.getSoundFlag(soundDoc, "stemMix")?.layers) {
+        soundDoc.unsetFlag(MODULE_ID, "stemMix").catch((err) =>
+          debug(`[Stems] Failed to reset layer mix for "${soundDoc.name}":`, err?.message ?? err)
+        );
+      }
+    }
+  });
+
+  Hooks.on("deletePlaylistSound", (soundDoc) => {
+    layerStateCache.delete(soundDoc.id);
+  });
+
+  Hooks.on("updatePlaylist", (playlist, changes) => {
+    if (changes.playing === true) ensureStemTicker();
+  });
+
+  ensureStemTicker();
+}
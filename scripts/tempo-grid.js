@@ -0,0 +1,134 @@
+// tempo-grid.js
+/**
+ * @file tempo-grid.js
+ * @description Musical grid math for internal loops: converts between seconds and
+ * bars:beats using a sound's tempo metadata, and finds the next beat/bar/phrase
+ * boundary for quantized loop breaks and segment skips.
+ */
+
+/** Quantize units accepted by loop breaks and segment skips. */
+export const QUANTIZE_UNITS = ["immediate", "beat", "bar", "phrase"];
+
+/**
+ * Resolves tempo metadata into grid constants, or null when no tempo is set.
+ * @param {object} tempo The loopWithin.tempo metadata.
+ * @returns {{beatSec: number, beatsPerBar: number, phraseBars: number, offsetSec: number}|null}
+ */
+function resolveGrid(tempo) {
+    const bpm = Number(tempo?.bpm);
+    if (!Number.isFinite(bpm) || bpm <= 0) return null;
+
+    return {
+        beatSec: 60 / bpm,
+        beatsPerBar: Math.max(1, Math.round(Number(tempo.beatsPerBar) || 4)),
+        phraseBars: Math.max(1, Math.round(Number(tempo.phraseBars) || 4)),
+        offsetSec: Math.max(0, Number(tempo.downbeatOffsetMs) || 0) / 1000,
+    };
+}
+
+/**
+ * Checks whether tempo metadata describes a usable grid.
+ * @param {object} tempo
+ * @returns {boolean}
+ */
+export function hasTempo(tempo) {
+    return resolveGrid(tempo) !== null;
+}
+
+/**
+ * Gets the length of one grid step in seconds.
+ * @param {object} tempo
+ * @param {string} unit One of "beat", "bar" or "phrase".
+ * @returns {number|null} The step length, or null for "immediate", unknown units or no tempo.
+ */
+export function getGridStepSec(tempo, unit) {
+    const grid = resolveGrid(tempo);
+    if (!grid) return null;
+
+    switch (unit) {
+        case "beat":
+            return grid.beatSec;
+        case "bar":
+            return grid.beatSec * grid.beatsPerBar;
+        case "phrase":
+            return grid.beatSec * grid.beatsPerBar * grid.phraseBars;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Finds the first grid boundary at or after a time. Bars and phrases are counted
+ * from the downbeat offset.
+ * @param {number} timeSec The current playback position.
+ * @param {object} tempo
+ * @param {string} unit One of "beat", "bar" or "phrase".
+ * @param {object} [options]
+ * @param {number} [options.minLeadSec=0] Boundaries closer than this are skipped, so there is
+ * always time to schedule the action.
+ * @returns {number|null} The boundary time in seconds, or null when the unit does not quantize.
+ */
+export function getNextGridTime(timeSec, tempo, unit, { minLeadSec = 0 } = {}) {
+    const step = getGridStepSec(tempo, unit);
+    if (step === null || !Number.isFinite(timeSec)) return null;
+
+    const { offsetSec } = resolveGrid(tempo);
+    // Small epsilon so a position sitting exactly on a boundary still counts as on it.
+    const index = Math.ceil((timeSec + minLeadSec - offsetSec) / step - 1e-6);
+    return offsetSec + index * step;
+}
+
+/**
+ * Finds the grid boundary nearest to a time.
+ * @param {number} timeSec
+ * @param {object} tempo
+ * @param {string} [unit="beat"]
+ * @returns {number|null}
+ */
+export function getNearestGridTime(timeSec, tempo, unit = "beat") {
+    const step = getGridStepSec(tempo, unit);
+    if (step === null || !Number.isFinite(timeSec)) return null;
+
+    const { offsetSec } = resolveGrid(tempo);
+    return offsetSec + Math.round((timeSec - offsetSec) / step) * step;
+}
+
+/**
+ * Formats a time as 1-based "bar:beat", with fractional beats to millibeat precision
+ * (e.g. "5:1", "12:3.5"). Times before the downbeat offset fall in bar 0 or below.
+ * @param {number} timeSec
+ * @param {object} tempo
+ * @returns {string} The formatted position, or an empty string without a tempo.
+ */
+export function formatBarsBeats(timeSec, tempo) {
+    const grid = resolveGrid(tempo);
+    if (!grid || !Number.isFinite(timeSec)) return "";
+
+    const totalBeats = Math.round(((timeSec - grid.offsetSec) / grid.beatSec) * 1000) / 1000;
+    const barIndex = Math.floor(totalBeats / grid.beatsPerBar);
+    const beat = Math.round((totalBeats - barIndex * grid.beatsPerBar + 1) * 1000) / 1000;
+    const beatText = Number.isInteger(beat) ? String(beat) : beat.toFixed(3).replace(/0+$/, "");
+    return `${barIndex + 1}:${beatText}`;
+}
+
+/**
+ * Parses "bar:beat" (or just "bar", meaning its downbeat) back into seconds.
+ * @param {string} text
+ * @param {object} tempo
+ * @returns {number|null} The time in seconds, or null if the text or result is invalid.
+ */
+export function parseBarsBeats(text, tempo) {
+    const grid = resolveGrid(tempo);
+    if (!grid) return null;
+
+    const match = /^\s*(-?\d+)\s*(?::\s*(\d+(?:\.\d+)?))?\s*$/.exec(String(text ?? ""));
+    if (!match) return null;
+
+    const bar = parseInt(match[1], 10);
+    const beat = match[2] === undefined ? 1 : Number(match[2]);
+    if (!Number.isFinite(beat) || beat < 1 || beat >= grid.beatsPerBar + 1) return null;
+
+    const totalBeats = (bar - 1) * grid.beatsPerBar + (beat - 1);
+    const timeSec = grid.offsetSec + totalBeats * grid.beatSec;
+    return timeSec >= 0 ? timeSec : null;
+}
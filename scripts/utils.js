@@ -257,20 +257,55 @@ export const toSec = (mmss) => {
  */
 export const formatTime = (sec, showMilliseconds = true) => {
     const s = Math.max(0, sec || 0);
-    const minutes = String(Math.floor(s / 60)).padStart(2, '0');
-    const wholeSeconds = Math.floor(s % 60);
 
     if (showMilliseconds) {
-        const milliseconds = Math.round((s % 1) * 1000);
-        const secondsStr = String(wholeSeconds).padStart(2, '0');
-        const millisecondsStr = String(milliseconds).padStart(3, '0');
+        // Round to whole milliseconds first so .9995 and up carries into the seconds.
+        const totalMs = Math.round(s * 1000);
+        const minutes = String(Math.floor(totalMs / 60000)).padStart(2, '0');
+        const secondsStr = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+        const millisecondsStr = String(totalMs % 1000).padStart(3, '0');
         return `${minutes}:${secondsStr}.${millisecondsStr}`;
     } else {
-        const secondsStr = String(wholeSeconds).padStart(2, '0');
+        const minutes = String(Math.floor(s / 60)).padStart(2, '0');
+        const secondsStr = String(Math.floor(s % 60)).padStart(2, '0');
         return `${minutes}:${secondsStr}`;
     }
 };
 
+/**
+ * Normalizes a typed time into the stored "MM:SS.mmm" form; anything unparseable becomes zero.
+ * @param {string} value The typed time.
+ * @returns {string}
+ */
+export const normalizeTimeInput = (value) => {
+    if (typeof value !== "string") return "00:00.000";
+    const trimmed = String(value).trim();
+    if (!trimmed || !/^\d{1,2}:\d{2}(\.\d{1,3})?$/.test(trimmed)) return "00:00.000";
+    const parts = trimmed.split(":");
+    const m = parseInt(parts[0], 10) || 0;
+    const [secStr, msStr] = (parts[1] || "0.0").split('.');
+    const s = parseInt(secStr, 10) || 0;
+    const ms = parseInt((msStr || "0").padEnd(3, '0').slice(0, 3), 10) || 0;
+    const clampedM = Math.max(0, m);
+    const clampedS = Math.min(59, Math.max(0, s));
+    const clampedMs = Math.min(999, Math.max(0, ms));
+    return `${String(clampedM).padStart(2, "0")}:${String(clampedS).padStart(2, "0")}.${String(clampedMs).padStart(3, "0")}`;
+};
+
+/**
+ * Clamps a form value into a range; blank or non-numeric values take the fallback.
+ * @param {any} value
+ * @param {any} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number|any}
+ */
+export function clampNumber(value, fallback, min, max) {
+    const num = Number(value);
+    if (value === "" || value == null || !Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
 
 export class PlaylistActionAuthority {
     static isAuthorizedGM() {
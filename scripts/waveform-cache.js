@@ -0,0 +1,172 @@
+// waveform-cache.js
+/**
+ * @file waveform-cache.js
+ * @description Decodes audio files and keeps a small cache of amplitude peak tables
+ * for the loop editor timeline. Only the compact peak table is cached long-term; a
+ * single decoded AudioBuffer can be held on request for sample-level editing tools.
+ */
+import { debug, warn } from "./utils.js";
+
+// Resolution of the cached peak table. Drawing downsamples this to one column per pixel.
+const PEAKS_PER_SECOND = 200;
+const MAX_PEAK_BUCKETS = 480000; // ~40 minutes at full resolution
+const MAX_CACHED_FILES = 24;
+
+/**
+ * @typedef {object} WaveformPeaks
+ * @property {Float32Array} min Per-bucket minimum sample value (-1..0).
+ * @property {Float32Array} max Per-bucket maximum sample value (0..1).
+ * @property {number} bucketCount Number of buckets in the table.
+ * @property {number} duration Decoded duration in seconds.
+ * @property {number} sampleRate Sample rate of the decoded buffer.
+ */
+
+/** @type {Map<string, Promise<WaveformPeaks|null>>} */
+const peakCache = new Map();
+
+/**
+ * The one decoded buffer kept in memory for sample-level tools (snapping, analysis).
+ * Full-resolution buffers of long tracks run to hundreds of MB, so only one is held.
+ * @type {{path: string, promise: Promise<AudioBuffer>}|null}
+ */
+let decodedSlot = null;
+
+/**
+ * Resolves an AudioContext that can decode files, preferring Foundry's music context.
+ * @returns {BaseAudioContext|null}
+ */
+function getDecodeContext() {
+    return game.audio?.music ?? game.audio?.interface ?? null;
+}
+
+/**
+ * Fetches and decodes an audio file into an AudioBuffer. The result is not cached.
+ * @param {string} path The audio file path or URL.
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function decodeAudioFile(path) {
+    const context = getDecodeContext();
+    if (!context) throw new Error("No AudioContext available for decoding.");
+
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`HTTP ${response.status} while fetching "${path}".`);
+    const arrayBuffer = await response.arrayBuffer();
+    return context.decodeAudioData(arrayBuffer);
+}
+
+/**
+ * Returns the decoded AudioBuffer for a file and keeps it until released or replaced
+ * by a request for a different file.
+ * @param {string} path The audio file path or URL.
+ * @returns {Promise<AudioBuffer|null>} The buffer, or null if the file could not be decoded.
+ */
+export function getDecodedAudio(path) {
+    if (!path) return Promise.resolve(null);
+    if (decodedSlot?.path === path) return decodedSlot.promise;
+
+    const slot = { path, promise: null };
+    slot.promise = decodeAudioFile(path).catch((err) => {
+        warn(`[Waveform] Could not decode "${path}":`, err?.message ?? err);
+        if (decodedSlot === slot) decodedSlot = null;
+        return null;
+    });
+    decodedSlot = slot;
+    return slot.promise;
+}
+
+/**
+ * Releases the held decoded buffer if it belongs to the given path.
+ * @param {string} path
+ */
+export function releaseDecodedAudio(path) {
+    if (decodedSlot?.path === path) decodedSlot = null;
+}
+
+/**
+ * Builds a min/max peak table across all channels of a decoded buffer.
+ * @param {AudioBuffer} buffer
+ * @returns {WaveformPeaks}
+ */
+function computePeaks(buffer) {
+    const bucketCount = Math.max(1, Math.min(
+        MAX_PEAK_BUCKETS,
+        Math.ceil(buffer.duration * PEAKS_PER_SECOND)
+    ));
+    const samplesPerBucket = buffer.length / bucketCount;
+    const min = new Float32Array(bucketCount);
+    const max = new Float32Array(bucketCount);
+
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let bucket = 0; bucket < bucketCount; bucket++) {
+            const from = Math.floor(bucket * samplesPerBucket);
+            const to = Math.min(data.length, Math.floor((bucket + 1) * samplesPerBucket));
+            let lo = min[bucket];
+            let hi = max[bucket];
+            for (let i = from; i < to; i++) {
+                const sample = data[i];
+                if (sample < lo) lo = sample;
+                else if (sample > hi) hi = sample;
+            }
+            min[bucket] = lo;
+            max[bucket] = hi;
+        }
+    }
+
+    return {
+        min,
+        max,
+        bucketCount,
+        duration: buffer.duration,
+        sampleRate: buffer.sampleRate,
+    };
+}
+
+/**
+ * Returns the cached peak table for an audio file, decoding it on first request.
+ * Concurrent requests for the same path share one decode.
+ * @param {string} path The audio file path or URL.
+ * @returns {Promise<WaveformPeaks|null>} The peaks, or null if the file could not be decoded.
+ */
+export function getWaveformPeaks(path) {
+    if (!path) return Promise.resolve(null);
+
+    const cached = peakCache.get(path);
+    if (cached) {
+        // Refresh recency so frequently edited tracks stay cached.
+        peakCache.delete(path);
+        peakCache.set(path, cached);
+        return cached;
+    }
+
+    const pending = (async () => {
+        const startedAt = performance.now();
+        const buffer = decodedSlot?.path === path
+            ? await decodedSlot.promise
+            : await decodeAudioFile(path);
+        if (!buffer) throw new Error("Decoded buffer unavailable.");
+        const peaks = computePeaks(buffer);
+        debug(`[Waveform] Computed ${peaks.bucketCount} peaks for "${path}" in ${(performance.now() - startedAt).toFixed(0)}ms.`);
+        return peaks;
+    })().catch((err) => {
+        warn(`[Waveform] Could not decode "${path}" for waveform display:`, err?.message ?? err);
+        peakCache.delete(path);
+        return null;
+    });
+
+    peakCache.set(path, pending);
+    while (peakCache.size > MAX_CACHED_FILES) {
+        const oldest = peakCache.keys().next().value;
+        peakCache.delete(oldest);
+    }
+    return pending;
+}
+
+/**
+ * Drops the cached peaks for one path, or the whole cache when no path is given.
+ * @param {string} [path]
+ */
+export function clearWaveformCache(path) {
+    if (path) peakCache.delete(path);
+    else peakCache.clear();
+}